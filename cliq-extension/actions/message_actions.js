@@ -0,0 +1,250 @@
+/**
+ * Message Action Handlers
+ *
+ * Right-click actions on any message:
+ * - analyze:       sentiment, emotion, stress and category of the message
+ * - suggest_reply: an empathetic reply, with a button to send it
+ *
+ * Results are only shown to the person who ran the action. While the
+ * analysis queue runs (utils/analysis_queue.js), the action answers at once
+ * and the result arrives as a private message from the bot; otherwise it
+ * waits for the analysis and answers with the card.
+ *
+ * Privacy applies to the message author, not the person running the action.
+ * Results are in that person's Cliq language, or the message's when unknown.
+ *
+ * Environment Variables:
+ * - ANALYSIS_QUEUE_ENABLED: Queue actions instead of answering after the analysis (default: true)
+ */
+
+const OrgConfigResolver = require('../utils/org_config');
+const CliqClient = require('../utils/cliq_client');
+const PrivacyStore = require('../utils/privacy_store');
+const LanguageDetector = require('../utils/language_detector');
+const AnalysisQueue = require('../utils/analysis_queue');
+const Redactor = require('../utils/redactor');
+const { t, translateValue, resolveLocale } = require('../utils/i18n');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Action');
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+class MessageActionHandler {
+  constructor(options = {}) {
+    this.orgConfig = options.orgConfig || new OrgConfigResolver();
+    this.cliqClient = options.cliqClient || new CliqClient();
+    this.privacyStore = options.privacyStore || new PrivacyStore();
+    this.languageDetector = options.languageDetector || new LanguageDetector();
+    this.analysisQueue = options.analysisQueue || new AnalysisQueue({ cliqClient: this.cliqClient });
+    this.redactor = options.redactor || new Redactor();
+
+    this.actions = {
+      analyze: {
+        failedKey: 'action.analyze_failed',
+        buildCard: (analysis, prepared) => this._buildAnalysisCard(analysis, prepared),
+      },
+      suggest_reply: {
+        failedKey: 'action.suggest_failed',
+        buildCard: (analysis, prepared) => this._buildSuggestionCard(analysis, prepared),
+      },
+    };
+
+    for (const action of Object.keys(this.actions)) {
+      this.analysisQueue.register(`action.${action}`, (data, transient) => this._runJob(action, data, transient));
+    }
+  }
+
+  /**
+   * Main action handler
+   * Express middleware: (req, res) => {}
+   *
+   * @param {string} action - analyze | suggest_reply
+   */
+  async handleAction(action, req, res) {
+    try {
+      const prepared = this._prepare(action, req.body);
+      if (prepared.response) {
+        return res.status(prepared.status || 200).json(prepared.response);
+      }
+
+      // Without the requester's ID there is no one to send a queued result to
+      const userId = req.body.user?.id;
+      const job = userId
+        ? this.analysisQueue.enqueue(`action.${action}`, { body: this._jobBody(req.body) }, {
+          priority: 'high',
+          userIds: [userId, req.body.message.sender?.id],
+          transient: { text: req.body.message.text },
+        })
+        : null;
+      if (job) {
+        return res.json({ text: t(prepared.locale, 'action.queued') });
+      }
+
+      return res.json(await this._run(action, prepared));
+    } catch (error) {
+      log.error('Message action error', { action, error });
+      return res.json({ text: t(resolveLocale(req.body), this.actions[action].failedKey) });
+    }
+  }
+
+  /**
+   * The parts of a request a queued job needs, with the message text redacted
+   * This is what goes to disk; the original text stays in memory (transient).
+   * @private
+   */
+  _jobBody(body) {
+    const { message, user, channel = {}, chat } = body;
+    const config = this.orgConfig.resolve(body);
+    return {
+      organization: { id: config.orgId },
+      message: {
+        text: this.redactor.redact(message.text, config.redactionPatterns).text,
+        sender: { id: message.sender?.id },
+      },
+      user: { id: user.id, language: user.language, locale: user.locale },
+      channel: { id: channel.id, chat_id: channel.chat_id },
+      chat: { id: chat?.id },
+    };
+  }
+
+  /**
+   * Run a queued action and send its result to the requester
+   * Without the in-memory original (after a restart) the redacted text is analyzed.
+   * @private
+   */
+  async _runJob(action, { body: stored }, transient) {
+    const body = transient ? { ...stored, message: { ...stored.message, text: transient.text } } : stored;
+    const prepared = this._prepare(action, body);
+    const response = prepared.response || await this._run(action, prepared);
+    await this.cliqClient.postToUser(body.user.id, response);
+  }
+
+  /**
+   * Validate the request and apply the author's privacy setting
+   *
+   * @returns {Object} { status?, response } to answer with right away, or the input for _run()
+   * @private
+   */
+  _prepare(action, body) {
+    if (!body || typeof body !== 'object') {
+      return { status: 400, response: { text: t(resolveLocale(), 'action.invalid_request') } };
+    }
+
+    const { message, user, channel, chat } = body;
+
+    if (!message || typeof message.text !== 'string' || !message.text.trim()) {
+      return { status: 400, response: { text: t(resolveLocale(body), 'action.no_text') } };
+    }
+
+    if (message.text.length > MAX_MESSAGE_LENGTH) {
+      return { status: 400, response: { text: t(resolveLocale(body), 'action.too_long', { max: MAX_MESSAGE_LENGTH }) } };
+    }
+
+    const { language } = this.languageDetector.detect(message.text);
+    const locale = resolveLocale(body, language);
+
+    const authorId = message.sender?.id || user?.id;
+    const fields = action === 'analyze'
+      ? { user_id: authorId || 'unknown', channel_id: channel?.id || 'unknown' }
+      : {};
+    const payload = this.privacyStore.applyToPayload(authorId, {
+      message: message.text.trim(),
+      ...fields,
+      ...(language ? { language } : {}),
+    });
+    if (!payload) {
+      return { response: { text: t(locale, 'action.author_opted_out') } };
+    }
+
+    return { body, payload, locale, channel, chat };
+  }
+
+  /**
+   * Analyze and build the result card; failures become an error message
+   * @private
+   */
+  async _run(action, prepared) {
+    const { failedKey, buildCard } = this.actions[action];
+    try {
+      const config = this.orgConfig.resolve(prepared.body);
+      const analysis = await this.orgConfig.getAPIClient(config).analyzeMessage(prepared.payload, { redactionPatterns: config.redactionPatterns });
+      return buildCard(analysis, prepared);
+    } catch (error) {
+      log.error('Message action analysis error', { action, error });
+      return { text: t(prepared.locale, failedKey) };
+    }
+  }
+
+  /**
+   * Build the Analyze Sentiment card
+   * @private
+   */
+  _buildAnalysisCard(analysis, { locale }) {
+    const offline = analysis.meta?.source === 'local';
+
+    return {
+      text: t(locale, 'analysis.text'),
+      card: {
+        title: `🔍 ${t(locale, 'analysis.title')}${offline ? t(locale, 'analysis.offline_suffix') : ''}`,
+        sections: [
+          {
+            elements: [
+              { type: 'text', text: `**${t(locale, 'analysis.sentiment')}:** ${translateValue(locale, 'sentiment', analysis.sentiment)}` },
+              { type: 'text', text: `**${t(locale, 'analysis.emotion')}:** ${translateValue(locale, 'emotion', analysis.emotion)}` },
+              { type: 'text', text: `**${t(locale, 'analysis.stress_short')}:** ${analysis.stress_score}/10` },
+              { type: 'text', text: `**${t(locale, 'analysis.category')}:** ${translateValue(locale, 'category', analysis.category)}` },
+              ...(offline ? [{ type: 'text', text: t(locale, 'analysis.offline_note') }] : []),
+            ],
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Build the Suggest Reply card
+   * @private
+   */
+  _buildSuggestionCard(analysis, { locale, channel, chat }) {
+    const offline = analysis.meta?.source === 'local';
+
+    return {
+      text: t(locale, 'action.suggested_reply'),
+      card: {
+        title: `${t(locale, 'action.suggested_title')}${offline ? t(locale, 'analysis.offline_suffix') : ''}`,
+        sections: [
+          {
+            elements: [
+              { type: 'text', text: `_"${analysis.suggested_reply}"_` },
+              ...(offline ? [{ type: 'text', text: t(locale, 'analysis.offline_note') }] : []),
+            ],
+          },
+        ],
+        buttons: [
+          {
+            label: t(locale, 'analysis.button.send_reply'),
+            type: 'invoke.function',
+            name: 'sendReply',
+            data: {
+              reply: analysis.suggested_reply,
+              channel_id: channel?.id,
+              chat_id: chat?.id || channel?.chat_id,
+            },
+          },
+        ],
+      },
+    };
+  }
+}
+
+// Express route handler wrappers, sharing one handler (and its queue registrations)
+function createMessageActionHandlers(options = {}) {
+  const handler = new MessageActionHandler(options);
+  return {
+    analyze: (req, res) => handler.handleAction('analyze', req, res),
+    suggestReply: (req, res) => handler.handleAction('suggest_reply', req, res),
+  };
+}
+
+module.exports = { MessageActionHandler, createMessageActionHandlers };
@@ -0,0 +1,191 @@
+/**
+ * `@emo-bot config` Mention Subcommand
+ *
+ * Lets channel admins control whether and how Emo-Bot analyzes a channel.
+ *
+ * Usage:
+ * - @emo-bot config                          Show current settings
+ * - @emo-bot config enable | disable         Opt the channel in or out
+ * - @emo-bot config silent on | off          Analyze without replying
+ * - @emo-bot config reply-threshold <0-10|off>   Reply only at or above this stress
+ * - @emo-bot config stress-threshold <1-10|default>  Override admin alert threshold
+ * - @emo-bot config reset                    Revert to defaults
+ *
+ * Replies are in the user's Cliq language (utils/i18n).
+ *
+ * Environment Variables:
+ * - BOT_ADMIN_USER_IDS: Comma-separated user IDs allowed to change settings (empty = no one)
+ */
+
+const ChannelConfigStore = require('../utils/channel_config');
+const { t, resolveLocale } = require('../utils/i18n');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Bot');
+
+class ConfigCommand {
+  constructor(options = {}) {
+    this.channelConfig = options.channelConfig || new ChannelConfigStore();
+    this.adminIds = (process.env.BOT_ADMIN_USER_IDS || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Handle `config ...` mention
+   *
+   * @param {Object} event - Zoho webhook event
+   * @param {string[]} args - Words after "config"
+   * @param {Object} config - Organization config (see utils/org_config.js)
+   * @returns {Object} Response message
+   */
+  handle(event, args, config) {
+    const channelId = event.channel?.id;
+    const userId = event.user?.id;
+    const locale = resolveLocale(event);
+
+    if (!channelId) {
+      return { text: t(locale, 'config.channel_only') };
+    }
+
+    const [subcommand, value] = args;
+
+    if (!subcommand || subcommand === 'show') {
+      return this._buildSettingsCard(channelId, this.channelConfig.get(channelId), config, locale);
+    }
+
+    if (!this._isAdmin(userId)) {
+      log.warn('Config change denied', { userId, channelId });
+      return { text: t(locale, 'config.denied') };
+    }
+
+    let settings;
+    switch (subcommand) {
+      case 'enable':
+      case 'disable':
+        settings = this.channelConfig.update(channelId, { enabled: subcommand === 'enable' }, userId);
+        break;
+      case 'silent': {
+        if (value !== 'on' && value !== 'off') return this._buildUsageCard(locale);
+        settings = this.channelConfig.update(channelId, { silent: value === 'on' }, userId);
+        break;
+      }
+      case 'reply-threshold': {
+        const threshold = this._parseThreshold(value, 'off', 0);
+        if (threshold === undefined) return this._buildUsageCard(locale);
+        settings = this.channelConfig.update(channelId, { replyThreshold: threshold }, userId);
+        break;
+      }
+      case 'stress-threshold': {
+        const threshold = this._parseThreshold(value, 'default', 1);
+        if (threshold === undefined) return this._buildUsageCard(locale);
+        settings = this.channelConfig.update(channelId, { stressThreshold: threshold }, userId);
+        break;
+      }
+      case 'reset':
+        settings = this.channelConfig.reset(channelId);
+        break;
+      default:
+        return this._buildUsageCard(locale);
+    }
+
+    return this._buildSettingsCard(channelId, settings, config, locale, t(locale, 'config.updated'));
+  }
+
+  /**
+   * Check bot admin allow-list; an empty list allows no one
+   * @private
+   */
+  _isAdmin(userId) {
+    return !!userId && this.adminIds.includes(userId);
+  }
+
+  /**
+   * Parse threshold argument
+   * @returns {number|null|undefined} number, null for the reset keyword, undefined if invalid
+   * @private
+   */
+  _parseThreshold(value, resetKeyword, min) {
+    if (value === resetKeyword) return null;
+    const num = parseFloat(value);
+    if (isNaN(num) || num < min || num > 10) return undefined;
+    return num;
+  }
+
+  /**
+   * Build settings card
+   * @private
+   */
+  _buildSettingsCard(channelId, settings, config, locale = 'en', title = t(locale, 'config.title')) {
+    const replyMode = settings.silent
+      ? t(locale, 'config.reply.silent')
+      : settings.replyThreshold !== null
+        ? t(locale, 'config.reply.threshold', { threshold: settings.replyThreshold })
+        : t(locale, 'config.reply.all');
+
+    const stressThreshold = settings.stressThreshold !== null
+      ? t(locale, 'config.threshold.override', { threshold: settings.stressThreshold })
+      : t(locale, 'config.threshold.default', { threshold: config.stressThreshold });
+
+    return {
+      text: title,
+      card: {
+        title,
+        theme: 'modern-inline',
+        sections: [
+          {
+            id: 1,
+            elements: [
+              {
+                type: 'text',
+                text: `**${t(locale, 'config.analysis')}:** ${t(locale, settings.enabled ? 'config.enabled' : 'config.disabled')}`,
+              },
+              {
+                type: 'text',
+                text: `**${t(locale, 'config.replies')}:** ${replyMode}`,
+              },
+              {
+                type: 'text',
+                text: `**${t(locale, 'config.alert_threshold')}:** ${stressThreshold}`,
+              },
+              {
+                type: 'text',
+                text: settings.updatedBy
+                  ? t(locale, 'config.changed_by', { user: settings.updatedBy, date: settings.updatedAt.substring(0, 10) })
+                  : t(locale, 'config.defaults'),
+              },
+            ],
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Build usage card
+   * @private
+   */
+  _buildUsageCard(locale = 'en') {
+    return {
+      text: t(locale, 'config.usage.text'),
+      card: {
+        title: t(locale, 'config.usage.title'),
+        theme: 'modern-inline',
+        sections: [
+          {
+            id: 1,
+            elements: [
+              {
+                type: 'text',
+                text: t(locale, 'config.usage.body'),
+              },
+            ],
+          },
+        ],
+      },
+    };
+  }
+}
+
+module.exports = ConfigCommand;
@@ -0,0 +1,216 @@
+/**
+ * `@emo-bot privacy` Mention Subcommand
+ *
+ * Lets each employee control how their own messages are analyzed.
+ *
+ * Usage:
+ * - @emo-bot privacy             Show current setting
+ * - @emo-bot privacy opt-out     Never analyze my messages
+ * - @emo-bot privacy anonymous   Count my messages in team stats only, without my user ID
+ * - @emo-bot privacy opt-in      Analyze my messages normally
+ * - @emo-bot privacy my-data     Show what this extension has stored about me
+ * - @emo-bot privacy delete      Remove my user ID and messages from local data, keeping my setting
+ *
+ * Replies are in the user's Cliq language (utils/i18n).
+ */
+
+const PrivacyStore = require('../utils/privacy_store');
+const { t, resolveLocale } = require('../utils/i18n');
+
+class PrivacyCommand {
+  constructor(options = {}) {
+    this.privacyStore = options.privacyStore || new PrivacyStore();
+    this.reviewQueue = options.reviewQueue || null;
+    this.channelConfig = options.channelConfig || null;
+    this.analysisStore = options.analysisStore || null;
+    this.stressTracker = options.stressTracker || null;
+    this.conversationContext = options.conversationContext || null;
+    this.webhooks = options.webhooks || null;
+    this.analysisQueue = options.analysisQueue || null;
+  }
+
+  /**
+   * Handle `privacy ...` mention
+   *
+   * @param {Object} event - Zoho webhook event
+   * @param {string[]} args - Words after "privacy"
+   * @returns {Object} Response message
+   */
+  handle(event, args) {
+    const userId = event.user?.id;
+    const locale = resolveLocale(event);
+    if (!userId) {
+      return { text: t(locale, 'privacy.no_user') };
+    }
+
+    const [subcommand] = args;
+
+    switch (subcommand) {
+      case undefined:
+      case 'status':
+        return this._buildStatusCard(userId, locale);
+      case 'opt-out':
+        this.privacyStore.setMode(userId, 'opted_out');
+        this._forgetStats(userId);
+        return this._buildStatusCard(userId, locale, t(locale, 'privacy.updated'));
+      case 'anonymous':
+        this.privacyStore.setMode(userId, 'anonymous');
+        this._forgetStats(userId);
+        return this._buildStatusCard(userId, locale, t(locale, 'privacy.updated'));
+      case 'opt-in':
+        this.privacyStore.setMode(userId, 'full');
+        return this._buildStatusCard(userId, locale, t(locale, 'privacy.updated'));
+      case 'my-data':
+        return this._buildMyDataCard(userId, locale);
+      case 'delete':
+        this._forgetStats(userId);
+        return this._buildMyDataCard(userId, locale, t(locale, 'privacy.deleted'));
+      default:
+        return this._buildStatusCard(userId, locale, t(locale, 'privacy.usage_title'));
+    }
+  }
+
+  /**
+   * Detach the user's ID from locally stored stats and drop their queued messages
+   * Their messages stay in team totals, which never identify anyone.
+   * @private
+   */
+  _forgetStats(userId) {
+    if (this.analysisStore) {
+      this.analysisStore.forgetUser(userId);
+    }
+    if (this.stressTracker) {
+      this.stressTracker.forgetUser(userId);
+    }
+    if (this.conversationContext) {
+      this.conversationContext.forgetUser(userId);
+    }
+    if (this.webhooks) {
+      this.webhooks.forgetUser(userId);
+    }
+    if (this.analysisQueue) {
+      this.analysisQueue.forgetUser(userId);
+    }
+  }
+
+  /**
+   * Build current setting card
+   * @private
+   */
+  _buildStatusCard(userId, locale = 'en', title = t(locale, 'privacy.title')) {
+    const mode = this.privacyStore.getMode(userId);
+
+    return {
+      text: title,
+      card: {
+        title,
+        theme: 'modern-inline',
+        sections: [
+          {
+            id: 1,
+            elements: [
+              {
+                type: 'text',
+                text: `**${t(locale, 'privacy.current')}:** ${t(locale, `privacy.mode.${mode}`)}\n${t(locale, `privacy.description.${mode}`)}`,
+              },
+              {
+                type: 'divider',
+              },
+              {
+                type: 'text',
+                text: t(locale, 'privacy.usage.body'),
+              },
+            ],
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Build "what is stored about me" card
+   * Covers everything this extension persists that references the user.
+   * @private
+   */
+  _buildMyDataCard(userId, locale = 'en', title = t(locale, 'privacy.data.title')) {
+    const lines = [];
+
+    const record = this.privacyStore.getRecord(userId);
+    lines.push(record
+      ? t(locale, 'privacy.data.setting', { mode: t(locale, `privacy.mode.${record.mode}`), date: record.updatedAt.substring(0, 10) })
+      : t(locale, 'privacy.data.setting_default'));
+
+    if (this.reviewQueue) {
+      const flagged = this.reviewQueue.list().filter(flag => flag.flagged_by === userId);
+      const handled = this.reviewQueue.list().filter(flag => flag.history.some(entry => entry.action !== 'created' && entry.by === userId));
+      lines.push(t(locale, 'privacy.data.flags_raised', { count: flagged.length }));
+      if (handled.length > 0) {
+        lines.push(t(locale, 'privacy.data.flags_handled', { count: handled.length }));
+      }
+    }
+
+    if (this.analysisStore) {
+      lines.push(t(locale, 'privacy.data.analyses', { count: this.analysisStore.countForUser(userId) }));
+    }
+
+    if (this.stressTracker) {
+      lines.push(t(locale, 'privacy.data.stress_scores', { count: this.stressTracker.countForUser(userId) }));
+    }
+
+    if (this.conversationContext) {
+      lines.push(t(locale, 'privacy.data.context', {
+        count: this.conversationContext.countForUser(userId),
+        minutes: Math.round(this.conversationContext.ttlMs / 60000),
+      }));
+    }
+
+    if (this.webhooks) {
+      const failed = this.webhooks.countForUser(userId);
+      if (failed > 0) {
+        lines.push(t(locale, 'privacy.data.webhooks', { count: failed }));
+      }
+    }
+
+    if (this.analysisQueue) {
+      const queued = this.analysisQueue.countForUser(userId);
+      if (queued > 0) {
+        lines.push(t(locale, 'privacy.data.queued', { count: queued }));
+      }
+    }
+
+    if (this.channelConfig) {
+      const channels = this.channelConfig.listChangedBy(userId);
+      if (channels.length > 0) {
+        lines.push(t(locale, 'privacy.data.channels', { channels: channels.join(', ') }));
+      }
+    }
+
+    return {
+      text: t(locale, 'privacy.data.text'),
+      card: {
+        title,
+        theme: 'modern-inline',
+        sections: [
+          {
+            id: 1,
+            elements: [
+              {
+                type: 'text',
+                text: lines.join('\n'),
+              },
+              {
+                type: 'divider',
+              },
+              {
+                type: 'text',
+                text: t(locale, 'privacy.data.footer'),
+              },
+            ],
+          },
+        ],
+      },
+    };
+  }
+}
+
+module.exports = PrivacyCommand;
@@ -6,25 +6,79 @@
  * 
  * Flow:
  * 1. Receive webhook event from Zoho
- * 2. Verify request authenticity (security token)
- * 3. Extract message text
- * 4. Call backend /analyze endpoint
- * 5. Build rich card response
- * 6. Send back to Zoho
+ * 2. Verify request authenticity (token and/or HMAC signature, see utils/request_verifier.js)
+ * 3. Extract message text and detect its language
+ * 4. Call backend /analyze endpoint, with recent messages of the thread as context
+ * 5. Build rich card response (including where the conversation is heading)
+ *    in the user's Cliq language, or the message's when that is unknown
+ * 6. Send back to Zoho - or, while the analysis queue runs (utils/analysis_queue.js),
+ *    answer at once and post the card through the Cliq API once steps 3-5 finish
  * 
+ * Settings (backend URL, stress threshold, auto reply, admin channel) are
+ * resolved per installing organization - see utils/org_config.js.
+ *
  * Environment Variables:
- * - ZOHO_VERIFICATION_TOKEN: Token from Zoho for request verification
- * - BACKEND_API_URL: FastAPI backend URL
- * - STRESS_THRESHOLD: Alert threshold for high stress (default: 7)
+ * - ZOHO_VERIFICATION_TOKEN / WEBHOOK_SIGNING_SECRET: Request verification (see utils/request_verifier.js)
+ * - BACKEND_API_URL: FastAPI backend URL (fallback for backend_api_url)
+ * - STRESS_THRESHOLD: Alert threshold for high stress (fallback for stress_threshold, default: 7)
+ * - AUTO_REPLY_ENABLED: Show suggested replies (fallback for auto_reply, default: true)
+ * - ADMIN_ALERTS_ENABLED: Send stress alerts to the admin channel (default: false);
+ *   which patterns alert is decided by utils/stress_tracker.js
+ * - ADMIN_ALERT_CHANNEL: Channel unique name or chat ID (CT_...) (fallback for admin_channel)
+ * - OUTBOUND_WEBHOOKS: External endpoints for analysis.high_stress events (see utils/outbound_webhooks.js)
+ * - CHANNELS_ENABLED_BY_DEFAULT: Analyze channels without explicit config (default: false)
+ * - ANALYSIS_QUEUE_ENABLED: Queue analyses instead of answering after them (default: true)
  */
 
-const APIClient = require('../utils/api_client');
+const OrgConfigResolver = require('../utils/org_config');
+const CliqClient = require('../utils/cliq_client');
+const ChannelConfigStore = require('../utils/channel_config');
+const PrivacyStore = require('../utils/privacy_store');
+const AnalysisStore = require('../utils/analysis_store');
+const StressTracker = require('../utils/stress_tracker');
+const ConversationContext = require('../utils/conversation_context');
+const Redactor = require('../utils/redactor');
+const RequestVerifier = require('../utils/request_verifier');
+const LanguageDetector = require('../utils/language_detector');
+const OutboundWebhooks = require('../utils/outbound_webhooks');
+const AnalysisQueue = require('../utils/analysis_queue');
+const { t, translateValue, resolveLocale } = require('../utils/i18n');
+const { createLogger } = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const ConfigCommand = require('./config_command');
+const PrivacyCommand = require('./privacy_command');
+const WebhooksCommand = require('./webhooks_command');
+
+const log = createLogger('Bot');
 
 class BotWebhookHandler {
-  constructor() {
-    this.apiClient = new APIClient();
-    this.verificationToken = process.env.ZOHO_VERIFICATION_TOKEN;
-    this.stressThreshold = parseInt(process.env.STRESS_THRESHOLD || '7');
+  constructor(options = {}) {
+    this.orgConfig = options.orgConfig || new OrgConfigResolver();
+    this.cliqClient = options.cliqClient || new CliqClient();
+    this.requestVerifier = options.requestVerifier || new RequestVerifier();
+    this.adminAlertsEnabled = process.env.ADMIN_ALERTS_ENABLED === 'true';
+    this.channelConfig = options.channelConfig || new ChannelConfigStore();
+    this.privacyStore = options.privacyStore || new PrivacyStore();
+    this.analysisStore = options.analysisStore || new AnalysisStore();
+    this.stressTracker = options.stressTracker || new StressTracker();
+    this.conversationContext = options.conversationContext || new ConversationContext();
+    this.redactor = options.redactor || new Redactor();
+    this.languageDetector = options.languageDetector || new LanguageDetector();
+    this.webhooks = options.webhooks || new OutboundWebhooks();
+    this.analysisQueue = options.analysisQueue || new AnalysisQueue({ cliqClient: this.cliqClient });
+    this.configCommand = new ConfigCommand({ channelConfig: this.channelConfig });
+    this.privacyCommand = new PrivacyCommand({
+      privacyStore: this.privacyStore,
+      channelConfig: this.channelConfig,
+      reviewQueue: options.reviewQueue,
+      analysisStore: this.analysisStore,
+      stressTracker: this.stressTracker,
+      conversationContext: this.conversationContext,
+      webhooks: this.webhooks,
+      analysisQueue: this.analysisQueue,
+    });
+    this.webhooksCommand = new WebhooksCommand({ webhooks: this.webhooks });
+    this.analysisQueue.register('bot.message', (data, transient) => this._runJob(data, transient));
   }
 
   /**
@@ -33,85 +87,149 @@ class BotWebhookHandler {
    */
   async handleWebhook(req, res) {
     try {
-      // Security: Verify request came from Zoho
-      if (!this._verifyRequest(req)) {
-        console.warn('[Bot] Unauthorized webhook request');
-        return res.status(401).json({ error: 'Unauthorized' });
+      // Security: Verify request came from Zoho (token and/or HMAC signature)
+      const verification = this.requestVerifier.verify(req);
+      if (!verification.ok) {
+        log.warn('Unauthorized webhook request', { reason: verification.reason });
+        return res.status(verification.status || 401).json({ error: 'Unauthorized' });
       }
 
       const event = req.body;
-      console.log(`[Bot] Received event type: ${event.type}`);
+      log.info('Received event', { type: event.type });
+
+      const config = this.orgConfig.resolve(event);
 
       // Handle different event types
       let response;
       switch (event.type) {
         case 'message':
-          response = await this._handleMessage(event);
+          response = await this._analyzeOrQueue(event, config);
           break;
         case 'bot_mention':
-          response = await this._handleMention(event);
+          response = await this._handleMention(event, config);
           break;
         case 'participant_joined':
-          response = await this._handleParticipantJoined(event);
+          response = await this._handleParticipantJoined(event, resolveLocale(event));
           break;
         default:
-          console.log(`[Bot] Ignoring event type: ${event.type}`);
+          log.debug('Ignoring event', { type: event.type });
           return res.status(200).json({ text: 'Event received' });
       }
 
       return res.status(200).json(response);
     } catch (error) {
-      console.error('[Bot] Webhook error:', error);
+      log.error('Webhook error', { error });
       return res.status(500).json({
-        text: '⚠️ Analysis temporarily unavailable. Please try again.',
+        text: t(resolveLocale(req.body), 'bot.error.unavailable'),
       });
     }
   }
 
   /**
-   * Verify webhook request authenticity
-   * Uses timing-safe comparison to prevent timing attacks
+   * Analyze a message now, or queue it and answer at once while the queue runs
+   * Queued cards are posted to the chat later by _runJob().
    * @private
    */
-  _verifyRequest(req) {
-    if (!this.verificationToken) {
-      console.warn('[Bot] No verification token configured - accepting all requests (INSECURE)');
-      return true;
+  async _analyzeOrQueue(event, config, { explicit = false } = {}) {
+    const target = this._replyTarget(event);
+    if (!this.analysisQueue.isRunning() || !target) {
+      return this._handleMessage(event, config, { explicit });
     }
 
-    // Prefer header over body token
-    const token = req.headers['x-zoho-verification-token'];
-    
-    if (!token) {
-      return false;
+    // Rejections need no backend and are still answered directly
+    const prepared = this._prepareMessage(event, config, { explicit });
+    if (prepared.response) {
+      return prepared.response;
+    }
+
+    const job = this.analysisQueue.enqueue('bot.message', { event: this._jobEvent(event, config), explicit }, {
+      priority: explicit ? 'high' : 'normal',
+      userIds: [prepared.userId],
+      transient: { text: prepared.message },
+    });
+    if (!job) {
+      // Queue full: someone is waiting for a mention, passive messages are skipped
+      return explicit ? this._analyzeMessage(prepared, event, config, { explicit }) : { text: '' };
     }
+    return { text: '' };
+  }
+
+  /**
+   * The parts of an event a queued job needs, with the text redacted
+   * This is what goes to disk; the original text stays in memory (transient).
+   * @private
+   */
+  _jobEvent(event, config) {
+    const { user = {}, channel = {} } = event;
+    return {
+      type: event.type,
+      organization: { id: config.orgId },
+      message: {
+        id: event.message?.id,
+        text: this.redactor.redact(event.message?.text || '', config.redactionPatterns).text,
+      },
+      user: { id: user.id, name: user.name, language: user.language, locale: user.locale },
+      channel: { id: channel.id, name: channel.name, chat_id: channel.chat_id, unique_name: channel.unique_name },
+      chat: { id: event.chat?.id },
+    };
+  }
+
+  /**
+   * Run a queued analysis and post its card where the message was sent
+   * Checks run again, so settings changed while the job waited apply.
+   * Without the in-memory original (after a restart) the redacted text is analyzed.
+   * @private
+   */
+  async _runJob({ event: stored, explicit }, transient) {
+    const event = transient ? { ...stored, message: { ...stored.message, text: transient.text } } : stored;
+    const config = this.orgConfig.resolve(event);
 
-    // Timing-safe comparison
+    let response;
     try {
-      const crypto = require('crypto');
-      const expected = Buffer.from(this.verificationToken);
-      const actual = Buffer.from(token);
-      
-      if (expected.length !== actual.length) {
-        return false;
-      }
-      
-      return crypto.timingSafeEqual(expected, actual);
+      response = await this._handleMessage(event, config, { explicit });
     } catch (error) {
-      console.error('[Bot] Token verification error:', error);
-      return false;
+      log.error('Queued analysis error', { error });
+      response = { text: t(resolveLocale(event), 'bot.error.unavailable') };
     }
+
+    if (response.text || response.card) {
+      await this.cliqClient.postToChannel(this._replyTarget(event), response);
+    }
+  }
+
+  /**
+   * Chat to post a queued reply to
+   * @private
+   */
+  _replyTarget(event) {
+    return event?.chat?.id || event?.channel?.chat_id || event?.channel?.unique_name || null;
   }
 
   /**
    * Handle regular message event
+   * Respects per-channel settings; explicit mentions bypass opt-in and silent mode.
+   * The author's privacy setting always applies.
    * @private
    */
-  async _handleMessage(event) {
+  async _handleMessage(event, config, { explicit = false } = {}) {
+    const prepared = this._prepareMessage(event, config, { explicit });
+    if (prepared.response) {
+      return prepared.response;
+    }
+    return this._analyzeMessage(prepared, event, config, { explicit });
+  }
+
+  /**
+   * Checks that need no backend: event shape, channel settings, privacy, length
+   *
+   * @returns {Object} { response } to answer with right away, or the input for _analyzeMessage()
+   * @private
+   */
+  _prepareMessage(event, config, { explicit = false } = {}) {
     // Validate event structure
     if (!event || typeof event !== 'object') {
-      console.warn('[Bot] Invalid event object');
-      return { text: '' };
+      log.warn('Invalid event object');
+      return { response: { text: '' } };
     }
 
     const message = event.message?.text || '';
@@ -120,74 +238,176 @@ class BotWebhookHandler {
 
     // Skip empty messages or bot's own messages
     if (!message.trim() || event.user?.is_bot) {
-      return { text: '' };
+      return { response: { text: '' } };
     }
 
-    // Validate message length (prevent abuse)
-    if (message.length > 5000) {
-      console.warn('[Bot] Message too long, truncating');
-      return { text: '⚠️ Message too long for analysis (max 5000 chars)' };
+    // Direct conversations have no channel and are always analyzed
+    const settings = this.channelConfig.get(channelId);
+    if (channelId && !settings.enabled && !explicit) {
+      return { response: { text: '' } };
     }
 
-    console.log(`[Bot] Analyzing message from user ${userId}: "${message.substring(0, 50)}..."`);
+    const { language } = this.languageDetector.detect(message);
+    const locale = resolveLocale(event, language);
 
-    // Call backend for analysis
-    const analysis = await this.apiClient.analyzeMessage({
+    // Privacy: opted-out authors are never analyzed, anonymous ones lose their user ID
+    const payload = this.privacyStore.applyToPayload(userId, {
       message,
       user_id: userId,
       channel_id: channelId,
     });
+    if (!payload) {
+      return { response: explicit ? { text: t(locale, 'bot.opted_out') } : { text: '' } };
+    }
+    const anonymous = !payload.user_id;
+    if (language) {
+      payload.language = language;
+    }
 
-    // Build response card
-    const card = this._buildAnalysisCard(analysis, message, event);
+    // Validate message length (prevent abuse)
+    if (message.length > 5000) {
+      log.warn('Message too long, skipping analysis', { length: message.length });
+      return { response: { text: t(locale, 'bot.too_long', { max: 5000 }) } };
+    }
+
+    return { message, userId, channelId, settings, language, locale, payload, anonymous };
+  }
 
-    // Check if stress is high and needs admin alert
-    if (analysis.stress_score >= this.stressThreshold) {
-      await this._sendAdminAlert(analysis, userId, channelId);
+  /**
+   * Analyze a prepared message: backend call, context, stats, alerts, card
+   * @private
+   */
+  async _analyzeMessage(prepared, event, config, { explicit = false } = {}) {
+    const { message, userId, channelId, settings, language, locale, payload, anonymous } = prepared;
+
+    log.info('Analyzing message', {
+      userId: anonymous ? '(anonymous)' : userId,
+      channelId,
+      language,
+      text: this.redactor.forLog(message, config.redactionPatterns),
+    });
+
+    // Earlier messages in the thread let the analyzer read replies and sarcasm
+    const contextKey = this.conversationContext.keyFor(config.orgId, event);
+    const previous = this.conversationContext.recent(contextKey);
+    if (previous.length > 0) {
+      payload.context = this.conversationContext.toPayload(previous, payload.user_id);
     }
 
-    return card;
+    // Call backend for analysis
+    const analysis = await this.orgConfig.getAPIClient(config).analyzeMessage(payload, { redactionPatterns: config.redactionPatterns });
+
+    this.conversationContext.append(contextKey, {
+      userId: payload.user_id,
+      text: this.redactor.redact(message, config.redactionPatterns).text,
+      analysis,
+    });
+    const direction = this.conversationContext.direction(this.conversationContext.recent(contextKey));
+
+    // Keep aggregate stats locally so /team-mood works without backend stats
+    this.analysisStore.record({
+      orgId: config.orgId,
+      channelId,
+      userId: payload.user_id,
+      analysis,
+    });
+
+    // Stress history is only kept where it can lead to an alert or a webhook event
+    if ((this.adminAlertsEnabled && config.adminChannel) || this.webhooks.isSubscribed('analysis.high_stress')) {
+      const alerts = this.stressTracker.observe({
+        orgId: config.orgId,
+        userId: payload.user_id,
+        channelId,
+        stressScore: analysis.stress_score,
+        threshold: settings.stressThreshold ?? config.stressThreshold,
+      });
+      if (alerts.length > 0) {
+        for (const alert of alerts) {
+          metrics.stressAlerts.inc({ scope: alert.scope, rule: alert.rule });
+        }
+        this._emitHighStress(analysis, event, config, alerts, anonymous);
+
+        const alertEvent = anonymous ? { ...event, user: { name: 'Anonymous' } } : event;
+        await this._sendAdminAlert(analysis, alertEvent, config, alerts);
+      }
+    }
+
+    if (!explicit && !this._shouldReply(settings, analysis)) {
+      return { text: '' };
+    }
+
+    // Build response card
+    return this._buildAnalysisCard(analysis, message, event, config, direction, locale);
+  }
+
+  /**
+   * Decide whether to post the analysis card for a channel message
+   * @private
+   */
+  _shouldReply(settings, analysis) {
+    if (settings.silent) {
+      return false;
+    }
+    if (settings.replyThreshold !== null && analysis.stress_score < settings.replyThreshold) {
+      return false;
+    }
+    return true;
   }
 
   /**
    * Handle bot mention (@emo-bot)
    * @private
    */
-  async _handleMention(event) {
+  async _handleMention(event, config) {
     const message = event.message?.text || '';
     const command = message.replace(/@emo-bot/i, '').trim().toLowerCase();
 
+    if (command.startsWith('privacy')) {
+      return this.privacyCommand.handle(event, command.split(/\s+/).slice(1));
+    }
+
+    if (command.startsWith('config')) {
+      return this.configCommand.handle(event, command.split(/\s+/).slice(1), config);
+    }
+
+    if (command.startsWith('webhooks')) {
+      return this.webhooksCommand.handle(event, command.split(/\s+/).slice(1), config);
+    }
+
     if (command.includes('help')) {
-      return this._buildHelpCard();
+      return this._buildHelpCard(resolveLocale(event));
     }
 
     if (command.includes('status')) {
-      const isHealthy = await this.apiClient.healthCheck();
+      const isHealthy = await this.orgConfig.getAPIClient(config).healthCheck();
       return {
-        text: isHealthy ? '✅ Backend is healthy and ready!' : '⚠️ Backend is not responding',
+        text: t(resolveLocale(event), isHealthy ? 'bot.status.healthy' : 'bot.status.down'),
       };
     }
 
     // Default: analyze the message
-    return this._handleMessage(event);
+    return this._analyzeOrQueue(event, config, { explicit: true });
   }
 
   /**
    * Handle new participant joining
    * @private
    */
-  async _handleParticipantJoined(event) {
-    const userName = event.user?.name || 'New member';
+  async _handleParticipantJoined(event, locale = 'en') {
+    const userName = event.user?.name || t(locale, 'bot.welcome.default_name');
     return {
-      text: `👋 Welcome ${userName}! I'm Emo-Bot, your sentiment analysis assistant. I can help detect emotions and provide empathetic responses. Type @emo-bot help to learn more!`,
+      text: t(locale, 'bot.welcome', { name: userName }),
     };
   }
 
   /**
    * Build rich card for analysis results
+   * The suggested reply and its button are omitted when auto_reply is off.
+   * Local analyzer results are labelled as offline estimates.
+   * Labels and known values are translated; the suggested reply is shown as the analyzer wrote it.
    * @private
    */
-  _buildAnalysisCard(analysis, originalMessage, event) {
+  _buildAnalysisCard(analysis, originalMessage, event, config, direction = null, locale = 'en') {
     // Sentiment emoji mapping
     const sentimentEmoji = {
       positive: '😊',
@@ -207,13 +427,13 @@ class BotWebhookHandler {
       calm: '😌',
     };
 
-    // Stress level color
-    const stressColor = analysis.stress_score >= 7 ? '#FF5252' : analysis.stress_score >= 4 ? '#FFC107' : '#4CAF50';
+    // Local analyzer result while the backend is unavailable
+    const offline = analysis.meta?.source === 'local';
 
-    return {
-      text: 'Analysis Complete',
+    const card = {
+      text: t(locale, 'analysis.text'),
       card: {
-        title: `${sentimentEmoji[analysis.sentiment] || '🤔'} Sentiment Analysis`,
+        title: `${sentimentEmoji[analysis.sentiment] || '🤔'} ${t(locale, 'analysis.title')}${offline ? t(locale, 'analysis.offline_suffix') : ''}`,
         theme: analysis.sentiment === 'negative' ? 'modern-inline' : 'prompt',
         sections: [
           {
@@ -221,23 +441,23 @@ class BotWebhookHandler {
             elements: [
               {
                 type: 'text',
-                text: `**Sentiment:** ${analysis.sentiment.charAt(0).toUpperCase() + analysis.sentiment.slice(1)}`,
+                text: `**${t(locale, 'analysis.sentiment')}:** ${translateValue(locale, 'sentiment', analysis.sentiment)}`,
               },
               {
                 type: 'text',
-                text: `**Emotion:** ${emotionEmoji[analysis.emotion] || '🤔'} ${analysis.emotion}`,
+                text: `**${t(locale, 'analysis.emotion')}:** ${emotionEmoji[analysis.emotion] || '🤔'} ${translateValue(locale, 'emotion', analysis.emotion)}`,
               },
               {
                 type: 'text',
-                text: `**Stress Level:** ${this._buildStressBar(analysis.stress_score)}`,
+                text: `**${t(locale, 'analysis.stress')}:** ${this._buildStressBar(analysis.stress_score)}`,
               },
               {
                 type: 'text',
-                text: `**Category:** ${analysis.category}`,
+                text: `**${t(locale, 'analysis.category')}:** ${translateValue(locale, 'category', analysis.category)}`,
               },
               {
                 type: 'text',
-                text: `**Confidence:** ${Math.round(analysis.confidence * 100)}%`,
+                text: `**${t(locale, 'analysis.confidence')}:** ${Math.round(analysis.confidence * 100)}%`,
               },
             ],
           },
@@ -249,36 +469,61 @@ class BotWebhookHandler {
               },
               {
                 type: 'text',
-                text: `**💡 Suggested Reply:**\n_"${analysis.suggested_reply}"_`,
+                text: `**💡 ${t(locale, 'analysis.suggested_reply')}:**\n_"${analysis.suggested_reply}"_`,
               },
             ],
           },
         ],
         buttons: [
           {
-            label: '📤 Send Reply',
+            label: t(locale, 'analysis.button.send_reply'),
             type: 'invoke.function',
             name: 'sendSuggestedReply',
             id: 'send_reply_btn',
             data: {
               reply: analysis.suggested_reply,
               channel_id: event?.channel?.id,
+              chat_id: event?.chat?.id || event?.channel?.chat_id,
             },
           },
           {
-            label: '🚩 Flag for Review',
+            label: t(locale, 'analysis.button.flag'),
             type: 'invoke.function',
             name: 'flagConversation',
             id: 'flag_btn',
             data: {
               stress_score: analysis.stress_score,
               sentiment: analysis.sentiment,
-              message: originalMessage.substring(0, 100),
+              // Excerpt is stored in the review queue - keep it free of PII
+              message: this.redactor.redact(originalMessage, config?.redactionPatterns).text.substring(0, 100),
+              channel_id: event?.channel?.id,
             },
           },
         ],
       },
     };
+
+    if (direction) {
+      const detail = t(locale, 'conversation.detail', { from: direction.from, to: direction.to, count: direction.messages });
+      card.card.sections[0].elements.push({
+        type: 'text',
+        text: `**🧵 ${t(locale, 'analysis.conversation')}:** ${t(locale, `conversation.${direction.trend}`)} (${detail})`,
+      });
+    }
+
+    if (offline) {
+      card.card.sections[0].elements.push({
+        type: 'text',
+        text: t(locale, 'analysis.offline_note'),
+      });
+    }
+
+    if (config && !config.autoReply) {
+      card.card.sections = card.card.sections.filter(section => section.id !== 2);
+      card.card.buttons = card.card.buttons.filter(button => button.name !== 'sendSuggestedReply');
+    }
+
+    return card;
   }
 
   /**
@@ -295,11 +540,11 @@ class BotWebhookHandler {
    * Build help card
    * @private
    */
-  _buildHelpCard() {
+  _buildHelpCard(locale = 'en') {
     return {
-      text: 'Emo-Bot Help',
+      text: t(locale, 'help.text'),
       card: {
-        title: '🤖 Emo-Bot - Sentiment Analysis Assistant',
+        title: t(locale, 'help.title'),
         theme: 'modern-inline',
         sections: [
           {
@@ -307,21 +552,21 @@ class BotWebhookHandler {
             elements: [
               {
                 type: 'text',
-                text: '**What I Do:**\nI analyze messages in real-time to detect emotions, sentiment, and stress levels. I provide empathetic response suggestions to help improve team communication.',
+                text: t(locale, 'help.what'),
               },
               {
                 type: 'divider',
               },
               {
                 type: 'text',
-                text: '**Commands:**\n• `/team-mood` - View team sentiment analytics\n• `@emo-bot help` - Show this help\n• `@emo-bot status` - Check backend status',
+                text: t(locale, 'help.commands'),
               },
               {
                 type: 'divider',
               },
               {
                 type: 'text',
-                text: '**Message Actions:**\nRight-click any message → "Analyze Sentiment" to get instant insights',
+                text: t(locale, 'help.actions'),
               },
             ],
           },
@@ -331,26 +576,141 @@ class BotWebhookHandler {
   }
 
   /**
-   * Send alert to admin channel for high-stress messages
+   * Send alert to admin channel when a stress rule fires
+   * Failures are logged, never thrown - an alert must not break the reply.
+   * @private
+   */
+  async _sendAdminAlert(analysis, event, config, alerts = []) {
+    const adminChannel = config.adminChannel;
+    if (!this.adminAlertsEnabled || !adminChannel) {
+      return; // Admin alerts disabled or no channel configured
+    }
+
+    if (!this.cliqClient.isConfigured()) {
+      metrics.adminAlerts.inc({ outcome: 'not_configured' });
+      log.warn('Admin alerts enabled but Cliq API credentials are missing - alert not sent');
+      return;
+    }
+
+    log.info('Stress alert - alerting admins', {
+      rules: alerts.map(alert => `${alert.scope}:${alert.rule}`).join(', ') || 'single',
+    });
+
+    try {
+      await this.cliqClient.postToChannel(adminChannel, this._buildAdminAlertCard(analysis, event, alerts));
+      metrics.adminAlerts.inc({ outcome: 'delivered' });
+      log.info('Admin alert delivered', { channel: adminChannel });
+    } catch (error) {
+      metrics.adminAlerts.inc({ outcome: 'failed' });
+      log.error('Admin alert delivery failed', { channel: adminChannel, error: error.message });
+    }
+  }
+
+  /**
+   * Send an analysis.high_stress webhook event
+   * Same facts as the admin alert card; anonymous authors stay anonymous.
+   * @private
+   */
+  _emitHighStress(analysis, event, config, alerts, anonymous) {
+    this.webhooks.emit('analysis.high_stress', {
+      org_id: config.orgId,
+      channel: event.channel?.id ? { id: event.channel.id, name: event.channel.name || null } : null,
+      user: anonymous ? null : { id: event.user?.id || null, name: event.user?.name || null },
+      message_id: event.message?.id || null,
+      stress_score: analysis.stress_score,
+      sentiment: analysis.sentiment,
+      emotion: analysis.emotion,
+      category: analysis.category,
+      offline_estimate: analysis.meta?.source === 'local',
+      rules: alerts.map(alert => ({ scope: alert.scope, rule: alert.rule, summary: alert.summary })),
+    }, config.orgId);
+  }
+
+  /**
+   * Build rich card for admin stress alert
+   * The card goes to the admin channel rather than the author, so it uses
+   * DEFAULT_LOCALE instead of the language of the event.
    * @private
    */
-  async _sendAdminAlert(analysis, userId, channelId) {
-    const adminChannel = process.env.ADMIN_ALERT_CHANNEL;
-    if (!adminChannel) {
-      return; // No admin channel configured
+  _buildAdminAlertCard(analysis, event, alerts = []) {
+    const locale = resolveLocale();
+    const user = event?.user || {};
+    const channel = event?.channel || {};
+    const messageLink = this.cliqClient.buildMessageLink(
+      event?.chat?.id || channel.chat_id,
+      event?.message?.id
+    );
+
+    const kind = alerts.some(alert => alert.rule !== 'single') ? 'sustained' : 'high';
+    const unknown = t(locale, 'alert.unknown');
+
+    const card = {
+      text: t(locale, `alert.text.${kind}`, { channel: channel.name || channel.id || t(locale, 'alert.a_conversation') }),
+      card: {
+        title: `${t(locale, `alert.title.${kind}`)}${analysis.meta?.source === 'local' ? t(locale, 'analysis.offline_suffix') : ''}`,
+        theme: 'modern-inline',
+        sections: [
+          {
+            id: 1,
+            elements: [
+              {
+                type: 'text',
+                text: `**${t(locale, 'alert.user')}:** ${user.name || unknown}${user.id ? ` (${user.id})` : ''}`,
+              },
+              {
+                type: 'text',
+                text: `**${t(locale, 'alert.channel')}:** ${channel.name || unknown}${channel.id ? ` (${channel.id})` : ''}`,
+              },
+              {
+                type: 'text',
+                text: `**${t(locale, 'analysis.stress')}:** ${this._buildStressBar(analysis.stress_score)}`,
+              },
+              {
+                type: 'text',
+                text: `**${t(locale, 'analysis.emotion')}:** ${translateValue(locale, 'emotion', analysis.emotion)}`,
+              },
+              {
+                type: 'text',
+                text: `**${t(locale, 'analysis.category')}:** ${translateValue(locale, 'category', analysis.category)}`,
+              },
+            ],
+          },
+        ],
+      },
+    };
+
+    if (alerts.length > 0) {
+      card.card.sections.push({
+        id: 2,
+        title: t(locale, 'alert.why'),
+        elements: [
+          {
+            type: 'text',
+            text: alerts
+              .map(alert => `• ${t(locale, `alert.scope.${alert.scope}`)}: ${alert.params ? t(locale, `alert.rule.${alert.rule}`, alert.params) : alert.summary}`)
+              .join('\n'),
+          },
+        ],
+      });
     }
 
-    console.log(`[Bot] 🚨 High stress detected (${analysis.stress_score}/10) - Alerting admins`);
+    if (messageLink) {
+      card.card.buttons = [
+        {
+          label: t(locale, 'alert.view_message'),
+          type: 'open.url',
+          url: messageLink,
+        },
+      ];
+    }
 
-    // TODO: Implement Zoho Cliq API call to send message to admin channel
-    // This would require Zoho OAuth tokens and Cliq API client
-    // For now, just log the alert
+    return card;
   }
 }
 
 // Express route handler wrapper
-function createWebhookHandler() {
-  const handler = new BotWebhookHandler();
+function createWebhookHandler(options = {}) {
+  const handler = new BotWebhookHandler(options);
   return (req, res) => handler.handleWebhook(req, res);
 }
 
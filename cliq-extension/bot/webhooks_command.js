@@ -0,0 +1,233 @@
+/**
+ * `@emo-bot webhooks` Mention Subcommand
+ *
+ * Lets bot admins see the outbound webhook setup and replay deliveries that
+ * ended in the dead-letter log (utils/outbound_webhooks.js).
+ *
+ * Usage:
+ * - @emo-bot webhooks               Endpoints and number of failed deliveries
+ * - @emo-bot webhooks failed        Most recent failed deliveries
+ * - @emo-bot webhooks replay <id>   Send one failed delivery again
+ * - @emo-bot webhooks replay all    Send every failed delivery again (in the background)
+ *
+ * Failed events can name users, so unlike `@emo-bot config` this needs
+ * BOT_ADMIN_USER_IDS to be set. Admins only see and replay failed deliveries
+ * of the organization they ask from. Replies are in the admin's Cliq language
+ * (utils/i18n); event types, hosts and errors are shown as they are.
+ *
+ * Environment Variables:
+ * - BOT_ADMIN_USER_IDS: Comma-separated user IDs allowed to use this command
+ */
+
+const OutboundWebhooks = require('../utils/outbound_webhooks');
+const { t, resolveLocale } = require('../utils/i18n');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Bot');
+
+const LIST_LIMIT = 10;
+
+/**
+ * Host of an endpoint URL; paths can carry tokens and stay out of chat
+ * @private
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+class WebhooksCommand {
+  constructor(options = {}) {
+    this.webhooks = options.webhooks || new OutboundWebhooks();
+    this.adminIds = (process.env.BOT_ADMIN_USER_IDS || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Handle `webhooks ...` mention
+   *
+   * @param {Object} event - Zoho webhook event
+   * @param {string[]} args - Words after "webhooks"
+   * @param {Object} config - Resolved org config
+   * @returns {Promise<Object>} Response message
+   */
+  async handle(event, args, config) {
+    const userId = event.user?.id;
+    const locale = resolveLocale(event);
+    if (!userId || !this.adminIds.includes(userId)) {
+      log.warn('Webhooks command denied', { userId });
+      return { text: t(locale, 'webhooks.denied') };
+    }
+
+    const [subcommand, value] = args;
+    const orgId = config.orgId;
+
+    switch (subcommand) {
+      case undefined:
+      case 'status':
+        return this._buildStatusCard(orgId, locale);
+      case 'failed':
+      case 'list':
+        return this._buildFailedCard(orgId, locale);
+      case 'replay':
+        return this._replay(value, orgId, userId, locale);
+      default:
+        return this._buildUsageCard(locale);
+    }
+  }
+
+  /**
+   * Replay one entry and report the result, or start replaying all
+   * @private
+   */
+  async _replay(value, orgId, userId, locale = 'en') {
+    if (!value) {
+      return this._buildUsageCard(locale);
+    }
+
+    if (value === 'all') {
+      const count = this.webhooks.listDeadLetters({ orgId }).length;
+      if (count === 0) {
+        return { text: t(locale, 'webhooks.none_to_replay') };
+      }
+
+      log.info('Replaying all dead letters', { userId, orgId, count });
+      this.webhooks.replayAll(orgId)
+        .then(result => log.info('Dead letter replay finished', result))
+        .catch(error => log.error('Dead letter replay error', { error }));
+      return { text: t(locale, 'webhooks.replaying', { count }) };
+    }
+
+    const id = value.replace(/^#/, '');
+    log.info('Replaying dead letter', { userId, orgId, id });
+    const result = await this.webhooks.replay(id, orgId);
+    return result.ok
+      ? { text: t(locale, 'webhooks.replayed', { id, event: result.entry.event.type }) }
+      : { text: t(locale, 'webhooks.replay_failed', { id, error: this._sanitize(result.error) }) };
+  }
+
+  /**
+   * Build endpoint overview card
+   * @private
+   */
+  _buildStatusCard(orgId, locale = 'en') {
+    const endpoints = this.webhooks.endpoints;
+    const failed = this.webhooks.listDeadLetters({ orgId }).length;
+
+    const lines = endpoints.length > 0
+      ? endpoints.map(endpoint => `• **${hostOf(endpoint.url)}** - ${endpoint.events.join(', ') || t(locale, 'webhooks.no_events')}`)
+      : [t(locale, 'webhooks.no_endpoints')];
+
+    return {
+      text: t(locale, 'webhooks.title'),
+      card: {
+        title: t(locale, 'webhooks.title'),
+        theme: 'modern-inline',
+        sections: [
+          {
+            id: 1,
+            elements: [
+              {
+                type: 'text',
+                text: lines.join('\n'),
+              },
+              {
+                type: 'text',
+                text: t(locale, 'webhooks.counts', { pending: this.webhooks.pendingCount(orgId), failed }),
+              },
+            ],
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Build list of failed deliveries
+   * @private
+   */
+  _buildFailedCard(orgId, locale = 'en') {
+    const entries = this.webhooks.listDeadLetters({ orgId });
+    if (entries.length === 0) {
+      return { text: t(locale, 'webhooks.none_failed') };
+    }
+
+    const lines = entries.slice(0, LIST_LIMIT).map(entry => (
+      `• **#${entry.id}** ${entry.event.type} → ${hostOf(entry.url)} · ` +
+      `${t(locale, 'webhooks.attempts', { count: entry.attempts })} · ${this._sanitize(entry.last_error)} · ` +
+      `${entry.failed_at.substring(0, 16).replace('T', ' ')} UTC`
+    ));
+    if (entries.length > LIST_LIMIT) {
+      lines.push(t(locale, 'webhooks.older', { count: entries.length - LIST_LIMIT }));
+    }
+
+    return {
+      text: t(locale, 'webhooks.failed.text', { count: entries.length }),
+      card: {
+        title: t(locale, 'webhooks.failed.title', { count: entries.length }),
+        theme: 'modern-inline',
+        sections: [
+          {
+            id: 1,
+            elements: [
+              {
+                type: 'text',
+                text: lines.join('\n'),
+              },
+              {
+                type: 'text',
+                text: t(locale, 'webhooks.failed.hint'),
+              },
+            ],
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Build usage card
+   * @private
+   */
+  _buildUsageCard(locale = 'en') {
+    return {
+      text: t(locale, 'webhooks.usage.text'),
+      card: {
+        title: t(locale, 'webhooks.usage.title'),
+        theme: 'modern-inline',
+        sections: [
+          {
+            id: 1,
+            elements: [
+              {
+                type: 'text',
+                text: t(locale, 'webhooks.usage.body'),
+              },
+            ],
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Sanitize text to prevent injection
+   * @private
+   */
+  _sanitize(text) {
+    if (typeof text !== 'string') return '';
+    return text
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#x27;')
+      .substring(0, 200);
+  }
+}
+
+module.exports = WebhooksCommand;
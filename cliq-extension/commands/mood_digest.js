@@ -0,0 +1,254 @@
+/**
+ * /mood-digest Slash Command Handler
+ *
+ * Manages scheduled mood digests for the channel the command is run in
+ * (posted by utils/digest_scheduler.js).
+ *
+ * Usage:
+ * - /mood-digest [list]
+ * - /mood-digest daily <HH:MM> [timezone]
+ * - /mood-digest weekly <day> <HH:MM> [timezone]
+ * - /mood-digest remove <id>
+ *
+ * Timezones are IANA names (Asia/Kolkata, Europe/Berlin, ...);
+ * DIGEST_DEFAULT_TIMEZONE applies when none is given. Replies, and the
+ * digests themselves, are in the scheduling user's Cliq language.
+ */
+
+const OrgConfigResolver = require('../utils/org_config');
+const DigestScheduleStore = require('../utils/digest_schedules');
+const { t, resolveLocale } = require('../utils/i18n');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Command');
+
+class MoodDigestCommandHandler {
+  constructor(options = {}) {
+    this.orgConfig = options.orgConfig || new OrgConfigResolver();
+    this.schedules = options.schedules || new DigestScheduleStore();
+  }
+
+  /**
+   * Main command handler
+   * Express middleware: (req, res) => {}
+   */
+  async handleCommand(req, res) {
+    const locale = resolveLocale(req.body);
+    try {
+      const { user, channel, chat } = req.body || {};
+
+      log.info('/mood-digest invoked', { userId: user?.id, channelId: channel?.id });
+
+      // Chat IDs post without needing the channel's unique name
+      const target = chat?.id || channel?.chat_id || channel?.unique_name;
+      if (!target) {
+        return res.status(200).json({ text: t(locale, 'digest.channel_only') });
+      }
+
+      const { orgId } = this.orgConfig.resolve(req.body);
+      const [subcommand = 'list', ...rest] = this._getArgumentText(req.body).split(/\s+/).filter(Boolean);
+
+      switch (subcommand.toLowerCase()) {
+        case 'list':
+          return res.status(200).json(this._buildListCard(orgId, target, locale));
+        case 'daily':
+        case 'weekly':
+          return res.status(200).json(this._add(subcommand.toLowerCase(), rest, {
+            orgId,
+            target,
+            channelId: channel?.id,
+            userId: user?.id,
+            locale,
+          }));
+        case 'remove':
+          return res.status(200).json(this._remove(rest[0], orgId, locale));
+        default:
+          return res.status(200).json(this._buildUsageCard(locale));
+      }
+    } catch (error) {
+      log.error('/mood-digest error', { error });
+      return res.status(200).json({
+        text: t(locale, 'digest.error'),
+      });
+    }
+  }
+
+  /**
+   * Extract raw argument text from command payload
+   * @private
+   */
+  _getArgumentText(body) {
+    const args = body?.arguments;
+    if (typeof args === 'string') return args.trim();
+    if (args && typeof args.text === 'string') return args.text.trim();
+    if (typeof body?.text === 'string') return body.text.trim();
+    return '';
+  }
+
+  /**
+   * Create a schedule from command arguments
+   * @private
+   */
+  _add(frequency, args, { orgId, target, channelId, userId, locale }) {
+    const rest = [...args];
+    let weekday = null;
+
+    if (frequency === 'weekly') {
+      weekday = DigestScheduleStore.parseWeekday(rest.shift());
+      if (weekday === null) {
+        return this._buildUsageCard(locale, t(locale, 'digest.need_day'));
+      }
+    }
+
+    const [time, timezone] = rest;
+    if (!time) {
+      return this._buildUsageCard(locale, t(locale, 'digest.need_time'));
+    }
+
+    try {
+      const schedule = this.schedules.add({
+        orgId,
+        target,
+        channelId,
+        frequency,
+        time,
+        weekday,
+        timezone,
+        createdBy: userId,
+        locale,
+      });
+      return {
+        text: t(locale, 'digest.scheduled', { id: schedule.id, schedule: this._describe(schedule, locale) }),
+      };
+    } catch (error) {
+      if (error.code) {
+        return this._errorReply(error, locale);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a schedule
+   * @private
+   */
+  _remove(idArg, orgId, locale = 'en') {
+    if (!idArg) {
+      return this._buildUsageCard(locale);
+    }
+
+    try {
+      const schedule = this.schedules.remove(idArg.replace(/^#/, ''), orgId);
+      return { text: t(locale, 'digest.removed', { id: schedule.id }) };
+    } catch (error) {
+      if (error.code) {
+        return this._errorReply(error, locale);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Translated reply for a schedule store error; user input in params is sanitized
+   * @private
+   */
+  _errorReply(error, locale) {
+    const params = Object.fromEntries(Object.entries(error.params || {})
+      .map(([key, value]) => [key, typeof value === 'string' ? this._sanitize(value) : value]));
+    return { text: `⚠️ ${t(locale, `digest.error.${error.code.toLowerCase()}`, params)}` };
+  }
+
+  /**
+   * Translated schedule summary, e.g. "weekly on Monday at 09:00 (Europe/Berlin)"
+   * @private
+   */
+  _describe(schedule, locale) {
+    const day = schedule.frequency === 'weekly'
+      ? t(locale, `digest.day.${DigestScheduleStore.WEEKDAYS[schedule.weekday]}`)
+      : null;
+    return t(locale, `digest.describe.${schedule.frequency}`, { day, time: schedule.time, timezone: schedule.timezone });
+  }
+
+  /**
+   * Sanitize text to prevent injection
+   * @private
+   */
+  _sanitize(text) {
+    if (typeof text !== 'string') return '';
+    return text
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#x27;')
+      .substring(0, 500); // Limit length
+  }
+
+  /**
+   * Build schedule list card for this channel
+   * @private
+   */
+  _buildListCard(orgId, target, locale = 'en') {
+    this.schedules.reload();
+    const schedules = this.schedules.list({ orgId, target });
+
+    const lines = schedules.map(schedule => {
+      const last = schedule.lastSlot ? ` · ${t(locale, 'digest.last_posted', { slot: schedule.lastSlot })}` : '';
+      return `• **#${schedule.id}** · ${this._describe(schedule, locale)}${last}`;
+    });
+
+    return {
+      text: t(locale, 'digest.list.text'),
+      card: {
+        title: t(locale, 'digest.list.title'),
+        theme: 'modern-inline',
+        sections: [
+          {
+            id: 1,
+            elements: [
+              {
+                type: 'text',
+                text: lines.length > 0
+                  ? lines.join('\n')
+                  : t(locale, 'digest.list.empty'),
+              },
+            ],
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Build usage card
+   * @private
+   */
+  _buildUsageCard(locale = 'en', problem = null) {
+    return {
+      text: t(locale, 'digest.usage.text'),
+      card: {
+        title: t(locale, 'digest.usage.title'),
+        theme: 'modern-inline',
+        sections: [
+          {
+            id: 1,
+            elements: [
+              ...(problem ? [{ type: 'text', text: `⚠️ ${problem}` }] : []),
+              {
+                type: 'text',
+                text: t(locale, 'digest.usage.body'),
+              },
+            ],
+          },
+        ],
+      },
+    };
+  }
+}
+
+// Express route handler wrapper
+function createMoodDigestCommandHandler(options = {}) {
+  const handler = new MoodDigestCommandHandler(options);
+  return (req, res) => handler.handleCommand(req, res);
+}
+
+module.exports = { MoodDigestCommandHandler, createMoodDigestCommandHandler };
@@ -0,0 +1,184 @@
+/**
+ * /team-mood Argument Parser
+ *
+ * Turns the slash command's argument text into a query. Tokens may come in
+ * any order:
+ *
+ *   (none) | today                  Today, current channel
+ *   last 7d | last 2w | last 30 days Range ending today
+ *   2026-10-01..2026-10-14          Explicit range (inclusive, UTC dates)
+ *   #design                         Report on another channel (by name)
+ *   O1234567                        ... or by channel ID
+ *   #design vs #support             Compare channels (also "#a, #b" or "#a #b")
+ *
+ * Starting with `export` asks for a report download instead of a card; a
+ * format (csv, json or pdf - default pdf) may then be given, and the
+ * period defaults to the last EXPORT_DEFAULT_DAYS days:
+ *
+ *   export csv last 30d #design #support
+ *
+ * Channel names keep their `#`; the command looks them up through the Cliq
+ * API (commands/team_mood.js), since stats are stored by channel ID.
+ *
+ * Parse errors are returned, not thrown, so the command can answer with a
+ * usage card. They are i18n keys (query.*) so the card can be localized.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 90;
+const MAX_CHANNELS = 5;
+const EXPORT_DEFAULT_DAYS = 30;
+const EXPORT_FORMATS = ['csv', 'json', 'pdf'];
+
+const UNIT_DAYS = { d: 1, day: 1, days: 1, w: 7, week: 7, weeks: 7 };
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC)
+ * @private
+ */
+function toDateString(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Parse a YYYY-MM-DD string, rejecting impossible dates like 2026-02-30
+ * @private
+ */
+function parseDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && toDateString(date) === value ? date : null;
+}
+
+/**
+ * Range of the last `days` days, ending today
+ * @private
+ */
+function lastDays(days, today) {
+  return {
+    type: 'range',
+    from: toDateString(new Date(today.getTime() - (days - 1) * DAY_MS)),
+    to: toDateString(today),
+    days,
+  };
+}
+
+/**
+ * Echo user input inside an inline code span
+ * @private
+ */
+function quote(token) {
+  return token.replace(/`/g, '').substring(0, 50);
+}
+
+/**
+ * Parse /team-mood arguments
+ *
+ * @param {string} text - Argument text
+ * @param {string} [defaultChannel] - Channel the command was run in
+ * @param {Date} [now]
+ * @returns {Object} { channels: string[] (IDs, or `#name`), period: { type: 'today' } | { type: 'range', from, to, days }, compare: boolean,
+ *   export: format | null } or { error: i18n key, errorParams }
+ */
+function parseMoodQuery(text, defaultChannel = null, now = new Date()) {
+  const tokens = String(text || '').trim().split(/[\s,]+/).filter(Boolean);
+  const channels = [];
+  let period = null;
+  let format = null;
+
+  const exporting = tokens[0]?.toLowerCase() === 'export';
+  if (exporting) {
+    tokens.shift();
+  }
+
+  const setPeriod = next => {
+    if (period) return 'query.one_period';
+    period = next;
+    return null;
+  };
+
+  const today = parseDate(toDateString(now));
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const lower = token.toLowerCase();
+    let error = null;
+
+    if (lower === 'vs' || lower === 'and') {
+      continue;
+    } else if (exporting && EXPORT_FORMATS.includes(lower)) {
+      if (format) return { error: 'query.one_format' };
+      format = lower;
+    } else if (lower === 'today') {
+      error = setPeriod({ type: 'today' });
+    } else if (lower === 'last') {
+      // "last 7d", "last 7 days", "last week"
+      let amount = 1;
+      let unit = tokens[i + 1]?.toLowerCase();
+      const compact = unit?.match(/^(\d+)([a-z]+)$/);
+      if (compact) {
+        amount = parseInt(compact[1]);
+        unit = compact[2];
+        i += 1;
+      } else if (/^\d+$/.test(unit || '')) {
+        amount = parseInt(unit);
+        unit = tokens[i + 2]?.toLowerCase();
+        i += 2;
+      } else {
+        i += 1;
+      }
+
+      if (!UNIT_DAYS[unit] || amount < 1) {
+        return { error: 'query.last_unit' };
+      }
+      const days = amount * UNIT_DAYS[unit];
+      if (days > MAX_RANGE_DAYS) {
+        return { error: 'query.max_days', errorParams: { max: MAX_RANGE_DAYS } };
+      }
+      error = setPeriod(lastDays(days, today));
+    } else if (token.includes('..')) {
+      const [fromText, toText] = token.split('..');
+      const from = parseDate(fromText);
+      const to = parseDate(toText);
+      if (!from || !to) {
+        return { error: 'query.invalid_range', errorParams: { token: quote(token) } };
+      }
+      if (from > to) {
+        return { error: 'query.start_after_end' };
+      }
+      if (to > today) {
+        return { error: 'query.future' };
+      }
+      if ((today - from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+        return { error: 'query.too_old', errorParams: { max: MAX_RANGE_DAYS } };
+      }
+      error = setPeriod({
+        type: 'range',
+        from: fromText,
+        to: toText,
+        days: (to - from) / DAY_MS + 1,
+      });
+    } else if (/^#?[\w.-]{1,100}$/.test(token)) {
+      if (!channels.includes(token)) channels.push(token);
+    } else {
+      return { error: 'query.unknown', errorParams: { token: quote(token) } };
+    }
+
+    if (error) {
+      return { error };
+    }
+  }
+
+  if (channels.length > MAX_CHANNELS) {
+    return { error: 'query.max_channels', errorParams: { max: MAX_CHANNELS } };
+  }
+
+  return {
+    channels: channels.length > 0 ? channels : [defaultChannel].filter(Boolean),
+    period: period || (exporting ? lastDays(EXPORT_DEFAULT_DAYS, today) : { type: 'today' }),
+    compare: !exporting && channels.length > 1,
+    export: exporting ? format || 'pdf' : null,
+  };
+}
+
+module.exports = { parseMoodQuery, MAX_RANGE_DAYS, MAX_CHANNELS };
@@ -0,0 +1,305 @@
+/**
+ * /review Slash Command Handler
+ *
+ * Lets HR reviewers work through conversations flagged with the
+ * "🚩 Flag for Review" button.
+ *
+ * Usage:
+ * - /review [list] [open|claimed|resolved|dismissed|all]
+ * - /review show <id>
+ * - /review claim <id> [note]
+ * - /review resolve <id> <note>
+ * - /review dismiss <id> <note>
+ *
+ * Reviewers only see flags of their own organization (resolved from the
+ * payload like the other commands). Replies are in the reviewer's Cliq language (utils/i18n). Notes and the
+ * flagged excerpt are shown as written.
+ *
+ * Environment Variables:
+ * - REVIEWER_USER_IDS: Comma-separated Cliq user IDs allowed to use /review
+ */
+
+const OrgConfigResolver = require('../utils/org_config');
+const ReviewQueue = require('../utils/review_queue');
+const { t, translateValue, resolveLocale } = require('../utils/i18n');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Command');
+
+const LIST_LIMIT = 10;
+
+const STATUS_EMOJI = {
+  open: '🆕',
+  claimed: '👀',
+  resolved: '✅',
+  dismissed: '🗑️',
+};
+
+class ReviewCommandHandler {
+  constructor(options = {}) {
+    this.orgConfig = options.orgConfig || new OrgConfigResolver();
+    this.reviewQueue = options.reviewQueue || new ReviewQueue();
+    this.reviewerIds = (process.env.REVIEWER_USER_IDS || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Main command handler
+   * Express middleware: (req, res) => {}
+   */
+  async handleCommand(req, res) {
+    const locale = resolveLocale(req.body);
+    try {
+      const { user } = req.body || {};
+
+      log.info('/review invoked', { userId: user?.id });
+
+      if (!this._isReviewer(user?.id)) {
+        log.warn('/review denied', { userId: user?.id });
+        return res.status(200).json({ text: t(locale, 'review.denied') });
+      }
+
+      const { orgId } = this.orgConfig.resolve(req.body);
+      const [subcommand = 'list', ...rest] = this._getArgumentText(req.body).split(/\s+/).filter(Boolean);
+
+      switch (subcommand.toLowerCase()) {
+        case 'list':
+          return res.status(200).json(this._buildListCard(rest[0], orgId, locale));
+        case 'show':
+          return res.status(200).json(this._buildDetailCard(rest[0], orgId, locale));
+        case 'claim':
+        case 'resolve':
+        case 'dismiss':
+          return res.status(200).json(this._applyAction(subcommand.toLowerCase(), rest, orgId, user.id, locale));
+        default:
+          return res.status(200).json(this._buildUsageCard(locale));
+      }
+    } catch (error) {
+      log.error('/review error', { error });
+      return res.status(200).json({
+        text: t(locale, 'review.error'),
+      });
+    }
+  }
+
+  /**
+   * Check reviewer allow-list
+   * @private
+   */
+  _isReviewer(userId) {
+    if (this.reviewerIds.length === 0) {
+      log.warn('REVIEWER_USER_IDS not configured - allowing all users to review (INSECURE)');
+      return true;
+    }
+    return !!userId && this.reviewerIds.includes(userId);
+  }
+
+  /**
+   * Extract raw argument text from command payload
+   * @private
+   */
+  _getArgumentText(body) {
+    const args = body?.arguments;
+    if (typeof args === 'string') return args.trim();
+    if (args && typeof args.text === 'string') return args.text.trim();
+    if (typeof body?.text === 'string') return body.text.trim();
+    return '';
+  }
+
+  /**
+   * Run claim / resolve / dismiss
+   * @private
+   */
+  _applyAction(action, args, orgId, userId, locale = 'en') {
+    const [id, ...noteParts] = args;
+    const note = noteParts.join(' ').substring(0, 500);
+
+    if (!id) {
+      return this._buildUsageCard(locale);
+    }
+
+    try {
+      const flag = this.reviewQueue[action](id.replace(/^#/, ''), orgId, userId, note || null);
+      return {
+        text: t(locale, 'review.updated', { emoji: STATUS_EMOJI[flag.status], id: flag.id, status: this._status(flag.status, locale) }),
+      };
+    } catch (error) {
+      if (error.code) {
+        const params = { ...error.params, id: this._sanitize(String(error.params?.id ?? '')) };
+        if (params.status) params.status = this._status(params.status, locale);
+        return { text: `⚠️ ${t(locale, `review.error.${error.code.toLowerCase()}`, params)}` };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Translated flag status
+   * @private
+   */
+  _status(status, locale) {
+    return t(locale, `review.status.${status}`);
+  }
+
+  /**
+   * Translated sentiment of a flag
+   * @private
+   */
+  _sentiment(flag, locale) {
+    return flag.sentiment ? translateValue(locale, 'sentiment', flag.sentiment) : t(locale, 'review.unknown');
+  }
+
+  /**
+   * Sanitize text to prevent injection
+   * @private
+   */
+  _sanitize(text) {
+    if (typeof text !== 'string') return '';
+    return text
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#x27;')
+      .substring(0, 500); // Limit length
+  }
+
+  /**
+   * Build flag list card
+   * @private
+   */
+  _buildListCard(statusArg, orgId, locale = 'en') {
+    const status = (statusArg || 'open').toLowerCase();
+    if (status !== 'all' && !ReviewQueue.STATUSES.includes(status)) {
+      return this._buildUsageCard(locale);
+    }
+
+    const flags = this.reviewQueue.list(status === 'all' ? { orgId } : { orgId, status });
+    const counts = this.reviewQueue.counts(orgId);
+
+    const summary = ReviewQueue.STATUSES
+      .map(s => `${STATUS_EMOJI[s]} ${this._status(s, locale)}: ${counts[s]}`)
+      .join('  ·  ');
+
+    const lines = flags.slice(0, LIST_LIMIT).map(flag => {
+      const assignee = flag.assignee ? ` · ${flag.assignee}` : '';
+      return `${STATUS_EMOJI[flag.status]} **#${flag.id}** · ${t(locale, 'analysis.stress_short')} ${flag.stress_score ?? '?'}/10 · ${this._sentiment(flag, locale)}${assignee}\n_"${this._sanitize(flag.message)}"_`;
+    });
+
+    const statusLabel = this._status(status, locale);
+
+    return {
+      text: t(locale, 'review.list.text'),
+      card: {
+        title: t(locale, 'review.list.title', { status: statusLabel.charAt(0).toUpperCase() + statusLabel.slice(1) }),
+        theme: 'modern-inline',
+        sections: [
+          {
+            id: 1,
+            elements: [
+              {
+                type: 'text',
+                text: summary,
+              },
+            ],
+          },
+          {
+            id: 2,
+            elements: [
+              {
+                type: 'text',
+                text: lines.length > 0
+                  ? lines.join('\n\n') + (flags.length > LIST_LIMIT ? `\n\n${t(locale, 'review.list.more', { count: flags.length - LIST_LIMIT })}` : '')
+                  : t(locale, 'review.list.empty'),
+              },
+            ],
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Build flag detail card with audit trail
+   * @private
+   */
+  _buildDetailCard(idArg, orgId, locale = 'en') {
+    const flag = idArg ? this.reviewQueue.get(idArg.replace(/^#/, ''), orgId) : null;
+    if (!flag) {
+      return {
+        text: idArg
+          ? t(locale, 'review.not_found', { id: this._sanitize(idArg.replace(/^#/, '')) })
+          : t(locale, 'review.not_found_no_id'),
+      };
+    }
+
+    const unknown = t(locale, 'review.unknown');
+    const history = flag.history
+      .map(entry => t(locale, 'review.detail.entry', {
+        at: entry.at.substring(0, 16).replace('T', ' '),
+        action: t(locale, `review.action.${entry.action}`),
+        by: entry.by || unknown,
+      }) + (entry.note ? `: _${this._sanitize(entry.note)}_` : ''))
+      .join('\n');
+
+    return {
+      text: t(locale, 'review.detail.text', { id: flag.id }),
+      card: {
+        title: t(locale, 'review.detail.title', { emoji: STATUS_EMOJI[flag.status], id: flag.id, status: this._status(flag.status, locale) }),
+        theme: 'modern-inline',
+        sections: [
+          {
+            id: 1,
+            elements: [
+              { type: 'text', text: `**${t(locale, 'review.detail.message')}:** _"${this._sanitize(flag.message)}"_` },
+              { type: 'text', text: `**${t(locale, 'analysis.stress_short')}:** ${flag.stress_score ?? '?'}/10 · **${t(locale, 'analysis.sentiment')}:** ${this._sentiment(flag, locale)}` },
+              { type: 'text', text: `**${t(locale, 'review.detail.channel')}:** ${flag.channel_id || unknown} · **${t(locale, 'review.detail.flagged_by')}:** ${flag.flagged_by || unknown}` },
+              { type: 'text', text: `**${t(locale, 'review.detail.assignee')}:** ${flag.assignee || t(locale, 'review.detail.unassigned')}` },
+            ],
+          },
+          {
+            id: 2,
+            title: t(locale, 'review.detail.audit'),
+            elements: [
+              { type: 'text', text: history },
+            ],
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Build usage card
+   * @private
+   */
+  _buildUsageCard(locale = 'en') {
+    return {
+      text: t(locale, 'review.usage.text'),
+      card: {
+        title: t(locale, 'review.usage.title'),
+        theme: 'modern-inline',
+        sections: [
+          {
+            id: 1,
+            elements: [
+              {
+                type: 'text',
+                text: t(locale, 'review.usage.body'),
+              },
+            ],
+          },
+        ],
+      },
+    };
+  }
+}
+
+// Express route handler wrapper
+function createReviewCommandHandler(options = {}) {
+  const handler = new ReviewCommandHandler(options);
+  return (req, res) => handler.handleCommand(req, res);
+}
+
+module.exports = { ReviewCommandHandler, createReviewCommandHandler };
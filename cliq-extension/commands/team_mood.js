@@ -4,17 +4,58 @@
  * Displays today's team sentiment statistics in a rich card format.
  * Shows positive/neutral/negative percentages, average stress, top issues, and trends.
  * 
- * Usage: /team-mood [channel_id]
+ * Usage (see commands/mood_query.js for the full grammar):
+ * - /team-mood                          Today, this channel
+ * - /team-mood last 7d                  Last 7 days vs the 7 days before
+ * - /team-mood 2026-10-01..2026-10-14   Date range
+ * - /team-mood #design vs #support      Compare channels (today or with a period)
+ * - /team-mood export [csv|json|pdf] ... Download link for a report (utils/report_exporter.js)
  * 
+ * Stats come from utils/stats_service.js (backend, or the local analysis store).
+ * Cards are in the user's Cliq language (see utils/i18n). The dashboard
+ * button carries a token for the requesting user (utils/dashboard_auth.js);
+ * cards posted without one, like digests, link to a dashboard that asks the
+ * viewer to open it from /team-mood.
+ *
+ * Export links point at the dashboard's /export route with the same kind of
+ * token; the channels are checked here first, so a refused export gets a
+ * card instead of a link that would answer 403. Reports and comparisons
+ * apply the same dashboard role check (DashboardAuth.canView).
+ *
+ * `#name` arguments are looked up through the Cliq API, since stats are
+ * stored by channel ID; lookups are cached for CHANNEL_CACHE_TTL_MS.
+ *
  * Environment Variables:
- * - BACKEND_API_URL: FastAPI backend URL
+ * - BACKEND_API_URL: FastAPI backend URL (fallback for the org's backend_api_url)
+ * - STATS_SOURCE: backend | local (default: backend)
+ * - DASHBOARD_URL: Public dashboard URL, also the base of export links
  */
 
-const APIClient = require('../utils/api_client');
+const OrgConfigResolver = require('../utils/org_config');
+const CliqClient = require('../utils/cliq_client');
+const StatsService = require('../utils/stats_service');
+const DashboardAuth = require('../utils/dashboard_auth');
+const { parseMoodQuery, MAX_RANGE_DAYS } = require('./mood_query');
+const { t, translateValue, resolveLocale } = require('../utils/i18n');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Command');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CHANNEL_CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHED_CHANNELS = 500;
 
 class TeamMoodCommandHandler {
-  constructor() {
-    this.apiClient = new APIClient();
+  constructor(options = {}) {
+    this.orgConfig = options.orgConfig || new OrgConfigResolver();
+    this.statsService = options.statsService || new StatsService({ orgConfig: this.orgConfig });
+    this.dashboardAuth = options.dashboardAuth || new DashboardAuth();
+    this.cliqClient = options.cliqClient || new CliqClient();
+    // Lowercase name -> { id, expires }
+    this.channelLookups = new Map();
+    // Channel ID -> unique name, for card labels
+    this.channelNames = new Map();
   }
 
   /**
@@ -22,29 +63,446 @@ class TeamMoodCommandHandler {
    * Express middleware: (req, res) => {}
    */
   async handleCommand(req, res) {
+    const locale = resolveLocale(req.body);
     try {
       const { arguments: args, user, channel } = req.body;
 
-      console.log(`[Command] /team-mood invoked by user ${user?.id} in channel ${channel?.id}`);
+      log.info('/team-mood invoked', { userId: user?.id, channelId: channel?.id });
+
+      // args.channel_id is still honored for older command payloads
+      const query = parseMoodQuery(this._getArgumentText(req.body), args?.channel_id || channel?.id);
+      if (query.error) {
+        return res.status(200).json(this._buildUsageCard(t(locale, query.error, query.errorParams), locale));
+      }
 
-      // Extract optional channel ID from arguments
-      const targetChannelId = args?.channel_id || channel?.id;
+      const resolved = await this._resolveChannels(query.channels);
+      if (resolved.error) {
+        return res.status(200).json(this._buildUsageCard(t(locale, resolved.error, resolved.errorParams), locale));
+      }
+      // No channel (a direct message): the org-wide view, which _checkAccess limits to HR and admins
+      const channelIds = resolved.channels.length > 0 ? resolved.channels : [null];
 
-      // Fetch stats from backend
-      const stats = await this.apiClient.getTodayStats(targetChannelId);
+      const config = this.orgConfig.resolve(req.body);
 
-      // Build response card
-      const card = this._buildStatsCard(stats, targetChannelId);
+      let card;
+      if (query.export) {
+        card = this.buildExportCard(channelIds, query.period, query.export, config, locale, req.body);
+      } else if (query.compare) {
+        card = await this.buildComparisonReport(channelIds, query.period, config, locale, req.body);
+      } else if (query.period.type === 'range') {
+        card = await this.buildRangeReport(channelIds[0], query.period, config, locale, req.body);
+      } else {
+        card = this._deniedCard(this._checkAccess(channelIds, config, req.body).denied, req.body, locale)
+          || await this.buildMoodReport(channelIds[0], config, locale, req.body);
+      }
 
       return res.status(200).json(card);
     } catch (error) {
-      console.error('[Command] /team-mood error:', error);
+      log.error('/team-mood error', { error });
       return res.status(200).json({
-        text: '⚠️ Unable to fetch team mood data. Please try again or contact support.',
+        text: t(locale, 'mood.error'),
       });
     }
   }
 
+  /**
+   * Extract raw argument text from command payload
+   * @private
+   */
+  _getArgumentText(body) {
+    const args = body?.arguments;
+    if (typeof args === 'string') return args.trim();
+    if (args && typeof args.text === 'string') return args.text.trim();
+    if (typeof body?.text === 'string') return body.text.trim();
+    return '';
+  }
+
+  /**
+   * Fetch today's stats and build the mood card
+   * Shared by the slash command and the "🔄 Refresh" card button.
+   *
+   * @param {string} [channelId] - Channel to report on
+   * @param {Object} config - Organization config (see utils/org_config.js)
+   * @param {string} [locale] - Card language
+   * @param {Object} [requester] - Cliq payload of the user the card is for; signs them in to the dashboard
+   * @returns {Promise<Object>} Stats card
+   */
+  async buildMoodReport(channelId, config, locale = 'en', requester = null) {
+    // Backend stats, or the local store when the backend is unavailable
+    const stats = await this.statsService.getTodayStats(config, channelId);
+
+    // Build response card
+    return this._buildStatsCard(stats, channelId, config, locale, requester);
+  }
+
+  /**
+   * Build the report for a date range, with deltas against the
+   * preceding period of the same length when that data is available
+   *
+   * @param {string} [channelId]
+   * @param {Object} period - { from, to, days } (see commands/mood_query.js)
+   * @param {Object} config - Organization config
+   * @param {string} [locale] - Card language
+   * @param {Object} [requester] - Command payload; the channel is checked against their dashboard role.
+   *   Digests pass none: they report on the channel they were scheduled in.
+   * @returns {Promise<Object>} Range card
+   */
+  async buildRangeReport(channelId, period, config, locale = 'en', requester = null) {
+    if (requester) {
+      const denied = this._deniedCard(this._checkAccess([channelId], config, requester).denied, requester, locale);
+      if (denied) return denied;
+    }
+
+    const { current, previous, local, suppressed } = await this._fetchPeriod(channelId, period, config);
+    return this._buildRangeCard(current, previous, channelId, period, local, locale, suppressed);
+  }
+
+  /**
+   * Build a side-by-side report for several channels
+   * The first channel is the baseline the others are compared against.
+   *
+   * @param {string[]} channelIds
+   * @param {Object} period - { type: 'today' } or a range
+   * @param {Object} config - Organization config
+   * @param {string} [locale] - Card language
+   * @param {Object} [requester] - Command payload; every channel is checked against their dashboard role
+   * @returns {Promise<Object>} Comparison card
+   */
+  async buildComparisonReport(channelIds, period, config, locale = 'en', requester = null) {
+    if (requester) {
+      const denied = this._deniedCard(this._checkAccess(channelIds, config, requester).denied, requester, locale);
+      if (denied) return denied;
+    }
+
+    const results = await Promise.allSettled(channelIds.map(channelId => (
+      period.type === 'range'
+        ? this._fetchPeriod(channelId, period, config).then(result => result.current)
+        : this.statsService.getTodayStats(config, channelId).then(stats => this._summarizeToday(stats))
+    )));
+
+    const summaries = results.map((result, i) => {
+      if (result.status === 'rejected') {
+        log.error('/team-mood stats failed', { channelId: channelIds[i], error: result.reason.message });
+        return null;
+      }
+      return result.value;
+    });
+
+    return this._buildComparisonCard(channelIds, summaries, period, locale);
+  }
+
+  /**
+   * Build the card with a report download link
+   *
+   * @param {string[]} channelIds
+   * @param {Object} period - From parseMoodQuery
+   * @param {string} format - csv | json | pdf
+   * @param {Object} config - Organization config
+   * @param {string} [locale]
+   * @param {Object} [requester] - Command payload (user and channel)
+   * @returns {Object} Card
+   */
+  buildExportCard(channelIds, period, format, config, locale = 'en', requester = null) {
+    if (!process.env.DASHBOARD_URL) {
+      return { text: t(locale, 'mood.export.not_configured') };
+    }
+
+    const { token, denied } = this._checkAccess(channelIds, config, requester);
+    const refused = this._deniedCard(denied, requester, locale, 'mood.export.denied');
+    if (refused) return refused;
+
+    const today = new Date().toISOString().substring(0, 10);
+    const range = period.type === 'range' ? period : { type: 'range', from: today, to: today, days: 1 };
+    const params = new URLSearchParams({ format, from: range.from, to: range.to, channels: channelIds.filter(Boolean).join(','), token });
+    const url = `${process.env.DASHBOARD_URL.replace(/\/+$/, '')}/export?${params.toString()}`;
+    const formatLabel = format.toUpperCase();
+
+    return {
+      text: t(locale, 'mood.export.text'),
+      card: {
+        title: t(locale, 'mood.export.title'),
+        theme: 'modern-inline',
+        sections: [
+          {
+            id: 1,
+            elements: [
+              {
+                type: 'text',
+                text: t(locale, 'mood.export.details', {
+                  format: formatLabel,
+                  period: this._formatPeriod(range, locale),
+                  channels: channelIds[0] === null
+                    ? t(locale, 'mood.export.all_channels')
+                    : channelIds.map(channelId => `#${this._channelLabel(channelId)}`).join(', '),
+                }),
+              },
+              {
+                type: 'text',
+                text: `${t(locale, 'mood.export.note', { count: Math.round(this.dashboardAuth.ttlMs / 60000) })}\n${t(locale, 'mood.export.min_group', { count: this.statsService.minGroupSize })}`,
+              },
+            ],
+          },
+        ],
+        buttons: [
+          {
+            label: t(locale, 'mood.export.button', { format: formatLabel }),
+            type: 'open.url',
+            url,
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Fetch trends covering a period and the period before it
+   * @private
+   */
+  async _fetchPeriod(channelId, period, config) {
+    const todayStart = new Date(`${new Date().toISOString().substring(0, 10)}T00:00:00Z`);
+    const from = new Date(`${period.from}T00:00:00Z`);
+    const daysBack = Math.round((todayStart - from) / DAY_MS) + 1;
+
+    const trends = await this.statsService.getTrends(config, Math.min(MAX_RANGE_DAYS, daysBack + period.days), channelId);
+    const points = Array.isArray(trends?.days) ? trends.days : [];
+
+    const previousFrom = new Date(from.getTime() - period.days * DAY_MS).toISOString().substring(0, 10);
+    const previousTo = new Date(from.getTime() - DAY_MS).toISOString().substring(0, 10);
+
+    return {
+      current: this._summarizePoints(points.filter(point => point.date >= period.from && point.date <= period.to)),
+      previous: this._summarizePoints(points.filter(point => point.date >= previousFrom && point.date <= previousTo)),
+      local: trends?.source === 'local',
+      // Days left out for being below the minimum group size (either period)
+      suppressed: trends?.suppressed_days > 0 ? { count: trends.suppressed_days, min: trends.min_group_size } : null,
+    };
+  }
+
+  /**
+   * Combine daily points into one summary, weighted by message count
+   * @private
+   * @returns {Object|null} Null when there are no points
+   */
+  _summarizePoints(points) {
+    if (points.length === 0) return null;
+
+    const total = points.reduce((sum, point) => sum + (point.total_messages || 0), 0);
+    // Without message counts every day weighs the same
+    const weight = point => (total > 0 ? (point.total_messages || 0) / total : 1 / points.length);
+    const average = field => points.reduce((sum, point) => sum + this._validateNumber(point[field], 0, 0, field === 'avg_stress' ? 10 : 100) * weight(point), 0);
+
+    return {
+      positive_pct: average('positive_pct'),
+      neutral_pct: average('neutral_pct'),
+      negative_pct: average('negative_pct'),
+      avg_stress: average('avg_stress'),
+      total_messages: total,
+      days_with_data: points.length,
+    };
+  }
+
+  /**
+   * Reduce today's stats to the fields used in comparisons
+   * @private
+   */
+  _summarizeToday(stats) {
+    if (stats?.suppressed) {
+      return { suppressed: true, min_group_size: stats.min_group_size };
+    }
+    return {
+      positive_pct: this._validateNumber(stats?.positive_pct),
+      neutral_pct: this._validateNumber(stats?.neutral_pct),
+      negative_pct: this._validateNumber(stats?.negative_pct),
+      avg_stress: this._validateNumber(stats?.avg_stress, 0, 0, 10),
+      total_messages: Math.max(0, parseInt(stats?.total_messages) || 0),
+    };
+  }
+
+  /**
+   * Signed delta text, e.g. "+4.5 pts"
+   * For stress, higher is worse, so the arrow flags increases.
+   * @private
+   */
+  _formatDelta(delta, unit = '', isStress = false) {
+    const rounded = Math.round(delta * 10) / 10;
+    if (rounded === 0) return `±0${unit}`;
+
+    const text = `${rounded > 0 ? '+' : ''}${rounded.toFixed(1)}${unit}`;
+    if (!isStress) return text;
+    return `${rounded > 0 ? '🔺' : '🔻'} ${text}`;
+  }
+
+  /**
+   * Human-readable period label
+   * @private
+   */
+  _formatPeriod(period, locale = 'en') {
+    if (period.type !== 'range') return t(locale, 'mood.period.today');
+    return period.from === period.to ? period.from : t(locale, 'mood.period.range', period);
+  }
+
+  /**
+   * Build date-range card
+   * @private
+   */
+  _buildRangeCard(current, previous, channelId, period, local, locale = 'en', suppressed = null) {
+    const sections = [];
+    const label = this._formatPeriod(period, locale);
+    const points = ` ${t(locale, 'mood.unit.points')}`;
+
+    if (!current) {
+      sections.push({
+        id: 1,
+        elements: [{ type: 'text', text: t(locale, 'mood.range.empty') }],
+      });
+    } else {
+      sections.push({
+        id: 1,
+        title: t(locale, 'mood.distribution'),
+        elements: [
+          {
+            type: 'text',
+            text: this._buildSentimentBars(current.positive_pct, current.neutral_pct, current.negative_pct, locale),
+          },
+          {
+            type: 'text',
+            text: t(locale, 'mood.range.total', { count: current.total_messages, covered: current.days_with_data, days: period.days }),
+          },
+        ],
+      });
+      sections.push({
+        id: 2,
+        title: t(locale, 'mood.stress_levels'),
+        elements: [
+          {
+            type: 'text',
+            text: t(locale, 'mood.avg_stress', { value: current.avg_stress.toFixed(1) }),
+          },
+          {
+            type: 'text',
+            text: this._buildStressIndicator(current.avg_stress, locale),
+          },
+        ],
+      });
+      sections.push({
+        id: 3,
+        title: t(locale, 'mood.range.compared', { days: period.days }),
+        elements: [
+          {
+            type: 'text',
+            text: previous
+              ? [
+                `**${t(locale, 'sentiment.positive')}:** ${this._formatDelta(current.positive_pct - previous.positive_pct, points)}`,
+                `**${t(locale, 'sentiment.negative')}:** ${this._formatDelta(current.negative_pct - previous.negative_pct, points)}`,
+                `**${t(locale, 'analysis.stress_short')}:** ${this._formatDelta(current.avg_stress - previous.avg_stress, '', true)}`,
+                `**${t(locale, 'mood.delta.messages')}:** ${current.total_messages - previous.total_messages >= 0 ? '+' : ''}${current.total_messages - previous.total_messages}`,
+              ].join('\n')
+              : t(locale, 'mood.range.no_previous'),
+          },
+        ],
+      });
+    }
+
+    if (suppressed) {
+      sections[sections.length - 1].elements.push({
+        type: 'text',
+        text: t(locale, 'mood.range.suppressed_days', suppressed),
+      });
+    }
+
+    if (local) {
+      sections[sections.length - 1].elements.push({
+        type: 'text',
+        text: t(locale, 'mood.local_note'),
+      });
+    }
+
+    const title = channelId
+      ? t(locale, 'mood.range.title_channel', { channel: this._channelLabel(channelId), period: label })
+      : t(locale, 'mood.range.title', { period: label });
+
+    return {
+      text: title,
+      card: {
+        title,
+        theme: 'modern-inline',
+        sections,
+      },
+    };
+  }
+
+  /**
+   * Build channel comparison card
+   * @private
+   */
+  _buildComparisonCard(channelIds, summaries, period, locale = 'en') {
+    const baseline = summaries[0];
+    const baselineName = this._channelLabel(channelIds[0]);
+    const points = ` ${t(locale, 'mood.unit.points')}`;
+    const stressLabel = t(locale, 'analysis.stress_short');
+
+    const sections = channelIds.map((channelId, i) => {
+      const summary = summaries[i];
+      const name = this._channelLabel(channelId);
+      const elements = [];
+
+      if (!summary) {
+        elements.push({ type: 'text', text: t(locale, 'mood.no_data') });
+      } else if (summary.suppressed) {
+        elements.push({ type: 'text', text: t(locale, 'mood.suppressed', { min: summary.min_group_size }) });
+      } else {
+        elements.push({
+          type: 'text',
+          text: `😊 ${summary.positive_pct.toFixed(1)}% · 😐 ${summary.neutral_pct.toFixed(1)}% · 😔 ${summary.negative_pct.toFixed(1)}%\n🌡️ **${stressLabel}:** ${summary.avg_stress.toFixed(1)}/10 · **${t(locale, 'mood.delta.messages')}:** ${summary.total_messages}`,
+        });
+
+        if (i > 0 && baseline && !baseline.suppressed) {
+          elements.push({
+            type: 'text',
+            text: `_${t(locale, 'mood.compare.versus', { channel: baselineName })}:_ ${t(locale, 'sentiment.positive')} ${this._formatDelta(summary.positive_pct - baseline.positive_pct, points)} · ${t(locale, 'sentiment.negative')} ${this._formatDelta(summary.negative_pct - baseline.negative_pct, points)} · ${stressLabel} ${this._formatDelta(summary.avg_stress - baseline.avg_stress, '', true)}`,
+          });
+        }
+      }
+
+      return { id: i + 1, title: `#${name}`, elements };
+    });
+
+    return {
+      text: t(locale, 'mood.compare.text'),
+      card: {
+        title: t(locale, 'mood.compare.title', { period: this._formatPeriod(period, locale) }),
+        theme: 'modern-inline',
+        sections,
+      },
+    };
+  }
+
+  /**
+   * Build usage card for unparseable arguments
+   * @private
+   */
+  _buildUsageCard(problem, locale = 'en') {
+    return {
+      text: t(locale, 'mood.usage.text'),
+      card: {
+        title: t(locale, 'mood.usage.title'),
+        theme: 'modern-inline',
+        sections: [
+          {
+            id: 1,
+            elements: [
+              ...(problem ? [{ type: 'text', text: `⚠️ ${this._sanitize(problem)}` }] : []),
+              {
+                type: 'text',
+                text: t(locale, 'mood.usage.body', { max: MAX_RANGE_DAYS }),
+              },
+            ],
+          },
+        ],
+      },
+    };
+  }
+
   /**
    * Sanitize text to prevent injection
    * @private
@@ -73,12 +531,29 @@ class TeamMoodCommandHandler {
    * Build rich stats card
    * @private
    */
-  _buildStatsCard(stats, channelId) {
+  _buildStatsCard(stats, channelId, config, locale = 'en', requester = null) {
     // Validate input
     if (!stats || typeof stats !== 'object') {
       throw new Error('Invalid stats object received from backend');
     }
 
+    if (stats.suppressed) {
+      return {
+        text: t(locale, 'mood.text'),
+        card: {
+          title: t(locale, 'mood.title', { emoji: '🔒' }),
+          theme: 'modern-inline',
+          sections: [
+            {
+              id: 1,
+              elements: [{ type: 'text', text: t(locale, 'mood.suppressed', { min: stats.min_group_size }) }],
+            },
+          ],
+          buttons: this._buildStatsButtons(channelId, config, locale, requester),
+        },
+      };
+    }
+
     const {
       positive_pct = 0,
       neutral_pct = 0,
@@ -96,100 +571,238 @@ class TeamMoodCommandHandler {
     const avgStress = this._validateNumber(avg_stress, 0, 0, 10);
     const totalMsg = Math.max(0, parseInt(total_messages) || 0);
 
-    // Trend emoji
-    const trendEmoji = {
-      up: '📈 Improving',
-      down: '📉 Declining',
-      stable: '➡️ Stable',
-    };
-
     // Overall mood emoji based on positive percentage
     const moodEmoji = positive_pct >= 60 ? '😊' : positive_pct >= 40 ? '😐' : '😔';
 
     return {
-      text: 'Team Mood Report',
+      text: t(locale, 'mood.text'),
       card: {
-        title: `${moodEmoji} Team Mood - Today's Report`,
+        title: t(locale, 'mood.title', { emoji: moodEmoji }),
         theme: 'modern-inline',
         sections: [
           {
             id: 1,
-            title: '📊 Sentiment Distribution',
+            title: t(locale, 'mood.distribution'),
             elements: [
               {
                 type: 'text',
-                text: this._buildSentimentBars(posPct, neuPct, negPct),
+                text: this._buildSentimentBars(posPct, neuPct, negPct, locale),
               },
               {
                 type: 'text',
-                text: `**Total Messages Analyzed:** ${totalMsg}`,
+                text: t(locale, 'mood.total', { count: totalMsg }),
               },
             ],
           },
           {
             id: 2,
-            title: '🌡️ Stress Levels',
+            title: t(locale, 'mood.stress_levels'),
             elements: [
               {
                 type: 'text',
-                text: `**Average Stress Score:** ${avgStress.toFixed(1)}/10`,
+                text: t(locale, 'mood.avg_stress', { value: avgStress.toFixed(1) }),
               },
               {
                 type: 'text',
-                text: this._buildStressIndicator(avgStress),
+                text: this._buildStressIndicator(avgStress, locale),
               },
             ],
           },
           {
             id: 3,
-            title: '🔍 Top Issues',
+            title: t(locale, 'mood.top_issues'),
             elements: [
               {
                 type: 'text',
                 text: top_issues.length > 0 
-                  ? this._formatTopIssues(top_issues)
-                  : '_No significant issues detected today_ ✨',
+                  ? this._formatTopIssues(top_issues, locale)
+                  : t(locale, 'mood.no_issues_today'),
               },
             ],
           },
           {
             id: 4,
-            title: '📈 Trend',
+            title: t(locale, 'mood.trend'),
             elements: [
               {
                 type: 'text',
-                text: `**Compared to Yesterday:** ${trendEmoji[trend] || '➡️ Stable'}`,
+                text: t(locale, 'mood.vs_yesterday', { trend: t(locale, ['up', 'down'].includes(trend) ? `trend.${trend}` : 'trend.stable') }),
               },
+              ...(stats.source === 'local' ? [{
+                type: 'text',
+                text: t(locale, 'mood.local_note'),
+              }] : []),
             ],
           },
         ],
-        buttons: [
-          {
-            label: '📊 View Dashboard',
-            type: 'open.url',
-            url: `${process.env.DASHBOARD_URL || '#'}?channel=${channelId}`,
-          },
-          {
-            label: '🔄 Refresh',
-            type: 'invoke.function',
-            name: 'refreshMood',
-            id: 'refresh_btn',
-          },
-        ],
+        buttons: this._buildStatsButtons(channelId, config, locale, requester),
+      },
+    };
+  }
+
+  /**
+   * "View Dashboard" and "Refresh" buttons of the stats card
+   * @private
+   */
+  _buildStatsButtons(channelId, config, locale = 'en', requester = null) {
+    return [
+      {
+        label: t(locale, 'mood.button.dashboard'),
+        type: 'open.url',
+        url: this._buildDashboardUrl(channelId, config, requester),
       },
+      {
+        label: t(locale, 'mood.button.refresh'),
+        type: 'invoke.function',
+        name: 'refreshMood',
+        id: 'refresh_btn',
+        data: {
+          channel_id: channelId,
+        },
+      },
+    ];
+  }
+
+  /**
+   * Build dashboard link, carrying the channel and a token for the requester
+   * The dashboard takes the organization from the token.
+   * @private
+   */
+  _buildDashboardUrl(channelId, config, requester = null) {
+    const params = new URLSearchParams();
+    if (channelId) {
+      params.set('channel', channelId);
+    }
+    const token = this._issueToken(config, requester);
+    if (token) {
+      params.set('token', token);
+    }
+    return `${process.env.DASHBOARD_URL || '#'}?${params.toString()}`;
+  }
+
+  /**
+   * Turn `#name` arguments into channel IDs; other arguments are IDs already
+   *
+   * @param {string[]} channels - From parseMoodQuery
+   * @returns {Promise<Object>} { channels: string[] } or { error: i18n key, errorParams }
+   * @private
+   */
+  async _resolveChannels(channels) {
+    const ids = [];
+    for (const channel of channels) {
+      let id = channel;
+      if (channel.startsWith('#')) {
+        const name = channel.substring(1);
+        if (!this.cliqClient.isConfigured()) {
+          return { error: 'query.channel_names_unavailable', errorParams: { channel: name } };
+        }
+        id = await this._lookupChannel(name);
+        if (!id) {
+          return { error: 'query.unknown_channel', errorParams: { channel: name } };
+        }
+      }
+      if (!ids.includes(id)) ids.push(id);
+    }
+    return { channels: ids };
+  }
+
+  /**
+   * Channel ID for a unique name, or null when Cliq has no such channel
+   * @private
+   */
+  async _lookupChannel(name) {
+    const key = name.toLowerCase();
+    const cached = this.channelLookups.get(key);
+    if (cached && cached.expires > Date.now()) {
+      return cached.id;
+    }
+
+    const channel = await this.cliqClient.getChannelByName(name);
+    const id = channel?.channel_id ? String(channel.channel_id) : null;
+
+    this._cacheSet(this.channelLookups, key, { id, expires: Date.now() + CHANNEL_CACHE_TTL_MS });
+    if (id) {
+      this._cacheSet(this.channelNames, id, channel.unique_name || name);
+    }
+    return id;
+  }
+
+  /**
+   * Set a cache entry, evicting the oldest beyond MAX_CACHED_CHANNELS
+   * @private
+   */
+  _cacheSet(cache, key, value) {
+    cache.delete(key);
+    cache.set(key, value);
+    if (cache.size > MAX_CACHED_CHANNELS) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Channel name for cards when it was looked up, else the ID
+   * @private
+   */
+  _channelLabel(channelId) {
+    return this._sanitize(this.channelNames.get(channelId) || channelId);
+  }
+
+  /**
+   * Check channels against the requester's dashboard role
+   * Without a user ID there is no viewer, and every channel is denied.
+   *
+   * @returns {Object} { token, denied: string[] }
+   * @private
+   */
+  _checkAccess(channelIds, config, requester) {
+    const token = this._issueToken(config, requester);
+    const viewer = token ? this.dashboardAuth.authenticate(token) : null;
+    const denied = viewer ? channelIds.filter(channelId => !this.dashboardAuth.canView(viewer, channelId)) : channelIds;
+    return { token, denied };
+  }
+
+  /**
+   * Refusal message for denied channels, or null when there are none
+   * @private
+   */
+  _deniedCard(denied, requester, locale, key = 'mood.denied') {
+    if (denied.length === 0) return null;
+
+    log.warn('/team-mood denied', { userId: requester?.user?.id, channels: denied });
+    // The org-wide view (no channel) has no channel name to list
+    if (denied.includes(null)) {
+      return { text: t(locale, 'mood.no_channel') };
+    }
+    return {
+      text: t(locale, key, { channels: denied.map(channelId => `#${this._channelLabel(channelId)}`).join(', ') }),
     };
   }
 
+  /**
+   * Dashboard token for the requester, or null without a user ID
+   * The token only lists the channel the command was run in: the one the
+   * requester is known to be a member of, not the one reported on.
+   * @private
+   */
+  _issueToken(config, requester) {
+    return this.dashboardAuth.issueToken({
+      userId: requester?.user?.id,
+      orgId: config?.orgId,
+      channels: [requester?.channel?.id],
+      name: requester?.user?.name,
+    });
+  }
+
   /**
    * Build visual sentiment bars
    * @private
    */
-  _buildSentimentBars(positive, neutral, negative) {
+  _buildSentimentBars(positive, neutral, negative, locale = 'en') {
     const posBar = this._createBar(positive, '🟢');
     const neuBar = this._createBar(neutral, '🟡');
     const negBar = this._createBar(negative, '🔴');
 
-    return `**😊 Positive:** ${positive.toFixed(1)}% ${posBar}\n**😐 Neutral:** ${neutral.toFixed(1)}% ${neuBar}\n**😔 Negative:** ${negative.toFixed(1)}% ${negBar}`;
+    return `**😊 ${t(locale, 'sentiment.positive')}:** ${positive.toFixed(1)}% ${posBar}\n**😐 ${t(locale, 'sentiment.neutral')}:** ${neutral.toFixed(1)}% ${neuBar}\n**😔 ${t(locale, 'sentiment.negative')}:** ${negative.toFixed(1)}% ${negBar}`;
   }
 
   /**
@@ -206,13 +819,13 @@ class TeamMoodCommandHandler {
    * Build stress indicator
    * @private
    */
-  _buildStressIndicator(avgStress) {
+  _buildStressIndicator(avgStress, locale = 'en') {
     if (avgStress >= 7) {
-      return '🔴 **HIGH** - Team may need support';
+      return t(locale, 'mood.stress.high');
     } else if (avgStress >= 4) {
-      return '🟡 **MODERATE** - Monitor closely';
+      return t(locale, 'mood.stress.moderate');
     } else {
-      return '🟢 **LOW** - Team is doing well';
+      return t(locale, 'mood.stress.low');
     }
   }
 
@@ -220,24 +833,24 @@ class TeamMoodCommandHandler {
    * Format top issues list
    * @private
    */
-  _formatTopIssues(issues) {
-    if (!Array.isArray(issues)) return '_No data available_';
+  _formatTopIssues(issues, locale = 'en') {
+    if (!Array.isArray(issues)) return t(locale, 'mood.no_data');
     
     return issues
       .slice(0, 5) // Top 5 issues
       .filter(issue => issue && typeof issue === 'object')
       .map((issue, index) => {
-        const category = this._sanitize(issue.category || 'Unknown');
+        const category = this._sanitize(translateValue(locale, 'category', issue.category || 'Unknown'));
         const count = Math.max(0, parseInt(issue.count) || 0);
-        return `${index + 1}. **${category}** (${count} mentions)`;
+        return `${index + 1}. **${category}** (${t(locale, 'mood.mentions', { count })})`;
       })
-      .join('\n') || '_No issues detected_';
+      .join('\n') || t(locale, 'mood.no_issues');
   }
 }
 
 // Express route handler wrapper
-function createCommandHandler() {
-  const handler = new TeamMoodCommandHandler();
+function createCommandHandler(options = {}) {
+  const handler = new TeamMoodCommandHandler(options);
   return (req, res) => handler.handleCommand(req, res);
 }
 
@@ -0,0 +1,195 @@
+/**
+ * Card Button Function Handler
+ *
+ * Handles `invoke.function` buttons on the cards this extension sends.
+ * Zoho posts the button name and its `data` payload; we dispatch on the name.
+ *
+ * Functions:
+ * - sendSuggestedReply: Post the suggested reply from an analysis card
+ * - sendReply: Post the reply from a /actions/suggest-reply card
+ * - flagConversation: Add the analyzed message to the HR review queue
+ * - refreshMood: Re-render a /team-mood card in place
+ *
+ * Button data comes back from the client unsigned, so handlers check it
+ * against the context Zoho sends (channel, chat, message) before acting.
+ * Replies are in the clicking user's Cliq language (see utils/i18n).
+ *
+ * Environment Variables:
+ * - ZOHO_CLIENT_ID / ZOHO_CLIENT_SECRET / ZOHO_REFRESH_TOKEN: Cliq API credentials
+ */
+
+const CliqClient = require('../utils/cliq_client');
+const OrgConfigResolver = require('../utils/org_config');
+const ReviewQueue = require('../utils/review_queue');
+const Redactor = require('../utils/redactor');
+const { t, resolveLocale } = require('../utils/i18n');
+const { createLogger } = require('../utils/logger');
+const { TeamMoodCommandHandler } = require('../commands/team_mood');
+
+const log = createLogger('Function');
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+class FunctionInvocationHandler {
+  constructor(options = {}) {
+    this.orgConfig = options.orgConfig || new OrgConfigResolver();
+    this.cliqClient = options.cliqClient || new CliqClient();
+    this.reviewQueue = options.reviewQueue || new ReviewQueue();
+    this.redactor = options.redactor || new Redactor();
+    this.moodHandler = options.moodHandler || new TeamMoodCommandHandler({
+      orgConfig: this.orgConfig,
+      statsService: options.statsService,
+      dashboardAuth: options.dashboardAuth,
+    });
+
+    this.functions = {
+      sendSuggestedReply: (body, locale) => this._sendReply(body, locale),
+      sendReply: (body, locale) => this._sendReply(body, locale),
+      flagConversation: (body, locale) => this._flagConversation(body, locale),
+      refreshMood: (body, locale) => this._refreshMood(body, locale),
+    };
+  }
+
+  /**
+   * Main function invocation handler
+   * Express middleware: (req, res) => {}
+   */
+  async handleInvoke(req, res) {
+    const locale = resolveLocale(req.body);
+    try {
+      if (!req.body || typeof req.body !== 'object') {
+        return res.status(400).json({ text: t(locale, 'action.invalid_request') });
+      }
+
+      const name = req.body.name || req.body.function?.name || req.body.button?.name;
+      const fn = Object.prototype.hasOwnProperty.call(this.functions, name) ? this.functions[name] : null;
+
+      if (!fn) {
+        log.warn('Unknown function', { name });
+        return res.status(400).json({ text: t(locale, 'action.unknown') });
+      }
+
+      log.info('Function invoked', { name, userId: req.body.user?.id });
+
+      const response = await fn(req.body, locale);
+      return res.status(200).json(response);
+    } catch (error) {
+      log.error('Invocation error', { error });
+      return res.status(200).json({ text: t(locale, 'action.failed') });
+    }
+  }
+
+  /**
+   * Extract button data payload
+   * @private
+   */
+  _getData(body) {
+    const data = body.data || body.button?.data;
+    return data && typeof data === 'object' ? data : {};
+  }
+
+  /**
+   * Post a suggested reply back to the conversation
+   * @private
+   */
+  async _sendReply(body, locale = 'en') {
+    const data = this._getData(body);
+    const reply = typeof data.reply === 'string' ? data.reply.trim() : '';
+
+    if (!reply) {
+      return { text: t(locale, 'action.no_reply') };
+    }
+    if (reply.length > 5000) {
+      return { text: t(locale, 'action.reply_too_long', { max: 5000 }) };
+    }
+
+    // Chat ID is the most specific target; fall back to the channel
+    const target = data.chat_id || body.chat?.id || data.channel_id || body.channel?.id;
+    if (!target) {
+      return { text: t(locale, 'action.no_target') };
+    }
+
+    if (!this.cliqClient.isConfigured()) {
+      log.warn('Cliq API credentials are missing - reply not sent');
+      return { text: t(locale, 'action.replies_not_configured') };
+    }
+
+    await this.cliqClient.postToChannel(target, { text: reply });
+    return { text: t(locale, 'action.reply_sent') };
+  }
+
+  /**
+   * Record the analyzed message in the review queue
+   * Only flags the channel the button was clicked in. The excerpt is
+   * redacted again in case the payload was not built by our card.
+   * @private
+   */
+  async _flagConversation(body, locale = 'en') {
+    const data = this._getData(body);
+    const channelId = body.channel?.id || null;
+
+    if (data.channel_id && data.channel_id !== channelId) {
+      log.warn('Flag for another channel rejected', { userId: body.user?.id, channelId, flagged: data.channel_id });
+      return { text: t(locale, 'action.flag_wrong_channel') };
+    }
+
+    const config = this.orgConfig.resolve(body);
+    const stressScore = parseFloat(data.stress_score);
+    const message = typeof data.message === 'string'
+      ? this.redactor.redact(data.message.substring(0, 100), config.redactionPatterns).text.substring(0, 100)
+      : '';
+
+    const flag = this.reviewQueue.add({
+      stress_score: isNaN(stressScore) ? null : Math.max(0, Math.min(10, stressScore)),
+      sentiment: SENTIMENTS.includes(data.sentiment) ? data.sentiment : null,
+      message,
+      channel_id: channelId,
+      flagged_by: body.user?.id,
+      orgId: config.orgId,
+    });
+
+    return { text: t(locale, 'action.flagged', { id: flag.id }) };
+  }
+
+  /**
+   * Re-render the mood card
+   * Edits the original message when Zoho tells us which one it was and
+   * the bot sent it, and always returns the fresh card as the response.
+   * @private
+   */
+  async _refreshMood(body, locale = 'en') {
+    const data = this._getData(body);
+    const channelId = data.channel_id || body.channel?.id;
+
+    const config = this.orgConfig.resolve(body);
+    const card = await this.moodHandler.buildMoodReport(channelId, config, locale, body);
+
+    const chatId = body.chat?.id;
+    const messageId = body.message?.id;
+    if (chatId && messageId && this._isBotMessage(body.message) && this.cliqClient.isConfigured()) {
+      try {
+        await this.cliqClient.editMessage(chatId, messageId, card);
+      } catch (error) {
+        log.error('Mood card edit failed', { error: error.message });
+      }
+    }
+
+    return card;
+  }
+
+  /**
+   * Whether the clicked message was posted by a bot, i.e. is ours to edit
+   * @private
+   */
+  _isBotMessage(message) {
+    return message?.sender?.is_bot === true;
+  }
+}
+
+// Express route handler wrapper
+function createFunctionHandler(options = {}) {
+  const handler = new FunctionInvocationHandler(options);
+  return (req, res) => handler.handleInvoke(req, res);
+}
+
+module.exports = { FunctionInvocationHandler, createFunctionHandler };
@@ -4,19 +4,36 @@
  * Routes:
  * - POST /bot/webhook - Bot message handler
  * - POST /commands/team-mood - Slash command handler
+ * - POST /commands/review - Slash command: HR review queue
+ * - POST /commands/mood-digest - Slash command: scheduled mood digests
  * - POST /actions/analyze - Message action: analyze sentiment
  * - POST /actions/suggest-reply - Message action: suggest reply
+ * - POST /functions/invoke - Card button functions (invoke.function)
  * - GET /widgets/dashboard - Widget dashboard (serves HTML)
+ * - GET /widgets/dashboard/data - Widget dashboard data (JSON)
+ * - GET /widgets/dashboard/export - Mood report download (CSV, JSON, PDF)
  * - GET /health - Health check endpoint
+ * - GET /metrics - Prometheus metrics (Bearer METRICS_TOKEN)
  * 
  * Environment Variables:
  * - PORT: Server port (default: 3000)
- * - BACKEND_API_URL: FastAPI backend URL
+ * - BACKEND_API_URL: FastAPI backend URL (default for orgs without backend_api_url)
  * - ZOHO_VERIFICATION_TOKEN: Zoho webhook verification token
+ * - WEBHOOK_SIGNING_SECRET / WEBHOOK_MAX_SKEW_SECONDS: HMAC request signing (see utils/request_verifier.js)
  * - STRESS_THRESHOLD: High stress alert threshold (default: 7)
  * - ADMIN_ALERT_CHANNEL: Channel ID for admin alerts
+ * - DATA_DIR: Directory for persisted state (default: ./data)
+ * - ANALYSIS_OFFLINE: Use the built-in local analyzer instead of the backend (default: false)
+ * - STATS_SOURCE: backend | local - where mood stats come from (default: backend)
+ * - DIGESTS_ENABLED: Post scheduled mood digests (default: true)
+ * - DEFAULT_LOCALE: Reply language when the user's Cliq locale is unknown (default: en)
+ * - LOG_LEVEL / LOG_FORMAT: Logging (see utils/logger.js)
+ * - METRICS_TOKEN: Bearer token for GET /metrics (endpoint is disabled when unset)
+ * - OUTBOUND_WEBHOOKS: Endpoints for signed event webhooks (see utils/outbound_webhooks.js)
+ * - ANALYSIS_QUEUE_ENABLED: Answer webhooks and message actions before the analysis finishes (see utils/analysis_queue.js)
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
@@ -26,31 +43,97 @@ require('dotenv').config();
 
 const { createWebhookHandler } = require('./bot/webhook_handler');
 const { createCommandHandler } = require('./commands/team_mood');
-const APIClient = require('./utils/api_client');
+const { createReviewCommandHandler } = require('./commands/review');
+const { createMoodDigestCommandHandler } = require('./commands/mood_digest');
+const { createFunctionHandler } = require('./functions/function_handler');
+const { createMessageActionHandlers } = require('./actions/message_actions');
+const { createDashboardRouter } = require('./widgets/dashboard/dashboard_handler');
+const OrgConfigResolver = require('./utils/org_config');
+const CliqClient = require('./utils/cliq_client');
+const ReviewQueue = require('./utils/review_queue');
+const PrivacyStore = require('./utils/privacy_store');
+const AnalysisStore = require('./utils/analysis_store');
+const StatsService = require('./utils/stats_service');
+const StressTracker = require('./utils/stress_tracker');
+const ConversationContext = require('./utils/conversation_context');
+const DigestScheduleStore = require('./utils/digest_schedules');
+const DigestScheduler = require('./utils/digest_scheduler');
+const LanguageDetector = require('./utils/language_detector');
+const RequestVerifier = require('./utils/request_verifier');
+const DashboardAuth = require('./utils/dashboard_auth');
+const AnalysisQueue = require('./utils/analysis_queue');
+const OutboundWebhooks = require('./utils/outbound_webhooks');
+const { createLogger, withCorrelationId } = require('./utils/logger');
+const metrics = require('./utils/metrics');
+
+const log = createLogger('Server');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+const ZOHO_ORIGINS = [
+  'https://cliq.zoho.com',
+  'https://cliq.zoho.eu',
+  'https://cliq.zoho.in'
+];
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
     directives: {
       defaultSrc: ["'self'"],
-      scriptSrc: ["'self'", "'unsafe-inline'", "cdn.jsdelivr.net"],
+      scriptSrc: ["'self'", "'unsafe-inline'", 'cdn.jsdelivr.net'],
       styleSrc: ["'self'", "'unsafe-inline'"],
-      imgSrc: ["'self'", "data:", "https:"],
+      imgSrc: ["'self'", 'data:', 'https:'],
+      // Dashboard widget is embedded in the Cliq sidebar
+      frameAncestors: ["'self'", ...ZOHO_ORIGINS],
     },
   },
+  // X-Frame-Options cannot allow-list origins; frame-ancestors above replaces it
+  frameguard: false,
 }));
 
+// Correlation ID: accept the caller's (e.g. a proxy's) or generate one.
+// Set before rate limiting so rejected requests are logged with an ID too.
+app.use((req, res, next) => {
+  const incoming = req.get('x-correlation-id');
+  req.correlationId = /^[\w.-]{8,100}$/.test(incoming || '') ? incoming : crypto.randomUUID();
+  res.set('X-Correlation-ID', req.correlationId);
+
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    // Route pattern, not path, so IDs in URLs don't each become a series
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metrics.httpDuration.observe({ method: req.method, route }, (Date.now() - startedAt) / 1000);
+
+    log.info('Request completed', {
+      correlationId: req.correlationId,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+    });
+  });
+  next();
+});
+
 // Rate limiting
+// Same response as express-rate-limit's default handler, plus a count per limiter
+const rateLimitHandler = limiter => (req, res, next, options) => {
+  metrics.rateLimitRejections.inc({ limiter });
+  log.warn('Rate limit exceeded', { limiter, path: req.path });
+  res.status(options.statusCode).send(options.message);
+};
+
 const generalLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 100, // 100 requests per minute
   message: { text: '⚠️ Too many requests. Please slow down.' },
   standardHeaders: true,
   legacyHeaders: false,
+  handler: rateLimitHandler('general'),
 });
 
 const analysisLimiter = rateLimit({
@@ -59,6 +142,7 @@ const analysisLimiter = rateLimit({
   message: { text: '⚠️ Analysis rate limit exceeded. Wait 1 minute.' },
   standardHeaders: true,
   legacyHeaders: false,
+  handler: rateLimitHandler('analysis'),
 });
 
 app.use(generalLimiter);
@@ -66,26 +150,42 @@ app.use(generalLimiter);
 // Middleware
 // CORS only for widget endpoints, Zoho domains only
 app.use('/widgets', cors({
-  origin: [
-    'https://cliq.zoho.com',
-    'https://cliq.zoho.eu',
-    'https://cliq.zoho.in'
-  ],
+  origin: ZOHO_ORIGINS,
   credentials: true
 }));
 
 // Body parsing with size limits (prevent DoS)
-app.use(bodyParser.json({ limit: '200kb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '200kb' }));
-
-// Request logging middleware
-app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-  next();
-});
-
-// Initialize API client
-const apiClient = new APIClient();
+// The raw body is kept for HMAC signature checks (utils/request_verifier.js)
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(bodyParser.json({ limit: '200kb', verify: keepRawBody }));
+app.use(bodyParser.urlencoded({ extended: true, limit: '200kb', verify: keepRawBody }));
+
+// Make the correlation ID visible to handlers and outgoing backend calls.
+// Entered after body parsing, whose stream callbacks would lose the context.
+app.use((req, res, next) => withCorrelationId(req.correlationId, next));
+
+// Initialize shared clients
+// Per-org settings pick the backend; apiClient is the env default (health checks)
+const orgConfig = new OrgConfigResolver();
+const apiClient = orgConfig.getAPIClient(orgConfig.defaults());
+const cliqClient = new CliqClient();
+// Webhook and message action analyses; started with the server, like the digest scheduler
+const analysisQueue = new AnalysisQueue({ cliqClient });
+const webhooks = new OutboundWebhooks();
+const reviewQueue = new ReviewQueue({ webhooks });
+const privacyStore = new PrivacyStore();
+const analysisStore = new AnalysisStore();
+const statsService = new StatsService({ orgConfig, analysisStore });
+const stressTracker = new StressTracker();
+const conversationContext = new ConversationContext();
+const languageDetector = new LanguageDetector();
+const dashboardAuth = new DashboardAuth();
+const digestSchedules = new DigestScheduleStore();
+const digestScheduler = new DigestScheduler({ schedules: digestSchedules, orgConfig, statsService, cliqClient, dashboardAuth, webhooks });
+// One verifier for every Cliq callback, so a nonce used on one route is spent on all
+const requestVerifier = new RequestVerifier();
+const verifyRequest = requestVerifier.middleware();
+const messageActions = createMessageActionHandlers({ orgConfig, cliqClient, privacyStore, languageDetector, analysisQueue });
 
 // ==================== ROUTES ====================
 
@@ -93,152 +193,44 @@ const apiClient = new APIClient();
  * Bot webhook endpoint
  * Handles all incoming messages from Zoho Cliq
  */
-app.post('/bot/webhook', analysisLimiter, createWebhookHandler());
+app.post('/bot/webhook', analysisLimiter, createWebhookHandler({ orgConfig, cliqClient, reviewQueue, privacyStore, analysisStore, stressTracker, conversationContext, languageDetector, requestVerifier, webhooks, analysisQueue }));
 
 /**
  * Slash command: /team-mood
  * Returns team sentiment statistics
  */
-app.post('/commands/team-mood', createCommandHandler());
+app.post('/commands/team-mood', verifyRequest, createCommandHandler({ orgConfig, statsService, dashboardAuth, cliqClient }));
 
 /**
- * Message action: Analyze Sentiment
- * Right-click context menu on any message
+ * Slash command: /review
+ * HR review queue for flagged conversations
  */
-app.post('/actions/analyze', analysisLimiter, async (req, res) => {
-  try {
-    // Validate request body
-    if (!req.body || typeof req.body !== 'object') {
-      return res.status(400).json({ text: '⚠️ Invalid request format' });
-    }
-
-    const { message, user, channel } = req.body;
-    
-    // Validate message exists
-    if (!message || typeof message.text !== 'string' || !message.text.trim()) {
-      return res.status(400).json({ text: '⚠️ No message text provided' });
-    }
-
-    // Validate message length
-    if (message.text.length > 5000) {
-      return res.status(400).json({ text: '⚠️ Message too long (max 5000 chars)' });
-    }
-    
-    const analysis = await apiClient.analyzeMessage({
-      message: message.text.trim(),
-      user_id: user?.id || 'unknown',
-      channel_id: channel?.id || 'unknown',
-    });
+app.post('/commands/review', verifyRequest, createReviewCommandHandler({ orgConfig, reviewQueue }));
 
-    res.json({
-      text: 'Analysis Complete',
-      card: {
-        title: '🔍 Sentiment Analysis',
-        sections: [
-          {
-            elements: [
-              { type: 'text', text: `**Sentiment:** ${analysis.sentiment}` },
-              { type: 'text', text: `**Emotion:** ${analysis.emotion}` },
-              { type: 'text', text: `**Stress:** ${analysis.stress_score}/10` },
-              { type: 'text', text: `**Category:** ${analysis.category}` },
-            ],
-          },
-        ],
-      },
-    });
-  } catch (error) {
-    console.error('[Action] Analyze error:', error);
-    res.json({ text: '⚠️ Analysis failed. Please try again.' });
-  }
-});
+/**
+ * Slash command: /mood-digest
+ * Schedules daily/weekly mood digests for a channel
+ */
+app.post('/commands/mood-digest', verifyRequest, createMoodDigestCommandHandler({ orgConfig, schedules: digestSchedules }));
 
 /**
- * Message action: Suggest Reply
- * Provides AI-generated empathetic response
+ * Message actions: Analyze Sentiment, Suggest Reply
+ * Right-click context menu on any message
  */
-app.post('/actions/suggest-reply', analysisLimiter, async (req, res) => {
-  try {
-    // Validate request body
-    if (!req.body || typeof req.body !== 'object') {
-      return res.status(400).json({ text: '⚠️ Invalid request format' });
-    }
-
-    const { message } = req.body;
-    
-    // Validate message exists
-    if (!message || typeof message.text !== 'string' || !message.text.trim()) {
-      return res.status(400).json({ text: '⚠️ No message text provided' });
-    }
-
-    // Validate message length
-    if (message.text.length > 5000) {
-      return res.status(400).json({ text: '⚠️ Message too long (max 5000 chars)' });
-    }
-    
-    const analysis = await apiClient.analyzeMessage({
-      message: message.text.trim(),
-    });
+app.post('/actions/analyze', analysisLimiter, verifyRequest, messageActions.analyze);
+app.post('/actions/suggest-reply', analysisLimiter, verifyRequest, messageActions.suggestReply);
 
-    res.json({
-      text: '💡 Suggested Reply',
-      card: {
-        title: 'Suggested Response',
-        sections: [
-          {
-            elements: [
-              { type: 'text', text: `_"${analysis.suggested_reply}"_` },
-            ],
-          },
-        ],
-        buttons: [
-          {
-            label: '📤 Send Reply',
-            type: 'invoke.function',
-            name: 'sendReply',
-            data: { reply: analysis.suggested_reply },
-          },
-        ],
-      },
-    });
-  } catch (error) {
-    console.error('[Action] Suggest reply error:', error);
-    res.json({ text: '⚠️ Unable to generate suggestion. Please try again.' });
-  }
-});
+/**
+ * Card button functions
+ * sendSuggestedReply, sendReply, flagConversation, refreshMood
+ */
+app.post('/functions/invoke', verifyRequest, createFunctionHandler({ orgConfig, cliqClient, reviewQueue, statsService, dashboardAuth }));
 
 /**
  * Widget: Dashboard
- * Serves the team sentiment dashboard
+ * Serves the team sentiment dashboard and its data endpoint
  */
-app.get('/widgets/dashboard', (req, res) => {
-  // TODO: Serve actual dashboard HTML with charts
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Team Sentiment Dashboard</title>
-      <style>
-        body { font-family: Arial, sans-serif; padding: 20px; background: #f5f5f5; }
-        .dashboard { background: white; padding: 20px; border-radius: 8px; }
-        h1 { color: #333; }
-      </style>
-    </head>
-    <body>
-      <div class="dashboard">
-        <h1>📊 Team Sentiment Dashboard</h1>
-        <p>Dashboard implementation coming soon...</p>
-        <p>This will display:</p>
-        <ul>
-          <li>Real-time sentiment charts</li>
-          <li>Stress level trends</li>
-          <li>Top issues breakdown</li>
-          <li>Individual team member insights</li>
-        </ul>
-      </div>
-    </body>
-    </html>
-  `);
-});
+app.use('/widgets/dashboard', createDashboardRouter({ orgConfig, statsService, dashboardAuth }));
 
 /**
  * Health check endpoint
@@ -262,7 +254,8 @@ app.get('/health', async (req, res) => {
     health.checks.backend = {
       status: backendHealthy ? 'up' : 'down',
       responseTime: Date.now() - backendStart,
-      url: process.env.BACKEND_API_URL
+      url: process.env.BACKEND_API_URL,
+      schemaViolations: apiClient.getSchemaViolations()
     };
     if (!backendHealthy) health.status = 'degraded';
   } catch (error) {
@@ -273,6 +266,12 @@ app.get('/health', async (req, res) => {
     };
   }
 
+  // Queued analyses; a growing backlog means the backend can't keep up
+  health.checks.analysisQueue = {
+    status: analysisQueue.isRunning() ? 'running' : 'off',
+    ...analysisQueue.stats(),
+  };
+
   // Check memory usage
   const memUsage = process.memoryUsage();
   health.checks.memory = {
@@ -294,6 +293,26 @@ app.get('/health', async (req, res) => {
   res.status(statusCode).json({ ...health, responseTime: `${responseTime}ms` });
 });
 
+/**
+ * Prometheus metrics
+ * Requires Authorization: Bearer <METRICS_TOKEN>; disabled when no token is set.
+ */
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) {
+    return res.status(404).json({ error: 'Metrics are disabled (METRICS_TOKEN is not set)' });
+  }
+
+  // Compare digests so the check is timing-safe whatever the header's length
+  const supplied = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(supplied), digest(token))) {
+    return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Unauthorized' });
+  }
+
+  res.set('Content-Type', metrics.CONTENT_TYPE).send(metrics.render());
+});
+
 /**
  * Root endpoint
  */
@@ -305,9 +324,15 @@ app.get('/', (req, res) => {
     endpoints: {
       webhook: '/bot/webhook',
       command: '/commands/team-mood',
+      review: '/commands/review',
+      moodDigest: '/commands/mood-digest',
       actions: ['/actions/analyze', '/actions/suggest-reply'],
+      functions: '/functions/invoke',
       widget: '/widgets/dashboard',
+      widgetData: '/widgets/dashboard/data',
+      widgetExport: '/widgets/dashboard/export',
       health: '/health',
+      metrics: '/metrics',
     },
   });
 });
@@ -321,10 +346,11 @@ app.use((req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
-  console.error('[Server] Unhandled error:', err);
+  log.error('Unhandled error', { error: err });
   res.status(500).json({
     error: 'Internal server error',
     message: process.env.NODE_ENV === 'development' ? err.message : undefined,
+    correlation_id: req.correlationId,
   });
 });
 
@@ -332,23 +358,24 @@ app.use((err, req, res, next) => {
 
 // Validate configuration on startup
 async function validateSetup() {
-  console.log('🔍 Validating configuration...');
+  log.info('Validating configuration');
   
-  if (!process.env.BACKEND_API_URL) {
-    console.error('❌ BACKEND_API_URL is not set!');
+  if (process.env.ANALYSIS_OFFLINE === 'true') {
+    log.warn('ANALYSIS_OFFLINE=true - messages are analyzed locally, backend is not used for analysis');
+  } else if (!process.env.BACKEND_API_URL) {
+    log.error('BACKEND_API_URL is not set');
     process.exit(1);
   }
 
   if (!process.env.ZOHO_VERIFICATION_TOKEN) {
-    console.warn('⚠️  ZOHO_VERIFICATION_TOKEN is not set - webhook security disabled!');
+    log.warn('ZOHO_VERIFICATION_TOKEN is not set - webhook security disabled');
   }
 
   try {
     await apiClient.validateConfig();
-    console.log('✅ Backend connection verified');
+    log.info('Backend connection verified');
   } catch (error) {
-    console.error('❌ Backend validation failed:', error.message);
-    console.warn('⚠️  Starting server anyway, but functionality will be limited');
+    log.error('Backend validation failed - starting anyway, functionality will be limited', { error: error.message });
   }
 }
 
@@ -358,33 +385,43 @@ let server;
 async function startServer() {
   await validateSetup();
   server = app.listen(PORT, () => {
-    console.log('');
-    console.log('🚀 ============================================');
-    console.log(`🤖 Zoho Cliq Extension Server Running`);
-    console.log(`📡 Port: ${PORT}`);
-    console.log(`🔗 Backend: ${process.env.BACKEND_API_URL}`);
-    console.log('🛠️  Endpoints:');
-    console.log(`   - Webhook:  POST http://localhost:${PORT}/bot/webhook`);
-    console.log(`   - Command:  POST http://localhost:${PORT}/commands/team-mood`);
-    console.log(`   - Health:   GET  http://localhost:${PORT}/health`);
-    console.log('============================================');
-    console.log('');
+    log.info('Zoho Cliq Extension server running', {
+      port: Number(PORT),
+      backend: process.env.BACKEND_API_URL,
+      webhook: `http://localhost:${PORT}/bot/webhook`,
+      health: `http://localhost:${PORT}/health`,
+    });
   });
+
+  // Not started on require() so tests and scripts don't post digests or analysis results
+  digestScheduler.start();
+  analysisQueue.start();
 }
 
 // Graceful shutdown handler
 async function gracefulShutdown(signal) {
-  console.log(`\n${signal} received, starting graceful shutdown...`);
+  log.info('Starting graceful shutdown', { signal });
+
+  digestScheduler.stop();
+  // Queued and running analyses resume after the restart
+  analysisQueue.stop();
+  // Pending retries go to the dead-letter log for `@emo-bot webhooks replay`
+  webhooks.shutdown();
+
+  // Batched writes would otherwise be lost
+  conversationContext.flush();
+  stressTracker.close();
+  analysisStore.close();
   
   if (server) {
     server.close(() => {
-      console.log('HTTP server closed');
+      log.info('HTTP server closed');
       process.exit(0);
     });
 
     // Force shutdown after 30s
     setTimeout(() => {
-      console.error('Forced shutdown after timeout');
+      log.error('Forced shutdown after timeout');
       process.exit(1);
     }, 30000);
   } else {
@@ -397,7 +434,7 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
 if (require.main === module) {
   startServer().catch(err => {
-    console.error('Failed to start server:', err);
+    log.error('Failed to start server', { error: err });
     process.exit(1);
   });
 }
@@ -0,0 +1,118 @@
+/**
+ * Mock Zoho Cliq API
+ *
+ * A local HTTP server standing in for both the Zoho accounts server
+ * (/oauth/v2/token) and the Cliq v2 API. Every request is recorded; tests
+ * queue canned responses per path to simulate expired tokens, rate limits
+ * and outages.
+ */
+
+const http = require('http');
+
+class MockCliqServer {
+  constructor() {
+    this.requests = [];
+    // path (without query) -> queued { status, body, headers }
+    this.responses = new Map();
+    this.tokenCount = 0;
+    this.server = http.createServer((req, res) => this._handle(req, res));
+  }
+
+  /**
+   * Start listening on a random local port
+   * @returns {Promise<MockCliqServer>}
+   */
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Options for a CliqClient that talks to this server
+   * @returns {Object}
+   */
+  clientOptions() {
+    return {
+      clientId: 'test-client',
+      clientSecret: 'test-secret',
+      refreshToken: 'test-refresh',
+      accountsURL: this.url,
+      apiURL: `${this.url}/api/v2`,
+      webURL: 'https://cliq.example.com',
+      botUniqueName: 'emobot',
+      retryDelay: 1,
+    };
+  }
+
+  /**
+   * Queue responses for a path; later requests get the default
+   *
+   * @param {string} path - e.g. '/api/v2/channelsbyname/hr/message'
+   * @param {...Object} responses - { status, body?, headers? }
+   */
+  respond(path, ...responses) {
+    this.responses.set(path, [...(this.responses.get(path) || []), ...responses]);
+  }
+
+  /**
+   * Recorded requests to a path
+   * @param {string} path
+   * @returns {Object[]}
+   */
+  requestsTo(path) {
+    return this.requests.filter(request => request.path === path);
+  }
+
+  /** @private */
+  _handle(req, res) {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, this.url);
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        raw,
+        body: this._parseBody(raw, req.headers['content-type']),
+      };
+      this.requests.push(request);
+
+      const queued = this.responses.get(url.pathname);
+      const response = queued?.length ? queued.shift() : this._default(url.pathname);
+
+      res.writeHead(response.status, { 'Content-Type': 'application/json', ...response.headers });
+      res.end(response.body === undefined ? '' : JSON.stringify(response.body));
+    });
+  }
+
+  /** @private */
+  _default(path) {
+    if (path === '/oauth/v2/token') {
+      this.tokenCount++;
+      return { status: 200, body: { access_token: `token-${this.tokenCount}`, expires_in: 3600 } };
+    }
+    return { status: 204 };
+  }
+
+  /** @private */
+  _parseBody(raw, contentType = '') {
+    if (!raw) return null;
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+      return Object.fromEntries(new URLSearchParams(raw));
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return raw;
+    }
+  }
+}
+
+module.exports = MockCliqServer;
@@ -0,0 +1,141 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const fetch = require('node-fetch');
+const MockCliqServer = require('../helpers/mock_cliq_server');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emobot-alert-test-'));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_LEVEL: 'error',
+  ZOHO_VERIFICATION_TOKEN: 'verify-me',
+  ADMIN_ALERTS_ENABLED: 'true',
+  ADMIN_ALERT_CHANNEL: 'hr-alerts',
+  STRESS_ALERT_RULES: 'single',
+  CHANNELS_ENABLED_BY_DEFAULT: 'true',
+  ANALYSIS_QUEUE_ENABLED: 'false',
+});
+
+const CliqClient = require('../../utils/cliq_client');
+const OrgConfigResolver = require('../../utils/org_config');
+const { createWebhookHandler } = require('../../bot/webhook_handler');
+
+const ALERT_PATH = '/api/v2/channelsbyname/hr-alerts/message';
+
+describe('admin stress alerts', () => {
+  let mock;
+  let server;
+  let baseURL;
+  let analysis;
+
+  before(async () => {
+    mock = await new MockCliqServer().start();
+
+    // The analysis backend is not under test; its result is set per test
+    const orgConfig = new OrgConfigResolver();
+    orgConfig.getAPIClient = () => ({ analyzeMessage: async () => analysis });
+
+    const app = express();
+    app.use(express.json());
+    app.post('/bot/webhook', createWebhookHandler({
+      orgConfig,
+      cliqClient: new CliqClient(mock.clientOptions()),
+    }));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await mock.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mock.requests = [];
+    mock.responses.clear();
+    analysis = {
+      sentiment: 'negative',
+      emotion: 'stressed',
+      stress_score: 9,
+      category: 'workload',
+      suggested_reply: 'That sounds like a lot.',
+    };
+  });
+
+  let messageCount = 0;
+  const sendMessage = (text = 'This deadline is impossible') => fetch(`${baseURL}/bot/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-zoho-verification-token': 'verify-me' },
+    body: JSON.stringify({
+      type: 'message',
+      message: { id: `M_${++messageCount}`, text },
+      // A new user and channel each time, so the alert cooldown never applies
+      user: { id: `U_${messageCount}`, name: 'Priya' },
+      channel: { id: `C_${messageCount}`, name: 'eng', chat_id: `CT_${messageCount}` },
+    }),
+  });
+
+  it('posts the alert card to the admin channel through the Cliq API', async () => {
+    const response = await sendMessage();
+    assert.equal(response.status, 200);
+
+    const [post] = mock.requestsTo(ALERT_PATH);
+    assert.ok(post, 'alert was posted');
+    assert.equal(post.query.bot_unique_name, 'emobot');
+    assert.match(post.headers.authorization, /^Zoho-oauthtoken /);
+
+    const { card } = post.body;
+    assert.match(card.title, /High Stress Alert/);
+    const text = card.sections.flatMap(section => section.elements.map(element => element.text)).join('\n');
+    assert.match(text, /Priya/);
+    assert.match(text, /eng/);
+    assert.match(text, /9\/10/);
+    assert.match(text, /stressed/);
+
+    const [button] = card.buttons;
+    assert.equal(button.type, 'open.url');
+    assert.equal(button.url, `https://cliq.example.com/chats/CT_${messageCount}?msgid=M_${messageCount}`);
+  });
+
+  it('does not alert below the threshold', async () => {
+    analysis.stress_score = 3;
+    await sendMessage('All good here');
+
+    assert.equal(mock.requestsTo(ALERT_PATH).length, 0);
+  });
+
+  it('retries the alert when Cliq is briefly unavailable', async () => {
+    mock.respond(ALERT_PATH, { status: 503 });
+
+    await sendMessage();
+
+    assert.equal(mock.requestsTo(ALERT_PATH).length, 2);
+  });
+
+  it('still answers the webhook when the alert cannot be delivered', async () => {
+    mock.respond(ALERT_PATH, { status: 400 });
+
+    const response = await sendMessage();
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(mock.requestsTo(ALERT_PATH).length, 1);
+    assert.ok(body.card, 'analysis card is still returned');
+  });
+
+  it('rejects webhooks without the verification token', async () => {
+    const response = await fetch(`${baseURL}/bot/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type: 'message', message: { text: 'hi' } }),
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal(mock.requestsTo(ALERT_PATH).length, 0);
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const AnalysisQueue = require('../../utils/analysis_queue');
+
+const ENV_KEYS = ['ANALYSIS_QUEUE_ENABLED', 'ANALYSIS_QUEUE_CONCURRENCY', 'ANALYSIS_QUEUE_MAX_SIZE'];
+
+/**
+ * Store whose disk is `saved`: only save() and flush() write, like a crash would leave it
+ */
+function memoryStore(data = { jobs: [], nextId: 1 }) {
+  return {
+    data,
+    saved: null,
+    save() {
+      this.saved = JSON.parse(JSON.stringify(this.data));
+      return true;
+    },
+    saveSoon() {},
+    flush() {
+      return this.save();
+    },
+  };
+}
+
+function createQueue(store = memoryStore()) {
+  const queue = new AnalysisQueue({ store, cliqClient: { isConfigured: () => true } });
+  queue.start();
+  return queue;
+}
+
+async function drained(queue) {
+  while (queue.store.data.jobs.length > 0) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+describe('AnalysisQueue', () => {
+  let env;
+
+  beforeEach(() => {
+    env = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    process.env.ANALYSIS_QUEUE_CONCURRENCY = '1';
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it('runs high-priority jobs first, then in arrival order', async () => {
+    const queue = createQueue();
+    queue.enqueue('test', { name: 'n1' });
+    queue.enqueue('test', { name: 'h1' }, { priority: 'high' });
+    queue.enqueue('test', { name: 'n2' });
+    queue.enqueue('test', { name: 'h2' }, { priority: 'high' });
+
+    const order = [];
+    queue.register('test', async data => order.push(data.name));
+    await drained(queue);
+
+    assert.deepEqual(order, ['h1', 'h2', 'n1', 'n2']);
+  });
+
+  it('refuses jobs when full, except high ones that replace the oldest normal job', () => {
+    process.env.ANALYSIS_QUEUE_MAX_SIZE = '2';
+    const queue = createQueue();
+
+    const first = queue.enqueue('test', { name: 'n1' });
+    queue.enqueue('test', { name: 'n2' });
+    assert.equal(queue.enqueue('test', { name: 'n3' }), null);
+
+    assert.ok(queue.enqueue('test', { name: 'h1' }, { priority: 'high' }));
+    assert.equal(queue.store.data.jobs.includes(first), false);
+    assert.deepEqual(queue.stats(), { high: 1, normal: 1, active: 0 });
+
+    assert.equal(queue.enqueue('test', { name: 'h2' }, { priority: 'high' }).priority, 'high');
+    assert.equal(queue.enqueue('test', { name: 'h3' }, { priority: 'high' }), null);
+  });
+
+  it('rejects unknown priorities', () => {
+    assert.throws(() => createQueue().enqueue('test', {}, { priority: 'urgent' }), /Unknown priority/);
+  });
+
+  it('purges waiting jobs and their text for a user', () => {
+    const store = memoryStore();
+    const queue = createQueue(store);
+    queue.enqueue('test', { name: 'a' }, { userIds: ['u1', 'u2'], transient: { text: 'hello' } });
+    queue.enqueue('test', { name: 'b' }, { userIds: ['u2'] });
+    queue.enqueue('test', { name: 'c' }, { userIds: ['u3'] });
+
+    assert.equal(queue.countForUser('u2'), 2);
+    assert.equal(queue.forgetUser('u2'), 2);
+    assert.equal(queue.countForUser('u2'), 0);
+    assert.equal(queue.countForUser('u1'), 0);
+    assert.equal(queue.transient.size, 0);
+    assert.deepEqual(store.saved.jobs.map(job => job.data.name), ['c']);
+  });
+
+  it('resumes stored jobs after a restart without their transient text', async () => {
+    const store = memoryStore();
+    createQueue(store).enqueue('test', { text: '[EMAIL] wrote this' }, { transient: { text: 'jane@example.com wrote this' } });
+    store.flush();
+    assert.doesNotMatch(JSON.stringify(store.saved), /jane@example\.com/);
+
+    const restarted = createQueue(memoryStore(structuredClone(store.saved)));
+    const calls = [];
+    restarted.register('test', async (data, transient) => calls.push({ data, transient }));
+    await drained(restarted);
+
+    assert.deepEqual(calls, [{ data: { text: '[EMAIL] wrote this' }, transient: undefined }]);
+  });
+
+  it('writes the attempt count before the handler runs and drops a job that keeps crashing', async () => {
+    const store = memoryStore();
+    createQueue(store).enqueue('test', { name: 'crashy' });
+    store.flush();
+
+    let disk = store.saved;
+    const seen = [];
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const restarted = createQueue(memoryStore(structuredClone(disk)));
+      // Never settles: the process "crashes" while the job runs
+      restarted.register('test', () => {
+        seen.push(restarted.store.saved.jobs[0].attempts);
+        return new Promise(() => {});
+      });
+      await new Promise(resolve => setImmediate(resolve));
+      disk = restarted.store.saved;
+    }
+    assert.deepEqual(seen, [1, 2, 3]);
+
+    const last = createQueue(memoryStore(structuredClone(disk)));
+    last.register('test', () => seen.push('ran'));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(seen, [1, 2, 3]);
+    assert.equal(last.store.data.jobs.length, 0);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const AnalysisStore = require('../../utils/analysis_store');
+
+const AT = new Date('2026-10-19T14:30:00Z');
+const DAY_START = new Date('2026-10-19T00:00:00Z');
+const DAY_END = new Date('2026-10-20T00:00:00Z');
+
+function analysis(sentiment, stress, category) {
+  return { sentiment, stress_score: stress, category };
+}
+
+describe('AnalysisStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new AnalysisStore({ filename: ':memory:' });
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  it('aggregates analyses per hour and channel', () => {
+    store.record({ orgId: 'o', channelId: 'c1', userId: 'u1', analysis: analysis('negative', 8, 'workload'), at: AT });
+    store.record({ orgId: 'o', channelId: 'c1', userId: 'u2', analysis: analysis('positive', 2, 'workload'), at: AT });
+    store.record({ orgId: 'o', channelId: 'c2', analysis: analysis('neutral', 4, 'deadline'), at: AT });
+    store.record({ orgId: 'other', channelId: 'c1', userId: 'u3', analysis: analysis('neutral', 5), at: AT });
+
+    const c1 = store.query('o', DAY_START, DAY_END, 'c1');
+    assert.deepEqual(c1, [{
+      hour: '2026-10-19T14',
+      channelId: 'c1',
+      bucket: {
+        count: 2,
+        sentiment: { positive: 1, neutral: 0, negative: 1 },
+        stressSum: 10,
+        categories: { workload: 2 },
+      },
+    }]);
+    assert.equal(store.query('o', DAY_START, DAY_END).length, 2);
+    assert.deepEqual(store.query('o', DAY_END, new Date('2026-10-21T00:00:00Z')), []);
+    assert.deepEqual(store.listChannels('o'), ['c1', 'c2']);
+  });
+
+  it('counts distinct identified authors', () => {
+    store.record({ orgId: 'o', channelId: 'c1', userId: 'u1', analysis: analysis('negative', 8, 'workload'), at: AT });
+    store.record({ orgId: 'o', channelId: 'c2', userId: 'u1', analysis: analysis('negative', 7, 'workload'), at: AT });
+    store.record({ orgId: 'o', channelId: 'c2', userId: 'u2', analysis: analysis('neutral', 3, 'deadline'), at: AT });
+    store.record({ orgId: 'o', channelId: 'c2', analysis: analysis('neutral', 3, 'deadline'), at: AT });
+
+    const all = store.authors('o', DAY_START, DAY_END);
+    assert.deepEqual([...all.users].sort(), ['u1', 'u2']);
+    assert.deepEqual([...all.byCategory.workload], ['u1']);
+    assert.deepEqual([...store.authors('o', DAY_START, DAY_END, 'c1').users], ['u1']);
+    assert.deepEqual([...store.authors('o', DAY_START, DAY_END, ['c1', 'c2']).users].sort(), ['u1', 'u2']);
+    assert.deepEqual([...store.authors('o', DAY_START, DAY_END, 'c2').byCategory.deadline], ['u2']);
+    assert.equal(store.authors('o', DAY_START, DAY_END, []).users.size, 0);
+  });
+
+  it('forgets a user but keeps the aggregate counts', () => {
+    store.record({ orgId: 'o', channelId: 'c1', userId: 'u1', analysis: analysis('negative', 8, 'workload'), at: AT });
+    store.record({ orgId: 'o', channelId: 'c1', userId: 'u1', analysis: analysis('negative', 6, 'workload'), at: AT });
+
+    assert.equal(store.countForUser('u1'), 2);
+    assert.equal(store.forgetUser('u1'), 2);
+    assert.equal(store.countForUser('u1'), 0);
+    assert.equal(store.authors('o', DAY_START, DAY_END).users.size, 0);
+    assert.equal(store.query('o', DAY_START, DAY_END)[0].bucket.count, 2);
+  });
+
+  it('drops buckets older than the retention period', () => {
+    store.record({ orgId: 'o', channelId: 'c1', userId: 'u1', analysis: analysis('neutral', 3), at: new Date('2026-08-01T10:00:00Z') });
+    store.record({ orgId: 'o', channelId: 'c1', analysis: analysis('neutral', 3), at: AT });
+
+    assert.deepEqual(store.query('o', new Date('2026-08-01T00:00:00Z'), new Date('2026-08-02T00:00:00Z')), []);
+    assert.equal(store.countForUser('u1'), 0);
+  });
+});
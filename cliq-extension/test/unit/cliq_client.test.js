@@ -0,0 +1,229 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const MockCliqServer = require('../helpers/mock_cliq_server');
+
+process.env.LOG_LEVEL = 'error';
+delete process.env.ZOHO_REFRESH_TOKEN;
+const CliqClient = require('../../utils/cliq_client');
+
+describe('CliqClient', () => {
+  let mock;
+
+  before(async () => {
+    mock = await new MockCliqServer().start();
+  });
+
+  after(async () => {
+    await mock.stop();
+  });
+
+  beforeEach(() => {
+    mock.requests = [];
+    mock.responses.clear();
+  });
+
+  const client = (options = {}) => new CliqClient({ ...mock.clientOptions(), ...options });
+
+  describe('OAuth', () => {
+    it('exchanges the refresh token before the first request and reuses the access token', async () => {
+      const cliq = client();
+      await cliq.postToChannel('hr', { text: 'one' });
+      await cliq.postToChannel('hr', { text: 'two' });
+
+      const tokenRequests = mock.requestsTo('/oauth/v2/token');
+      assert.equal(tokenRequests.length, 1);
+      assert.deepEqual(tokenRequests[0].body, {
+        refresh_token: 'test-refresh',
+        client_id: 'test-client',
+        client_secret: 'test-secret',
+        grant_type: 'refresh_token',
+      });
+
+      const posts = mock.requestsTo('/api/v2/channelsbyname/hr/message');
+      assert.equal(posts.length, 2);
+      assert.equal(posts[0].headers.authorization, posts[1].headers.authorization);
+      assert.match(posts[0].headers.authorization, /^Zoho-oauthtoken token-\d+$/);
+    });
+
+    it('refreshes the token once on 401 and retries with the new one', async () => {
+      const cliq = client();
+      mock.respond('/api/v2/channelsbyname/hr/message', { status: 401 });
+
+      await cliq.postToChannel('hr', { text: 'hello' });
+
+      const posts = mock.requestsTo('/api/v2/channelsbyname/hr/message');
+      assert.equal(posts.length, 2);
+      assert.notEqual(posts[0].headers.authorization, posts[1].headers.authorization);
+      assert.equal(mock.requestsTo('/oauth/v2/token').length, 2);
+    });
+
+    it('gives up when the refreshed token is rejected too', async () => {
+      const cliq = client();
+      mock.respond('/api/v2/channelsbyname/hr/message', { status: 401 }, { status: 401 });
+
+      await assert.rejects(cliq.postToChannel('hr', { text: 'hello' }), /Cliq API HTTP 401/);
+      assert.equal(mock.requestsTo('/oauth/v2/token').length, 2);
+    });
+
+    it('reports Zoho refresh errors returned with HTTP 200', async () => {
+      const cliq = client();
+      mock.respond('/oauth/v2/token', { status: 200, body: { error: 'invalid_code' } });
+
+      await assert.rejects(cliq.postToChannel('hr', { text: 'hello' }), /OAuth token refresh failed: invalid_code/);
+    });
+
+    it('shares one refresh between concurrent requests', async () => {
+      const cliq = client();
+      await Promise.all([
+        cliq.postToChannel('hr', { text: 'a' }),
+        cliq.postToChannel('hr', { text: 'b' }),
+        cliq.postToChannel('hr', { text: 'c' }),
+      ]);
+
+      assert.equal(mock.requestsTo('/oauth/v2/token').length, 1);
+    });
+
+    it('refuses to send without credentials', async () => {
+      const cliq = client({ refreshToken: '' });
+      assert.equal(cliq.isConfigured(), false);
+
+      await assert.rejects(cliq.postToChannel('hr', { text: 'x' }), /not configured/);
+      assert.equal(mock.requests.length, 0);
+    });
+  });
+
+  describe('retries', () => {
+    it('retries 5xx responses with exponential backoff', async () => {
+      const cliq = client({ retryDelay: 10 });
+      const delays = [];
+      cliq._sleep = ms => {
+        delays.push(ms);
+        return Promise.resolve();
+      };
+      mock.respond('/api/v2/channelsbyname/hr/message', { status: 503 }, { status: 502 });
+
+      await cliq.postToChannel('hr', { text: 'hello' });
+
+      assert.equal(mock.requestsTo('/api/v2/channelsbyname/hr/message').length, 3);
+      assert.deepEqual(delays, [10, 20]);
+    });
+
+    it('honors Retry-After on 429', async () => {
+      const cliq = client();
+      const delays = [];
+      cliq._sleep = ms => {
+        delays.push(ms);
+        return Promise.resolve();
+      };
+      mock.respond('/api/v2/channelsbyname/hr/message', { status: 429, headers: { 'Retry-After': '2' } });
+
+      await cliq.postToChannel('hr', { text: 'hello' });
+
+      assert.deepEqual(delays, [2000]);
+    });
+
+    it('stops after maxRetries and reports the last status', async () => {
+      const cliq = client({ maxRetries: 2 });
+      mock.respond('/api/v2/channelsbyname/hr/message', { status: 500 }, { status: 500 }, { status: 500 }, { status: 500 });
+
+      await assert.rejects(cliq.postToChannel('hr', { text: 'hello' }), /Cliq API HTTP 500/);
+      assert.equal(mock.requestsTo('/api/v2/channelsbyname/hr/message').length, 3);
+    });
+
+    it('does not retry other client errors', async () => {
+      const cliq = client();
+      mock.respond('/api/v2/channelsbyname/hr/message', { status: 400 });
+
+      await assert.rejects(cliq.postToChannel('hr', { text: 'hello' }), /Cliq API HTTP 400/);
+      assert.equal(mock.requestsTo('/api/v2/channelsbyname/hr/message').length, 1);
+    });
+
+    it('retries refused connections', async () => {
+      const cliq = client({ apiURL: 'http://127.0.0.1:1/api/v2', maxRetries: 2 });
+      let sleeps = 0;
+      cliq._sleep = () => {
+        sleeps++;
+        return Promise.resolve();
+      };
+
+      await assert.rejects(cliq.postToChannel('hr', { text: 'hello' }), /ECONNREFUSED/);
+      assert.equal(sleeps, 2);
+    });
+  });
+
+  describe('messages', () => {
+    it('posts to a channel by unique name as the bot', async () => {
+      const cliq = client();
+      await cliq.postToChannel('hr alerts', { text: 'hello', card: { title: 'T' } });
+
+      const [post] = mock.requestsTo('/api/v2/channelsbyname/hr%20alerts/message');
+      assert.equal(post.method, 'POST');
+      assert.deepEqual(post.query, { bot_unique_name: 'emobot' });
+      assert.deepEqual(post.body, { text: 'hello', card: { title: 'T' } });
+    });
+
+    it('posts to a chat ID directly', async () => {
+      const cliq = client();
+      await cliq.postToChannel('CT_123', { text: 'hello' });
+
+      const [post] = mock.requestsTo('/api/v2/chats/CT_123/message');
+      assert.deepEqual(post.body, { text: 'hello' });
+    });
+
+    it('requires a channel', async () => {
+      await assert.rejects(client().postToChannel('', { text: 'x' }), /Channel is required/);
+    });
+
+    it('sends a private bot message to one user', async () => {
+      const cliq = client();
+      await cliq.postToUser(42, { text: 'only you' });
+
+      const [post] = mock.requestsTo('/api/v2/bots/emobot/message');
+      assert.deepEqual(post.body, { text: 'only you', userids: '42' });
+    });
+
+    it('requires a user ID for private messages', async () => {
+      await assert.rejects(client().postToUser(null, { text: 'x' }), /User ID is required/);
+    });
+
+    it('edits a message in place', async () => {
+      const cliq = client();
+      mock.respond('/api/v2/chats/CT_1/messages/M_9', { status: 200, body: { ok: true } });
+
+      const result = await cliq.editMessage('CT_1', 'M_9', { text: 'updated' });
+
+      const [edit] = mock.requestsTo('/api/v2/chats/CT_1/messages/M_9');
+      assert.equal(edit.method, 'PUT');
+      assert.deepEqual(edit.body, { text: 'updated' });
+      assert.deepEqual(result, { ok: true });
+    });
+
+    it('requires chat and message IDs to edit', async () => {
+      await assert.rejects(client().editMessage('CT_1', null, { text: 'x' }), /required/);
+    });
+
+    it('looks up a channel by unique name', async () => {
+      const cliq = client();
+      mock.respond('/api/v2/channelsbyname/design', { status: 200, body: { channel_id: 'O_42', unique_name: 'design' } });
+
+      const channel = await cliq.getChannelByName('design');
+
+      assert.equal(channel.channel_id, 'O_42');
+      assert.equal(mock.requestsTo('/api/v2/channelsbyname/design')[0].method, 'GET');
+    });
+
+    it('returns null for an unknown channel name', async () => {
+      const cliq = client();
+      mock.respond('/api/v2/channelsbyname/nope', { status: 404 });
+
+      assert.equal(await cliq.getChannelByName('nope'), null);
+    });
+
+    it('builds message links in the web app', () => {
+      const cliq = client();
+      assert.equal(cliq.buildMessageLink('CT_1', 'M 2'), 'https://cliq.example.com/chats/CT_1?msgid=M%202');
+      assert.equal(cliq.buildMessageLink('CT_1'), 'https://cliq.example.com/chats/CT_1');
+      assert.equal(cliq.buildMessageLink(null, 'M_2'), null);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const ConversationContext = require('../../utils/conversation_context');
+
+const START = new Date('2026-10-19T09:00:00Z').getTime();
+const MINUTE_MS = 60 * 1000;
+const KEY = 'org-a:design:main';
+
+function createContext() {
+  return new ConversationContext({ store: { data: { threads: {} }, save() {}, saveSoon() {}, flush() {} } });
+}
+
+function append(context, minutes, { userId = 'u1', stress = 3, text = `message at ${minutes}`, key = KEY } = {}) {
+  context.append(key, { userId, text, analysis: { sentiment: 'neutral', stress_score: stress }, at: new Date(START + minutes * MINUTE_MS) });
+}
+
+describe('ConversationContext', () => {
+  afterEach(() => {
+    delete process.env.CONTEXT_WINDOW;
+    delete process.env.CONTEXT_TTL_MINUTES;
+    delete process.env.CONTEXT_ENABLED;
+  });
+
+  it('keys threads by organization, chat and thread', () => {
+    const context = createContext();
+    assert.equal(context.keyFor('org-a', { channel: { id: 'design' } }), 'org-a:design:main');
+    assert.equal(context.keyFor('org-a', { chat: { id: 'CT_1' }, thread: { id: 'T1' } }), 'org-a:CT_1:T1');
+    assert.equal(context.keyFor('org-a', { channel: { id: 'design' }, message: { thread_id: 'T2' } }), 'org-a:design:T2');
+    assert.equal(context.keyFor('org-a', {}), null);
+  });
+
+  it('keeps only the last CONTEXT_WINDOW messages, oldest first', () => {
+    process.env.CONTEXT_WINDOW = '3';
+    const context = createContext();
+    for (let i = 0; i < 5; i++) append(context, i);
+
+    assert.deepEqual(context.recent(KEY, new Date(START + 5 * MINUTE_MS)).map(message => message.text), ['message at 2', 'message at 3', 'message at 4']);
+  });
+
+  it('clamps the window to 1-20 messages', () => {
+    process.env.CONTEXT_WINDOW = '500';
+    assert.equal(createContext().window, 20);
+    process.env.CONTEXT_WINDOW = '-2';
+    assert.equal(createContext().window, 1);
+    process.env.CONTEXT_WINDOW = 'lots';
+    assert.equal(createContext().window, 5);
+  });
+
+  it('drops messages older than CONTEXT_TTL_MINUTES', () => {
+    process.env.CONTEXT_TTL_MINUTES = '30';
+    const context = createContext();
+    append(context, 0);
+    append(context, 20);
+
+    assert.equal(context.recent(KEY, new Date(START + 29 * MINUTE_MS)).length, 2);
+    assert.deepEqual(context.recent(KEY, new Date(START + 40 * MINUTE_MS)).map(message => message.text), ['message at 20']);
+
+    append(context, 45);
+    assert.deepEqual(context.store.data.threads[KEY].messages.map(message => message.text), ['message at 20', 'message at 45']);
+  });
+
+  it('prunes expired threads', () => {
+    process.env.CONTEXT_TTL_MINUTES = '30';
+    const context = createContext();
+    append(context, 0, { key: 'org-a:old:main' });
+    append(context, 60);
+
+    assert.deepEqual(Object.keys(context.store.data.threads), [KEY]);
+  });
+
+  it('truncates stored text and keeps anonymous authors without an ID', () => {
+    const context = createContext();
+    append(context, 0, { userId: null, text: 'x'.repeat(600) });
+    const [message] = context.recent(KEY, new Date(START));
+
+    assert.equal(message.text.length, 500);
+    assert.equal(message.userId, null);
+  });
+
+  it('marks the same author in the payload', () => {
+    const context = createContext();
+    append(context, 0, { userId: 'u1', stress: 2 });
+    append(context, 1, { userId: 'u2', stress: 6 });
+
+    assert.deepEqual(context.toPayload(context.recent(KEY, new Date(START + 2 * MINUTE_MS)), 'u1'), [
+      { text: 'message at 0', same_author: true, sentiment: 'neutral', stress_score: 2 },
+      { text: 'message at 1', same_author: false, sentiment: 'neutral', stress_score: 6 },
+    ]);
+    assert.equal(context.toPayload(context.recent(KEY, new Date(START + 2 * MINUTE_MS)), undefined)[0].same_author, false);
+  });
+
+  it('tells escalating, calming and steady threads apart', () => {
+    const context = createContext();
+    const messages = scores => scores.map(stressScore => ({ stressScore }));
+
+    assert.equal(context.direction(messages([2, 3])), null);
+    assert.deepEqual(context.direction(messages([2, 3, 6, 7])), { trend: 'escalating', from: 2.5, to: 6.5, messages: 4 });
+    assert.equal(context.direction(messages([8, 5, 3])).trend, 'calming');
+    assert.equal(context.direction(messages([4, 5, 4])).trend, 'steady');
+  });
+
+  it('does nothing when CONTEXT_ENABLED=false', () => {
+    process.env.CONTEXT_ENABLED = 'false';
+    const context = createContext();
+    append(context, 0);
+    assert.deepEqual(context.store.data.threads, {});
+    assert.deepEqual(context.recent(KEY), []);
+  });
+});
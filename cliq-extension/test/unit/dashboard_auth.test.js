@@ -0,0 +1,161 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+
+process.env.LOG_LEVEL = 'error';
+process.env.BOT_ADMIN_USER_IDS = 'admin';
+process.env.REVIEWER_USER_IDS = 'hr';
+const DashboardAuth = require('../../utils/dashboard_auth');
+const OrgConfigResolver = require('../../utils/org_config');
+const { createDashboardRouter } = require('../../widgets/dashboard/dashboard_handler');
+
+const SECRET = 'dashboard-secret';
+const TEAMS = [{ name: 'Support', managers: ['manager'], channels: ['support'] }];
+
+function tokenFor(auth, userId, channels = ['design'], orgId = 'org-a') {
+  return auth.issueToken({ userId, orgId, channels, name: userId });
+}
+
+describe('DashboardAuth', () => {
+  const auth = new DashboardAuth({ secret: SECRET, ttlMinutes: 60, teams: TEAMS });
+
+  describe('tokens', () => {
+    it('round-trips a signed token', () => {
+      const viewer = auth.authenticate(tokenFor(auth, 'u1'));
+      assert.deepEqual(viewer, { userId: 'u1', orgId: 'org-a', name: 'u1', role: 'member', channels: ['design'], drillDown: false });
+    });
+
+    it('does not issue a token without a user ID', () => {
+      assert.equal(auth.issueToken({ channels: ['design'] }), null);
+    });
+
+    it('rejects expired tokens', () => {
+      const expired = new DashboardAuth({ secret: SECRET, ttlMinutes: -1 });
+      assert.equal(auth.authenticate(tokenFor(expired, 'u1')), null);
+    });
+
+    it('rejects tampered payloads, foreign secrets and malformed tokens', () => {
+      const [encoded, signature] = tokenFor(auth, 'u1').split('.');
+      const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+      const forged = Buffer.from(JSON.stringify({ ...payload, uid: 'admin' })).toString('base64url');
+
+      assert.equal(auth.authenticate(`${forged}.${signature}`), null);
+      assert.equal(auth.authenticate(tokenFor(new DashboardAuth({ secret: 'other' }), 'u1')), null);
+      assert.equal(auth.authenticate(`${encoded}.${signature}.extra`), null);
+      assert.equal(auth.authenticate(''), null);
+      assert.equal(auth.authenticate(undefined), null);
+    });
+
+    it('drops malformed channel IDs from a validly signed payload', () => {
+      const encoded = Buffer.from(JSON.stringify({
+        uid: 'u1', channels: ['design', '../etc', 42], exp: Math.floor(Date.now() / 1000) + 60,
+      })).toString('base64url');
+      const signature = crypto.createHmac('sha256', SECRET).update(encoded).digest('base64url');
+      assert.deepEqual(auth.authenticate(`${encoded}.${signature}`).channels, ['design']);
+    });
+  });
+
+  describe('roles', () => {
+    it('takes the role from server-side lists, never from the token', () => {
+      assert.equal(auth.authenticate(tokenFor(auth, 'admin')).role, 'admin');
+      assert.equal(auth.authenticate(tokenFor(auth, 'hr')).drillDown, true);
+      assert.equal(auth.authenticate(tokenFor(auth, 'u1')).drillDown, false);
+    });
+
+    it('limits members to their channels and managers to their teams too', () => {
+      const member = auth.authenticate(tokenFor(auth, 'u1'));
+      assert.equal(auth.canView(member, 'design'), true);
+      assert.equal(auth.canView(member, 'support'), false);
+      assert.equal(auth.canView(member, null), false);
+
+      const manager = auth.authenticate(tokenFor(auth, 'manager'));
+      assert.equal(manager.role, 'manager');
+      assert.deepEqual(manager.channels.sort(), ['design', 'support']);
+
+      const hr = auth.authenticate(tokenFor(auth, 'hr'));
+      assert.equal(auth.canView(hr, null), true);
+      assert.equal(auth.canView(hr, 'anything'), true);
+    });
+  });
+
+  describe('dashboard routes', () => {
+    let server;
+    let baseURL;
+    let calls;
+
+    before(async () => {
+      const statsService = {
+        minGroupSize: 3,
+        getTodayStats: async (config, channelId) => {
+          calls.push({ method: 'today', orgId: config.orgId, channelId });
+          return { total_messages: 4, positive_pct: 50, neutral_pct: 25, negative_pct: 25, avg_stress: 4 };
+        },
+        getTrends: async () => ({ days: [] }),
+        getChannelBreakdown: async () => [],
+        listChannels: () => ['design', 'support'],
+      };
+      const reportExporter = {
+        build: async (config, options) => {
+          calls.push({ method: 'export', orgId: config.orgId, channels: options.channels });
+          return {};
+        },
+        render: () => ({ body: 'csv', contentType: 'text/csv', filename: 'report.csv' }),
+      };
+      const app = express();
+      app.use('/widgets/dashboard', createDashboardRouter({ orgConfig: new OrgConfigResolver(), statsService, reportExporter, dashboardAuth: auth }));
+      server = await new Promise(resolve => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+      });
+      baseURL = `http://127.0.0.1:${server.address().port}/widgets/dashboard`;
+    });
+
+    after(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      calls = [];
+    });
+
+    const data = (query, token) => fetch(`${baseURL}/data?${query}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+
+    it('requires a valid token for /data', async () => {
+      assert.equal((await data('channel=design')).status, 401);
+      assert.equal((await data('channel=design', 'bogus.token')).status, 401);
+      assert.deepEqual(calls, []);
+    });
+
+    it('serves a member their own channel in the token\'s organization, and nothing else', async () => {
+      const token = tokenFor(auth, 'u1');
+      const own = await data('channel=design', token);
+      assert.equal(own.status, 200);
+      assert.deepEqual((await own.json()).access, { all: false, drill_down: false });
+      assert.deepEqual(calls[0], { method: 'today', orgId: 'org-a', channelId: 'design' });
+
+      assert.equal((await data('channel=support', token)).status, 403);
+      assert.equal((await data('channel=design&org=org-b', token)).status, 200);
+      assert.ok(calls.every(call => call.orgId === 'org-a'));
+    });
+
+    it('defaults a member to their channel and HR to the org-wide view', async () => {
+      await data('', tokenFor(auth, 'u1'));
+      await data('', tokenFor(auth, 'hr'));
+      assert.deepEqual(calls.map(call => call.channelId), ['design', null]);
+    });
+
+    it('checks every exported channel and takes the token from the query', async () => {
+      const token = tokenFor(auth, 'u1');
+      const exportURL = channels => `${baseURL}/export?format=csv&days=7&channels=${channels}&token=${encodeURIComponent(token)}`;
+
+      assert.equal((await fetch(`${baseURL}/export?format=csv&channels=design`)).status, 401);
+      assert.equal((await fetch(exportURL('design,support'))).status, 403);
+      assert.deepEqual(calls, []);
+
+      const ok = await fetch(exportURL('design'));
+      assert.equal(ok.status, 200);
+      assert.equal(ok.headers.get('content-disposition'), 'attachment; filename="report.csv"');
+      assert.deepEqual(calls, [{ method: 'export', orgId: 'org-a', channels: ['design'] }]);
+    });
+  });
+});
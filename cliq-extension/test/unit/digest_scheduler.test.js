@@ -0,0 +1,200 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+const DigestScheduler = require('../../utils/digest_scheduler');
+const DigestScheduleStore = require('../../utils/digest_schedules');
+const { t } = require('../../utils/i18n');
+
+// Monday; 09:00 in Berlin (CEST, UTC+2)
+const BERLIN_NINE = new Date('2026-10-19T07:00:00Z');
+const MINUTE_MS = 60 * 1000;
+
+describe('DigestScheduler', () => {
+  let dataDir;
+  let posts;
+  let events;
+  let reports;
+
+  function createScheduler(cliqClient = null) {
+    return new DigestScheduler({
+      schedules: new DigestScheduleStore(),
+      cliqClient: cliqClient || {
+        isConfigured: () => true,
+        postToChannel: async (target, message) => { posts.push({ target, message }); },
+      },
+      orgConfig: { resolve: body => ({ orgId: body.organization.id }) },
+      webhooks: { emit: (type, data, orgId) => events.push({ type, data, orgId }) },
+      moodHandler: {
+        buildMoodReport: async channelId => {
+          reports.push({ kind: 'today', channelId });
+          return { card: { title: 'Team Mood' } };
+        },
+        buildRangeReport: async (channelId, period) => {
+          reports.push({ kind: 'range', channelId, days: period.days });
+          return { card: { title: 'Last 7 days' } };
+        },
+      },
+    });
+  }
+
+  function addSchedule(scheduler, changes = {}) {
+    return scheduler.schedules.add({
+      orgId: 'org-a', target: 'CT_1', channelId: 'design', frequency: 'daily', time: '09:00',
+      timezone: 'Europe/Berlin', locale: 'de', ...changes,
+    });
+  }
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emobot-digest-'));
+    process.env.DATA_DIR = dataDir;
+    posts = [];
+    events = [];
+    reports = [];
+  });
+
+  afterEach(() => {
+    delete process.env.DATA_DIR;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('dueSlot', () => {
+    it('is due from the local time until the grace period ends', () => {
+      const scheduler = createScheduler();
+      const schedule = addSchedule(scheduler);
+      const at = minutes => scheduler.dueSlot(schedule, new Date(BERLIN_NINE.getTime() + minutes * MINUTE_MS));
+
+      assert.equal(at(-1), null);
+      assert.equal(at(0), '2026-10-19');
+      assert.equal(at(59), '2026-10-19');
+      assert.equal(at(60), null);
+    });
+
+    it('uses the date in the schedule\'s timezone', () => {
+      const scheduler = createScheduler();
+      const schedule = addSchedule(scheduler, { time: '00:30', timezone: 'Asia/Tokyo' });
+      assert.equal(scheduler.dueSlot(schedule, new Date('2026-10-18T15:30:00Z')), '2026-10-19');
+    });
+
+    it('posts weekly digests on their weekday only', () => {
+      const scheduler = createScheduler();
+      const monday = addSchedule(scheduler, { frequency: 'weekly', weekday: 1 });
+      const tuesday = addSchedule(scheduler, { frequency: 'weekly', weekday: 2 });
+
+      assert.equal(scheduler.dueSlot(monday, BERLIN_NINE), '2026-10-19');
+      assert.equal(scheduler.dueSlot(tuesday, BERLIN_NINE), null);
+    });
+
+    it('is not due again for a slot already posted', () => {
+      const scheduler = createScheduler();
+      const schedule = { ...addSchedule(scheduler), lastSlot: '2026-10-19' };
+      assert.equal(scheduler.dueSlot(schedule, BERLIN_NINE), null);
+    });
+  });
+
+  describe('tick', () => {
+    it('posts a due digest once, in the creator\'s language, and emits an event', async () => {
+      const scheduler = createScheduler();
+      const schedule = addSchedule(scheduler);
+
+      assert.equal(await scheduler.tick(BERLIN_NINE), 1);
+      assert.equal(await scheduler.tick(new Date(BERLIN_NINE.getTime() + MINUTE_MS)), 0);
+
+      assert.equal(posts.length, 1);
+      assert.equal(posts[0].target, 'CT_1');
+      assert.equal(posts[0].message.text, t('de', 'digest.daily'));
+      assert.equal(posts[0].message.card.title, `${t('de', 'digest.daily')} - Team Mood`);
+      assert.deepEqual(reports, [{ kind: 'today', channelId: 'design' }]);
+      assert.equal(scheduler.schedules.list()[0].lastSlot, '2026-10-19');
+
+      assert.equal(events.length, 1);
+      assert.equal(events[0].type, 'digest.generated');
+      assert.equal(events[0].orgId, 'org-a');
+      assert.deepEqual({ id: events[0].data.schedule_id, date: events[0].data.date }, { id: schedule.id, date: '2026-10-19' });
+    });
+
+    it('reports the last 7 days in weekly digests', async () => {
+      const scheduler = createScheduler();
+      addSchedule(scheduler, { frequency: 'weekly', weekday: 1, locale: 'en' });
+
+      await scheduler.tick(BERLIN_NINE);
+      assert.deepEqual(reports, [{ kind: 'range', channelId: 'design', days: 7 }]);
+      assert.equal(posts[0].message.text, t('en', 'digest.weekly'));
+    });
+
+    it('posts only once when several instances share the data directory', async () => {
+      const first = createScheduler();
+      const second = createScheduler();
+      addSchedule(first);
+
+      const posted = await Promise.all([first.tick(BERLIN_NINE), second.tick(BERLIN_NINE), createScheduler().tick(BERLIN_NINE)]);
+      assert.equal(posted.reduce((sum, count) => sum + count, 0), 1);
+      assert.equal(posts.length, 1);
+
+      assert.equal(await second.tick(new Date(BERLIN_NINE.getTime() + MINUTE_MS)), 0);
+      assert.equal(posts.length, 1);
+    });
+
+    it('releases the slot when posting fails, so the next tick retries', async () => {
+      let fail = true;
+      const scheduler = createScheduler({
+        isConfigured: () => true,
+        postToChannel: async (target, message) => {
+          if (fail) throw new Error('HTTP 503');
+          posts.push({ target, message });
+        },
+      });
+      addSchedule(scheduler);
+
+      assert.equal(await scheduler.tick(BERLIN_NINE), 0);
+      assert.equal(scheduler.schedules.list()[0].lastSlot, null);
+
+      fail = false;
+      assert.equal(await scheduler.tick(new Date(BERLIN_NINE.getTime() + MINUTE_MS)), 1);
+      assert.equal(posts.length, 1);
+    });
+  });
+});
+
+describe('DigestScheduleStore', () => {
+  let dataDir;
+  let schedules;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emobot-digest-'));
+    process.env.DATA_DIR = dataDir;
+    schedules = new DigestScheduleStore();
+  });
+
+  afterEach(() => {
+    delete process.env.DATA_DIR;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const add = changes => schedules.add({ orgId: 'org-a', target: 'CT_1', frequency: 'daily', time: '9:05', ...changes });
+
+  it('normalizes the time and defaults to UTC', () => {
+    const schedule = add();
+    assert.equal(schedule.time, '09:05');
+    assert.equal(schedule.timezone, 'UTC');
+    assert.equal(schedules.describe(add({ frequency: 'weekly', weekday: 1, timezone: 'Europe/Berlin' })), 'weekly on Mon at 09:05 (Europe/Berlin)');
+  });
+
+  it('rejects bad frequencies, times, weekdays and timezones', () => {
+    assert.throws(() => add({ frequency: 'hourly' }), { code: 'INVALID_FREQUENCY' });
+    assert.throws(() => add({ time: '24:00' }), { code: 'INVALID_TIME' });
+    assert.throws(() => add({ frequency: 'weekly' }), { code: 'INVALID_WEEKDAY' });
+    assert.throws(() => add({ timezone: 'Mars/Olympus' }), { code: 'INVALID_TIMEZONE' });
+  });
+
+  it('limits digests per channel and hides other organizations', () => {
+    for (let i = 0; i < 5; i++) add();
+    assert.throws(() => add(), { code: 'LIMIT_REACHED' });
+
+    assert.throws(() => schedules.remove('1', 'org-b'), { code: 'NOT_FOUND' });
+    assert.equal(schedules.remove('1', 'org-a').id, '1');
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const { FunctionInvocationHandler } = require('../../functions/function_handler');
+const ReviewQueue = require('../../utils/review_queue');
+const { t } = require('../../utils/i18n');
+
+const MOOD_CARD = { card: { title: 'Team Mood' } };
+
+describe('FunctionInvocationHandler', () => {
+  let handler;
+  let cliq;
+  let reviewQueue;
+  let moodCalls;
+
+  beforeEach(() => {
+    cliq = {
+      configured: true,
+      posted: [],
+      edited: [],
+      isConfigured() { return this.configured; },
+      async postToChannel(target, message) { this.posted.push({ target, message }); },
+      async editMessage(chatId, messageId, message) { this.edited.push({ chatId, messageId, message }); },
+    };
+    reviewQueue = new ReviewQueue({ store: { data: { flags: [], nextId: 1 }, save() {} }, webhooks: { emit() {} } });
+    moodCalls = [];
+    handler = new FunctionInvocationHandler({
+      orgConfig: { resolve: () => ({ orgId: 'org-a', redactionPatterns: null }) },
+      cliqClient: cliq,
+      reviewQueue,
+      moodHandler: {
+        buildMoodReport: async (channelId, config) => {
+          moodCalls.push({ channelId, orgId: config.orgId });
+          return MOOD_CARD;
+        },
+      },
+    });
+  });
+
+  async function invoke(body) {
+    let status;
+    let sent;
+    await handler.handleInvoke({ body }, { status: code => ({ json: response => { status = code; sent = response; } }) });
+    return { status, response: sent };
+  }
+
+  it('rejects unknown functions, including inherited property names', async () => {
+    for (const name of ['deleteEverything', 'constructor', 'toString']) {
+      const { status, response } = await invoke({ name });
+      assert.equal(status, 400, name);
+      assert.equal(response.text, t('en', 'action.unknown'));
+    }
+  });
+
+  describe('sendReply', () => {
+    it('posts the reply to the chat, then the channel', async () => {
+      await invoke({ name: 'sendReply', chat: { id: 'CT_1' }, data: { reply: '  Hang in there  ' } });
+      await invoke({ name: 'sendSuggestedReply', channel: { id: 'design' }, data: { reply: 'Hi' } });
+
+      assert.deepEqual(cliq.posted, [
+        { target: 'CT_1', message: { text: 'Hang in there' } },
+        { target: 'design', message: { text: 'Hi' } },
+      ]);
+    });
+
+    it('refuses empty and overlong replies and missing targets', async () => {
+      assert.equal((await invoke({ name: 'sendReply', chat: { id: 'CT_1' }, data: { reply: ' ' } })).response.text, t('en', 'action.no_reply'));
+      assert.equal(
+        (await invoke({ name: 'sendReply', chat: { id: 'CT_1' }, data: { reply: 'x'.repeat(5001) } })).response.text,
+        t('en', 'action.reply_too_long', { max: 5000 }),
+      );
+      assert.equal((await invoke({ name: 'sendReply', data: { reply: 'Hi' } })).response.text, t('en', 'action.no_target'));
+      assert.deepEqual(cliq.posted, []);
+    });
+
+    it('says so when the Cliq API is not configured', async () => {
+      cliq.configured = false;
+      const { response } = await invoke({ name: 'sendReply', chat: { id: 'CT_1' }, data: { reply: 'Hi' } });
+      assert.equal(response.text, t('en', 'action.replies_not_configured'));
+      assert.deepEqual(cliq.posted, []);
+    });
+
+    it('answers in the user\'s language and hides send errors', async () => {
+      cliq.postToChannel = async () => { throw new Error('HTTP 500'); };
+      const { status, response } = await invoke({ name: 'sendReply', user: { language: 'de' }, chat: { id: 'CT_1' }, data: { reply: 'Hi' } });
+      assert.equal(status, 200);
+      assert.equal(response.text, t('de', 'action.failed'));
+    });
+  });
+
+  describe('flagConversation', () => {
+    const flagBody = data => ({ name: 'flagConversation', user: { id: 'u1' }, channel: { id: 'design' }, data });
+
+    it('flags the conversation of the channel it was clicked in', async () => {
+      const { response } = await invoke(flagBody({ stress_score: '12', sentiment: 'negative', message: 'Too much', channel_id: 'design' }));
+      const [flag] = reviewQueue.list({ orgId: 'org-a' });
+
+      assert.equal(response.text, t('en', 'action.flagged', { id: flag.id }));
+      assert.equal(flag.stress_score, 10);
+      assert.equal(flag.sentiment, 'negative');
+      assert.equal(flag.channel_id, 'design');
+      assert.equal(flag.flagged_by, 'u1');
+    });
+
+    it('refuses to flag another channel', async () => {
+      const { response } = await invoke(flagBody({ stress_score: 9, message: 'Planted', channel_id: 'leadership' }));
+      assert.equal(response.text, t('en', 'action.flag_wrong_channel'));
+      assert.deepEqual(reviewQueue.list({ orgId: 'org-a' }), []);
+    });
+
+    it('redacts the excerpt and drops unknown sentiments', async () => {
+      await invoke(flagBody({ sentiment: '<b>furious</b>', message: 'Mail me at jane.doe@example.com', stress_score: 'high' }));
+      const [flag] = reviewQueue.list({ orgId: 'org-a' });
+
+      assert.equal(flag.message, 'Mail me at [EMAIL]');
+      assert.equal(flag.sentiment, null);
+      assert.equal(flag.stress_score, null);
+    });
+  });
+
+  describe('refreshMood', () => {
+    const refreshBody = sender => ({
+      name: 'refreshMood', user: { id: 'u1' }, channel: { id: 'design' }, chat: { id: 'CT_1' },
+      message: { id: 'M_1', sender }, data: { channel_id: 'design' },
+    });
+
+    it('edits the card the bot posted and returns it', async () => {
+      const { response } = await invoke(refreshBody({ id: 'b-1', is_bot: true }));
+
+      assert.deepEqual(response, MOOD_CARD);
+      assert.deepEqual(moodCalls, [{ channelId: 'design', orgId: 'org-a' }]);
+      assert.deepEqual(cliq.edited, [{ chatId: 'CT_1', messageId: 'M_1', message: MOOD_CARD }]);
+    });
+
+    it('never edits a message someone else posted', async () => {
+      const { response } = await invoke(refreshBody({ id: 'u2' }));
+      await invoke({ ...refreshBody(undefined), message: { id: 'M_2' } });
+
+      assert.deepEqual(response, MOOD_CARD);
+      assert.deepEqual(cliq.edited, []);
+    });
+
+    it('still returns the card when the edit fails', async () => {
+      cliq.editMessage = async () => { throw new Error('HTTP 403'); };
+      const { response } = await invoke(refreshBody({ id: 'b-1', is_bot: true }));
+      assert.deepEqual(response, MOOD_CARD);
+    });
+  });
+});
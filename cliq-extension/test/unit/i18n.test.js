@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { t, SUPPORTED } = require('../../utils/i18n');
+
+describe('i18n', () => {
+  it('picks the plural form from count', () => {
+    assert.equal(t('en', 'mood.export.min_group', { count: 1 }), '_Days with fewer than 1 person are left out._');
+    assert.equal(t('en', 'mood.export.min_group', { count: 3 }), '_Days with fewer than 3 people are left out._');
+    assert.equal(t('de', 'mood.range.suppressed_days', { count: 1, min: 3 }), '_🔒 1 Tag mit weniger als 3 Personen nicht berücksichtigt._');
+  });
+
+  it('uses the plain key when there are no plural forms', () => {
+    assert.equal(t('en', 'query.max_channels', { count: 2, max: 5 }), 'You can compare up to 5 channels at once.');
+  });
+
+  it('falls back to English, then to the key', () => {
+    assert.equal(t('xx', 'mood.export.min_group', { count: 2 }), '_Days with fewer than 2 people are left out._');
+    assert.equal(t('de', 'no.such.key'), 'no.such.key');
+  });
+
+  it('has every English key in every locale', () => {
+    const english = Object.keys(require('../../utils/i18n/en'));
+    for (const locale of SUPPORTED) {
+      const strings = require(`../../utils/i18n/${locale}`);
+      assert.deepEqual(english.filter(key => !(key in strings)), [], `missing in ${locale}`);
+    }
+  });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const LocalAnalyzer = require('../../utils/local_analyzer');
+const { t } = require('../../utils/i18n');
+
+describe('LocalAnalyzer', () => {
+  const analyzer = new LocalAnalyzer();
+
+  it('reads stress and negative sentiment from the lexicon', () => {
+    const result = analyzer.analyze('I am completely overwhelmed, the deadline is impossible and everything is broken');
+    assert.equal(result.sentiment, 'negative');
+    assert.equal(result.emotion, 'stressed');
+    assert.ok(result.stress_score >= 6, `stress ${result.stress_score}`);
+  });
+
+  it('reads positive messages as calm', () => {
+    const result = analyzer.analyze('Thanks everyone, great work on the release! 🎉');
+    assert.equal(result.sentiment, 'positive');
+    assert.ok(result.stress_score <= 2, `stress ${result.stress_score}`);
+  });
+
+  it('does not count negated words', () => {
+    assert.notEqual(analyzer.analyze('I am not happy with this').sentiment, 'positive');
+  });
+
+  it('marks results as local, with capped confidence', () => {
+    const result = analyzer.analyze('great great great awesome amazing love love love');
+    assert.deepEqual(result.meta, { source: 'local', model: 'lexicon-v1' });
+    assert.ok(result.confidence <= 0.6);
+  });
+
+  it('suggests a reply in the detected language and handles empty input', () => {
+    const result = analyzer.analyze('so stressed and overwhelmed by this deadline', { language: 'de' });
+    assert.equal(result.suggested_reply, t('de', `reply.${result.emotion}`));
+
+    const empty = analyzer.analyze(undefined);
+    assert.equal(empty.sentiment, 'neutral');
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseMoodQuery, MAX_RANGE_DAYS, MAX_CHANNELS } = require('../../commands/mood_query');
+
+const NOW = new Date('2026-10-19T15:30:00Z');
+const parse = text => parseMoodQuery(text, 'current', NOW);
+
+describe('parseMoodQuery', () => {
+  it('defaults to today in the current channel', () => {
+    for (const text of ['', '  ', 'today', undefined]) {
+      assert.deepEqual(parse(text), { channels: ['current'], period: { type: 'today' }, compare: false, export: null });
+    }
+    assert.deepEqual(parseMoodQuery('', null, NOW).channels, []);
+  });
+
+  it('parses "last" ranges in every spelling, ending today', () => {
+    const week = { type: 'range', from: '2026-10-13', to: '2026-10-19', days: 7 };
+    for (const text of ['last 7d', 'last 7 days', 'LAST 1w', 'last week']) {
+      assert.deepEqual(parse(text).period, week, text);
+    }
+    assert.deepEqual(parse('last 2 weeks').period, { type: 'range', from: '2026-10-06', to: '2026-10-19', days: 14 });
+    assert.deepEqual(parse('last day').period, { type: 'range', from: '2026-10-19', to: '2026-10-19', days: 1 });
+  });
+
+  it('rejects bad or too long "last" ranges', () => {
+    assert.deepEqual(parse('last 7'), { error: 'query.last_unit' });
+    assert.deepEqual(parse('last 0d'), { error: 'query.last_unit' });
+    assert.deepEqual(parse('last 3 months'), { error: 'query.last_unit' });
+    assert.deepEqual(parse(`last ${MAX_RANGE_DAYS + 1}d`), { error: 'query.max_days', errorParams: { max: MAX_RANGE_DAYS } });
+    assert.equal(parse(`last ${MAX_RANGE_DAYS}d`).period.days, MAX_RANGE_DAYS);
+  });
+
+  it('parses explicit inclusive date ranges', () => {
+    assert.deepEqual(parse('2026-10-01..2026-10-14').period, { type: 'range', from: '2026-10-01', to: '2026-10-14', days: 14 });
+    assert.equal(parse('2026-10-19..2026-10-19').period.days, 1);
+  });
+
+  it('rejects impossible, reversed, future and too old date ranges', () => {
+    assert.deepEqual(parse('2026-02-30..2026-03-02'), { error: 'query.invalid_range', errorParams: { token: '2026-02-30..2026-03-02' } });
+    assert.equal(parse('yesterday..today').error, 'query.invalid_range');
+    assert.deepEqual(parse('2026-10-10..2026-10-01'), { error: 'query.start_after_end' });
+    assert.deepEqual(parse('2026-10-15..2026-10-20'), { error: 'query.future' });
+    assert.deepEqual(parse('2026-06-01..2026-06-10'), { error: 'query.too_old', errorParams: { max: MAX_RANGE_DAYS } });
+  });
+
+  it('allows only one period', () => {
+    assert.deepEqual(parse('today last 7d'), { error: 'query.one_period' });
+    assert.deepEqual(parse('last 7d 2026-10-01..2026-10-02'), { error: 'query.one_period' });
+  });
+
+  it('reports on named channels instead of the current one', () => {
+    assert.deepEqual(parse('#design last 7d'), {
+      channels: ['#design'],
+      period: { type: 'range', from: '2026-10-13', to: '2026-10-19', days: 7 },
+      compare: false,
+      export: null,
+    });
+    assert.deepEqual(parse('O1234567').channels, ['O1234567']);
+  });
+
+  it('compares several channels in any notation, once each', () => {
+    for (const text of ['#design vs #support', '#design, #support', '#design #support and #design']) {
+      const query = parse(text);
+      assert.deepEqual(query.channels, ['#design', '#support'], text);
+      assert.equal(query.compare, true);
+    }
+  });
+
+  it('limits the number of channels', () => {
+    const channels = Array.from({ length: MAX_CHANNELS + 1 }, (_, i) => `#c${i}`).join(' ');
+    assert.deepEqual(parse(channels), { error: 'query.max_channels', errorParams: { max: MAX_CHANNELS } });
+  });
+
+  it('rejects unknown tokens and quotes them safely', () => {
+    assert.deepEqual(parse('#design `rm -rf`'), { error: 'query.unknown', errorParams: { token: 'rm' } });
+    assert.deepEqual(parse('<script>'), { error: 'query.unknown', errorParams: { token: '<script>' } });
+  });
+
+  describe('export', () => {
+    it('defaults to a PDF of the last 30 days without comparing', () => {
+      assert.deepEqual(parse('export #design #support'), {
+        channels: ['#design', '#support'],
+        period: { type: 'range', from: '2026-09-20', to: '2026-10-19', days: 30 },
+        compare: false,
+        export: 'pdf',
+      });
+    });
+
+    it('takes a format and a period', () => {
+      const query = parse('export CSV last 7d');
+      assert.equal(query.export, 'csv');
+      assert.equal(query.period.days, 7);
+      assert.deepEqual(query.channels, ['current']);
+    });
+
+    it('allows one format, and formats only when exporting', () => {
+      assert.deepEqual(parse('export csv json'), { error: 'query.one_format' });
+      assert.deepEqual(parse('csv').channels, ['csv']);
+    });
+  });
+});
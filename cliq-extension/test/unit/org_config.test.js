@@ -0,0 +1,54 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const OrgConfigResolver = require('../../utils/org_config');
+
+function resolver(orgs = {}) {
+  return new OrgConfigResolver({ store: { data: { orgs }, save() {} } });
+}
+
+function payload(url) {
+  return { organization: { id: 'org-1' }, settings: { backend_api_url: url } };
+}
+
+describe('OrgConfigResolver', () => {
+  afterEach(() => {
+    delete process.env.ALLOWED_BACKEND_HOSTS;
+  });
+
+  it('ignores org backends when ALLOWED_BACKEND_HOSTS is empty', () => {
+    const config = resolver().resolve(payload('http://169.254.169.254/latest'));
+    assert.equal(config.backendApiUrl, process.env.BACKEND_API_URL || null);
+  });
+
+  it('accepts only listed hosts', () => {
+    process.env.ALLOWED_BACKEND_HOSTS = 'api.example.com';
+    const orgConfig = resolver();
+    assert.equal(orgConfig.resolve(payload('https://api.example.com/v1/')).backendApiUrl, 'https://api.example.com/v1');
+    assert.equal(orgConfig.resolve(payload('http://127.0.0.1:8080')).backendApiUrl, 'https://api.example.com/v1');
+  });
+
+  it('drops saved backends whose host is no longer allowed', () => {
+    const config = resolver({ 'org-1': { settings: { backendApiUrl: 'http://10.0.0.5' } } })
+      .resolve({ organization: { id: 'org-1' } });
+    assert.equal(config.backendApiUrl, process.env.BACKEND_API_URL || null);
+  });
+
+  it('keeps the saved redaction patterns when new ones are unsafe', () => {
+    const orgConfig = resolver();
+    orgConfig.resolve({ organization: { id: 'org-1' }, settings: { redaction_patterns: 'id=EMP-\\d{6}' } });
+    const config = orgConfig.resolve({ organization: { id: 'org-1' }, settings: { redaction_patterns: 'id=EMP-\\d{6}\nbad=(a+)+$' } });
+    assert.equal(config.redactionPatterns, 'id=EMP-\\d{6}');
+  });
+
+  it('keeps at most MAX_API_CLIENTS clients', () => {
+    const orgConfig = resolver();
+    const first = orgConfig.getAPIClient({ backendApiUrl: 'https://b0.example.com' });
+    for (let i = 1; i <= OrgConfigResolver.MAX_API_CLIENTS; i++) {
+      orgConfig.getAPIClient({ backendApiUrl: `https://b${i}.example.com` });
+    }
+    assert.equal(orgConfig.apiClients.size, OrgConfigResolver.MAX_API_CLIENTS);
+    assert.notEqual(orgConfig.getAPIClient({ backendApiUrl: 'https://b0.example.com' }), first);
+  });
+});
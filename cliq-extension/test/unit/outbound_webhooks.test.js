@@ -0,0 +1,172 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+process.env.LOG_LEVEL = 'error';
+const OutboundWebhooks = require('../../utils/outbound_webhooks');
+
+const SECRET = 'receiver-secret';
+
+/**
+ * Local webhook receiver: records every delivery and answers with queued statuses (200 when empty)
+ */
+class Receiver {
+  constructor() {
+    this.deliveries = [];
+    this.statuses = [];
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        this.deliveries.push({ headers: req.headers, body });
+        res.writeHead(this.statuses.shift() || 200);
+        res.end();
+      });
+    });
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}/hooks/secret-path`;
+    return this;
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+async function until(condition) {
+  const deadline = Date.now() + 5000;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for deliveries');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('OutboundWebhooks', () => {
+  let receiver;
+  let webhooks;
+
+  before(async () => {
+    receiver = await new Receiver().start();
+  });
+
+  after(async () => {
+    await receiver.stop();
+  });
+
+  beforeEach(() => {
+    receiver.deliveries = [];
+    receiver.statuses = [];
+    process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS = '3';
+    webhooks = new OutboundWebhooks({
+      endpoints: [{ url: receiver.url, events: ['flag.created'], secret: SECRET }],
+      store: { data: { entries: [], nextId: 1 }, save() {} },
+      retryDelay: 1,
+    });
+  });
+
+  afterEach(() => {
+    webhooks.shutdown();
+    delete process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS;
+  });
+
+  it('only sends subscribed events', () => {
+    assert.equal(webhooks.isSubscribed('flag.created'), true);
+    assert.equal(webhooks.emit('digest.generated', {}), null);
+  });
+
+  it('signs the timestamp, event ID and raw body', async () => {
+    const event = webhooks.emit('flag.created', { flag: { id: '7' } }, 'org-a');
+    await until(() => receiver.deliveries.length === 1);
+
+    const { headers, body } = receiver.deliveries[0];
+    const expected = crypto
+      .createHmac('sha256', SECRET)
+      .update(`${headers['x-emobot-timestamp']}.${event.id}.${body}`)
+      .digest('hex');
+    assert.equal(headers['x-emobot-signature'], `sha256=${expected}`);
+    assert.equal(headers['x-emobot-event'], 'flag.created');
+    assert.equal(headers['x-emobot-delivery'], event.id);
+    assert.ok(Math.abs(Date.now() / 1000 - Number(headers['x-emobot-timestamp'])) < 5);
+    assert.deepEqual(JSON.parse(body), { id: event.id, type: 'flag.created', created_at: event.created_at, data: { flag: { id: '7' } } });
+  });
+
+  it('retries 5xx and 429 with the same delivery ID', async () => {
+    receiver.statuses = [503, 429];
+    const event = webhooks.emit('flag.created', {}, 'org-a');
+    await until(() => receiver.deliveries.length === 3 && webhooks.pending.size === 0);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(receiver.deliveries.map(d => d.headers['x-emobot-attempt']), ['1', '2', '3']);
+    assert.ok(receiver.deliveries.every(d => d.headers['x-emobot-delivery'] === event.id));
+    assert.deepEqual(webhooks.listDeadLetters(), []);
+  });
+
+  it('backs off exponentially with jitter, up to five minutes', () => {
+    const defaults = new OutboundWebhooks({ endpoints: [], store: { data: { entries: [], nextId: 1 }, save() {} } });
+    for (const [attempts, base] of [[1, 2000], [2, 4000], [3, 8000], [20, 5 * 60 * 1000]]) {
+      const delay = defaults._retryDelay(attempts);
+      assert.ok(delay >= base * 0.8 && delay <= base * 1.2, `attempt ${attempts}: ${delay}`);
+    }
+  });
+
+  it('dead-letters a delivery after the last attempt, and at once for a 4xx', async () => {
+    receiver.statuses = [500, 500, 500, 400];
+    webhooks.emit('flag.created', { n: 1 }, 'org-a');
+    await until(() => webhooks.listDeadLetters().length === 1);
+    webhooks.emit('flag.created', { n: 2 }, 'org-b');
+    await until(() => webhooks.listDeadLetters().length === 2);
+
+    const [fourHundred, exhausted] = webhooks.listDeadLetters();
+    assert.equal(receiver.deliveries.length, 4);
+    assert.deepEqual(
+      { org: exhausted.org_id, attempts: exhausted.attempts, error: exhausted.last_error, url: exhausted.url },
+      { org: 'org-a', attempts: 3, error: 'HTTP 500', url: receiver.url },
+    );
+    assert.deepEqual({ org: fourHundred.org_id, attempts: fourHundred.attempts }, { org: 'org-b', attempts: 1 });
+  });
+
+  it('moves deliveries waiting for a retry to the dead letters on shutdown', async () => {
+    webhooks.retryDelay = 60 * 1000;
+    receiver.statuses = [503];
+    webhooks.emit('flag.created', {}, 'org-a');
+    await until(() => webhooks.pendingCount('org-a') === 1);
+    assert.equal(webhooks.pendingCount('org-b'), 0);
+
+    webhooks.shutdown();
+    assert.equal(webhooks.pending.size, 0);
+    assert.match(webhooks.listDeadLetters()[0].last_error, /^Interrupted by shutdown \(HTTP 503\)$/);
+  });
+
+  it('replays dead letters only for their own organization', async () => {
+    receiver.statuses = [400, 400, 400];
+    const eventA = webhooks.emit('flag.created', { n: 1 }, 'org-a');
+    webhooks.emit('flag.created', { n: 2 }, 'org-a');
+    webhooks.emit('flag.created', { n: 3 }, 'org-b');
+    await until(() => webhooks.listDeadLetters().length === 3);
+
+    assert.equal(webhooks.listDeadLetters({ orgId: 'org-a' }).length, 2);
+    const entryA = webhooks.listDeadLetters({ orgId: 'org-a' }).find(entry => entry.event.id === eventA.id);
+    assert.match((await webhooks.replay(entryA.id, 'org-b')).error, /not found/);
+
+    receiver.deliveries = [];
+    const result = await webhooks.replay(entryA.id, 'org-a');
+    assert.equal(result.ok, true);
+    assert.equal(result.entry.status, 'replayed');
+    assert.equal(receiver.deliveries[0].headers['x-emobot-delivery'], eventA.id);
+    assert.match((await webhooks.replay(entryA.id, 'org-a')).error, /already replayed/);
+
+    assert.deepEqual(await webhooks.replayAll('org-b'), { replayed: 1, failed: 0 });
+    assert.equal(webhooks.listDeadLetters({ orgId: 'org-a' }).length, 1);
+    assert.equal(webhooks.listDeadLetters({ orgId: 'org-b' }).length, 0);
+  });
+
+  it('treats dead letters without org_id as the default organization', () => {
+    webhooks.store.data.entries.push({ id: '1', status: 'failed', url: receiver.url, event: { type: 'flag.created' }, attempts: 1 });
+    assert.equal(webhooks.listDeadLetters({ orgId: 'default' }).length, 1);
+    assert.equal(webhooks.listDeadLetters({ orgId: 'org-a' }).length, 0);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const { createProvider } = require('../../utils/providers');
+const EnsembleProvider = require('../../utils/providers/ensemble_provider');
+
+const DEPS = { baseURL: 'https://backend.example.com', request: async () => ({}), validate: (schemaName, data) => data };
+
+function fixed(name, analysis) {
+  return {
+    name,
+    remote: name !== 'local',
+    analyze: async () => ({ category: 'general', suggested_reply: `${name} reply`, ...analysis, meta: { source: name } }),
+  };
+}
+
+function failing(name) {
+  return { name, remote: true, analyze: async () => { throw new Error(`${name} down`); } };
+}
+
+describe('createProvider', () => {
+  afterEach(() => {
+    delete process.env.ANALYSIS_PROVIDER;
+    delete process.env.ENSEMBLE_PROVIDERS;
+  });
+
+  it('picks the configured provider and falls back to the backend', () => {
+    assert.equal(createProvider(null, DEPS).name, 'backend');
+    assert.equal(createProvider('local', DEPS).name, 'local');
+    assert.equal(createProvider(' OpenAI ', DEPS).name, 'openai');
+    assert.equal(createProvider('constructor', DEPS).name, 'backend');
+
+    process.env.ANALYSIS_PROVIDER = 'local';
+    assert.equal(createProvider(null, DEPS).name, 'local');
+  });
+
+  it('builds an ensemble of the listed providers, once each', () => {
+    process.env.ENSEMBLE_PROVIDERS = 'local, backend, local, nonsense';
+    const ensemble = createProvider('ensemble', DEPS);
+
+    assert.equal(ensemble.name, 'ensemble');
+    assert.deepEqual(ensemble.providers.map(provider => provider.name), ['local', 'backend']);
+    assert.equal(ensemble.remote, true);
+  });
+
+  it('uses the backend when the ensemble list has no valid provider', () => {
+    process.env.ENSEMBLE_PROVIDERS = 'nonsense';
+    assert.equal(createProvider('ensemble', DEPS).name, 'backend');
+  });
+});
+
+describe('EnsembleProvider', () => {
+  const request = { payload: { message: 'x' }, original: { message: 'x' } };
+
+  it('weights votes and stress by confidence and takes the most confident reply', async () => {
+    const ensemble = new EnsembleProvider({
+      providers: [
+        fixed('backend', { sentiment: 'negative', emotion: 'stressed', stress_score: 8, category: 'workload', confidence: 0.9 }),
+        fixed('local', { sentiment: 'neutral', emotion: 'calm', stress_score: 6, confidence: 0.3 }),
+      ],
+    });
+    const result = await ensemble.analyze(request);
+
+    assert.equal(result.sentiment, 'negative');
+    assert.equal(result.emotion, 'stressed');
+    assert.equal(result.category, 'workload');
+    assert.equal(result.stress_score, 7.5);
+    assert.equal(result.suggested_reply, 'backend reply');
+    assert.deepEqual(result.meta, { providers: ['backend', 'local'], agreement: 0.75, disagreement: true, source: 'ensemble' });
+    assert.equal(result.confidence, 0.45);
+  });
+
+  it('keeps the mean confidence when providers agree', async () => {
+    const ensemble = new EnsembleProvider({
+      providers: [
+        fixed('backend', { sentiment: 'positive', emotion: 'happy', stress_score: 2, confidence: 0.8 }),
+        fixed('openai', { sentiment: 'positive', emotion: 'happy', stress_score: 3, confidence: 0.6 }),
+      ],
+    });
+    const result = await ensemble.analyze(request);
+
+    assert.equal(result.confidence, 0.7);
+    assert.equal(result.meta.disagreement, false);
+  });
+
+  it('lowers confidence when stress scores are far apart', async () => {
+    const ensemble = new EnsembleProvider({
+      providers: [
+        fixed('backend', { sentiment: 'negative', emotion: 'stressed', stress_score: 9, confidence: 0.5 }),
+        fixed('openai', { sentiment: 'negative', emotion: 'stressed', stress_score: 2, confidence: 0.5 }),
+      ],
+    });
+    const result = await ensemble.analyze(request);
+
+    assert.equal(result.meta.agreement, 0.8);
+    assert.equal(result.meta.disagreement, true);
+    assert.equal(result.confidence, 0.4);
+  });
+
+  it('returns a lone surviving result unchanged and fails only when all fail', async () => {
+    const local = { sentiment: 'neutral', emotion: 'calm', stress_score: 3, confidence: 0.4 };
+    const survivor = await new EnsembleProvider({ providers: [failing('backend'), fixed('local', local)] }).analyze(request);
+    assert.equal(survivor.meta.source, 'local');
+
+    await assert.rejects(new EnsembleProvider({ providers: [failing('backend'), failing('openai')] }).analyze(request), /backend down/);
+  });
+});
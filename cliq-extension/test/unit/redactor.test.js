@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const Redactor = require('../../utils/redactor');
+
+describe('Redactor', () => {
+  it('applies custom patterns', () => {
+    const redactor = new Redactor({ customPatterns: 'employee=EMP-\\d{6}\nssn=(?:\\d{3}-){2}\\d{4}' });
+    assert.equal(redactor.redact('EMP-123456 and 123-456-7890').text, '[REDACTED:employee] and [REDACTED:ssn]');
+  });
+
+  it('refuses patterns that can backtrack catastrophically', () => {
+    const sources = [
+      '(a+)+$', '(a|ab)*c', '(\\w+\\s?)*$', '([a-z]+)\\1', '(?<id>\\d+)-\\k<id>', '((ab)*)+',
+      '\\w*\\w*\\w*\\w*x', '(\\w+){2,40}x', '\\d+\\.?\\d+', '.*a.*', '(?=(a+)+)b',
+    ];
+    for (const source of sources) {
+      const rejected = [];
+      assert.deepEqual(Redactor.parsePatterns(`bad=${source}`, rejected), [], source);
+      assert.deepEqual(rejected, ['bad'], source);
+    }
+  });
+
+  it('keeps patterns without ambiguous repeats', () => {
+    const sources = [
+      '(?:ab)+', 'proj-(alpha|beta)', 'x[(+)]+', '(\\d{3}-)+\\d{4}', 'PRJ-[A-Z]+-\\d+',
+      '\\bproject\\s+(falcon|eagle)\\b', '(?<!\\d)\\d{5}(?!\\d)', '[A-Z]{2}-\\d{4,6}',
+    ];
+    for (const source of sources) {
+      assert.equal(Redactor.parsePatterns(`ok=${source}`).length, 1, source);
+    }
+  });
+});
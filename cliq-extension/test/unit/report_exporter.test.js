@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const ReportExporter = require('../../utils/report_exporter');
+
+const DAY = { positive_pct: 50, neutral_pct: 30, negative_pct: 20, avg_stress: 4.5, total_messages: 10 };
+
+function dataset(scopes) {
+  return {
+    generated_at: '2026-10-19T12:00:00.000Z',
+    org_id: 'org-a',
+    period: { from: '2026-10-17', to: '2026-10-19', days: 3 },
+    min_group_size: 5,
+    scopes,
+  };
+}
+
+function scope(channel, changes = {}) {
+  return {
+    channel,
+    summary: { days_with_data: 2, total_messages: 20, positive_pct: 50, neutral_pct: 30, negative_pct: 20, avg_stress: 4.5 },
+    days: [{ date: '2026-10-19', ...DAY }, { date: '2026-10-17', ...DAY }],
+    suppressed_dates: ['2026-10-18'],
+    today: { trend: 'stable', top_issues: [{ category: 'workload', count: 4 }] },
+    source: 'local',
+    ...changes,
+  };
+}
+
+describe('ReportExporter', () => {
+  const exporter = new ReportExporter({ orgConfig: {}, statsService: { minGroupSize: 5 } });
+
+  describe('toCSV', () => {
+    it('writes one row per channel and day, suppressed days without figures', () => {
+      const csv = exporter.toCSV(dataset([scope('design'), scope(null, { days: [], suppressed_dates: [] }), { channel: 'broken', error: 'Stats unavailable' }]));
+
+      assert.equal(csv, [
+        'channel,date,positive_pct,neutral_pct,negative_pct,avg_stress,total_messages,suppressed',
+        'design,2026-10-17,50,30,20,4.5,10,false',
+        'design,2026-10-18,,,,,,true',
+        'design,2026-10-19,50,30,20,4.5,10,false',
+        '',
+      ].join('\r\n'));
+    });
+
+    it('quotes separators and neutralizes spreadsheet formulas', () => {
+      const channels = ['a,b', 'say "hi"', '=HYPERLINK("x")', '+1', '-2', '@sum', 'line\nbreak'];
+      const csv = exporter.toCSV(dataset(channels.map(channel => scope(channel, { days: [], suppressed_dates: ['2026-10-18'] }))));
+      const cells = csv.split('\r\n').slice(1, -1).map(row => row.substring(0, row.indexOf(',2026-10-18')));
+
+      assert.deepEqual(cells, ['"a,b"', '"say ""hi"""', '"\'=HYPERLINK(""x"")"', '\'+1', '\'-2', '\'@sum', '"line\nbreak"']);
+    });
+  });
+
+  describe('toJSON', () => {
+    it('writes the dataset as it is', () => {
+      const data = dataset([scope('design')]);
+      assert.deepEqual(JSON.parse(exporter.toJSON(data)), data);
+    });
+  });
+
+  describe('toPDF', () => {
+    it('writes a well-formed PDF with one page per channel', () => {
+      const pdf = exporter.toPDF(dataset([scope('design'), scope(null), { channel: 'broken', error: 'Stats unavailable' }])).toString('latin1');
+
+      assert.ok(pdf.startsWith('%PDF-1.4'));
+      assert.ok(pdf.endsWith('%%EOF\n'));
+      assert.match(pdf, /\/Type \/Pages \/Kids \[[^\]]+\] \/Count 3/);
+      assert.equal(pdf.match(/\/Type \/Page /g).length, 3);
+
+      const xrefOffset = parseInt(pdf.match(/startxref\n(\d+)/)[1]);
+      assert.equal(pdf.substring(xrefOffset, xrefOffset + 4), 'xref');
+
+      assert.match(pdf, /\(Channel: #design\)/);
+      assert.match(pdf, /\(All channels\)/);
+      assert.match(pdf, /\(Stats for this channel could not be loaded\.\)/);
+    });
+
+    it('escapes text and replaces characters outside Latin-1', () => {
+      const pdf = exporter.toPDF(dataset([scope('a(b)\\c', { today: { trend: 'up', top_issues: [{ category: 'Überstunden 😩', count: 2 }] } })])).toString('latin1');
+      assert.match(pdf, /\(Channel: #a\\\(b\\\)\\\\c\)/);
+      assert.match(pdf, /Überstunden \?\?/);
+    });
+  });
+
+  describe('render', () => {
+    it('names the file after the period and sets the content type', () => {
+      const data = dataset([scope('design')]);
+
+      assert.deepEqual(
+        { type: exporter.render(data, 'csv').contentType, name: exporter.render(data, 'csv').filename },
+        { type: 'text/csv; charset=utf-8', name: 'team-mood_2026-10-17_2026-10-19.csv' },
+      );
+      assert.equal(exporter.render(data, 'json').contentType, 'application/json; charset=utf-8');
+      const pdf = exporter.render(data, 'pdf');
+      assert.equal(pdf.contentType, 'application/pdf');
+      assert.ok(Buffer.isBuffer(pdf.body));
+    });
+  });
+
+  describe('build', () => {
+    it('keeps a failing channel as an error and anonymized figures only', async () => {
+      const today = new Date().toISOString().substring(0, 10);
+      const statsService = {
+        minGroupSize: 5,
+        getTrends: async (config, days, channelId) => {
+          if (channelId === 'broken') throw new Error('down');
+          return { days: [{ date: today, ...DAY, avg_stress: 42 }, { date: '2000-01-01', ...DAY }], suppressed_dates: ['2000-01-02'], source: 'backend' };
+        },
+        getTodayStats: async () => ({ suppressed: true }),
+      };
+      const result = await new ReportExporter({ orgConfig: {}, statsService }).build({ orgId: 'org-a' }, { channels: ['design', 'broken'], from: today, to: today });
+
+      assert.deepEqual(result.period, { from: today, to: today, days: 1 });
+      assert.equal(result.min_group_size, 5);
+      assert.deepEqual(result.scopes[0].days.map(day => [day.date, day.avg_stress]), [[today, 10]]);
+      assert.deepEqual(result.scopes[0].suppressed_dates, []);
+      assert.deepEqual(result.scopes[0].today, { suppressed: true });
+      assert.deepEqual(result.scopes[1], { channel: 'broken', error: 'Stats unavailable' });
+    });
+
+    it('fails when every channel fails', async () => {
+      const statsService = { minGroupSize: 5, getTrends: async () => { throw new Error('down'); }, getTodayStats: async () => ({}) };
+      await assert.rejects(new ReportExporter({ orgConfig: {}, statsService }).build({ orgId: 'org-a' }, { channels: ['a'], from: '2026-10-01', to: '2026-10-02' }), /down/);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+process.env.LOG_LEVEL = 'error';
+const RequestVerifier = require('../../utils/request_verifier');
+
+const SECRET = 'test-signing-secret';
+
+function sign(timestamp, nonce, body, secret = SECRET) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.${body}`).digest('hex');
+}
+
+function signedRequest(body, { timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomBytes(16).toString('hex') } = {}) {
+  return {
+    headers: {
+      'x-cliq-timestamp': String(timestamp),
+      'x-cliq-nonce': nonce,
+      'x-cliq-signature': sign(timestamp, nonce, body),
+    },
+    rawBody: Buffer.from(body),
+  };
+}
+
+describe('RequestVerifier', () => {
+  const verifier = () => new RequestVerifier({ token: '', signingSecret: SECRET });
+
+  it('accepts a correctly signed request', () => {
+    assert.deepEqual(verifier().verify(signedRequest('{"type":"message"}')), { ok: true });
+  });
+
+  it('rejects a tampered body', () => {
+    const req = signedRequest('{"type":"message"}');
+    req.rawBody = Buffer.from('{"type":"bot_mention"}');
+    assert.deepEqual(verifier().verify(req), { ok: false, reason: 'invalid_signature' });
+  });
+
+  it('rejects stale and future timestamps', () => {
+    const now = Math.floor(Date.now() / 1000);
+    assert.equal(verifier().verify(signedRequest('{}', { timestamp: now - 301 })).reason, 'stale_timestamp');
+    assert.equal(verifier().verify(signedRequest('{}', { timestamp: now + 301 })).reason, 'stale_timestamp');
+    assert.equal(verifier().verify(signedRequest('{}', { timestamp: now - 290 })).ok, true);
+  });
+
+  it('rejects a replayed nonce, also with a fresh signature', () => {
+    const v = verifier();
+    const req = signedRequest('{}', { nonce: 'nonce-0001' });
+    assert.equal(v.verify(req).ok, true);
+    assert.deepEqual(v.verify(req), { ok: false, reason: 'replayed_nonce' });
+    assert.equal(v.verify(signedRequest('{"other":1}', { nonce: 'nonce-0001' })).reason, 'replayed_nonce');
+  });
+
+  it('rejects requests with missing or malformed signature headers', () => {
+    const complete = signedRequest('{}');
+    for (const header of ['x-cliq-timestamp', 'x-cliq-nonce', 'x-cliq-signature']) {
+      const headers = { ...complete.headers };
+      delete headers[header];
+      assert.equal(verifier().verify({ ...complete, headers }).reason, 'missing_signature', header);
+    }
+    const shortNonce = signedRequest('{}', { nonce: 'short' });
+    assert.equal(verifier().verify(shortNonce).reason, 'missing_signature');
+  });
+
+  it('checks the static token before the signature', () => {
+    const v = new RequestVerifier({ token: 'zoho-token', signingSecret: SECRET });
+    const req = signedRequest('{}');
+    assert.equal(v.verify(req).reason, 'invalid_token');
+    req.headers['x-zoho-verification-token'] = 'zoho-token';
+    assert.equal(v.verify(req).ok, true);
+  });
+
+  it('falls back to the default window for an invalid WEBHOOK_MAX_SKEW_SECONDS', () => {
+    for (const value of ['five minutes', '-10', '0']) {
+      assert.equal(new RequestVerifier({ maxSkewSeconds: value }).maxSkewMs, 300 * 1000, value);
+    }
+    assert.equal(new RequestVerifier({ maxSkewSeconds: '60' }).maxSkewMs, 60 * 1000);
+
+    const now = Math.floor(Date.now() / 1000);
+    const v = new RequestVerifier({ signingSecret: SECRET, maxSkewSeconds: 'abc' });
+    assert.equal(v.verify(signedRequest('{}', { timestamp: now - 3600 })).reason, 'stale_timestamp');
+  });
+
+  it('refuses new nonces instead of forgetting live ones when full', () => {
+    const v = verifier();
+    const expiresAt = Date.now() + 60 * 1000;
+    for (let i = 0; i < RequestVerifier.MAX_NONCES; i++) {
+      v.nonces.set(`live-nonce-${i}`, expiresAt);
+    }
+    const replay = signedRequest('{}', { nonce: 'live-nonce-0' });
+    assert.equal(v.verify(replay).reason, 'replayed_nonce');
+    assert.deepEqual(v.verify(signedRequest('{}')), { ok: false, reason: 'too_many_nonces', status: 503 });
+
+    // An expired nonce makes room again (the oldest one keeps its place)
+    v.nonces.set('live-nonce-0', Date.now() - 1);
+    assert.equal(v.verify(signedRequest('{}')).ok, true);
+  });
+
+  it('verifies the raw bytes kept by the body parser, not the re-serialized JSON', async () => {
+    const app = express();
+    app.use(bodyParser.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+    app.post('/hook', verifier().middleware(), (req, res) => res.json({ type: req.body.type }));
+    const server = await new Promise(resolve => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+
+    try {
+      const url = `http://127.0.0.1:${server.address().port}/hook`;
+      const body = '{ "type" :  "message" }';
+      const { headers } = signedRequest(body);
+      const ok = await fetch(url, { method: 'POST', headers: { ...headers, 'content-type': 'application/json' }, body });
+      assert.equal(ok.status, 200);
+      assert.deepEqual(await ok.json(), { type: 'message' });
+
+      const reserialized = signedRequest(JSON.stringify({ type: 'message' }));
+      const denied = await fetch(url, { method: 'POST', headers: { ...reserialized.headers, 'content-type': 'application/json' }, body });
+      assert.equal(denied.status, 401);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const ReviewQueue = require('../../utils/review_queue');
+const OrgConfigResolver = require('../../utils/org_config');
+
+describe('ReviewQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new ReviewQueue({
+      store: { data: { flags: [], nextId: 1 }, save() {} },
+      webhooks: { emit() {} },
+    });
+  });
+
+  it('keeps flags of other organizations out of reads and transitions', () => {
+    const flag = queue.add({ stress_score: 8, sentiment: 'negative', message: 'hi', orgId: 'org-a' });
+
+    assert.deepEqual(queue.list({ orgId: 'org-b' }), []);
+    assert.equal(queue.counts('org-b').open, 0);
+    assert.equal(queue.get(flag.id, 'org-b'), null);
+    assert.throws(() => queue.claim(flag.id, 'org-b', 'u2'), { code: 'NOT_FOUND' });
+
+    assert.equal(queue.claim(flag.id, 'org-a', 'u1').status, 'claimed');
+    assert.equal(queue.counts('org-a').claimed, 1);
+  });
+
+  it('treats flags without org_id as the default organization', () => {
+    queue.store.data.flags.push({ id: '9', status: 'open', history: [] });
+    assert.equal(queue.get('9', OrgConfigResolver.DEFAULT_ORG_ID).id, '9');
+    assert.equal(queue.get('9', 'org-a'), null);
+  });
+});
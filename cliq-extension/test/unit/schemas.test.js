@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validate, SchemaValidationError } = require('../../utils/schemas');
+
+describe('validate', () => {
+  describe('analysis', () => {
+    it('passes a well-formed response through without violations', () => {
+      const data = { sentiment: 'negative', emotion: 'stressed', stress_score: 8, category: 'workload', suggested_reply: 'Hey', confidence: 0.9, meta: { model: 'm' } };
+      assert.deepEqual(validate('analysis', data), { value: data, violations: [] });
+    });
+
+    it('coerces types, case and ranges and records each fix', () => {
+      const { value, violations } = validate('analysis', {
+        sentiment: 'NEGATIVE', emotion: 'Stressed', stress_score: '12', category: 'workload', suggested_reply: 'Hey', confidence: -1,
+      });
+
+      assert.equal(value.sentiment, 'negative');
+      assert.equal(value.emotion, 'stressed');
+      assert.equal(value.stress_score, 10);
+      assert.equal(value.confidence, 0);
+      assert.deepEqual(violations, [
+        { path: 'stress_score', problem: 'out of range (12)' },
+        { path: 'confidence', problem: 'out of range (-1)' },
+      ]);
+    });
+
+    it('substitutes defaults for missing and unusable fields', () => {
+      const { value, violations } = validate('analysis', { sentiment: 'furious', stress_score: 'high', suggested_reply: ['a'] });
+
+      assert.deepEqual(
+        { sentiment: value.sentiment, emotion: value.emotion, stress: value.stress_score, reply: value.suggested_reply, meta: value.meta },
+        { sentiment: 'neutral', emotion: 'calm', stress: 0, reply: '', meta: {} },
+      );
+      assert.deepEqual(violations.map(v => v.path), ['sentiment', 'emotion', 'stress_score', 'category', 'suggested_reply', 'confidence']);
+      assert.match(violations[0].problem, /expected one of positive\|neutral\|negative, got "furious"/);
+    });
+
+    it('truncates long strings', () => {
+      const { value } = validate('analysis', { sentiment: 'neutral', suggested_reply: 'x'.repeat(3000) });
+      assert.equal(value.suggested_reply.length, 2000);
+    });
+
+    it('rejects responses that are not objects or have none of the fields', () => {
+      for (const data of [null, 'ok', [], 42]) {
+        assert.throws(() => validate('analysis', data), SchemaValidationError);
+      }
+      assert.throws(() => validate('analysis', { result: 'positive' }), error => {
+        assert.equal(error.code, 'SCHEMA_VIOLATION');
+        assert.deepEqual(error.violations, [{ path: '(response)', problem: 'none of the expected fields present' }]);
+        return true;
+      });
+    });
+  });
+
+  describe('todayStats', () => {
+    it('does not count absent optional fields and validates array items', () => {
+      const { value, violations } = validate('todayStats', {
+        positive_pct: 50, neutral_pct: 30, negative_pct: 20, avg_stress: 4,
+        top_issues: [{ category: 'workload', count: '3.4' }, 'junk'],
+      });
+
+      assert.deepEqual(value.top_issues, [{ category: 'workload', count: 3, authors: undefined }]);
+      assert.deepEqual(violations, [
+        { path: 'top_issues[0].count', problem: 'expected integer, got string' },
+        { path: 'top_issues[1]', problem: 'expected object - dropped' },
+      ]);
+    });
+  });
+
+  describe('trends', () => {
+    it('accepts every envelope, sorts by date and drops points without one', () => {
+      const points = [{ date: '2026-10-02', avg_stress: 3 }, { avg_stress: 9 }, { date: '2026-10-01', avg_stress: 5 }];
+      for (const data of [points, { days: points }, { trends: points, period: '7d' }]) {
+        const { value, violations } = validate('trends', data);
+        assert.deepEqual(value.days.map(day => day.date), ['2026-10-01', '2026-10-02']);
+        assert.ok(violations.some(v => v.path === 'days[1].date'));
+      }
+      assert.equal(validate('trends', { trends: points, period: '7d' }).value.period, '7d');
+    });
+
+    it('rejects a response without trend points', () => {
+      assert.throws(() => validate('trends', { days: 'none' }), SchemaValidationError);
+    });
+  });
+
+  it('refuses unknown schema names', () => {
+    assert.throws(() => validate('nonsense', {}), /Unknown schema/);
+  });
+});
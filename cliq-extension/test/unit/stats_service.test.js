@@ -0,0 +1,140 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const StatsService = require('../../utils/stats_service');
+const AnalysisStore = require('../../utils/analysis_store');
+
+const CONFIG = { orgId: 'org-a' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('StatsService anonymization', () => {
+  let store;
+  let service;
+  let backend;
+
+  function createService() {
+    return new StatsService({ analysisStore: store, orgConfig: { getAPIClient: () => backend } });
+  }
+
+  function record(authors, { channelId = 'design', category = 'general', at = new Date(), anonymous = 0 } = {}) {
+    for (let i = 0; i < authors; i++) {
+      store.record({ orgId: 'org-a', channelId, userId: `${channelId}-u${i}`, analysis: { sentiment: 'negative', stress_score: 6, category }, at });
+    }
+    for (let i = 0; i < anonymous; i++) {
+      store.record({ orgId: 'org-a', channelId, analysis: { sentiment: 'negative', stress_score: 6, category }, at });
+    }
+  }
+
+  beforeEach(() => {
+    process.env.STATS_SOURCE = 'local';
+    store = new AnalysisStore({ filename: ':memory:' });
+    backend = null;
+    service = createService();
+  });
+
+  afterEach(() => {
+    store.close();
+    delete process.env.STATS_SOURCE;
+    delete process.env.MIN_GROUP_SIZE;
+    delete process.env.MIN_ISSUE_AUTHORS;
+  });
+
+  describe('today', () => {
+    it('suppresses a group below MIN_GROUP_SIZE and zeroes every figure', async () => {
+      record(4);
+      assert.deepEqual(await service.getTodayStats(CONFIG, 'design'), {
+        positive_pct: 0, neutral_pct: 0, negative_pct: 0, avg_stress: 0, total_messages: 0,
+        trend: 'stable', top_issues: [], source: 'local', suppressed: true, min_group_size: 5,
+      });
+
+      store.record({ orgId: 'org-a', channelId: 'design', userId: 'newcomer', analysis: { sentiment: 'positive', stress_score: 1, category: 'general' } });
+      const shown = await service.getTodayStats(CONFIG, 'design');
+      assert.equal(shown.suppressed, undefined);
+      assert.equal(shown.total_messages, 5);
+    });
+
+    it('does not count anonymous authors towards the group size', async () => {
+      record(4, { anonymous: 10 });
+      assert.equal((await service.getTodayStats(CONFIG, 'design')).suppressed, true);
+    });
+
+    it('shows a top issue only with MIN_ISSUE_AUTHORS distinct authors', async () => {
+      record(5);
+      record(3, { category: 'workload' });
+      for (let i = 0; i < 6; i++) {
+        store.record({ orgId: 'org-a', channelId: 'design', userId: `design-u${i % 2}`, analysis: { sentiment: 'negative', stress_score: 8, category: 'deadline' } });
+      }
+
+      const stats = await service.getTodayStats(CONFIG, 'design');
+      assert.deepEqual(stats.top_issues, [{ category: 'workload', count: 3 }]);
+    });
+
+    it('uses the backend\'s author counts when it reports them', async () => {
+      delete process.env.STATS_SOURCE;
+      service = createService();
+      backend = {
+        getTodayStats: async () => ({
+          positive_pct: 10, neutral_pct: 20, negative_pct: 70, avg_stress: 6, total_messages: 40, distinct_authors: 12, trend: 'down',
+          top_issues: [{ category: 'workload', count: 9, authors: 6 }, { category: 'payroll', count: 4, authors: 1 }],
+        }),
+      };
+
+      const stats = await service.getTodayStats(CONFIG, 'design');
+      assert.equal(stats.suppressed, undefined);
+      assert.equal('distinct_authors' in stats, false);
+      assert.deepEqual(stats.top_issues, [{ category: 'workload', count: 9, authors: 6 }]);
+
+      backend.getTodayStats = async () => ({ positive_pct: 100, neutral_pct: 0, negative_pct: 0, avg_stress: 1, total_messages: 3, distinct_authors: 2 });
+      assert.equal((await service.getTodayStats(CONFIG, 'design')).suppressed, true);
+    });
+
+    it('can be turned off with MIN_GROUP_SIZE=1 and MIN_ISSUE_AUTHORS=1', async () => {
+      process.env.MIN_GROUP_SIZE = '1';
+      process.env.MIN_ISSUE_AUTHORS = '1';
+      service = createService();
+      record(1, { category: 'workload' });
+
+      const stats = await service.getTodayStats(CONFIG, 'design');
+      assert.equal(stats.suppressed, undefined);
+      assert.deepEqual(stats.top_issues, [{ category: 'workload', count: 1 }]);
+    });
+  });
+
+  describe('trends', () => {
+    it('leaves out days below the minimum group size and lists them', async () => {
+      const now = new Date();
+      record(2, { at: new Date(now.getTime() - DAY_MS) });
+      record(5, { at: now });
+
+      const trends = await service.getTrends(CONFIG, 7, 'design');
+      assert.deepEqual(trends.days.map(day => day.date), [now.toISOString().substring(0, 10)]);
+      assert.equal(trends.suppressed_days, 1);
+      assert.deepEqual(trends.suppressed_dates, [new Date(now.getTime() - DAY_MS).toISOString().substring(0, 10)]);
+      assert.equal(trends.min_group_size, 5);
+    });
+  });
+
+  describe('channel breakdown', () => {
+    it('merges small channels into one "other" row', async () => {
+      record(6, { channelId: 'design' });
+      record(3, { channelId: 'support' });
+      record(2, { channelId: 'sales' });
+
+      const rows = await service.getChannelBreakdown(CONFIG, ['design', 'support', 'sales', 'empty']);
+      assert.deepEqual(rows.map(row => [row.channel, row.channels, row.total_messages]), [
+        ['design', ['design'], 6],
+        [null, ['support', 'sales'], 5],
+      ]);
+    });
+
+    it('drops the merged row if it is still too small', async () => {
+      record(6, { channelId: 'design' });
+      record(2, { channelId: 'support' });
+      record(2, { channelId: 'sales' });
+
+      const rows = await service.getChannelBreakdown(CONFIG, ['design', 'support', 'sales']);
+      assert.deepEqual(rows.map(row => row.channel), ['design']);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+const StressTracker = require('../../utils/stress_tracker');
+
+const START = new Date('2026-10-19T09:00:00Z').getTime();
+const MINUTE_MS = 60 * 1000;
+
+describe('StressTracker', () => {
+  let tracker;
+
+  function observe(minutes, stressScore, { userId = 'u1', channelId = 'c1', orgId = 'o' } = {}) {
+    return tracker.observe({ orgId, userId, channelId, stressScore, threshold: 7, at: new Date(START + minutes * MINUTE_MS) });
+  }
+
+  beforeEach(() => {
+    process.env.STRESS_ALERT_RULES = 'burst,rise';
+    tracker = new StressTracker({ filename: ':memory:' });
+  });
+
+  afterEach(() => {
+    tracker.close();
+    delete process.env.STRESS_ALERT_RULES;
+  });
+
+  it('alerts on a burst of high-stress messages within the window', () => {
+    for (let i = 0; i < 4; i++) {
+      assert.deepEqual(observe(i * 10, 8), []);
+    }
+    const alerts = observe(40, 9);
+    assert.deepEqual(alerts.map(alert => [alert.scope, alert.rule, alert.subjectId]), [['user', 'burst', 'u1']]);
+    assert.deepEqual(alerts[0].params, { count: 5, threshold: 7, minutes: 60 });
+  });
+
+  it('does not count high-stress messages outside the burst window', () => {
+    for (let i = 0; i < 5; i++) {
+      assert.deepEqual(observe(i * 20, 8), []);
+    }
+  });
+
+  it('alerts when the average rises between the two windows', () => {
+    for (let i = 0; i < 5; i++) observe(i * 60, 2, { channelId: null });
+    const alerts = [];
+    for (let i = 0; i < 5; i++) alerts.push(...observe(3 * 24 * 60 + 60 + i * 600, 5, { channelId: null }));
+    assert.deepEqual(alerts.map(alert => alert.rule), ['rise']);
+    assert.deepEqual(alerts[0].params, { before: '2.0', after: '5.0', count: 3 });
+  });
+
+  it('needs enough messages in both rise windows', () => {
+    for (let i = 0; i < 4; i++) observe(i * 60, 1, { channelId: null });
+    for (let i = 0; i < 10; i++) {
+      assert.deepEqual(observe(3 * 24 * 60 + 60 + i * 60, 6, { channelId: null }), []);
+    }
+  });
+
+  it('holds back repeated alerts during the cooldown', () => {
+    for (let i = 0; i < 4; i++) observe(i, 8, { channelId: null });
+    assert.equal(observe(4, 8, { channelId: null }).length, 1);
+    assert.deepEqual(observe(5, 8, { channelId: null }), []);
+    // 4 hours later a new burst alerts again
+    for (let i = 0; i < 4; i++) observe(241 + i, 8, { channelId: null });
+    assert.equal(observe(245, 8, { channelId: null }).length, 1);
+  });
+
+  it('skips a channel alert that only repeats one user\'s alert', () => {
+    for (let i = 0; i < 4; i++) observe(i, 8);
+    assert.deepEqual(observe(4, 8).map(alert => alert.scope), ['user']);
+  });
+
+  it('alerts for the channel when several people are stressed', () => {
+    for (let i = 0; i < 4; i++) observe(i, 8, { userId: `u${i}` });
+    const alerts = observe(4, 8, { userId: 'u4' });
+    assert.deepEqual(alerts.map(alert => [alert.scope, alert.subjectId]), [['channel', 'c1']]);
+  });
+
+  it('still alerts on a channel burst while the user is cooling down', () => {
+    for (let i = 0; i < 4; i++) observe(i, 8, { userId: 'u1', channelId: null });
+    observe(4, 8, { userId: 'u1', channelId: null });
+    for (let i = 0; i < 4; i++) observe(10 + i, 8, { userId: `other${i}` });
+    assert.deepEqual(observe(14, 8, { userId: 'u1' }).map(alert => alert.scope), ['channel']);
+  });
+
+  it('keeps subjects of different organizations apart', () => {
+    for (let i = 0; i < 4; i++) observe(i, 8, { orgId: 'a' });
+    assert.deepEqual(observe(4, 8, { orgId: 'b' }), []);
+  });
+
+  it('caps the samples of each subject separately', () => {
+    const max = StressTracker.MAX_SAMPLES_PER_SUBJECT;
+    observe(0, 3, { userId: 'quiet', channelId: 'calm' });
+    for (let i = 0; i < max + 10; i++) {
+      tracker.observe({ orgId: 'o', userId: null, channelId: 'busy', stressScore: 3, threshold: 7, at: new Date(START + i * 1000) });
+    }
+    const count = (scope, subjectId) => tracker.db
+      .prepare('SELECT COUNT(*) AS count FROM stress_samples WHERE scope = ? AND subject_id = ?')
+      .get(scope, subjectId).count;
+
+    assert.equal(count('channel', 'busy'), max);
+    assert.equal(count('channel', 'calm'), 1);
+    assert.equal(tracker.countForUser('quiet'), 1);
+  });
+
+  it('drops samples older than both rise windows', () => {
+    observe(0, 3);
+    observe(7 * 24 * 60, 3, { userId: 'u2' });
+    assert.equal(tracker.countForUser('u1'), 0);
+  });
+
+  it('forgets a user but keeps anonymous channel samples', () => {
+    for (let i = 0; i < 4; i++) observe(i, 8);
+    observe(4, 8);
+    assert.equal(tracker.countForUser('u1'), 5);
+
+    tracker.forgetUser('u1');
+    assert.equal(tracker.countForUser('u1'), 0);
+    assert.equal(tracker.db.prepare("SELECT COUNT(*) AS count FROM stress_samples WHERE scope = 'channel' AND user_id IS NULL").get().count, 5);
+    assert.equal(tracker.db.prepare("SELECT COUNT(*) AS count FROM stress_alerts WHERE scope = 'user'").get().count, 0);
+  });
+
+  it('survives a restart with the same database', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emobot-stress-'));
+    const filename = path.join(dir, 'stress_tracker.db');
+    try {
+      tracker.close();
+      tracker = new StressTracker({ filename });
+      for (let i = 0; i < 4; i++) observe(i, 8, { channelId: null });
+      tracker.close();
+
+      tracker = new StressTracker({ filename });
+      assert.equal(observe(4, 8, { channelId: null }).length, 1);
+    } finally {
+      tracker.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
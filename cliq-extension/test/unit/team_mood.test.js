@@ -0,0 +1,75 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+process.env.REVIEWER_USER_IDS = 'hr';
+process.env.DASHBOARD_URL = 'https://dashboard.example.com';
+const { TeamMoodCommandHandler } = require('../../commands/team_mood');
+const DashboardAuth = require('../../utils/dashboard_auth');
+const { t } = require('../../utils/i18n');
+
+const TODAY = { total_messages: 6, positive_pct: 50, neutral_pct: 30, negative_pct: 20, avg_stress: 3.5, top_issues: [], trend: 'stable' };
+
+describe('TeamMoodCommandHandler', () => {
+  let handler;
+  let statsCalls;
+
+  beforeEach(() => {
+    statsCalls = [];
+    handler = new TeamMoodCommandHandler({
+      orgConfig: { resolve: () => ({ orgId: 'org-a' }) },
+      statsService: {
+        minGroupSize: 3,
+        getTodayStats: async (config, channelId) => {
+          statsCalls.push(channelId);
+          return TODAY;
+        },
+      },
+      dashboardAuth: new DashboardAuth({ secret: 'secret' }),
+      cliqClient: { isConfigured: () => false },
+    });
+  });
+
+  async function run(body) {
+    let sent;
+    await handler.handleCommand({ body }, { status: () => ({ json: card => { sent = card; } }) });
+    return sent;
+  }
+
+  function dashboardURL(card) {
+    const buttons = JSON.stringify(card).match(/"url":"([^"]+)"/);
+    return new URL(buttons[1]);
+  }
+
+  it('links the dashboard with the channel and a token, without the organization', async () => {
+    const card = await run({ user: { id: 'u1' }, channel: { id: 'design' }, arguments: '' });
+    const url = dashboardURL(card);
+
+    assert.equal(url.searchParams.get('channel'), 'design');
+    assert.equal(url.searchParams.has('org'), false);
+    assert.equal(new DashboardAuth({ secret: 'secret' }).authenticate(url.searchParams.get('token')).orgId, 'org-a');
+  });
+
+  it('answers a member in a direct message with the no-channel message', async () => {
+    for (const args of ['', 'last 7d', 'export csv']) {
+      const card = await run({ user: { id: 'u1' }, arguments: args });
+      assert.deepEqual(card, { text: t('en', 'mood.no_channel') }, args);
+    }
+    assert.deepEqual(statsCalls, []);
+  });
+
+  it('gives HR the org-wide view in a direct message', async () => {
+    const card = await run({ user: { id: 'hr' }, arguments: '' });
+    assert.deepEqual(statsCalls, [null]);
+    assert.equal(dashboardURL(card).searchParams.has('channel'), false);
+
+    const exportCard = await run({ user: { id: 'hr' }, arguments: 'export csv' });
+    assert.match(JSON.stringify(exportCard), /All channels/);
+    assert.equal(dashboardURL(exportCard).searchParams.get('channels'), '');
+  });
+
+  it('still names the denied channels', async () => {
+    const card = await run({ user: { id: 'u1' }, channel: { id: 'design' }, arguments: 'support' });
+    assert.equal(card.text, t('en', 'mood.denied', { channels: '#support' }));
+  });
+});
@@ -0,0 +1,204 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+process.env.BOT_ADMIN_USER_IDS = 'admin';
+const { BotWebhookHandler } = require('../../bot/webhook_handler');
+const ChannelConfigStore = require('../../utils/channel_config');
+const PrivacyStore = require('../../utils/privacy_store');
+const AnalysisStore = require('../../utils/analysis_store');
+const StressTracker = require('../../utils/stress_tracker');
+const ConversationContext = require('../../utils/conversation_context');
+const { t } = require('../../utils/i18n');
+
+const CONFIG = { orgId: 'org-a', stressThreshold: 7, autoReply: true, adminChannel: null, redactionPatterns: null };
+
+function memoryStore(data) {
+  return { data, save() {}, saveSoon() {}, flush() {} };
+}
+
+describe('BotWebhookHandler', () => {
+  let handler;
+  let analyzed;
+  let stressScore;
+  let forgotten;
+
+  beforeEach(() => {
+    analyzed = [];
+    stressScore = 3;
+    forgotten = [];
+    handler = new BotWebhookHandler({
+      orgConfig: {
+        resolve: () => CONFIG,
+        getAPIClient: () => ({
+          analyzeMessage: async payload => {
+            analyzed.push(payload);
+            return { sentiment: 'neutral', emotion: 'calm', stress_score: stressScore, category: 'general', suggested_reply: 'Ok', meta: { source: 'backend' } };
+          },
+        }),
+      },
+      cliqClient: { isConfigured: () => false },
+      requestVerifier: { verify: () => ({ ok: true }) },
+      channelConfig: new ChannelConfigStore({ store: memoryStore({ channels: {} }) }),
+      privacyStore: new PrivacyStore({ store: memoryStore({ users: {} }) }),
+      analysisStore: new AnalysisStore({ filename: ':memory:' }),
+      stressTracker: new StressTracker({ filename: ':memory:' }),
+      conversationContext: new ConversationContext({ store: memoryStore({ threads: {} }) }),
+      webhooks: { emit() {}, isSubscribed: () => false, forgetUser: id => forgotten.push(['webhooks', id]), countForUser: () => 0 },
+      analysisQueue: { register() {}, isRunning: () => false, forgetUser: id => forgotten.push(['queue', id]), countForUser: () => 0 },
+    });
+  });
+
+  afterEach(() => {
+    handler.analysisStore.close();
+    handler.stressTracker.close();
+  });
+
+  async function send(type, text, { userId = 'u1', channelId = 'design' } = {}) {
+    let sent;
+    await handler.handleWebhook({
+      body: {
+        type,
+        message: { text },
+        user: { id: userId, name: userId },
+        ...(channelId ? { channel: { id: channelId, name: channelId } } : {}),
+      },
+    }, { status: () => ({ json: response => { sent = response; } }) });
+    return sent;
+  }
+
+  const message = (text, options) => send('message', text, options);
+  const mention = (text, options) => send('bot_mention', `@emo-bot ${text}`, options);
+
+  describe('channel settings', () => {
+    it('ignores messages in channels nobody enabled', async () => {
+      assert.deepEqual(await message('Busy day'), { text: '' });
+      assert.deepEqual(analyzed, []);
+    });
+
+    it('analyzes a channel once an admin enables it, until it is disabled', async () => {
+      await mention('config enable', { userId: 'admin' });
+      assert.ok((await message('Busy day')).card);
+
+      await mention('config disable', { userId: 'admin' });
+      assert.deepEqual(await message('Busy day'), { text: '' });
+      assert.equal(analyzed.length, 1);
+    });
+
+    it('only lets bot admins change settings', async () => {
+      await mention('config enable', { userId: 'u1' });
+      assert.equal(handler.channelConfig.get('design').enabled, false);
+    });
+
+    it('analyzes direct conversations and explicit mentions without opt-in', async () => {
+      assert.ok((await message('Busy day', { channelId: null })).card);
+      assert.ok((await mention('how does this sound?')).card);
+      assert.equal(analyzed.length, 2);
+    });
+
+    it('analyzes silent channels without replying, except to mentions', async () => {
+      handler.channelConfig.update('design', { enabled: true, silent: true });
+
+      assert.deepEqual(await message('Busy day'), { text: '' });
+      assert.ok((await mention('how does this sound?')).card);
+      assert.equal(analyzed.length, 2);
+    });
+
+    it('replies only at or above the reply threshold', async () => {
+      handler.channelConfig.update('design', { enabled: true, replyThreshold: 6 });
+
+      assert.deepEqual(await message('Busy day'), { text: '' });
+      stressScore = 6;
+      assert.ok((await message('Way too busy')).card);
+    });
+
+    it('enables every channel with CHANNELS_ENABLED_BY_DEFAULT', () => {
+      process.env.CHANNELS_ENABLED_BY_DEFAULT = 'true';
+      try {
+        const channels = new ChannelConfigStore({ store: memoryStore({ channels: { quiet: { enabled: false } } }) });
+        assert.equal(channels.get('design').enabled, true);
+        assert.equal(channels.get('quiet').enabled, false);
+      } finally {
+        delete process.env.CHANNELS_ENABLED_BY_DEFAULT;
+      }
+    });
+  });
+
+  describe('privacy', () => {
+    beforeEach(() => {
+      handler.channelConfig.update('design', { enabled: true });
+    });
+
+    const storedFor = userId => ({
+      analyses: handler.analysisStore.countForUser(userId),
+      stress: handler.stressTracker.countForUser(userId),
+      context: handler.conversationContext.countForUser(userId),
+    });
+
+    it('never analyzes an opted-out author, and says so on a mention', async () => {
+      handler.privacyStore.setMode('u1', 'opted_out');
+
+      assert.deepEqual(await message('Busy day'), { text: '' });
+      assert.deepEqual(await mention('how does this sound?'), { text: t('en', 'bot.opted_out') });
+      assert.deepEqual(await message('Busy day', { channelId: null }), { text: '' });
+      assert.deepEqual(analyzed, []);
+    });
+
+    it('analyzes anonymous authors without their user ID', async () => {
+      handler.webhooks.isSubscribed = () => true;
+      handler.privacyStore.setMode('u1', 'anonymous');
+
+      await message('Busy day');
+      assert.equal('user_id' in analyzed[0], false);
+      assert.deepEqual(storedFor('u1'), { analyses: 0, stress: 0, context: 0 });
+    });
+
+    it('purges stored data on opt-out and keeps other users\' data', async () => {
+      handler.webhooks.isSubscribed = () => true;
+      await message('Busy day');
+      await message('Same here', { userId: 'u2' });
+      assert.deepEqual(storedFor('u1'), { analyses: 1, stress: 1, context: 1 });
+
+      await mention('privacy opt-out');
+      assert.deepEqual(storedFor('u1'), { analyses: 0, stress: 0, context: 0 });
+      assert.deepEqual(forgotten, [['webhooks', 'u1'], ['queue', 'u1']]);
+      assert.deepEqual(storedFor('u2'), { analyses: 1, stress: 1, context: 1 });
+
+      await message('Still busy');
+      assert.equal(analyzed.length, 2);
+    });
+
+    it('deletes stored data without changing the mode', async () => {
+      await message('Busy day');
+      await mention('privacy delete');
+
+      assert.equal(handler.privacyStore.getMode('u1'), 'full');
+      assert.equal(storedFor('u1').analyses, 0);
+      await message('Busy day');
+      assert.equal(analyzed.length, 2);
+    });
+
+    it('lets a user opt back in', async () => {
+      await mention('privacy opt-out');
+      await mention('privacy opt-in');
+      assert.equal(handler.privacyStore.getRecord('u1'), null);
+      assert.ok((await message('Busy day')).card);
+    });
+  });
+
+  describe('conversation context', () => {
+    it('sends earlier messages of the same channel, redacted, with the next analysis', async () => {
+      handler.channelConfig.update('design', { enabled: true });
+      handler.channelConfig.update('other', { enabled: true });
+      await message('Mail me at jane.doe@example.com');
+      await message('On it', { userId: 'u2' });
+      await message('Thanks', { channelId: 'other' });
+
+      assert.equal(analyzed[0].context, undefined);
+      assert.deepEqual(analyzed[1].context, [
+        { text: 'Mail me at [EMAIL]', same_author: false, sentiment: 'neutral', stress_score: 3 },
+      ]);
+      assert.equal(analyzed[2].context, undefined);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+process.env.BOT_ADMIN_USER_IDS = 'admin';
+const WebhooksCommand = require('../../bot/webhooks_command');
+const OutboundWebhooks = require('../../utils/outbound_webhooks');
+
+const event = { user: { id: 'admin' }, chat: { id: 'chat' } };
+
+function deadLetter(id, orgId) {
+  return {
+    id, org_id: orgId, status: 'failed', url: 'https://hooks.example.com/x', attempts: 5,
+    event: { id: `evt_${id}`, type: 'flag.created' }, last_error: 'HTTP 500', failed_at: '2026-10-19T12:00:00.000Z',
+  };
+}
+
+describe('WebhooksCommand', () => {
+  let webhooks;
+  let command;
+
+  beforeEach(() => {
+    webhooks = new OutboundWebhooks({
+      endpoints: [{ url: 'https://hooks.example.com/x', events: ['*'], secret: 's' }],
+      store: { data: { entries: [deadLetter('1', 'org-a'), deadLetter('2', 'org-b'), deadLetter('3', 'org-a')], nextId: 4 }, save() {} },
+    });
+    command = new WebhooksCommand({ webhooks });
+  });
+
+  it('refuses users who are not bot admins', async () => {
+    const response = await command.handle({ user: { id: 'someone' } }, ['failed'], { orgId: 'org-a' });
+    assert.equal(response.card, undefined);
+  });
+
+  it('lists only the failed deliveries of the caller\'s organization', async () => {
+    const response = await command.handle(event, ['failed'], { orgId: 'org-a' });
+    const text = response.card.sections[0].elements[0].text;
+    assert.match(text, /#3/);
+    assert.match(text, /#1/);
+    assert.doesNotMatch(text, /#2/);
+  });
+
+  it('replays only the caller\'s organization', async () => {
+    const replayed = [];
+    webhooks.replayAll = async orgId => replayed.push(orgId);
+    webhooks.replay = async (id, orgId) => ({ ok: false, error: `${id}/${orgId}` });
+
+    await command.handle(event, ['replay', 'all'], { orgId: 'org-b' });
+    assert.deepEqual(replayed, ['org-b']);
+
+    const response = await command.handle(event, ['replay', '#1'], { orgId: 'org-b' });
+    assert.match(response.text, /1\/org-b/);
+  });
+});
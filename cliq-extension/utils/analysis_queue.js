@@ -0,0 +1,316 @@
+/**
+ * Analysis Job Queue
+ *
+ * Zoho gives webhooks and message actions a few seconds to answer, less than
+ * a slow backend can take (API_TIMEOUT, retries). While the queue runs, those
+ * routes answer at once and enqueue a job; the job analyzes the message and
+ * posts the card through the Cliq API.
+ *
+ * - Jobs run with bounded concurrency (ANALYSIS_QUEUE_CONCURRENCY).
+ * - `high` jobs (mentions, message actions - someone is waiting) run before
+ *   `normal` ones (passive channel messages); FIFO within a priority.
+ * - Jobs live in DATA_DIR/analysis_queue.json until they finish, so queued
+ *   and running jobs survive a restart. Callers store only what the job
+ *   needs there, with message text redacted (utils/redactor.js); the original
+ *   text is passed as `transient` and kept in memory only. A job resumed
+ *   after a restart therefore analyzes the redacted text.
+ * - Each job names the users it is about, so @emo-bot privacy can list and
+ *   purge waiting jobs (countForUser / forgetUser).
+ * - A job's attempt count is written to disk before its handler starts, so
+ *   one that has crashed the process MAX_ATTEMPTS times is dropped instead
+ *   of crashing it again. Other changes are batched.
+ * - Jobs older than ANALYSIS_QUEUE_MAX_AGE_MINUTES are dropped on restart -
+ *   a reply hours after the message is no longer useful.
+ *
+ * Handlers are registered per job kind with register() and called with
+ * (data, transient); transient is undefined after a restart. A handler that
+ * throws fails the job (it should post its own error message first).
+ *
+ * Environment Variables:
+ * - ANALYSIS_QUEUE_ENABLED: Answer webhooks at once and analyze in the background (default: true;
+ *   needs the ZOHO_CLIENT_* credentials to post results)
+ * - ANALYSIS_QUEUE_CONCURRENCY: Jobs analyzed at the same time (default: 4)
+ * - ANALYSIS_QUEUE_MAX_SIZE: Queued jobs before new ones are refused (default: 500)
+ * - ANALYSIS_QUEUE_MAX_AGE_MINUTES: Age after which a waiting job is dropped (default: 30)
+ */
+
+const JsonStore = require('./json_store');
+const { createLogger, getCorrelationId, withCorrelationId } = require('./logger');
+const metrics = require('./metrics');
+
+const log = createLogger('Queue');
+
+const PRIORITIES = ['high', 'normal'];
+
+const MAX_ATTEMPTS = 3;
+
+class AnalysisQueue {
+  /**
+   * @param {Object} [options]
+   * @param {CliqClient} [options.cliqClient] - Results are posted with it; the queue stays off without credentials
+   * @param {JsonStore} [options.store]
+   */
+  constructor(options = {}) {
+    this.cliqClient = options.cliqClient;
+    this.store = options.store || new JsonStore('analysis_queue', { jobs: [], nextId: 1 });
+    this.concurrency = Math.max(1, parseInt(process.env.ANALYSIS_QUEUE_CONCURRENCY || '4') || 4);
+    this.maxSize = Math.max(1, parseInt(process.env.ANALYSIS_QUEUE_MAX_SIZE || '500') || 500);
+    this.maxAgeMs = Math.max(1, parseInt(process.env.ANALYSIS_QUEUE_MAX_AGE_MINUTES || '30') || 30) * 60 * 1000;
+
+    this.handlers = new Map();
+    // Job ID -> memory-only input (original message text), never written to disk
+    this.transient = new Map();
+    // IDs of jobs currently running
+    this.active = new Set();
+    this.running = false;
+  }
+
+  /**
+   * Register the handler for a job kind
+   *
+   * @param {string} kind - e.g. 'bot.message'
+   * @param {Function} handler - async (data, transient) => void
+   */
+  register(kind, handler) {
+    this.handlers.set(kind, handler);
+    // Jobs restored before their handler was registered can start now
+    this._pump();
+  }
+
+  /**
+   * Resume stored jobs and start taking new ones
+   */
+  start() {
+    if (this.running) return;
+
+    if (process.env.ANALYSIS_QUEUE_ENABLED === 'false') {
+      log.info('Queue disabled (ANALYSIS_QUEUE_ENABLED=false) - webhooks wait for the analysis');
+      return;
+    }
+    if (!this.cliqClient?.isConfigured()) {
+      log.warn('Cliq API not configured - webhooks wait for the analysis instead of queueing it');
+      return;
+    }
+
+    this._dropStale();
+    this.running = true;
+    log.info('Queue started', { concurrency: this.concurrency, restored: this.store.data.jobs.length });
+    this._updateDepth();
+    this._pump();
+  }
+
+  /**
+   * Stop starting jobs; queued and running ones stay stored for the next start
+   */
+  stop() {
+    this.running = false;
+    this.store.flush();
+  }
+
+  /**
+   * Whether routes should enqueue instead of waiting for the analysis
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Add a job
+   * A full queue makes room for a high-priority job by dropping the oldest
+   * waiting normal one.
+   *
+   * @param {string} kind - Registered job kind
+   * @param {Object} data - JSON-serializable input for the handler; persisted, so no raw message text
+   * @param {Object} [options]
+   * @param {string} [options.priority='normal'] - 'high' or 'normal'
+   * @param {string[]} [options.userIds] - Users the job is about (author, requester)
+   * @param {Object} [options.transient] - Input kept in memory only
+   * @returns {Object|null} The job, or null when it was not accepted
+   */
+  enqueue(kind, data, { priority = 'normal', userIds = [], transient = null } = {}) {
+    if (!this.running) return null;
+    if (!PRIORITIES.includes(priority)) {
+      throw new Error(`Unknown priority: ${priority}`);
+    }
+
+    const jobs = this.store.data.jobs;
+    if (jobs.length >= this.maxSize) {
+      const victim = priority === 'high'
+        ? jobs.find(job => job.priority === 'normal' && !this.active.has(job.id))
+        : null;
+      if (!victim) {
+        metrics.analysisQueueJobs.inc({ kind, outcome: 'rejected' });
+        log.warn('Queue full - job not accepted', { kind, priority, size: jobs.length });
+        return null;
+      }
+      this._remove(victim);
+      metrics.analysisQueueJobs.inc({ kind: victim.kind, outcome: 'dropped' });
+      log.warn('Queue full - dropped oldest normal job', { id: victim.id, kind: victim.kind });
+    }
+
+    const job = {
+      id: String(this.store.data.nextId++),
+      kind,
+      priority,
+      data,
+      user_ids: [...new Set(userIds.filter(Boolean).map(String))],
+      attempts: 0,
+      enqueued_at: new Date().toISOString(),
+      correlation_id: getCorrelationId() || null,
+    };
+    jobs.push(job);
+    if (transient) {
+      this.transient.set(job.id, transient);
+    }
+    this.store.saveSoon(1000);
+    this._updateDepth();
+
+    log.debug('Job queued', { id: job.id, kind, priority, size: jobs.length });
+    this._pump();
+    return job;
+  }
+
+  /**
+   * Queue size by priority, for /health
+   * @returns {Object} { high, normal, active }
+   */
+  stats() {
+    const counts = { high: 0, normal: 0, active: this.active.size };
+    for (const job of this.store.data.jobs) {
+      counts[job.priority]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Number of stored jobs about a user
+   *
+   * @param {string} userId
+   * @returns {number}
+   */
+  countForUser(userId) {
+    return this.store.data.jobs.filter(job => job.user_ids?.includes(userId)).length;
+  }
+
+  /**
+   * Drop waiting jobs about a user (privacy opt-out, anonymous or delete)
+   * Running jobs finish, and leave the store when they do.
+   *
+   * @param {string} userId
+   * @returns {number} Jobs dropped
+   */
+  forgetUser(userId) {
+    const waiting = this.store.data.jobs.filter(job => job.user_ids?.includes(userId) && !this.active.has(job.id));
+    for (const job of waiting) {
+      this._remove(job);
+      metrics.analysisQueueJobs.inc({ kind: job.kind, outcome: 'dropped' });
+    }
+    if (waiting.length > 0) {
+      // Written now: the user was just told their data is gone
+      this.store.flush();
+      log.info('Dropped queued jobs for privacy request', { count: waiting.length });
+    }
+    return waiting.length;
+  }
+
+  /**
+   * Start waiting jobs while there is capacity
+   * @private
+   */
+  _pump() {
+    while (this.running && this.active.size < this.concurrency) {
+      const job = this._next();
+      if (!job) return;
+      this._run(job);
+    }
+  }
+
+  /**
+   * Oldest waiting job of the highest priority that has a handler
+   * @private
+   */
+  _next() {
+    for (const priority of PRIORITIES) {
+      const job = this.store.data.jobs.find(candidate => (
+        candidate.priority === priority && !this.active.has(candidate.id) && this.handlers.has(candidate.kind)
+      ));
+      if (job) return job;
+    }
+    return null;
+  }
+
+  /**
+   * Run one job; it leaves the store when it finishes either way
+   * @private
+   */
+  _run(job) {
+    this.active.add(job.id);
+    job.attempts++;
+    // Not batched: a job that crashes the process must not lose this count
+    this.store.save();
+
+    const waitSeconds = (Date.now() - Date.parse(job.enqueued_at)) / 1000;
+    metrics.analysisQueueWait.observe({ priority: job.priority }, waitSeconds);
+
+    const handler = this.handlers.get(job.kind);
+    withCorrelationId(job.correlation_id || `job-${job.id}`, () => Promise.resolve().then(() => handler(job.data, this.transient.get(job.id))))
+      .then(() => {
+        metrics.analysisQueueJobs.inc({ kind: job.kind, outcome: 'completed' });
+        log.debug('Job completed', { id: job.id, kind: job.kind, waitSeconds });
+      })
+      .catch(error => {
+        metrics.analysisQueueJobs.inc({ kind: job.kind, outcome: 'failed' });
+        log.error('Job failed', { id: job.id, kind: job.kind, error });
+      })
+      .finally(() => {
+        this.active.delete(job.id);
+        this._remove(job);
+        this._pump();
+      });
+  }
+
+  /**
+   * Drop restored jobs that are too old or keep crashing the process
+   * @private
+   */
+  _dropStale() {
+    const cutoff = Date.now() - this.maxAgeMs;
+    for (const job of this.store.data.jobs.slice()) {
+      const expired = Date.parse(job.enqueued_at) < cutoff;
+      if (expired || job.attempts >= MAX_ATTEMPTS) {
+        this._remove(job);
+        metrics.analysisQueueJobs.inc({ kind: job.kind, outcome: expired ? 'expired' : 'failed' });
+        log.warn('Dropping restored job', { id: job.id, kind: job.kind, reason: expired ? 'expired' : 'too many attempts' });
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _remove(job) {
+    const jobs = this.store.data.jobs;
+    const index = jobs.indexOf(job);
+    this.transient.delete(job.id);
+    if (index !== -1) {
+      jobs.splice(index, 1);
+      this.store.saveSoon(1000);
+      this._updateDepth();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _updateDepth() {
+    const counts = this.stats();
+    for (const priority of PRIORITIES) {
+      metrics.analysisQueueDepth.set({ priority }, counts[priority]);
+    }
+  }
+}
+
+AnalysisQueue.PRIORITIES = PRIORITIES;
+
+module.exports = AnalysisQueue;
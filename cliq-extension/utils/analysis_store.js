@@ -0,0 +1,342 @@
+/**
+ * Local Analysis Store
+ *
+ * Keeps aggregated analysis results for every message the bot analyzes, so
+ * mood stats can be computed without the backend (see utils/stats_service.js).
+ *
+ * Results are bucketed by UTC hour ("2026-10-19T14"), organization and
+ * channel in an embedded SQLite database (better-sqlite3):
+ *
+ *   buckets                 count, positive, neutral, negative, stress_sum
+ *   bucket_categories       count per category
+ *   bucket_users            count, stress_sum per identified author
+ *   bucket_user_categories  count per author and category
+ *
+ * Every record() is its own small transaction, so nothing is lost on a
+ * crash and instances sharing DATA_DIR on one host see each other's writes.
+ *
+ * Message text is never stored. Anonymous users (see privacy_store.js) are
+ * counted without a user row, and forgetUser() removes a user's rows.
+ * The user rows are what stats_service.js counts distinct authors with.
+ *
+ * Persisted to DATA_DIR/analysis_store.db.
+ *
+ * Environment Variables:
+ * - ANALYSIS_RETENTION_DAYS: Days of buckets to keep (default: 30)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const JsonStore = require('./json_store');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Stats');
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const HOUR_MS = 60 * 60 * 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS buckets (
+    hour TEXT NOT NULL,
+    org_id TEXT NOT NULL,
+    channel_id TEXT NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    positive INTEGER NOT NULL DEFAULT 0,
+    neutral INTEGER NOT NULL DEFAULT 0,
+    negative INTEGER NOT NULL DEFAULT 0,
+    stress_sum REAL NOT NULL DEFAULT 0,
+    PRIMARY KEY (hour, org_id, channel_id)
+  );
+  CREATE INDEX IF NOT EXISTS buckets_org_channel ON buckets (org_id, channel_id);
+
+  CREATE TABLE IF NOT EXISTS bucket_categories (
+    hour TEXT NOT NULL,
+    org_id TEXT NOT NULL,
+    channel_id TEXT NOT NULL,
+    category TEXT NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (hour, org_id, channel_id, category)
+  );
+
+  CREATE TABLE IF NOT EXISTS bucket_users (
+    hour TEXT NOT NULL,
+    org_id TEXT NOT NULL,
+    channel_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    stress_sum REAL NOT NULL DEFAULT 0,
+    PRIMARY KEY (hour, org_id, channel_id, user_id)
+  );
+  CREATE INDEX IF NOT EXISTS bucket_users_user ON bucket_users (user_id);
+
+  CREATE TABLE IF NOT EXISTS bucket_user_categories (
+    hour TEXT NOT NULL,
+    org_id TEXT NOT NULL,
+    channel_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    category TEXT NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (hour, org_id, channel_id, user_id, category)
+  );
+  CREATE INDEX IF NOT EXISTS bucket_user_categories_user ON bucket_user_categories (user_id);
+`;
+
+const TABLES = ['buckets', 'bucket_categories', 'bucket_users', 'bucket_user_categories'];
+
+class AnalysisStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filename] - Database file, or ':memory:' (default: DATA_DIR/analysis_store.db)
+   */
+  constructor(options = {}) {
+    const dataDir = process.env.DATA_DIR || JsonStore.DEFAULT_DATA_DIR;
+    const filename = options.filename || path.join(dataDir, 'analysis_store.db');
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    // Another instance may be writing to the same file
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(SCHEMA);
+    this._prepare();
+
+    this.retentionDays = Math.max(1, parseInt(process.env.ANALYSIS_RETENTION_DAYS || '30') || 30);
+    this.lastPrunedHour = null;
+  }
+
+  /**
+   * Prepare the statements used for every message
+   * @private
+   */
+  _prepare() {
+    this.statements = {
+      bucket: this.db.prepare(`
+        INSERT INTO buckets (hour, org_id, channel_id, count, positive, neutral, negative, stress_sum)
+        VALUES (@hour, @orgId, @channelId, @count, @positive, @neutral, @negative, @stressSum)
+        ON CONFLICT (hour, org_id, channel_id) DO UPDATE SET
+          count = count + excluded.count,
+          positive = positive + excluded.positive,
+          neutral = neutral + excluded.neutral,
+          negative = negative + excluded.negative,
+          stress_sum = stress_sum + excluded.stress_sum
+      `),
+      category: this.db.prepare(`
+        INSERT INTO bucket_categories (hour, org_id, channel_id, category, count)
+        VALUES (@hour, @orgId, @channelId, @category, @count)
+        ON CONFLICT (hour, org_id, channel_id, category) DO UPDATE SET count = count + excluded.count
+      `),
+      user: this.db.prepare(`
+        INSERT INTO bucket_users (hour, org_id, channel_id, user_id, count, stress_sum)
+        VALUES (@hour, @orgId, @channelId, @userId, @count, @stressSum)
+        ON CONFLICT (hour, org_id, channel_id, user_id) DO UPDATE SET
+          count = count + excluded.count,
+          stress_sum = stress_sum + excluded.stress_sum
+      `),
+      userCategory: this.db.prepare(`
+        INSERT INTO bucket_user_categories (hour, org_id, channel_id, user_id, category, count)
+        VALUES (@hour, @orgId, @channelId, @userId, @category, @count)
+        ON CONFLICT (hour, org_id, channel_id, user_id, category) DO UPDATE SET count = count + excluded.count
+      `),
+    };
+  }
+
+  /**
+   * Bucket key for a timestamp
+   * @private
+   */
+  _hourKey(date) {
+    return date.toISOString().substring(0, 13);
+  }
+
+  /**
+   * Record one analysis result
+   * Errors are logged, not thrown - losing one data point must not fail the reply.
+   *
+   * @param {Object} entry
+   * @param {string} entry.orgId
+   * @param {string} [entry.channelId]
+   * @param {string} [entry.userId] - Omit for anonymous users
+   * @param {Object} entry.analysis - Normalized analysis (see utils/schemas.js)
+   * @param {Date} [entry.at] - When the message was analyzed (default: now)
+   */
+  record({ orgId, channelId, userId, analysis, at = new Date() }) {
+    const hour = this._hourKey(at);
+    const key = { hour, orgId, channelId: channelId || 'unknown' };
+    const stressSum = analysis.stress_score || 0;
+
+    try {
+      this.db.transaction(() => {
+        this.statements.bucket.run({
+          ...key,
+          count: 1,
+          ...Object.fromEntries(SENTIMENTS.map(sentiment => [sentiment, analysis.sentiment === sentiment ? 1 : 0])),
+          stressSum,
+        });
+        if (analysis.category) {
+          this.statements.category.run({ ...key, category: analysis.category, count: 1 });
+        }
+        if (userId) {
+          this.statements.user.run({ ...key, userId, count: 1, stressSum });
+          if (analysis.category) {
+            this.statements.userCategory.run({ ...key, userId, category: analysis.category, count: 1 });
+          }
+        }
+      })();
+
+      if (hour !== this.lastPrunedHour) {
+        this._prune(at);
+        this.lastPrunedHour = hour;
+      }
+    } catch (error) {
+      log.error('Failed to record analysis', { error: error.message });
+    }
+  }
+
+  /**
+   * Buckets for an organization within a time range, optionally one channel
+   *
+   * @param {string} orgId
+   * @param {Date} from - Inclusive
+   * @param {Date} to - Exclusive
+   * @param {string} [channelId]
+   * @returns {Array<{ hour: string, channelId: string, bucket: Object }>}
+   *   bucket: { count, sentiment: { positive, neutral, negative }, stressSum, categories: { workload: 3, ... } }
+   */
+  query(orgId, from, to, channelId = null) {
+    const params = this._rangeParams(orgId, from, to, channelId);
+    const where = `hour BETWEEN @fromKey AND @toKey AND org_id = @orgId${channelId ? ' AND channel_id = @channelId' : ''}`;
+
+    const results = new Map();
+    for (const row of this.db.prepare(`SELECT * FROM buckets WHERE ${where}`).all(params)) {
+      results.set(`${row.hour}|${row.channel_id}`, {
+        hour: row.hour,
+        channelId: row.channel_id,
+        bucket: {
+          count: row.count,
+          sentiment: { positive: row.positive, neutral: row.neutral, negative: row.negative },
+          stressSum: row.stress_sum,
+          categories: {},
+        },
+      });
+    }
+    for (const row of this.db.prepare(`SELECT * FROM bucket_categories WHERE ${where}`).all(params)) {
+      const result = results.get(`${row.hour}|${row.channel_id}`);
+      if (result) result.bucket.categories[row.category] = row.count;
+    }
+    return [...results.values()];
+  }
+
+  /**
+   * Distinct identified authors within a time range, overall and per category
+   * Anonymous users are not counted.
+   *
+   * @param {string} orgId
+   * @param {Date} from - Inclusive
+   * @param {Date} to - Exclusive
+   * @param {string|string[]} [channelIds] - One channel, several, or all
+   * @returns {Object} { users: Set<string>, byCategory: { [category]: Set<string> } }
+   */
+  authors(orgId, from, to, channelIds = null) {
+    const channels = typeof channelIds === 'string' ? [channelIds] : channelIds;
+    const params = this._rangeParams(orgId, from, to);
+    let where = `hour BETWEEN @fromKey AND @toKey AND org_id = @orgId`;
+    if (channels) {
+      channels.forEach((channelId, i) => { params[`channel${i}`] = channelId; });
+      where += ` AND channel_id IN (${channels.map((_, i) => `@channel${i}`).join(', ')})`;
+    }
+
+    const users = new Set(this.db.prepare(`SELECT DISTINCT user_id FROM bucket_users WHERE ${where}`)
+      .all(params)
+      .map(row => row.user_id));
+
+    const byCategory = {};
+    for (const row of this.db.prepare(`SELECT DISTINCT user_id, category FROM bucket_user_categories WHERE ${where}`).all(params)) {
+      (byCategory[row.category] = byCategory[row.category] || new Set()).add(row.user_id);
+    }
+    return { users, byCategory };
+  }
+
+  /**
+   * Channels with recorded analyses for an organization
+   *
+   * @param {string} orgId
+   * @returns {string[]}
+   */
+  listChannels(orgId) {
+    return this.db.prepare(`
+      SELECT DISTINCT channel_id FROM buckets
+      WHERE org_id = ? AND channel_id != 'unknown'
+      ORDER BY channel_id
+    `).all(orgId).map(row => row.channel_id);
+  }
+
+  /**
+   * Number of analyses recorded with a user's ID
+   *
+   * @param {string} userId
+   * @returns {number}
+   */
+  countForUser(userId) {
+    return this.db.prepare('SELECT COALESCE(SUM(count), 0) AS count FROM bucket_users WHERE user_id = ?').get(userId).count;
+  }
+
+  /**
+   * Remove a user's per-user rows (aggregate counts are kept)
+   *
+   * @param {string} userId
+   * @returns {number} Analyses that were attributed to the user
+   */
+  forgetUser(userId) {
+    const removed = this.db.transaction(() => {
+      const count = this.countForUser(userId);
+      this.db.prepare('DELETE FROM bucket_users WHERE user_id = ?').run(userId);
+      this.db.prepare('DELETE FROM bucket_user_categories WHERE user_id = ?').run(userId);
+      return count;
+    })();
+
+    if (removed > 0) {
+      log.info('Removed analyses attributed to user', { userId, removed });
+    }
+    return removed;
+  }
+
+  /**
+   * Close the database (call before exit)
+   * Writes are not batched, so there is nothing else to flush.
+   */
+  close() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+
+  /**
+   * Named parameters for an hour range
+   * @private
+   */
+  _rangeParams(orgId, from, to, channelId = null) {
+    return {
+      orgId,
+      channelId,
+      fromKey: this._hourKey(from),
+      toKey: this._hourKey(new Date(to.getTime() - 1)),
+    };
+  }
+
+  /**
+   * Drop buckets older than the retention period
+   * @private
+   */
+  _prune(now) {
+    const cutoff = this._hourKey(new Date(now.getTime() - this.retentionDays * 24 * HOUR_MS));
+    this.db.transaction(() => {
+      TABLES.forEach(table => this.db.prepare(`DELETE FROM ${table} WHERE hour < ?`).run(cutoff));
+    })();
+  }
+}
+
+module.exports = AnalysisStore;
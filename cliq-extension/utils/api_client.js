@@ -3,13 +3,29 @@
  * 
  * Handles all communication with the FastAPI backend.
  * Includes retry logic, error handling, and response validation.
+ * Message analysis goes through a pluggable provider (see utils/providers/).
+ * Responses are checked against utils/schemas.js; violations are counted
+ * per endpoint and reported by /health. Requests carry the current
+ * X-Correlation-ID (see utils/logger.js). Analyses, retries and circuit
+ * breaker trips are counted in utils/metrics.js.
  * 
  * Environment Variables Required:
  * - BACKEND_API_URL: Base URL of the FastAPI backend (from Zoho settings or .env)
  * - API_TIMEOUT: Request timeout in ms (default: 10000)
+ * - ANALYSIS_PROVIDER: backend | local | openai | ensemble (default: backend)
+ * - ANALYSIS_OFFLINE: Shorthand for ANALYSIS_PROVIDER=local (default: false)
+ * - LOCAL_FALLBACK_ENABLED: Use the local analyzer while the circuit breaker is open (default: true)
  */
 
 const fetch = require('node-fetch');
+const Redactor = require('./redactor');
+const { validate } = require('./schemas');
+const { createProvider } = require('./providers');
+const LocalProvider = require('./providers/local_provider');
+const { createLogger, getCorrelationId } = require('./logger');
+const metrics = require('./metrics');
+
+const log = createLogger('API');
 
 class APIClient {
   constructor(baseURL = null) {
@@ -24,6 +40,21 @@ class APIClient {
     this.circuitBreakerOpen = false;
     this.circuitBreakerResetTime = null;
     this.circuitBreakerTimeout = 30000; // 30s
+    this.metricLabels = { backend: APIClient.metricLabel(this.baseURL) };
+    metrics.circuitBreakerOpen.set(this.metricLabels, 0);
+
+    this.redactor = new Redactor();
+
+    // Backend contract drift, per endpoint
+    this.schemaViolations = { total: 0, byEndpoint: {}, last: null };
+
+    this.provider = createProvider(process.env.ANALYSIS_OFFLINE === 'true' ? 'local' : null, {
+      baseURL: this.baseURL,
+      request: (url, options) => this._makeRequest(url, options),
+      validate: (schemaName, data, endpoint) => this._validateResponse(schemaName, data, endpoint),
+    });
+    this.localProvider = new LocalProvider();
+    this.localFallbackEnabled = process.env.LOCAL_FALLBACK_ENABLED !== 'false';
   }
 
   /**
@@ -37,13 +68,16 @@ class APIClient {
 
     // Check if timeout elapsed, reset if so
     if (Date.now() >= this.circuitBreakerResetTime) {
-      console.log('[API] Circuit breaker reset - attempting request');
+      log.info('Circuit breaker reset - attempting request');
       this.circuitBreakerOpen = false;
       this.circuitBreakerFailures = 0;
+      metrics.circuitBreakerOpen.set(this.metricLabels, 0);
       return true;
     }
 
-    throw new Error('Circuit breaker is OPEN - backend unavailable');
+    const error = new Error('Circuit breaker is OPEN - backend unavailable');
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
   }
 
   /**
@@ -53,13 +87,41 @@ class APIClient {
   _recordFailure() {
     this.circuitBreakerFailures++;
     
-    if (this.circuitBreakerFailures >= this.circuitBreakerThreshold) {
+    if (this.circuitBreakerFailures >= this.circuitBreakerThreshold && !this.circuitBreakerOpen) {
       this.circuitBreakerOpen = true;
       this.circuitBreakerResetTime = Date.now() + this.circuitBreakerTimeout;
-      console.error(`[API] Circuit breaker OPEN after ${this.circuitBreakerFailures} failures`);
+      metrics.circuitBreakerOpen.set(this.metricLabels, 1);
+      metrics.circuitBreakerTrips.inc(this.metricLabels);
+      log.error('Circuit breaker OPEN', { failures: this.circuitBreakerFailures });
     }
   }
 
+  /**
+   * Metric label for a backend URL: its host if the operator configured it
+   * (BACKEND_API_URL or ALLOWED_BACKEND_HOSTS), 'other' otherwise. Keeps
+   * paths and credentials out of labels and their number bounded.
+   *
+   * @param {string} [baseURL]
+   * @returns {string}
+   */
+  static metricLabel(baseURL) {
+    if (!baseURL) return 'none';
+    const hostOf = url => {
+      try {
+        return new URL(url).hostname.toLowerCase();
+      } catch (error) {
+        return null;
+      }
+    };
+    const host = hostOf(baseURL);
+    const known = (process.env.ALLOWED_BACKEND_HOSTS || '')
+      .split(',')
+      .map(entry => entry.trim().toLowerCase())
+      .filter(Boolean);
+    if (process.env.BACKEND_API_URL) known.push(hostOf(process.env.BACKEND_API_URL));
+    return host && known.includes(host) ? host : 'other';
+  }
+
   /**
    * Reset circuit breaker on success
    * @private
@@ -67,7 +129,7 @@ class APIClient {
   _recordSuccess() {
     if (this.circuitBreakerFailures > 0) {
       this.circuitBreakerFailures = 0;
-      console.log('[API] Circuit breaker failures reset');
+      log.info('Circuit breaker failures reset');
     }
   }
 
@@ -81,6 +143,8 @@ class APIClient {
 
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    // Lets the backend's logs be matched to ours
+    const correlationId = getCorrelationId();
 
     try {
       const response = await fetch(url, {
@@ -88,6 +152,7 @@ class APIClient {
         signal: controller.signal,
         headers: {
           'Content-Type': 'application/json',
+          ...(correlationId ? { 'X-Correlation-ID': correlationId } : {}),
           ...options.headers,
         },
       });
@@ -111,7 +176,8 @@ class APIClient {
       const shouldRetry = isGetRequest && retryCount < this.maxRetries && this._shouldRetry(error);
 
       if (shouldRetry) {
-        console.warn(`Request failed, retrying (${retryCount + 1}/${this.maxRetries})...`, error.message);
+        metrics.backendRetries.inc(this.metricLabels);
+        log.warn('Request failed, retrying', { attempt: retryCount + 1, maxRetries: this.maxRetries, error: error.message });
         await this._sleep(this.retryDelay * (retryCount + 1));
         return this._makeRequest(url, options, retryCount + 1);
       }
@@ -142,6 +208,48 @@ class APIClient {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  /**
+   * Check a response against its schema, counting any violations
+   * Returns the coerced value; rethrows SchemaValidationError if unusable.
+   * @private
+   */
+  _validateResponse(schemaName, data, endpoint) {
+    try {
+      const { value, violations } = validate(schemaName, data);
+      if (violations.length > 0) {
+        this._recordViolations(endpoint, violations);
+      }
+      return value;
+    } catch (error) {
+      if (error.code === 'SCHEMA_VIOLATION') {
+        this._recordViolations(endpoint, error.violations);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record schema violations for an endpoint
+   * @private
+   */
+  _recordViolations(endpoint, violations) {
+    const counts = this.schemaViolations;
+    counts.total += violations.length;
+    counts.byEndpoint[endpoint] = (counts.byEndpoint[endpoint] || 0) + violations.length;
+    counts.last = { endpoint, violations: violations.slice(0, 5), at: new Date().toISOString() };
+
+    log.warn('Response schema violations', { endpoint, violations: violations.map(v => `${v.path} ${v.problem}`).join('; ') });
+  }
+
+  /**
+   * Schema violation counters since startup
+   *
+   * @returns {Object} { total, byEndpoint, last }
+   */
+  getSchemaViolations() {
+    return this.schemaViolations;
+  }
+
   /**
    * Analyze message sentiment and emotion
    * 
@@ -149,7 +257,13 @@ class APIClient {
    * @param {string} payload.message - The message text to analyze
    * @param {string} [payload.user_id] - Optional user ID
    * @param {string} [payload.channel_id] - Optional channel ID
+   * @param {Object[]} [payload.context] - Earlier messages in the thread, oldest first
+   *   ({ text, same_author, sentiment, stress_score }, see utils/conversation_context.js)
+   * @param {string} [payload.language] - Detected language: en, hi, de or es (see utils/language_detector.js)
+   * @param {Object} [options]
+   * @param {string} [options.redactionPatterns] - Organization's extra PII patterns
    * @returns {Promise<Object>} Analysis result with sentiment, emotion, stress_score, etc.
+   *   meta.source names the provider ('backend', 'local', 'openai', 'ensemble').
    * 
    * @example
    * const result = await apiClient.analyzeMessage({
@@ -159,26 +273,67 @@ class APIClient {
    * });
    * // Returns: { sentiment, emotion, stress_score, category, suggested_reply, confidence, meta }
    */
-  async analyzeMessage(payload) {
-    const url = `${this.baseURL}/analyze`;
-    
-    console.log(`[API] Analyzing message: "${payload.message.substring(0, 50)}..."`);
+  async analyzeMessage(payload, options = {}) {
+    log.info('Analyzing message', { provider: this.provider.name, text: this.redactor.forLog(payload.message, options.redactionPatterns) });
+
+    // PII never leaves the extension (unless REDACTION_MODE says otherwise)
+    const request = {
+      original: payload,
+      payload: this.provider.remote ? this._redactPayload(payload, options.redactionPatterns) : payload,
+    };
 
     try {
-      const result = await this._makeRequest(url, {
-        method: 'POST',
-        body: JSON.stringify(payload),
-      });
+      const result = await this.provider.analyze(request);
 
-      console.log(`[API] Analysis complete - Sentiment: ${result.sentiment}, Emotion: ${result.emotion}, Stress: ${result.stress_score}`);
+      log.info('Analysis complete', {
+        source: result.meta.source,
+        sentiment: result.sentiment,
+        emotion: result.emotion,
+        stressScore: result.stress_score,
+      });
+      this._countAnalysis(result);
       
       return result;
     } catch (error) {
-      console.error('[API] Analysis failed:', error.message);
+      if (error.code === 'CIRCUIT_OPEN' && this.localFallbackEnabled) {
+        log.warn('Backend unavailable - using local analyzer');
+        const result = await this.localProvider.analyze(request);
+        this._countAnalysis(result);
+        return result;
+      }
+
+      metrics.analysisFailures.inc({ provider: this.provider.name });
+      log.error('Analysis failed', { error: error.message });
+      if (error.code === 'SCHEMA_VIOLATION') {
+        throw error;
+      }
       throw new Error(`Backend analysis failed: ${error.message}`);
     }
   }
 
+  /**
+   * Count an analysis result by source, sentiment and emotion
+   * @private
+   */
+  _countAnalysis(result) {
+    metrics.analyses.inc({ source: result.meta?.source, sentiment: result.sentiment, emotion: result.emotion });
+  }
+
+  /**
+   * Redact the message and any conversation context for a remote provider
+   * @private
+   */
+  _redactPayload(payload, redactionPatterns) {
+    const redacted = { ...payload, message: this.redactor.prepareOutbound(payload.message, redactionPatterns) };
+    if (Array.isArray(payload.context)) {
+      redacted.context = payload.context.map(entry => ({
+        ...entry,
+        text: this.redactor.prepareOutbound(entry.text, redactionPatterns),
+      }));
+    }
+    return redacted;
+  }
+
   /**
    * Get today's team statistics
    * 
@@ -195,17 +350,20 @@ class APIClient {
       url += `?channel_id=${encodeURIComponent(channelId)}`;
     }
 
-    console.log(`[API] Fetching today's stats${channelId ? ` for channel ${channelId}` : ''}`);
+    log.info('Fetching today\'s stats', { channelId });
 
     try {
       const result = await this._makeRequest(url, {
         method: 'GET',
       });
 
-      console.log('[API] Stats retrieved successfully');
-      return result;
+      log.debug('Stats retrieved');
+      return this._validateResponse('todayStats', result, '/stats/today');
     } catch (error) {
-      console.error('[API] Stats fetch failed:', error.message);
+      log.error('Stats fetch failed', { error: error.message });
+      if (error.code === 'SCHEMA_VIOLATION') {
+        throw error;
+      }
       throw new Error(`Failed to fetch stats: ${error.message}`);
     }
   }
@@ -215,7 +373,7 @@ class APIClient {
    * 
    * @param {number} [days=7] - Number of days to fetch
    * @param {string} [channelId] - Optional channel ID filter
-   * @returns {Promise<Object>} Historical trend data
+   * @returns {Promise<Object>} Historical trend data, normalized to { days: [...] } in date order
    */
   async getTrends(days = 7, channelId = null) {
     let url = `${this.baseURL}/stats/trends?days=${days}`;
@@ -223,17 +381,20 @@ class APIClient {
       url += `&channel_id=${encodeURIComponent(channelId)}`;
     }
 
-    console.log(`[API] Fetching ${days}-day trends${channelId ? ` for channel ${channelId}` : ''}`);
+    log.info('Fetching trends', { days, channelId });
 
     try {
       const result = await this._makeRequest(url, {
         method: 'GET',
       });
 
-      console.log('[API] Trends retrieved successfully');
-      return result;
+      log.debug('Trends retrieved');
+      return this._validateResponse('trends', result, '/stats/trends');
     } catch (error) {
-      console.error('[API] Trends fetch failed:', error.message);
+      log.error('Trends fetch failed', { error: error.message });
+      if (error.code === 'SCHEMA_VIOLATION') {
+        throw error;
+      }
       throw new Error(`Failed to fetch trends: ${error.message}`);
     }
   }
@@ -253,7 +414,7 @@ class APIClient {
 
       return result.status === 'healthy';
     } catch (error) {
-      console.error('[API] Health check failed:', error.message);
+      log.error('Health check failed', { error: error.message });
       return false;
     }
   }
@@ -272,7 +433,7 @@ class APIClient {
       throw new Error(`Backend at ${this.baseURL} is not responding. Please check the URL and backend status.`);
     }
 
-    console.log(`[API] Configuration validated - Backend is healthy at ${this.baseURL}`);
+    log.info('Configuration validated - backend is healthy', { backend: this.baseURL });
     return true;
   }
 }
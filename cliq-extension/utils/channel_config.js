@@ -0,0 +1,107 @@
+/**
+ * Per-Channel Bot Configuration
+ *
+ * Controls how Emo-Bot behaves in each channel. Channels are opt-in:
+ * messages are only analyzed once someone runs `@emo-bot config enable`
+ * (unless CHANNELS_ENABLED_BY_DEFAULT=true).
+ *
+ * Settings:
+ * - enabled: Analyze messages in this channel
+ * - silent: Analyze and aggregate, but never reply with a card
+ * - replyThreshold: Only reply when stress_score >= this value (null = always)
+ * - stressThreshold: Admin alert threshold override (null = STRESS_THRESHOLD)
+ *
+ * Persisted to DATA_DIR/channel_config.json.
+ *
+ * Environment Variables:
+ * - CHANNELS_ENABLED_BY_DEFAULT: Analyze channels without explicit config (default: false)
+ */
+
+const JsonStore = require('./json_store');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Config');
+
+class ChannelConfigStore {
+  constructor(options = {}) {
+    this.store = options.store || new JsonStore('channel_config', { channels: {} });
+    this.enabledByDefault = process.env.CHANNELS_ENABLED_BY_DEFAULT === 'true';
+  }
+
+  /**
+   * Default settings for a channel with no stored config
+   * @returns {Object}
+   */
+  defaults() {
+    return {
+      enabled: this.enabledByDefault,
+      silent: false,
+      replyThreshold: null,
+      stressThreshold: null,
+    };
+  }
+
+  /**
+   * Get effective settings for a channel
+   *
+   * @param {string} channelId
+   * @returns {Object} { enabled, silent, replyThreshold, stressThreshold, updatedBy, updatedAt }
+   */
+  get(channelId) {
+    const stored = channelId ? this.store.data.channels[channelId] : null;
+    return { ...this.defaults(), ...stored };
+  }
+
+  /**
+   * Update settings for a channel
+   *
+   * @param {string} channelId
+   * @param {Object} changes - Partial settings
+   * @param {string} [userId] - Who made the change
+   * @returns {Object} Updated effective settings
+   */
+  update(channelId, changes, userId = null) {
+    if (!channelId) {
+      throw new Error('Channel ID is required');
+    }
+
+    this.store.data.channels[channelId] = {
+      ...this.get(channelId),
+      ...changes,
+      updatedBy: userId,
+      updatedAt: new Date().toISOString(),
+    };
+    this.store.save();
+
+    log.info('Channel settings updated', { channelId, userId, changes });
+    return this.get(channelId);
+  }
+
+  /**
+   * List channels whose settings were last changed by a user
+   *
+   * @param {string} userId
+   * @returns {string[]} Channel IDs
+   */
+  listChangedBy(userId) {
+    return Object.entries(this.store.data.channels)
+      .filter(([, settings]) => settings.updatedBy === userId)
+      .map(([channelId]) => channelId);
+  }
+
+  /**
+   * Remove stored settings, reverting a channel to defaults
+   *
+   * @param {string} channelId
+   * @returns {Object} Default settings
+   */
+  reset(channelId) {
+    delete this.store.data.channels[channelId];
+    this.store.save();
+
+    log.info('Channel settings reset to defaults', { channelId });
+    return this.get(channelId);
+  }
+}
+
+module.exports = ChannelConfigStore;
@@ -0,0 +1,308 @@
+/**
+ * Zoho Cliq REST API Client
+ *
+ * Sends outbound messages (admin alerts, bot replies) through the Cliq v2 API.
+ * Authenticates with a long-lived OAuth refresh token and exchanges it for
+ * short-lived access tokens on demand.
+ *
+ * The credentials belong to one Zoho account, so outbound messages only work
+ * in that account's organization, whichever organization the request came
+ * from. A deployment serving several organizations shares one client.
+ *
+ * Environment Variables Required:
+ * - ZOHO_CLIENT_ID: OAuth client ID (Zoho API console, "Self Client")
+ * - ZOHO_CLIENT_SECRET: OAuth client secret
+ * - ZOHO_REFRESH_TOKEN: Refresh token with ZohoCliq.Webhooks.CREATE scope (and ZohoCliq.Channels.READ for channel lookups)
+ *
+ * Optional:
+ * - ZOHO_ACCOUNTS_URL: OAuth server (default: https://accounts.zoho.com)
+ * - ZOHO_CLIQ_API_URL: Cliq API base (default: https://cliq.zoho.com/api/v2)
+ * - ZOHO_CLIQ_WEB_URL: Cliq web app base, used for message links (default: https://cliq.zoho.com)
+ * - ZOHO_BOT_UNIQUE_NAME: Bot that posts messages (default: emobot)
+ * - API_TIMEOUT: Request timeout in ms (default: 10000)
+ */
+
+const fetch = require('node-fetch');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Cliq');
+
+class CliqClient {
+  constructor(options = {}) {
+    this.clientId = options.clientId || process.env.ZOHO_CLIENT_ID;
+    this.clientSecret = options.clientSecret || process.env.ZOHO_CLIENT_SECRET;
+    this.refreshToken = options.refreshToken || process.env.ZOHO_REFRESH_TOKEN;
+    this.accountsURL = options.accountsURL || process.env.ZOHO_ACCOUNTS_URL || 'https://accounts.zoho.com';
+    this.apiURL = options.apiURL || process.env.ZOHO_CLIQ_API_URL || 'https://cliq.zoho.com/api/v2';
+    this.webURL = options.webURL || process.env.ZOHO_CLIQ_WEB_URL || 'https://cliq.zoho.com';
+    this.botUniqueName = options.botUniqueName || process.env.ZOHO_BOT_UNIQUE_NAME || 'emobot';
+    this.timeout = parseInt(process.env.API_TIMEOUT || '10000');
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 1000;
+
+    // Access token cache
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+    this.tokenRefreshPromise = null;
+  }
+
+  /**
+   * Whether OAuth credentials are present
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!(this.clientId && this.clientSecret && this.refreshToken);
+  }
+
+  /**
+   * Get a valid access token, refreshing if expired
+   * Concurrent callers share a single in-flight refresh.
+   * @private
+   */
+  async _getAccessToken(forceRefresh = false) {
+    // Refresh 60s early so tokens don't expire mid-request
+    if (!forceRefresh && this.accessToken && Date.now() < this.accessTokenExpiresAt - 60000) {
+      return this.accessToken;
+    }
+
+    if (!this.tokenRefreshPromise) {
+      this.tokenRefreshPromise = this._refreshAccessToken().finally(() => {
+        this.tokenRefreshPromise = null;
+      });
+    }
+
+    return this.tokenRefreshPromise;
+  }
+
+  /**
+   * Exchange refresh token for a new access token
+   * @private
+   */
+  async _refreshAccessToken() {
+    const params = new URLSearchParams({
+      refresh_token: this.refreshToken,
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      grant_type: 'refresh_token',
+    });
+
+    log.info('Refreshing OAuth access token');
+
+    const response = await this._fetchWithTimeout(`${this.accountsURL}/oauth/v2/token`, {
+      method: 'POST',
+      body: params,
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    // Zoho returns 200 with { error } for invalid refresh tokens
+    if (!response.ok || result.error || !result.access_token) {
+      throw new Error(`OAuth token refresh failed: ${result.error || `HTTP ${response.status}`}`);
+    }
+
+    this.accessToken = result.access_token;
+    this.accessTokenExpiresAt = Date.now() + (parseInt(result.expires_in) || 3600) * 1000;
+    return this.accessToken;
+  }
+
+  /**
+   * fetch() with AbortController timeout
+   * @private
+   */
+  async _fetchWithTimeout(url, options) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Make authenticated Cliq API request with retry logic
+   * - 401: refresh token once and retry
+   * - 429 / 5xx / connection errors: exponential backoff
+   * @private
+   */
+  async _request(path, options = {}, retryCount = 0, tokenRefreshed = false) {
+    if (!this.isConfigured()) {
+      throw new Error('Cliq API is not configured (ZOHO_CLIENT_ID, ZOHO_CLIENT_SECRET, ZOHO_REFRESH_TOKEN)');
+    }
+
+    let response;
+    try {
+      const token = await this._getAccessToken();
+      response = await this._fetchWithTimeout(`${this.apiURL}${path}`, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Zoho-oauthtoken ${token}`,
+          ...options.headers,
+        },
+      });
+    } catch (error) {
+      if (retryCount < this.maxRetries && this._shouldRetry(error)) {
+        log.warn('Request failed, retrying', { attempt: retryCount + 1, maxRetries: this.maxRetries, error: error.message });
+        await this._sleep(this.retryDelay * Math.pow(2, retryCount));
+        return this._request(path, options, retryCount + 1, tokenRefreshed);
+      }
+      throw error;
+    }
+
+    if (response.status === 401 && !tokenRefreshed) {
+      log.warn('Access token rejected, refreshing');
+      await this._getAccessToken(true);
+      return this._request(path, options, retryCount, true);
+    }
+
+    if (response.status === 429 || response.status >= 500) {
+      if (retryCount < this.maxRetries) {
+        const retryAfter = parseInt(response.headers.get('retry-after')) * 1000;
+        const delay = retryAfter || this.retryDelay * Math.pow(2, retryCount);
+        log.warn('Request failed, retrying', { status: response.status, attempt: retryCount + 1, maxRetries: this.maxRetries });
+        await this._sleep(delay);
+        return this._request(path, options, retryCount + 1, tokenRefreshed);
+      }
+    }
+
+    if (!response.ok) {
+      const error = new Error(`Cliq API HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    // Message endpoints return 204 No Content
+    if (response.status === 204) {
+      return null;
+    }
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  /**
+   * Determine if a failed request (no HTTP response) should be retried
+   * Timeouts are not retried: the message may already have been posted.
+   * @private
+   */
+  _shouldRetry(error) {
+    return (
+      error.message.includes('ECONNREFUSED') ||
+      error.message.includes('ECONNRESET') ||
+      error.message.includes('ETIMEDOUT')
+    );
+  }
+
+  /**
+   * Sleep utility for retry delays
+   * @private
+   */
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Post a message to a channel as the bot
+   *
+   * @param {string} channel - Channel unique name, or chat ID (CT_...)
+   * @param {Object} message - Message body ({ text, card, ... })
+   * @returns {Promise<Object|null>} Cliq API response
+   *
+   * @example
+   * await cliqClient.postToChannel('hr-alerts', { text: 'Hello' });
+   */
+  async postToChannel(channel, message) {
+    if (!channel) {
+      throw new Error('Channel is required');
+    }
+
+    const encoded = encodeURIComponent(channel);
+    const path = channel.startsWith('CT_')
+      ? `/chats/${encoded}/message`
+      : `/channelsbyname/${encoded}/message?bot_unique_name=${encodeURIComponent(this.botUniqueName)}`;
+
+    log.info('Posting message', { channel });
+
+    return this._request(path, {
+      method: 'POST',
+      body: JSON.stringify(message),
+    });
+  }
+
+  /**
+   * Send a message to one user in their chat with the bot
+   * Only that user sees it, like a message action response.
+   *
+   * @param {string} userId - Zoho user ID
+   * @param {Object} message - Message body ({ text, card, ... })
+   * @returns {Promise<Object|null>} Cliq API response
+   */
+  async postToUser(userId, message) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    log.info('Posting message to user', { userId });
+
+    return this._request(`/bots/${encodeURIComponent(this.botUniqueName)}/message`, {
+      method: 'POST',
+      body: JSON.stringify({ ...message, userids: String(userId) }),
+    });
+  }
+
+  /**
+   * Replace the content of a message the bot previously posted
+   *
+   * @param {string} chatId - Chat ID the message belongs to
+   * @param {string} messageId - Message ID to edit
+   * @param {Object} message - New message body ({ text, card, ... })
+   * @returns {Promise<Object|null>} Cliq API response
+   */
+  async editMessage(chatId, messageId, message) {
+    if (!chatId || !messageId) {
+      throw new Error('Chat ID and message ID are required');
+    }
+
+    log.info('Editing message', { chatId, messageId });
+
+    return this._request(`/chats/${encodeURIComponent(chatId)}/messages/${encodeURIComponent(messageId)}`, {
+      method: 'PUT',
+      body: JSON.stringify(message),
+    });
+  }
+
+  /**
+   * Look up a channel by its unique name (the name after `#`)
+   *
+   * @param {string} uniqueName - e.g. 'design'
+   * @returns {Promise<Object|null>} Channel ({ channel_id, unique_name, name, chat_id, ... }), or null when there is none
+   */
+  async getChannelByName(uniqueName) {
+    if (!uniqueName) {
+      throw new Error('Channel name is required');
+    }
+
+    try {
+      return await this._request(`/channelsbyname/${encodeURIComponent(uniqueName)}`, { method: 'GET' });
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Build a deep link to a message in the Cliq web app
+   *
+   * @param {string} chatId - Chat ID the message belongs to
+   * @param {string} [messageId] - Message ID
+   * @returns {string|null}
+   */
+  buildMessageLink(chatId, messageId) {
+    if (!chatId) return null;
+    const link = `${this.webURL}/chats/${encodeURIComponent(chatId)}`;
+    return messageId ? `${link}?msgid=${encodeURIComponent(messageId)}` : link;
+  }
+}
+
+module.exports = CliqClient;
@@ -0,0 +1,181 @@
+/**
+ * Conversation Context
+ *
+ * Remembers the last few analyzed messages of each channel thread so a new
+ * message can be analyzed together with what it replies to, and so cards
+ * can say whether the conversation is escalating or calming down.
+ *
+ * Threads are keyed by organization, chat (channel or direct conversation)
+ * and thread ID; messages outside a thread share the chat's "main" thread.
+ * Only redacted text is kept, messages expire after CONTEXT_TTL_MINUTES,
+ * and anonymous authors are stored without a user ID.
+ *
+ * Persisted to DATA_DIR/conversation_context.json (writes batched).
+ *
+ * Environment Variables:
+ * - CONTEXT_ENABLED: Send recent messages along with each analysis (default: true)
+ * - CONTEXT_WINDOW: Previous messages kept per thread (default: 5, max: 20)
+ * - CONTEXT_TTL_MINUTES: Age after which a message drops out of context (default: 120)
+ */
+
+const JsonStore = require('./json_store');
+
+const MINUTE_MS = 60 * 1000;
+
+// Change in average stress between the older and newer half of a thread
+const DIRECTION_THRESHOLD = 1.5;
+const MIN_DIRECTION_MESSAGES = 3;
+
+class ConversationContext {
+  constructor(options = {}) {
+    this.store = options.store || new JsonStore('conversation_context', { threads: {} });
+    this.enabled = process.env.CONTEXT_ENABLED !== 'false';
+    this.window = Math.min(20, Math.max(1, parseInt(process.env.CONTEXT_WINDOW || '5') || 5));
+    this.ttlMs = Math.max(1, parseInt(process.env.CONTEXT_TTL_MINUTES || '120') || 120) * MINUTE_MS;
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Thread key for a webhook event
+   *
+   * @param {string} orgId
+   * @param {Object} event - Zoho webhook event
+   * @returns {string|null} Null when the event has no chat to group by
+   */
+  keyFor(orgId, event) {
+    const chatId = event?.channel?.id || event?.chat?.id;
+    if (!chatId) return null;
+
+    const threadId = event?.thread?.id || event?.message?.thread_id || 'main';
+    return `${orgId}:${chatId}:${threadId}`;
+  }
+
+  /**
+   * Recent messages of a thread, oldest first
+   *
+   * @param {string} key - From keyFor()
+   * @param {Date} [now]
+   * @returns {Array<{ userId: string|null, text: string, sentiment: string, stressScore: number, at: number }>}
+   */
+  recent(key, now = new Date()) {
+    if (!this.enabled || !key) return [];
+
+    const thread = this.store.data.threads[key];
+    if (!thread) return [];
+    return thread.messages.filter(message => now.getTime() - message.at < this.ttlMs);
+  }
+
+  /**
+   * Context entries for the analyzer payload
+   *
+   * @param {Object[]} messages - From recent()
+   * @param {string} [userId] - Author of the message being analyzed
+   * @returns {Array<{ text: string, same_author: boolean, sentiment: string, stress_score: number }>}
+   */
+  toPayload(messages, userId) {
+    return messages.map(message => ({
+      text: message.text,
+      same_author: !!userId && message.userId === userId,
+      sentiment: message.sentiment,
+      stress_score: message.stressScore,
+    }));
+  }
+
+  /**
+   * Append an analyzed message to its thread
+   *
+   * @param {string} key - From keyFor()
+   * @param {Object} entry
+   * @param {string} [entry.userId] - Omit for anonymous authors
+   * @param {string} entry.text - Redacted message text
+   * @param {Object} entry.analysis - Normalized analysis
+   * @param {Date} [entry.at]
+   */
+  append(key, { userId, text, analysis, at = new Date() }) {
+    if (!this.enabled || !key) return;
+
+    const now = at.getTime();
+    const messages = this.recent(key, at);
+    messages.push({
+      userId: userId || null,
+      text: text.substring(0, 500),
+      sentiment: analysis.sentiment,
+      stressScore: analysis.stress_score,
+      at: now,
+    });
+    this.store.data.threads[key] = { updatedAt: now, messages: messages.slice(-this.window) };
+
+    if (now - this.lastPrunedAt > 10 * MINUTE_MS) {
+      this._prune(now);
+      this.lastPrunedAt = now;
+    }
+    this.store.saveSoon();
+  }
+
+  /**
+   * Where a thread is heading, comparing its older and newer half
+   *
+   * @param {Object[]} messages - Recent messages including the newest, oldest first
+   * @returns {Object|null} { trend: 'escalating'|'calming'|'steady', from, to, messages }, or null if too short
+   */
+  direction(messages) {
+    if (messages.length < MIN_DIRECTION_MESSAGES) return null;
+
+    const half = Math.floor(messages.length / 2);
+    const average = list => list.reduce((sum, message) => sum + (message.stressScore || 0), 0) / list.length;
+    const from = average(messages.slice(0, half));
+    const to = average(messages.slice(-half));
+    const change = to - from;
+
+    return {
+      trend: change >= DIRECTION_THRESHOLD ? 'escalating' : change <= -DIRECTION_THRESHOLD ? 'calming' : 'steady',
+      from: Math.round(from * 10) / 10,
+      to: Math.round(to * 10) / 10,
+      messages: messages.length,
+    };
+  }
+
+  /**
+   * Number of context messages kept under a user's ID
+   *
+   * @param {string} userId
+   * @returns {number}
+   */
+  countForUser(userId) {
+    return Object.values(this.store.data.threads)
+      .reduce((count, thread) => count + thread.messages.filter(message => message.userId === userId).length, 0);
+  }
+
+  /**
+   * Remove a user's messages from every thread
+   *
+   * @param {string} userId
+   */
+  forgetUser(userId) {
+    for (const thread of Object.values(this.store.data.threads)) {
+      thread.messages = thread.messages.filter(message => message.userId !== userId);
+    }
+    this.store.save();
+  }
+
+  /**
+   * Write pending changes (call before exit)
+   */
+  flush() {
+    this.store.flush();
+  }
+
+  /**
+   * Drop threads whose newest message has expired
+   * @private
+   */
+  _prune(now) {
+    for (const [key, thread] of Object.entries(this.store.data.threads)) {
+      if (now - thread.updatedAt >= this.ttlMs || thread.messages.length === 0) {
+        delete this.store.data.threads[key];
+      }
+    }
+  }
+}
+
+module.exports = ConversationContext;
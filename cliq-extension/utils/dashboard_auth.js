@@ -0,0 +1,211 @@
+/**
+ * Dashboard Access Control
+ *
+ * The dashboard widget is opened from a link, so it cannot rely on the
+ * request checks the Cliq callbacks use. Instead every link carries a
+ * short-lived token naming the Cliq user it was issued to:
+ *
+ *   base64url(JSON payload) + "." + base64url(HMAC-SHA256(first part, DASHBOARD_SIGNING_SECRET))
+ *   payload: { uid, org, channels: [channel IDs the user is in], name?, exp: Unix seconds }
+ *
+ * /team-mood cards get tokens from issueToken(); a Deluge widget handler can
+ * build the same format with the shared secret.
+ *
+ * The token only says who the user is and which channels they are in. The
+ * role is decided here, from server-side lists, never from the token:
+ * - admin:   BOT_ADMIN_USER_IDS         - every channel, per-channel drill-down
+ * - hr:      REVIEWER_USER_IDS          - every channel, per-channel drill-down
+ * - manager: DASHBOARD_TEAMS managers   - their teams' channels and their own
+ * - member:  anyone else with a token   - their own channels
+ *
+ * Environment Variables:
+ * - DASHBOARD_SIGNING_SECRET: HMAC secret for dashboard tokens (random per process when unset,
+ *   so links stop working after a restart and Deluge handlers cannot issue tokens)
+ * - DASHBOARD_TOKEN_TTL_MINUTES: Lifetime of issued tokens (default: 60)
+ * - DASHBOARD_TEAMS: JSON array of { "name", "managers": [user IDs], "channels": [channel IDs] }
+ * - BOT_ADMIN_USER_IDS, REVIEWER_USER_IDS: Admin and HR user IDs (comma-separated)
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Auth');
+
+const MAX_TOKEN_CHANNELS = 50;
+
+// Shared by every instance, so tokens issued by one handler verify in another
+const PROCESS_SECRET = crypto.randomBytes(32).toString('hex');
+
+/**
+ * Parse a comma-separated ID list
+ * @private
+ */
+function parseIds(value) {
+  return (value || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+class DashboardAuth {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.secret]
+   * @param {number} [options.ttlMinutes]
+   * @param {Object[]} [options.teams] - Overrides DASHBOARD_TEAMS
+   */
+  constructor(options = {}) {
+    this.secret = options.secret || process.env.DASHBOARD_SIGNING_SECRET;
+    if (!this.secret) {
+      log.warn('DASHBOARD_SIGNING_SECRET is not set - dashboard links will stop working after a restart');
+      this.secret = PROCESS_SECRET;
+    }
+    this.ttlMs = (options.ttlMinutes ?? parseInt(process.env.DASHBOARD_TOKEN_TTL_MINUTES || '60')) * 60 * 1000;
+    this.adminIds = parseIds(process.env.BOT_ADMIN_USER_IDS);
+    this.hrIds = parseIds(process.env.REVIEWER_USER_IDS);
+    this.teams = options.teams || this._parseTeams(process.env.DASHBOARD_TEAMS);
+  }
+
+  /**
+   * Issue a dashboard token for a Cliq user
+   *
+   * @param {Object} user
+   * @param {string} user.userId
+   * @param {string} [user.orgId]
+   * @param {string[]} [user.channels] - Channels the user is known to be in
+   * @param {string} [user.name]
+   * @returns {string|null} Token, or null without a user ID
+   */
+  issueToken({ userId, orgId, channels = [], name }) {
+    if (!userId) return null;
+
+    const payload = {
+      uid: String(userId),
+      org: orgId || undefined,
+      channels: channels.filter(Boolean).slice(0, MAX_TOKEN_CHANNELS),
+      name: name ? String(name).substring(0, 100) : undefined,
+      exp: Math.floor((Date.now() + this.ttlMs) / 1000),
+    };
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encoded}.${this._sign(encoded)}`;
+  }
+
+  /**
+   * Verify a token and resolve what its user may see
+   *
+   * @param {string} token
+   * @returns {Object|null} { userId, orgId, name, role, channels: string[]|null (null = all), drillDown }
+   */
+  authenticate(token) {
+    const payload = this._verifyToken(token);
+    if (!payload) return null;
+
+    const ownChannels = payload.channels;
+    const role = this._roleFor(payload.uid);
+    let channels = null;
+
+    if (role === 'manager') {
+      const teamChannels = this.teams
+        .filter(team => team.managers.includes(payload.uid))
+        .flatMap(team => team.channels);
+      channels = [...new Set([...teamChannels, ...ownChannels])];
+    } else if (role === 'member') {
+      channels = ownChannels;
+    }
+
+    return {
+      userId: payload.uid,
+      orgId: payload.org || null,
+      name: payload.name || null,
+      role,
+      channels,
+      drillDown: role === 'hr' || role === 'admin',
+    };
+  }
+
+  /**
+   * Whether an authenticated viewer may see a channel (null = all channels)
+   *
+   * @param {Object} viewer - Result of authenticate()
+   * @param {string|null} channelId
+   * @returns {boolean}
+   */
+  canView(viewer, channelId) {
+    if (viewer.channels === null) return true;
+    return channelId !== null && viewer.channels.includes(channelId);
+  }
+
+  /**
+   * Role for a user ID, highest first
+   * @private
+   */
+  _roleFor(userId) {
+    if (this.adminIds.includes(userId)) return 'admin';
+    if (this.hrIds.includes(userId)) return 'hr';
+    if (this.teams.some(team => team.managers.includes(userId))) return 'manager';
+    return 'member';
+  }
+
+  /**
+   * Check signature, expiry and shape; null for anything invalid
+   * @private
+   */
+  _verifyToken(token) {
+    if (typeof token !== 'string' || token.length > 4096) return null;
+
+    const [encoded, signature, extra] = token.split('.');
+    if (!encoded || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(this._sign(encoded));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (!payload || typeof payload.uid !== 'string' || !payload.uid) return null;
+    if (typeof payload.exp !== 'number' || payload.exp * 1000 < Date.now()) return null;
+
+    payload.channels = Array.isArray(payload.channels)
+      ? payload.channels.filter(channel => typeof channel === 'string' && /^[\w.-]{1,100}$/.test(channel))
+      : [];
+    return payload;
+  }
+
+  /**
+   * @private
+   */
+  _sign(encoded) {
+    return crypto.createHmac('sha256', this.secret).update(encoded).digest('base64url');
+  }
+
+  /**
+   * Parse DASHBOARD_TEAMS, dropping malformed teams
+   * @private
+   */
+  _parseTeams(value) {
+    if (!value) return [];
+
+    let teams;
+    try {
+      teams = JSON.parse(value);
+    } catch (error) {
+      log.error('DASHBOARD_TEAMS is not valid JSON - no managers configured', { error: error.message });
+      return [];
+    }
+    if (!Array.isArray(teams)) return [];
+
+    return teams
+      .filter(team => team && Array.isArray(team.managers) && Array.isArray(team.channels))
+      .map(team => ({
+        name: String(team.name || 'Team'),
+        managers: team.managers.map(String),
+        channels: team.channels.map(String).filter(channel => /^[\w.-]{1,100}$/.test(channel)),
+      }));
+  }
+}
+
+module.exports = DashboardAuth;
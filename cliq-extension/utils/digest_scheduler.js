@@ -0,0 +1,274 @@
+/**
+ * Mood Digest Scheduler
+ *
+ * Checks the schedules in utils/digest_schedules.js once a minute and posts
+ * due digests through the Cliq API. A digest is due from its local time
+ * until DIGEST_GRACE_MINUTES later, so a short restart doesn't drop it but
+ * a long outage doesn't post a stale one.
+ *
+ * Several instances may run against the same DATA_DIR. Before posting, an
+ * instance creates DATA_DIR/digest_locks/<id>-<date>.lock with the
+ * exclusive 'wx' flag; whoever creates the file posts and everyone else
+ * skips. A failed post removes the lock so the next tick can retry.
+ *
+ * Digests are written in the language of the person who scheduled them.
+ * Each posted digest is also sent as a digest.generated webhook event, with
+ * the card as posted (utils/outbound_webhooks.js).
+ *
+ * Environment Variables:
+ * - DIGESTS_ENABLED: Run the scheduler (default: true)
+ * - DIGEST_GRACE_MINUTES: How late a digest may still be posted (default: 60)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const DigestScheduleStore = require('./digest_schedules');
+const OutboundWebhooks = require('./outbound_webhooks');
+const { TeamMoodCommandHandler } = require('../commands/team_mood');
+const { parseMoodQuery } = require('../commands/mood_query');
+const { t, resolveLocale } = require('./i18n');
+const { createLogger, withCorrelationId } = require('./logger');
+
+const log = createLogger('Digest');
+
+const TICK_MS = 60 * 1000;
+const LOCK_RETENTION_MS = 8 * 24 * 60 * 60 * 1000;
+
+class DigestScheduler {
+  constructor(options = {}) {
+    this.schedules = options.schedules || new DigestScheduleStore();
+    this.cliqClient = options.cliqClient;
+    this.orgConfig = options.orgConfig;
+    this.webhooks = options.webhooks || new OutboundWebhooks();
+    this.moodHandler = options.moodHandler || new TeamMoodCommandHandler({
+      orgConfig: options.orgConfig,
+      statsService: options.statsService,
+      dashboardAuth: options.dashboardAuth,
+    });
+    this.graceMinutes = Math.max(1, parseInt(process.env.DIGEST_GRACE_MINUTES || '60') || 60);
+    this.lockDir = path.join(this.schedules.store.dataDir, 'digest_locks');
+    this.timer = null;
+    this.running = false;
+    this.lastLockCleanup = 0;
+  }
+
+  /**
+   * Start checking schedules every minute
+   */
+  start() {
+    if (this.timer) return;
+
+    if (process.env.DIGESTS_ENABLED === 'false') {
+      log.info('Scheduler disabled (DIGESTS_ENABLED=false)');
+      return;
+    }
+    if (!this.cliqClient?.isConfigured()) {
+      log.warn('Cliq API not configured - scheduled digests will not be posted');
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    this.timer.unref();
+    log.info('Scheduler started', { schedules: this.schedules.list().length });
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Post every digest that is due
+   * Ticks don't overlap: a slow tick makes the next one return early.
+   *
+   * @param {Date} [now]
+   * @returns {Promise<number>} Digests posted
+   */
+  async tick(now = new Date()) {
+    if (this.running) return 0;
+    this.running = true;
+
+    let posted = 0;
+    try {
+      this.schedules.reload();
+
+      for (const schedule of this.schedules.list()) {
+        const slot = this.dueSlot(schedule, now);
+        if (!slot) continue;
+
+        // Each digest gets its own ID, like a request would
+        if (await withCorrelationId(crypto.randomUUID(), () => this._post(schedule, slot))) posted++;
+      }
+
+      this._cleanupLocks(now);
+    } catch (error) {
+      log.error('Tick failed', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+    return posted;
+  }
+
+  /**
+   * The slot a schedule is due for, if any
+   *
+   * @param {Object} schedule
+   * @param {Date} now
+   * @returns {string|null} Local date (YYYY-MM-DD) in the schedule's timezone
+   */
+  dueSlot(schedule, now) {
+    const local = this._localTime(now, schedule.timezone);
+    if (!local) return null;
+
+    const start = DigestScheduleStore.parseTime(schedule.time);
+    if (local.minutes < start || local.minutes >= start + this.graceMinutes) return null;
+    if (schedule.frequency === 'weekly' && local.weekday !== schedule.weekday) return null;
+    if (schedule.lastSlot === local.date) return null;
+
+    return local.date;
+  }
+
+  /**
+   * Claim the slot and post the digest
+   * @private
+   * @returns {Promise<boolean>} True if this instance posted it
+   */
+  async _post(schedule, slot) {
+    const lockPath = path.join(this.lockDir, `${schedule.id}-${slot}.lock`);
+    if (!this._acquireLock(lockPath)) {
+      return false;
+    }
+
+    try {
+      const config = this.orgConfig.resolve({ organization: { id: schedule.orgId } });
+      const message = await this.buildDigest(schedule, config);
+
+      await this.cliqClient.postToChannel(schedule.target, message);
+      this.schedules.markPosted(schedule.id, slot);
+      log.info('Digest posted', { id: schedule.id, frequency: schedule.frequency, target: schedule.target });
+
+      this.webhooks.emit('digest.generated', {
+        org_id: config.orgId,
+        schedule_id: schedule.id,
+        frequency: schedule.frequency,
+        channel_id: schedule.channelId,
+        target: schedule.target,
+        date: slot,
+        message,
+      }, config.orgId);
+      return true;
+    } catch (error) {
+      log.error('Digest post failed', { id: schedule.id, target: schedule.target, error: error.message });
+      fs.rmSync(lockPath, { force: true });
+      return false;
+    }
+  }
+
+  /**
+   * Build the digest message for a schedule
+   *
+   * @param {Object} schedule
+   * @param {Object} config - Organization config
+   * @returns {Promise<Object>} Message ({ text, card })
+   */
+  async buildDigest(schedule, config) {
+    // Schedules created before locales were stored fall back to DEFAULT_LOCALE
+    const locale = resolveLocale(null, schedule.locale);
+    const message = schedule.frequency === 'weekly'
+      ? await this.moodHandler.buildRangeReport(schedule.channelId, parseMoodQuery('last 7d').period, config, locale)
+      : await this.moodHandler.buildMoodReport(schedule.channelId, config, locale);
+
+    const label = t(locale, schedule.frequency === 'weekly' ? 'digest.weekly' : 'digest.daily');
+    return {
+      ...message,
+      text: label,
+      card: {
+        ...message.card,
+        title: `${label} - ${message.card.title}`,
+      },
+    };
+  }
+
+  /**
+   * Create a lock file, failing if it already exists
+   * @private
+   */
+  _acquireLock(lockPath) {
+    try {
+      fs.mkdirSync(this.lockDir, { recursive: true });
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, at: new Date().toISOString() }), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        log.error('Could not create lock', { lockPath, error: error.message });
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Delete lock files older than a week (at most once an hour)
+   * @private
+   */
+  _cleanupLocks(now) {
+    if (now.getTime() - this.lastLockCleanup < 60 * 60 * 1000) return;
+    this.lastLockCleanup = now.getTime();
+
+    let files;
+    try {
+      files = fs.readdirSync(this.lockDir);
+    } catch (error) {
+      return;
+    }
+
+    for (const file of files) {
+      const filePath = path.join(this.lockDir, file);
+      try {
+        if (now.getTime() - fs.statSync(filePath).mtimeMs > LOCK_RETENTION_MS) {
+          fs.rmSync(filePath, { force: true });
+        }
+      } catch (error) {
+        // Removed by another instance
+      }
+    }
+  }
+
+  /**
+   * Wall-clock date, weekday and minutes in a timezone
+   * @private
+   * @returns {Object|null} { date, weekday, minutes }
+   */
+  _localTime(now, timezone) {
+    let parts;
+    try {
+      parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'short',
+      }).formatToParts(now);
+    } catch (error) {
+      log.error('Invalid timezone', { timezone });
+      return null;
+    }
+
+    const get = type => parts.find(part => part.type === type)?.value;
+    return {
+      date: `${get('year')}-${get('month')}-${get('day')}`,
+      weekday: DigestScheduleStore.parseWeekday(get('weekday')),
+      minutes: parseInt(get('hour')) * 60 + parseInt(get('minute')),
+    };
+  }
+}
+
+module.exports = DigestScheduler;
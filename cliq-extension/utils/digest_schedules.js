@@ -0,0 +1,222 @@
+/**
+ * Mood Digest Schedules
+ *
+ * Channels that get a mood digest posted automatically, managed with
+ * /mood-digest and run by utils/digest_scheduler.js.
+ *
+ * - daily: today's /team-mood card, posted at `time` every day
+ * - weekly: the last 7 days with changes against the week before,
+ *   posted at `time` on `weekday`
+ *
+ * Times are wall-clock times in the schedule's IANA timezone.
+ * Persisted to DATA_DIR/digest_schedules.json.
+ *
+ * Environment Variables:
+ * - DIGEST_DEFAULT_TIMEZONE: Timezone when /mood-digest doesn't name one (default: UTC)
+ */
+
+const JsonStore = require('./json_store');
+const { normalizeLocale } = require('./i18n');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Digest');
+
+const FREQUENCIES = ['daily', 'weekly'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MAX_PER_CHANNEL = 5;
+const DEFAULTS = { schedules: [], nextId: 1 };
+
+class DigestScheduleStore {
+  constructor(options = {}) {
+    this.store = options.store || new JsonStore('digest_schedules', DEFAULTS);
+    this.defaultTimezone = process.env.DIGEST_DEFAULT_TIMEZONE || 'UTC';
+  }
+
+  /**
+   * Pick up changes written by other instances sharing DATA_DIR
+   */
+  reload() {
+    this.store.reload(DEFAULTS);
+  }
+
+  /**
+   * Add a schedule
+   *
+   * @param {Object} schedule
+   * @param {string} schedule.orgId
+   * @param {string} schedule.target - Where to post: chat ID (CT_...) or channel unique name
+   * @param {string} [schedule.channelId] - Channel the stats are for
+   * @param {string} schedule.frequency - daily | weekly
+   * @param {string} schedule.time - HH:MM
+   * @param {number} [schedule.weekday] - 0 (Sunday) - 6, weekly only
+   * @param {string} [schedule.timezone] - IANA timezone
+   * @param {string} [schedule.createdBy]
+   * @param {string} [schedule.locale] - Digest language (the creator's Cliq locale)
+   * @returns {Object} Stored schedule
+   */
+  add(schedule) {
+    this.reload();
+
+    if (!FREQUENCIES.includes(schedule.frequency)) {
+      throw this._error('INVALID_FREQUENCY', `Frequency must be ${FREQUENCIES.join(' or ')}`);
+    }
+    const minutes = DigestScheduleStore.parseTime(schedule.time);
+    if (minutes === null) {
+      const time = String(schedule.time).substring(0, 20);
+      throw this._error('INVALID_TIME', `Invalid time \`${time}\` - use 24-hour HH:MM`, { time });
+    }
+    if (schedule.frequency === 'weekly' && !(schedule.weekday >= 0 && schedule.weekday <= 6)) {
+      throw this._error('INVALID_WEEKDAY', 'Weekly digests need a day (mon, tue, ...)');
+    }
+
+    const timezone = schedule.timezone || this.defaultTimezone;
+    if (!DigestScheduleStore.isValidTimezone(timezone)) {
+      const name = String(timezone).substring(0, 50);
+      throw this._error('INVALID_TIMEZONE', `Unknown timezone \`${name}\` - use an IANA name like Europe/Berlin`, { timezone: name });
+    }
+
+    const existing = this.list({ orgId: schedule.orgId, target: schedule.target });
+    if (existing.length >= MAX_PER_CHANNEL) {
+      throw this._error('LIMIT_REACHED', `A channel can have at most ${MAX_PER_CHANNEL} digests`, { count: MAX_PER_CHANNEL });
+    }
+
+    const entry = {
+      id: String(this.store.data.nextId++),
+      orgId: schedule.orgId,
+      target: schedule.target,
+      channelId: schedule.channelId || null,
+      frequency: schedule.frequency,
+      time: `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`,
+      weekday: schedule.frequency === 'weekly' ? schedule.weekday : null,
+      timezone,
+      createdBy: schedule.createdBy || null,
+      locale: normalizeLocale(schedule.locale) || null,
+      createdAt: new Date().toISOString(),
+      lastSlot: null,
+    };
+
+    this.store.data.schedules.push(entry);
+    this.store.save();
+    log.info('Schedule added', { id: entry.id, schedule: this.describe(entry), target: entry.target });
+    return entry;
+  }
+
+  /**
+   * List schedules
+   *
+   * @param {Object} [filter]
+   * @param {string} [filter.orgId]
+   * @param {string} [filter.target]
+   * @returns {Object[]}
+   */
+  list(filter = {}) {
+    return this.store.data.schedules.filter(schedule => (
+      (!filter.orgId || schedule.orgId === filter.orgId)
+      && (!filter.target || schedule.target === filter.target)
+    ));
+  }
+
+  /**
+   * Remove a schedule
+   *
+   * @param {string} id
+   * @param {string} orgId - Schedules of other organizations are not visible
+   * @returns {Object} Removed schedule
+   */
+  remove(id, orgId) {
+    this.reload();
+
+    const index = this.store.data.schedules.findIndex(schedule => schedule.id === String(id) && schedule.orgId === orgId);
+    if (index === -1) {
+      throw this._error('NOT_FOUND', `Digest #${id} not found`, { id });
+    }
+
+    const [removed] = this.store.data.schedules.splice(index, 1);
+    this.store.save();
+    log.info('Schedule removed', { id: removed.id });
+    return removed;
+  }
+
+  /**
+   * Remember the last slot a schedule was posted for
+   *
+   * @param {string} id
+   * @param {string} slot - Local date (YYYY-MM-DD) of the post
+   */
+  markPosted(id, slot) {
+    this.reload();
+
+    const schedule = this.store.data.schedules.find(entry => entry.id === String(id));
+    if (schedule) {
+      schedule.lastSlot = slot;
+      this.store.save();
+    }
+  }
+
+  /**
+   * Human-readable summary, e.g. "weekly on Mon at 09:00 (Europe/Berlin)"
+   *
+   * @param {Object} schedule
+   * @returns {string}
+   */
+  describe(schedule) {
+    const day = schedule.frequency === 'weekly'
+      ? ` on ${WEEKDAYS[schedule.weekday].charAt(0).toUpperCase()}${WEEKDAYS[schedule.weekday].slice(1)}`
+      : '';
+    return `${schedule.frequency}${day} at ${schedule.time} (${schedule.timezone})`;
+  }
+
+  /**
+   * Build error with a machine-readable code
+   * params carry the values commands need to show a translated message.
+   * @private
+   */
+  _error(code, message, params = {}) {
+    const error = new Error(message);
+    error.code = code;
+    error.params = params;
+    return error;
+  }
+
+  /**
+   * Parse HH:MM into minutes after midnight
+   *
+   * @param {string} value
+   * @returns {number|null}
+   */
+  static parseTime(value) {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || ''));
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+  }
+
+  /**
+   * Parse a weekday name or abbreviation
+   *
+   * @param {string} value
+   * @returns {number|null} 0 (Sunday) - 6
+   */
+  static parseWeekday(value) {
+    const index = WEEKDAYS.indexOf(String(value || '').toLowerCase().substring(0, 3));
+    return index === -1 ? null : index;
+  }
+
+  /**
+   * Whether Intl knows a timezone
+   *
+   * @param {string} timezone
+   * @returns {boolean}
+   */
+  static isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+DigestScheduleStore.FREQUENCIES = FREQUENCIES;
+DigestScheduleStore.WEEKDAYS = WEEKDAYS;
+
+module.exports = DigestScheduleStore;
@@ -0,0 +1,329 @@
+/**
+ * German strings
+ */
+
+module.exports = {
+  // Bot
+  'bot.error.unavailable': '⚠️ Analyse vorübergehend nicht verfügbar. Bitte versuche es erneut.',
+  'bot.opted_out': '🔒 Du hast die Analyse deaktiviert. Mit `@emo-bot privacy opt-in` schaltest du sie wieder ein.',
+  'bot.too_long': '⚠️ Nachricht zu lang für die Analyse (max. {max} Zeichen)',
+  'bot.status.healthy': '✅ Backend ist erreichbar und bereit!',
+  'bot.status.down': '⚠️ Backend antwortet nicht',
+  'bot.welcome': '👋 Willkommen, {name}! Ich bin Emo-Bot, dein Assistent für Stimmungsanalyse. Ich erkenne Emotionen und schlage einfühlsame Antworten vor. Schreib @emo-bot help, um mehr zu erfahren!',
+  'bot.welcome.default_name': 'neues Mitglied',
+
+  // Analysis card
+  'analysis.text': 'Analyse abgeschlossen',
+  'analysis.title': 'Stimmungsanalyse',
+  'analysis.offline_suffix': ' (Offline-Schätzung)',
+  'analysis.offline_note': '_⚡ Offline-Schätzung aus eingebauten Heuristiken - ungenauer als die vollständige Analyse._',
+  'analysis.sentiment': 'Stimmung',
+  'analysis.emotion': 'Emotion',
+  'analysis.stress': 'Stresslevel',
+  'analysis.stress_short': 'Stress',
+  'analysis.category': 'Kategorie',
+  'analysis.confidence': 'Konfidenz',
+  'analysis.suggested_reply': 'Antwortvorschlag',
+  'analysis.button.send_reply': '📤 Antwort senden',
+  'analysis.button.flag': '🚩 Zur Prüfung melden',
+  'analysis.conversation': 'Unterhaltung',
+  'conversation.escalating': '📈 Eskaliert',
+  'conversation.calming': '📉 Beruhigt sich',
+  'conversation.steady': '➡️ Gleichbleibend',
+  'conversation.detail': 'Stress {from} → {to} in den letzten {count} Nachrichten',
+
+  'sentiment.positive': 'Positiv',
+  'sentiment.neutral': 'Neutral',
+  'sentiment.negative': 'Negativ',
+
+  'emotion.happy': 'glücklich',
+  'emotion.sad': 'traurig',
+  'emotion.angry': 'wütend',
+  'emotion.stressed': 'gestresst',
+  'emotion.anxious': 'besorgt',
+  'emotion.frustrated': 'frustriert',
+  'emotion.excited': 'begeistert',
+  'emotion.calm': 'ruhig',
+
+  'category.workload': 'Arbeitslast',
+  'category.deadline': 'Deadline',
+  'category.communication': 'Kommunikation',
+  'category.technical': 'Technik',
+  'category.team': 'Team',
+  'category.personal': 'Persönlich',
+  'category.general': 'Allgemein',
+
+  // Suggested replies from the built-in analyzer
+  'reply.happy': 'Das freut mich zu hören! Danke, dass du die guten Neuigkeiten teilst.',
+  'reply.excited': 'Super Energie! Sag Bescheid, wie es läuft.',
+  'reply.calm': 'Danke für das Update!',
+  'reply.sad': 'Das tut mir leid. Kann ich irgendwie helfen?',
+  'reply.angry': 'Ich verstehe, dass das wirklich ärgerlich ist. Lass uns darüber reden und gemeinsam eine Lösung finden.',
+  'reply.frustrated': 'Das klingt frustrierend. Was würde dir weiterhelfen?',
+  'reply.anxious': 'Das ist verständlich. Lass es uns gemeinsam durchgehen, damit nichts verloren geht.',
+  'reply.stressed': 'Das klingt nach sehr viel. Wollen wir gemeinsam die Prioritäten anschauen und sehen, was sich verschieben lässt?',
+
+  // Help card
+  'help.text': 'Emo-Bot Hilfe',
+  'help.title': '🤖 Emo-Bot - Assistent für Stimmungsanalyse',
+  'help.what': '**Was ich mache:**\nIch analysiere Nachrichten in Echtzeit und erkenne Emotionen, Stimmung und Stresslevel. Ich schlage einfühlsame Antworten vor, um die Kommunikation im Team zu verbessern.',
+  'help.commands': '**Befehle:**\n• `/team-mood` - Stimmungsauswertung des Teams\n• `@emo-bot help` - Diese Hilfe anzeigen\n• `@emo-bot status` - Backend-Status prüfen\n• `@emo-bot config` - Einstellungen dieses Channels anzeigen oder ändern\n• `@emo-bot privacy` - Festlegen, wie deine Nachrichten analysiert werden',
+  'help.actions': '**Nachrichtenaktionen:**\nRechtsklick auf eine Nachricht → "Analyze Sentiment" für eine sofortige Auswertung',
+
+  // Message actions and card buttons
+  'action.invalid_request': '⚠️ Ungültiges Anfrageformat',
+  'action.no_text': '⚠️ Kein Nachrichtentext übermittelt',
+  'action.too_long': '⚠️ Nachricht zu lang (max. {max} Zeichen)',
+  'action.author_opted_out': '🔒 Die Person, die diese Nachricht geschrieben hat, hat die Stimmungsanalyse deaktiviert.',
+  'action.analyze_failed': '⚠️ Analyse fehlgeschlagen. Bitte versuche es erneut.',
+  'action.suggest_failed': '⚠️ Es konnte kein Vorschlag erstellt werden. Bitte versuche es erneut.',
+  'action.queued': '⏳ Wird analysiert - Emo-Bot schickt dir das Ergebnis als private Nachricht.',
+  'action.suggested_reply': '💡 Antwortvorschlag',
+  'action.suggested_title': 'Vorgeschlagene Antwort',
+  'action.unknown': '⚠️ Unbekannte Aktion',
+  'action.failed': '⚠️ Aktion fehlgeschlagen. Bitte versuche es erneut.',
+  'action.no_reply': '⚠️ Keine Antwort zum Senden',
+  'action.reply_too_long': '⚠️ Antwort zu lang (max. {max} Zeichen)',
+  'action.no_target': '⚠️ Es ist unklar, wohin die Antwort gesendet werden soll',
+  'action.replies_not_configured': '⚠️ Das Senden von Antworten ist nicht eingerichtet. Bitte wende dich an deinen Admin.',
+  'action.reply_sent': '✅ Antwort gesendet',
+  'action.flagged': '🚩 Unterhaltung zur Prüfung gemeldet (#{id}). HR schaut sich das an.',
+  'action.flag_wrong_channel': '⚠️ Diese Unterhaltung gehört zu einem anderen Kanal und kann hier nicht gemeldet werden.',
+
+  // /team-mood
+  'mood.error': '⚠️ Stimmungsdaten des Teams konnten nicht geladen werden. Bitte versuche es erneut oder wende dich an den Support.',
+  'mood.text': 'Team-Stimmungsbericht',
+  'mood.title': '{emoji} Team-Stimmung - Bericht für heute',
+  'mood.distribution': '📊 Stimmungsverteilung',
+  'mood.total': '**Analysierte Nachrichten:** {count}',
+  'mood.stress_levels': '🌡️ Stresslevel',
+  'mood.avg_stress': '**Durchschnittlicher Stresswert:** {value}/10',
+  'mood.stress.high': '🔴 **HOCH** - Das Team braucht evtl. Unterstützung',
+  'mood.stress.moderate': '🟡 **MITTEL** - Genau beobachten',
+  'mood.stress.low': '🟢 **NIEDRIG** - Dem Team geht es gut',
+  'mood.top_issues': '🔍 Häufigste Themen',
+  'mood.no_issues_today': '_Heute keine nennenswerten Themen erkannt_ ✨',
+  'mood.mentions': '{count} Erwähnungen',
+  'mood.no_issues': '_Keine Themen erkannt_',
+  'mood.no_data': '_Keine Daten verfügbar._',
+  'mood.suppressed': '_🔒 Heute haben hier weniger als {min} Personen geschrieben – zum Schutz Einzelner wird die Statistik ausgeblendet._',
+  'mood.trend': '📈 Trend',
+  'mood.vs_yesterday': '**Im Vergleich zu gestern:** {trend}',
+  'trend.up': '📈 Besser',
+  'trend.down': '📉 Schlechter',
+  'trend.stable': '➡️ Stabil',
+  'mood.local_note': '_📦 Von der Erweiterung aus den analysierten Nachrichten berechnet (Backend-Statistiken nicht verfügbar)._',
+  'mood.button.dashboard': '📊 Dashboard öffnen',
+  'mood.button.refresh': '🔄 Aktualisieren',
+
+  'mood.period.today': 'Heute',
+  'mood.period.range': '{from} → {to} ({days} Tage)',
+  'mood.range.title': '📅 Team-Stimmung - {period}',
+  'mood.range.title_channel': '📅 Team-Stimmung in {channel} - {period}',
+  'mood.range.empty': '_In diesem Zeitraum wurden keine Nachrichten analysiert._',
+  'mood.range.total': '**Analysierte Nachrichten:** {count} ({covered} von {days} Tagen mit Daten)',
+  'mood.range.suppressed_days.one': '_🔒 {count} Tag mit weniger als {min} Personen nicht berücksichtigt._',
+  'mood.range.suppressed_days.other': '_🔒 {count} Tage mit weniger als {min} Personen nicht berücksichtigt._',
+  'mood.range.compared': '📈 Im Vergleich zu den vorherigen {days} Tagen',
+  'mood.range.no_previous': '_Keine Daten für den vorherigen Zeitraum._',
+  'mood.delta.messages': 'Nachrichten',
+  'mood.unit.points': 'Pkt.',
+
+  'mood.compare.text': 'Team-Stimmung im Vergleich',
+  'mood.compare.title': '⚖️ Team-Stimmung im Vergleich - {period}',
+  'mood.compare.versus': 'ggü. {channel}',
+
+  'mood.export.text': 'Team-Stimmung Export',
+  'mood.export.title': '📥 Team-Stimmungsbericht bereit',
+  'mood.export.details': '**Format:** {format}\n**Zeitraum:** {period}\n**Channels:** {channels}',
+  'mood.export.all_channels': 'Alle Channels',
+  'mood.export.note.one': '_Der Bericht wird beim Öffnen des Links erstellt; der Link gilt {count} Minute._',
+  'mood.export.note.other': '_Der Bericht wird beim Öffnen des Links erstellt; der Link gilt {count} Minuten._',
+  'mood.export.min_group.one': '_Tage mit weniger als {count} Person werden ausgelassen._',
+  'mood.export.min_group.other': '_Tage mit weniger als {count} Personen werden ausgelassen._',
+  'mood.export.button': '📥 {format} herunterladen',
+  'mood.export.denied': '🔒 Du kannst nur Channels exportieren, auf die du Zugriff hast. Nicht erlaubt: {channels}',
+  'mood.denied': '🔒 Du kannst nur Channels ansehen, auf die du Zugriff hast. Nicht erlaubt: {channels}',
+  'mood.no_channel': '🔒 Statistiken für die ganze Organisation sehen nur HR und Admins. Führe /team-mood in einem Channel aus oder nenne einen: `/team-mood #channel`',
+  'mood.export.not_configured': '⚠️ Exporte sind nicht eingerichtet (DASHBOARD_URL fehlt). Bitte wende dich an deinen Admin.',
+
+  'mood.usage.text': '/team-mood Verwendung',
+  'mood.usage.title': '📊 /team-mood - Team-Stimmung',
+  'mood.usage.body': '• `/team-mood` - Heute in diesem Channel\n• `/team-mood #design` - Heute in einem anderen Channel\n• `/team-mood last 7d` - Letzte 7 Tage (auch `last 2w`, `last 30 days`)\n• `/team-mood 2026-10-01..2026-10-14` - Zeitraum (bis zu {max} Tage zurück)\n• `/team-mood #design vs #support [last 7d]` - Channels vergleichen\n• `/team-mood export [csv|json|pdf] [last 30d] [#design #support]` - Bericht herunterladen (standardmäßig PDF der letzten 30 Tage)',
+
+  'query.one_period': 'Es kann nur ein Zeitraum angegeben werden.',
+  'query.one_format': 'Es kann nur ein Exportformat angegeben werden.',
+  'query.last_unit': 'Unbekannter Zeitraum nach `last`. Versuche `last 7d`, `last 2w` oder `last 30 days`.',
+  'query.max_days': 'Zeiträume sind auf {max} Tage begrenzt.',
+  'query.invalid_range': 'Ungültiger Zeitraum `{token}`. Format: YYYY-MM-DD..YYYY-MM-DD.',
+  'query.start_after_end': 'Das Startdatum muss vor oder auf dem Enddatum liegen.',
+  'query.future': 'Der Zeitraum darf nicht in der Zukunft enden.',
+  'query.too_old': 'Zeiträume müssen innerhalb der letzten {max} Tage beginnen.',
+  'query.unknown': 'Unbekanntes Argument `{token}`.',
+  'query.max_channels': 'Es können höchstens {max} Channels gleichzeitig verglichen werden.',
+  'query.unknown_channel': 'Kein Channel mit dem Namen `#{channel}` gefunden.',
+  'query.channel_names_unavailable': 'Channel-Namen wie `#{channel}` können hier nicht nachgeschlagen werden (die Cliq-API ist nicht konfiguriert). Verwende stattdessen die Channel-ID.',
+
+  // Scheduled digests
+  'digest.daily': '☀️ Tägliche Stimmungsübersicht',
+  'digest.weekly': '🗓️ Wöchentliche Stimmungsübersicht',
+
+  // Channel settings (@emo-bot config)
+  'config.channel_only': '⚠️ Channel-Einstellungen können nur in einem Channel geändert werden.',
+  'config.denied': '🔒 Nur Bot-Admins (BOT_ADMIN_USER_IDS) können Channel-Einstellungen ändern.',
+  'config.title': '⚙️ Channel-Einstellungen',
+  'config.updated': '✅ Einstellungen aktualisiert',
+  'config.analysis': 'Analyse',
+  'config.enabled': '✅ Aktiviert',
+  'config.disabled': '⛔ Deaktiviert',
+  'config.replies': 'Antworten',
+  'config.reply.silent': '🔇 Still (nur analysieren)',
+  'config.reply.threshold': '💬 Antworten ab Stress ≥ {threshold}',
+  'config.reply.all': '💬 Auf jede Nachricht antworten',
+  'config.alert_threshold': 'Alarmschwelle',
+  'config.threshold.override': '{threshold}/10 (für diesen Channel)',
+  'config.threshold.default': '{threshold}/10 (Standard)',
+  'config.changed_by': '_Zuletzt geändert von {user} am {date}_',
+  'config.defaults': '_Standardeinstellungen aktiv_',
+  'config.usage.text': '@emo-bot config – Verwendung',
+  'config.usage.title': '⚙️ @emo-bot config',
+  'config.usage.body': '• `@emo-bot config` - Einstellungen anzeigen\n• `@emo-bot config enable|disable` - Analyse in diesem Channel ein- oder ausschalten\n• `@emo-bot config silent on|off` - Analysieren, ohne zu antworten\n• `@emo-bot config reply-threshold <0-10|off>` - Nur auf gestresste Nachrichten antworten\n• `@emo-bot config stress-threshold <1-10|default>` - Schwelle für Admin-Alarme\n• `@emo-bot config reset` - Auf Standard zurücksetzen',
+
+  // Privacy (@emo-bot privacy)
+  'privacy.no_user': '⚠️ Du konntest nicht erkannt werden. Bitte versuche es erneut.',
+  'privacy.mode.full': '✅ Vollständige Analyse',
+  'privacy.mode.anonymous': '🕶️ Nur anonyme Statistik',
+  'privacy.mode.opted_out': '🚫 Abgemeldet',
+  'privacy.description.full': 'Deine Nachrichten werden in Channels mit aktiviertem Emo-Bot zusammen mit deiner Benutzer-ID analysiert.',
+  'privacy.description.anonymous': 'Deine Nachrichten zählen zur Team-Statistik, aber deine Benutzer-ID wird vor der Analyse entfernt und Alarme nennen dich nie.',
+  'privacy.description.opted_out': 'Deine Nachrichten werden nie zur Analyse gesendet.',
+  'privacy.title': '🔒 Deine Datenschutzeinstellung',
+  'privacy.usage_title': '🔒 @emo-bot privacy',
+  'privacy.updated': '✅ Datenschutzeinstellung aktualisiert',
+  'privacy.current': 'Aktuell',
+  'privacy.usage.body': '• `@emo-bot privacy opt-out` - Meine Nachrichten nie analysieren\n• `@emo-bot privacy anonymous` - Nur Team-Statistik, ohne meine Benutzer-ID\n• `@emo-bot privacy opt-in` - Normal analysieren\n• `@emo-bot privacy my-data` - Was über mich gespeichert ist\n• `@emo-bot privacy delete` - Über mich Gespeichertes löschen',
+  'privacy.deleted': '✅ Deine gespeicherten Daten wurden gelöscht',
+  'privacy.data.text': 'Deine Daten',
+  'privacy.data.title': '📂 Was Emo-Bot über dich speichert',
+  'privacy.data.setting': '• **Datenschutzeinstellung:** {mode} (seit {date})',
+  'privacy.data.setting_default': '• **Datenschutzeinstellung:** keine gespeichert (Standard: vollständige Analyse)',
+  'privacy.data.flags_raised': '• **Von dir gemeldete Unterhaltungen:** {count}',
+  'privacy.data.flags_handled': '• **Von dir bearbeitete Meldungen:** {count}',
+  'privacy.data.analyses': '• **Unter deiner Benutzer-ID gezählte Analysen:** {count} (nur Werte und Kategorien, kein Text)',
+  'privacy.data.stress_scores': '• **Für Alarme gespeicherte aktuelle Stresswerte:** {count}',
+  'privacy.data.context': '• **Als Gesprächskontext gespeicherte aktuelle Nachrichten:** {count} (geschwärzt, verfallen nach {minutes} Minuten)',
+  'privacy.data.webhooks': '• **Nicht zugestellte Stress-Webhooks mit deinem Namen:** {count} (für erneutes Senden durch einen Admin aufbewahrt)',
+  'privacy.data.queued': '• **Nachrichten, die auf die Analyse warten:** {count} (geschwärzt; nach der Analyse entfernt)',
+  'privacy.data.channels': '• **Zuletzt von dir geänderte Channel-Einstellungen:** {channels}',
+  'privacy.data.footer': '_Nachrichtentext wird nur an drei Stellen gespeichert, immer geschwärzt: aktuelle Nachrichten als Gesprächskontext (bis sie verfallen), Nachrichten, die auf die Analyse warten (bis zur Analyse), und ein Auszug von 100 Zeichen, wenn jemand eine Unterhaltung zur Prüfung meldet. Analyseergebnisse speichert außerdem das Analyse-Backend; bitte deinen Admin, sie zu entfernen._',
+
+  // Outbound webhooks (@emo-bot webhooks)
+  'webhooks.denied': '🔒 Nur Bot-Admins (BOT_ADMIN_USER_IDS) können Webhooks verwalten.',
+  'webhooks.none_to_replay': '✅ Keine fehlgeschlagenen Webhook-Zustellungen zum erneuten Senden.',
+  'webhooks.replaying.one': '🔁 {count} fehlgeschlagene Zustellung wird erneut gesendet. Prüfe `@emo-bot webhooks failed` in einer Minute.',
+  'webhooks.replaying.other': '🔁 {count} fehlgeschlagene Zustellungen werden erneut gesendet. Prüfe `@emo-bot webhooks failed` in einer Minute.',
+  'webhooks.replayed': '✅ Zustellung #{id} ({event}) erneut gesendet.',
+  'webhooks.replay_failed': '⚠️ Erneutes Senden von #{id} fehlgeschlagen: {error}',
+  'webhooks.title': '🔗 Ausgehende Webhooks',
+  'webhooks.no_events': 'keine Ereignisse',
+  'webhooks.no_endpoints': '_Keine Endpunkte konfiguriert. Setze OUTBOUND_WEBHOOKS, um Ereignisse zu senden._',
+  'webhooks.counts': '**Warten auf erneuten Versuch:** {pending}\n**Fehlgeschlagen (Dead Letters):** {failed}',
+  'webhooks.none_failed': '✅ Keine fehlgeschlagenen Webhook-Zustellungen.',
+  'webhooks.attempts.one': '{count} Versuch',
+  'webhooks.attempts.other': '{count} Versuche',
+  'webhooks.older': '_…und {count} ältere_',
+  'webhooks.failed.text.one': '⚠️ {count} fehlgeschlagene Webhook-Zustellung',
+  'webhooks.failed.text.other': '⚠️ {count} fehlgeschlagene Webhook-Zustellungen',
+  'webhooks.failed.title': '⚠️ Fehlgeschlagene Webhook-Zustellungen ({count})',
+  'webhooks.failed.hint': '_Erneut senden mit `@emo-bot webhooks replay <id>` oder `@emo-bot webhooks replay all`._',
+  'webhooks.usage.text': '@emo-bot webhooks – Verwendung',
+  'webhooks.usage.title': '🔗 @emo-bot webhooks',
+  'webhooks.usage.body': '• `@emo-bot webhooks` - Endpunkte und Anzahl der Fehler\n• `@emo-bot webhooks failed` - Letzte fehlgeschlagene Zustellungen\n• `@emo-bot webhooks replay <id>` - Eine erneut senden\n• `@emo-bot webhooks replay all` - Alle fehlgeschlagenen Zustellungen erneut senden',
+
+  // Review queue (/review)
+  'review.denied': '🔒 Du darfst gemeldete Unterhaltungen nicht prüfen.',
+  'review.error': '⚠️ Der Review-Befehl konnte nicht verarbeitet werden. Bitte versuche es erneut oder wende dich an den Support.',
+  'review.status.open': 'offen',
+  'review.status.claimed': 'übernommen',
+  'review.status.resolved': 'erledigt',
+  'review.status.dismissed': 'verworfen',
+  'review.status.all': 'alle',
+  'review.action.created': 'erstellt',
+  'review.action.claimed': 'übernommen',
+  'review.action.resolved': 'erledigt',
+  'review.action.dismissed': 'verworfen',
+  'review.unknown': 'unbekannt',
+  'review.updated': '{emoji} Meldung #{id} {status}',
+  'review.list.text': 'Prüfwarteschlange',
+  'review.list.title': '🚩 Prüfwarteschlange - {status}',
+  'review.list.more': '_…und {count} weitere_',
+  'review.list.empty': '_Keine Meldungen in dieser Ansicht_ ✨',
+  'review.not_found': '⚠️ Meldung #{id} nicht gefunden',
+  'review.not_found_no_id': '⚠️ Meldung nicht gefunden',
+  'review.detail.text': 'Meldung #{id}',
+  'review.detail.title': '{emoji} Meldung #{id} - {status}',
+  'review.detail.message': 'Nachricht',
+  'review.detail.channel': 'Channel',
+  'review.detail.flagged_by': 'Gemeldet von',
+  'review.detail.assignee': 'Zuständig',
+  'review.detail.unassigned': '_nicht zugewiesen_',
+  'review.detail.audit': '📜 Verlauf',
+  'review.detail.entry': '• {at} - **{action}** von {by}',
+  'review.usage.text': '/review – Verwendung',
+  'review.usage.title': '🚩 /review - Gemeldete Unterhaltungen',
+  'review.usage.body': '• `/review list [open|claimed|resolved|dismissed|all]` - Meldungen auflisten\n• `/review show <id>` - Details und Verlauf\n• `/review claim <id> [note]` - Übernehmen\n• `/review resolve <id> <note>` - Als erledigt markieren\n• `/review dismiss <id> <note>` - Kein Handlungsbedarf',
+  'review.error.already_claimed': 'Meldung #{id} wurde bereits von {assignee} übernommen',
+  'review.error.invalid_transition': 'Meldung #{id} ist bereits {status}',
+  'review.error.note_required': 'Um Meldung #{id} als {status} zu markieren, ist eine Notiz nötig',
+  'review.error.not_found': 'Meldung #{id} nicht gefunden',
+
+  // Digest schedules (/mood-digest)
+  'digest.channel_only': '⚠️ Führe /mood-digest in dem Channel aus, der die Übersicht erhalten soll.',
+  'digest.error': '⚠️ Die Stimmungsübersichten konnten nicht aktualisiert werden. Bitte versuche es erneut oder wende dich an den Support.',
+  'digest.need_day': 'Wöchentliche Übersichten brauchen einen Tag, z. B. `/mood-digest weekly mon 09:00`.',
+  'digest.need_time': 'Eine Uhrzeit ist nötig, z. B. `09:00`.',
+  'digest.scheduled': '✅ Übersicht #{id} geplant: {schedule}',
+  'digest.removed': '🗑️ Übersicht #{id} entfernt',
+  'digest.describe.daily': 'täglich um {time} ({timezone})',
+  'digest.describe.weekly': 'wöchentlich am {day} um {time} ({timezone})',
+  'digest.day.sun': 'Sonntag',
+  'digest.day.mon': 'Montag',
+  'digest.day.tue': 'Dienstag',
+  'digest.day.wed': 'Mittwoch',
+  'digest.day.thu': 'Donnerstag',
+  'digest.day.fri': 'Freitag',
+  'digest.day.sat': 'Samstag',
+  'digest.last_posted': 'zuletzt gesendet {slot}',
+  'digest.list.text': 'Stimmungsübersichten',
+  'digest.list.title': '🗓️ Stimmungsübersichten für diesen Channel',
+  'digest.list.empty': '_Keine Übersichten geplant. Probiere `/mood-digest daily 09:00 Europe/Berlin`._',
+  'digest.usage.text': '/mood-digest – Verwendung',
+  'digest.usage.title': '🗓️ /mood-digest - Geplante Stimmungsübersichten',
+  'digest.usage.body': '• `/mood-digest list` - Übersichten für diesen Channel\n• `/mood-digest daily 09:00 [Asia/Kolkata]` - Jeden Tag die heutige Stimmung\n• `/mood-digest weekly mon 09:00 [Europe/Berlin]` - Jede Woche die letzten 7 Tage\n• `/mood-digest remove <id>` - Eine Übersicht beenden',
+  'digest.error.invalid_frequency': 'Die Häufigkeit muss daily oder weekly sein',
+  'digest.error.invalid_time': 'Ungültige Uhrzeit `{time}` – verwende 24-Stunden-Format HH:MM',
+  'digest.error.invalid_weekday': 'Wöchentliche Übersichten brauchen einen Tag (mon, tue, ...)',
+  'digest.error.invalid_timezone': 'Unbekannte Zeitzone `{timezone}` – verwende einen IANA-Namen wie Europe/Berlin',
+  'digest.error.limit_reached.one': 'Ein Channel kann höchstens {count} Übersicht haben',
+  'digest.error.limit_reached.other': 'Ein Channel kann höchstens {count} Übersichten haben',
+  'digest.error.not_found': 'Übersicht #{id} nicht gefunden',
+
+  // Admin stress alerts
+  'alert.text.high': '🚨 Hoher Stress erkannt in {channel}',
+  'alert.text.sustained': '🚨 Anhaltender Stress erkannt in {channel}',
+  'alert.a_conversation': 'einer Unterhaltung',
+  'alert.title.high': '🚨 Alarm: Hoher Stress',
+  'alert.title.sustained': '🚨 Alarm: Anhaltender Stress',
+  'alert.user': 'Person',
+  'alert.channel': 'Channel',
+  'alert.unknown': 'Unbekannt',
+  'alert.why': '📈 Warum',
+  'alert.scope.user': '👤 Diese Person',
+  'alert.scope.channel': '💬 Dieser Channel',
+  'alert.rule.single': 'Einzelne Nachricht mit {score}/10 (Schwelle {threshold})',
+  'alert.rule.burst.one': '{count} Nachricht mit {threshold}+/10 innerhalb von {minutes} Minuten',
+  'alert.rule.burst.other': '{count} Nachrichten mit {threshold}+/10 innerhalb von {minutes} Minuten',
+  'alert.rule.rise.one': 'Durchschnittlicher Stress stieg von {before} auf {after} (letzter {count} Tag gegenüber dem davor)',
+  'alert.rule.rise.other': 'Durchschnittlicher Stress stieg von {before} auf {after} (letzte {count} Tage gegenüber den {count} davor)',
+  'alert.view_message': '💬 Nachricht ansehen',
+};
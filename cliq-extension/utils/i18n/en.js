@@ -0,0 +1,329 @@
+/**
+ * English strings (reference locale - every key must exist here)
+ */
+
+module.exports = {
+  // Bot
+  'bot.error.unavailable': '⚠️ Analysis temporarily unavailable. Please try again.',
+  'bot.opted_out': '🔒 You have opted out of analysis. Use `@emo-bot privacy opt-in` to turn it back on.',
+  'bot.too_long': '⚠️ Message too long for analysis (max {max} chars)',
+  'bot.status.healthy': '✅ Backend is healthy and ready!',
+  'bot.status.down': '⚠️ Backend is not responding',
+  'bot.welcome': '👋 Welcome {name}! I\'m Emo-Bot, your sentiment analysis assistant. I can help detect emotions and provide empathetic responses. Type @emo-bot help to learn more!',
+  'bot.welcome.default_name': 'New member',
+
+  // Analysis card
+  'analysis.text': 'Analysis Complete',
+  'analysis.title': 'Sentiment Analysis',
+  'analysis.offline_suffix': ' (offline estimate)',
+  'analysis.offline_note': '_⚡ Offline estimate from built-in heuristics - less accurate than the full analysis._',
+  'analysis.sentiment': 'Sentiment',
+  'analysis.emotion': 'Emotion',
+  'analysis.stress': 'Stress Level',
+  'analysis.stress_short': 'Stress',
+  'analysis.category': 'Category',
+  'analysis.confidence': 'Confidence',
+  'analysis.suggested_reply': 'Suggested Reply',
+  'analysis.button.send_reply': '📤 Send Reply',
+  'analysis.button.flag': '🚩 Flag for Review',
+  'analysis.conversation': 'Conversation',
+  'conversation.escalating': '📈 Escalating',
+  'conversation.calming': '📉 Calming down',
+  'conversation.steady': '➡️ Steady',
+  'conversation.detail': 'stress {from} → {to} over the last {count} messages',
+
+  'sentiment.positive': 'Positive',
+  'sentiment.neutral': 'Neutral',
+  'sentiment.negative': 'Negative',
+
+  'emotion.happy': 'happy',
+  'emotion.sad': 'sad',
+  'emotion.angry': 'angry',
+  'emotion.stressed': 'stressed',
+  'emotion.anxious': 'anxious',
+  'emotion.frustrated': 'frustrated',
+  'emotion.excited': 'excited',
+  'emotion.calm': 'calm',
+
+  'category.workload': 'workload',
+  'category.deadline': 'deadline',
+  'category.communication': 'communication',
+  'category.technical': 'technical',
+  'category.team': 'team',
+  'category.personal': 'personal',
+  'category.general': 'general',
+
+  // Suggested replies from the built-in analyzer
+  'reply.happy': 'That\'s great to hear! Thanks for sharing the good news.',
+  'reply.excited': 'Love the energy! Let us know how it goes.',
+  'reply.calm': 'Thanks for the update!',
+  'reply.sad': 'Sorry to hear that. Is there anything I can do to help?',
+  'reply.angry': 'I understand this is really frustrating. Let\'s talk it through and find a fix together.',
+  'reply.frustrated': 'That sounds frustrating. What would help unblock you?',
+  'reply.anxious': 'That\'s understandable. Let\'s go through it together so nothing gets missed.',
+  'reply.stressed': 'That sounds like a lot. Can we look at priorities together and see what can move?',
+
+  // Help card
+  'help.text': 'Emo-Bot Help',
+  'help.title': '🤖 Emo-Bot - Sentiment Analysis Assistant',
+  'help.what': '**What I Do:**\nI analyze messages in real-time to detect emotions, sentiment, and stress levels. I provide empathetic response suggestions to help improve team communication.',
+  'help.commands': '**Commands:**\n• `/team-mood` - View team sentiment analytics\n• `@emo-bot help` - Show this help\n• `@emo-bot status` - Check backend status\n• `@emo-bot config` - View or change this channel\'s settings\n• `@emo-bot privacy` - Control how your messages are analyzed',
+  'help.actions': '**Message Actions:**\nRight-click any message → "Analyze Sentiment" to get instant insights',
+
+  // Message actions and card buttons
+  'action.invalid_request': '⚠️ Invalid request format',
+  'action.no_text': '⚠️ No message text provided',
+  'action.too_long': '⚠️ Message too long (max {max} chars)',
+  'action.author_opted_out': '🔒 The author of this message has opted out of sentiment analysis.',
+  'action.analyze_failed': '⚠️ Analysis failed. Please try again.',
+  'action.suggest_failed': '⚠️ Unable to generate suggestion. Please try again.',
+  'action.queued': '⏳ Analyzing - Emo-Bot will send you the result in a private message.',
+  'action.suggested_reply': '💡 Suggested Reply',
+  'action.suggested_title': 'Suggested Response',
+  'action.unknown': '⚠️ Unknown action',
+  'action.failed': '⚠️ Action failed. Please try again.',
+  'action.no_reply': '⚠️ No reply to send',
+  'action.reply_too_long': '⚠️ Reply too long (max {max} chars)',
+  'action.no_target': '⚠️ Unable to determine where to send the reply',
+  'action.replies_not_configured': '⚠️ Sending replies is not configured. Please contact your admin.',
+  'action.reply_sent': '✅ Reply sent',
+  'action.flagged': '🚩 Conversation flagged for review (#{id}). HR will take a look.',
+  'action.flag_wrong_channel': '⚠️ This conversation belongs to another channel and can\'t be flagged from here.',
+
+  // /team-mood
+  'mood.error': '⚠️ Unable to fetch team mood data. Please try again or contact support.',
+  'mood.text': 'Team Mood Report',
+  'mood.title': '{emoji} Team Mood - Today\'s Report',
+  'mood.distribution': '📊 Sentiment Distribution',
+  'mood.total': '**Total Messages Analyzed:** {count}',
+  'mood.stress_levels': '🌡️ Stress Levels',
+  'mood.avg_stress': '**Average Stress Score:** {value}/10',
+  'mood.stress.high': '🔴 **HIGH** - Team may need support',
+  'mood.stress.moderate': '🟡 **MODERATE** - Monitor closely',
+  'mood.stress.low': '🟢 **LOW** - Team is doing well',
+  'mood.top_issues': '🔍 Top Issues',
+  'mood.no_issues_today': '_No significant issues detected today_ ✨',
+  'mood.mentions': '{count} mentions',
+  'mood.no_issues': '_No issues detected_',
+  'mood.no_data': '_No data available._',
+  'mood.suppressed': '_🔒 Fewer than {min} people posted here today, so stats are hidden to protect individuals._',
+  'mood.trend': '📈 Trend',
+  'mood.vs_yesterday': '**Compared to Yesterday:** {trend}',
+  'trend.up': '📈 Improving',
+  'trend.down': '📉 Declining',
+  'trend.stable': '➡️ Stable',
+  'mood.local_note': '_📦 Computed by the extension from the messages it analyzed (backend stats unavailable)._',
+  'mood.button.dashboard': '📊 View Dashboard',
+  'mood.button.refresh': '🔄 Refresh',
+
+  'mood.period.today': 'Today',
+  'mood.period.range': '{from} → {to} ({days} days)',
+  'mood.range.title': '📅 Team Mood - {period}',
+  'mood.range.title_channel': '📅 Team Mood in {channel} - {period}',
+  'mood.range.empty': '_No messages were analyzed in this period._',
+  'mood.range.total': '**Total Messages Analyzed:** {count} ({covered} of {days} days with data)',
+  'mood.range.suppressed_days.one': '_🔒 {count} day with fewer than {min} people left out._',
+  'mood.range.suppressed_days.other': '_🔒 {count} days with fewer than {min} people left out._',
+  'mood.range.compared': '📈 Compared to the Previous {days} Days',
+  'mood.range.no_previous': '_No data for the previous period._',
+  'mood.delta.messages': 'Messages',
+  'mood.unit.points': 'pts',
+
+  'mood.compare.text': 'Team Mood Comparison',
+  'mood.compare.title': '⚖️ Team Mood Comparison - {period}',
+  'mood.compare.versus': 'vs {channel}',
+
+  'mood.export.text': 'Team Mood Export',
+  'mood.export.title': '📥 Team Mood Report Ready',
+  'mood.export.details': '**Format:** {format}\n**Period:** {period}\n**Channels:** {channels}',
+  'mood.export.all_channels': 'All channels',
+  'mood.export.note.one': '_The report is generated when you open the link, which works for {count} minute._',
+  'mood.export.note.other': '_The report is generated when you open the link, which works for {count} minutes._',
+  'mood.export.min_group.one': '_Days with fewer than {count} person are left out._',
+  'mood.export.min_group.other': '_Days with fewer than {count} people are left out._',
+  'mood.export.button': '📥 Download {format}',
+  'mood.export.denied': '🔒 You can only export channels you have access to. Not allowed: {channels}',
+  'mood.denied': '🔒 You can only view channels you have access to. Not allowed: {channels}',
+  'mood.no_channel': '🔒 Organization-wide stats are only available to HR and admins. Run /team-mood in a channel, or name one: `/team-mood #channel`',
+  'mood.export.not_configured': '⚠️ Exports are not configured (DASHBOARD_URL is not set). Please contact your admin.',
+
+  'mood.usage.text': '/team-mood usage',
+  'mood.usage.title': '📊 /team-mood - Team Mood',
+  'mood.usage.body': '• `/team-mood` - Today in this channel\n• `/team-mood #design` - Today in another channel\n• `/team-mood last 7d` - Last 7 days (also `last 2w`, `last 30 days`)\n• `/team-mood 2026-10-01..2026-10-14` - Date range (up to {max} days back)\n• `/team-mood #design vs #support [last 7d]` - Compare channels\n• `/team-mood export [csv|json|pdf] [last 30d] [#design #support]` - Download a report (PDF of the last 30 days by default)',
+
+  'query.one_period': 'Only one time period can be given.',
+  'query.one_format': 'Only one export format can be given.',
+  'query.last_unit': 'Unrecognized period after `last`. Try `last 7d`, `last 2w` or `last 30 days`.',
+  'query.max_days': 'Periods are limited to {max} days.',
+  'query.invalid_range': 'Invalid date range `{token}`. Use YYYY-MM-DD..YYYY-MM-DD.',
+  'query.start_after_end': 'The start date must be on or before the end date.',
+  'query.future': 'The date range cannot end in the future.',
+  'query.too_old': 'Date ranges must start within the last {max} days.',
+  'query.unknown': 'Unrecognized argument `{token}`.',
+  'query.max_channels': 'You can compare up to {max} channels at once.',
+  'query.unknown_channel': 'No channel named `#{channel}` was found.',
+  'query.channel_names_unavailable': 'Channel names like `#{channel}` cannot be looked up here (the Cliq API is not configured). Use the channel ID instead.',
+
+  // Scheduled digests
+  'digest.daily': '☀️ Daily Mood Digest',
+  'digest.weekly': '🗓️ Weekly Mood Digest',
+
+  // Channel settings (@emo-bot config)
+  'config.channel_only': '⚠️ Channel settings can only be changed inside a channel.',
+  'config.denied': '🔒 Only bot admins (BOT_ADMIN_USER_IDS) can change channel settings.',
+  'config.title': '⚙️ Channel Settings',
+  'config.updated': '✅ Settings updated',
+  'config.analysis': 'Analysis',
+  'config.enabled': '✅ Enabled',
+  'config.disabled': '⛔ Disabled',
+  'config.replies': 'Replies',
+  'config.reply.silent': '🔇 Silent (analyze only)',
+  'config.reply.threshold': '💬 Reply when stress ≥ {threshold}',
+  'config.reply.all': '💬 Reply to every message',
+  'config.alert_threshold': 'Alert Threshold',
+  'config.threshold.override': '{threshold}/10 (channel override)',
+  'config.threshold.default': '{threshold}/10 (default)',
+  'config.changed_by': '_Last changed by {user} on {date}_',
+  'config.defaults': '_Using default settings_',
+  'config.usage.text': '@emo-bot config usage',
+  'config.usage.title': '⚙️ @emo-bot config',
+  'config.usage.body': '• `@emo-bot config` - Show settings\n• `@emo-bot config enable|disable` - Opt this channel in or out\n• `@emo-bot config silent on|off` - Analyze without replying\n• `@emo-bot config reply-threshold <0-10|off>` - Only reply to stressed messages\n• `@emo-bot config stress-threshold <1-10|default>` - Admin alert threshold\n• `@emo-bot config reset` - Revert to defaults',
+
+  // Privacy (@emo-bot privacy)
+  'privacy.no_user': '⚠️ Unable to identify you. Please try again.',
+  'privacy.mode.full': '✅ Full analysis',
+  'privacy.mode.anonymous': '🕶️ Anonymous aggregation only',
+  'privacy.mode.opted_out': '🚫 Opted out',
+  'privacy.description.full': 'Your messages are analyzed in channels that have Emo-Bot enabled, together with your user ID.',
+  'privacy.description.anonymous': 'Your messages count towards team statistics, but your user ID is removed before analysis and alerts never name you.',
+  'privacy.description.opted_out': 'Your messages are never sent for analysis.',
+  'privacy.title': '🔒 Your Privacy Setting',
+  'privacy.usage_title': '🔒 @emo-bot privacy',
+  'privacy.updated': '✅ Privacy setting updated',
+  'privacy.current': 'Current',
+  'privacy.usage.body': '• `@emo-bot privacy opt-out` - Never analyze my messages\n• `@emo-bot privacy anonymous` - Team stats only, without my user ID\n• `@emo-bot privacy opt-in` - Analyze normally\n• `@emo-bot privacy my-data` - What is stored about me\n• `@emo-bot privacy delete` - Delete what is stored about me',
+  'privacy.deleted': '✅ Your stored data was deleted',
+  'privacy.data.text': 'Your Data',
+  'privacy.data.title': '📂 What Emo-Bot Stores About You',
+  'privacy.data.setting': '• **Privacy setting:** {mode} (since {date})',
+  'privacy.data.setting_default': '• **Privacy setting:** none stored (default: full analysis)',
+  'privacy.data.flags_raised': '• **Review flags you raised:** {count}',
+  'privacy.data.flags_handled': '• **Review flags you handled:** {count}',
+  'privacy.data.analyses': '• **Analyses counted under your user ID:** {count} (scores and categories only, no text)',
+  'privacy.data.stress_scores': '• **Recent stress scores kept for alerts:** {count}',
+  'privacy.data.context': '• **Recent messages kept as conversation context:** {count} (redacted, expire after {minutes} minutes)',
+  'privacy.data.webhooks': '• **Undelivered stress alert webhooks naming you:** {count} (kept for replay by an admin)',
+  'privacy.data.queued': '• **Messages waiting for analysis:** {count} (redacted; removed once analyzed)',
+  'privacy.data.channels': '• **Channel settings you last changed:** {channels}',
+  'privacy.data.footer': '_Message text is kept only in three places, always redacted: recent messages used as conversation context (until they expire), messages waiting for analysis (until analyzed), and a 100-character excerpt when someone flags a conversation for review. Analysis results are also kept by the sentiment backend; ask your admin to remove them._',
+
+  // Outbound webhooks (@emo-bot webhooks)
+  'webhooks.denied': '🔒 Only bot admins (BOT_ADMIN_USER_IDS) can manage webhooks.',
+  'webhooks.none_to_replay': '✅ No failed webhook deliveries to replay.',
+  'webhooks.replaying.one': '🔁 Replaying {count} failed delivery. Check `@emo-bot webhooks failed` in a minute.',
+  'webhooks.replaying.other': '🔁 Replaying {count} failed deliveries. Check `@emo-bot webhooks failed` in a minute.',
+  'webhooks.replayed': '✅ Delivery #{id} ({event}) replayed.',
+  'webhooks.replay_failed': '⚠️ Replay of #{id} failed: {error}',
+  'webhooks.title': '🔗 Outbound Webhooks',
+  'webhooks.no_events': 'no events',
+  'webhooks.no_endpoints': '_No endpoints configured. Set OUTBOUND_WEBHOOKS to send events._',
+  'webhooks.counts': '**Waiting for retry:** {pending}\n**Failed (dead letters):** {failed}',
+  'webhooks.none_failed': '✅ No failed webhook deliveries.',
+  'webhooks.attempts.one': '{count} attempt',
+  'webhooks.attempts.other': '{count} attempts',
+  'webhooks.older': '_…and {count} older_',
+  'webhooks.failed.text.one': '⚠️ {count} failed webhook delivery',
+  'webhooks.failed.text.other': '⚠️ {count} failed webhook deliveries',
+  'webhooks.failed.title': '⚠️ Failed Webhook Deliveries ({count})',
+  'webhooks.failed.hint': '_Replay with `@emo-bot webhooks replay <id>` or `@emo-bot webhooks replay all`._',
+  'webhooks.usage.text': '@emo-bot webhooks usage',
+  'webhooks.usage.title': '🔗 @emo-bot webhooks',
+  'webhooks.usage.body': '• `@emo-bot webhooks` - Endpoints and failure count\n• `@emo-bot webhooks failed` - Recent failed deliveries\n• `@emo-bot webhooks replay <id>` - Send one again\n• `@emo-bot webhooks replay all` - Send all failed deliveries again',
+
+  // Review queue (/review)
+  'review.denied': '🔒 You are not allowed to review flagged conversations.',
+  'review.error': '⚠️ Unable to process review command. Please try again or contact support.',
+  'review.status.open': 'open',
+  'review.status.claimed': 'claimed',
+  'review.status.resolved': 'resolved',
+  'review.status.dismissed': 'dismissed',
+  'review.status.all': 'all',
+  'review.action.created': 'created',
+  'review.action.claimed': 'claimed',
+  'review.action.resolved': 'resolved',
+  'review.action.dismissed': 'dismissed',
+  'review.unknown': 'unknown',
+  'review.updated': '{emoji} Flag #{id} {status}',
+  'review.list.text': 'Review Queue',
+  'review.list.title': '🚩 Review Queue - {status}',
+  'review.list.more': '_…and {count} more_',
+  'review.list.empty': '_No flags in this view_ ✨',
+  'review.not_found': '⚠️ Flag #{id} not found',
+  'review.not_found_no_id': '⚠️ Flag not found',
+  'review.detail.text': 'Flag #{id}',
+  'review.detail.title': '{emoji} Flag #{id} - {status}',
+  'review.detail.message': 'Message',
+  'review.detail.channel': 'Channel',
+  'review.detail.flagged_by': 'Flagged by',
+  'review.detail.assignee': 'Assignee',
+  'review.detail.unassigned': '_unassigned_',
+  'review.detail.audit': '📜 Audit Trail',
+  'review.detail.entry': '• {at} - **{action}** by {by}',
+  'review.usage.text': '/review usage',
+  'review.usage.title': '🚩 /review - Flagged Conversations',
+  'review.usage.body': '• `/review list [open|claimed|resolved|dismissed|all]` - List flags\n• `/review show <id>` - Details and audit trail\n• `/review claim <id> [note]` - Take ownership\n• `/review resolve <id> <note>` - Mark as handled\n• `/review dismiss <id> <note>` - No action needed',
+  'review.error.already_claimed': 'Flag #{id} is already claimed by {assignee}',
+  'review.error.invalid_transition': 'Flag #{id} is already {status}',
+  'review.error.note_required': 'A note is required to mark flag #{id} as {status}',
+  'review.error.not_found': 'Flag #{id} not found',
+
+  // Digest schedules (/mood-digest)
+  'digest.channel_only': '⚠️ Run /mood-digest in the channel that should receive the digest.',
+  'digest.error': '⚠️ Unable to update mood digests. Please try again or contact support.',
+  'digest.need_day': 'Weekly digests need a day, e.g. `/mood-digest weekly mon 09:00`.',
+  'digest.need_time': 'A time is required, e.g. `09:00`.',
+  'digest.scheduled': '✅ Digest #{id} scheduled {schedule}',
+  'digest.removed': '🗑️ Digest #{id} removed',
+  'digest.describe.daily': 'daily at {time} ({timezone})',
+  'digest.describe.weekly': 'weekly on {day} at {time} ({timezone})',
+  'digest.day.sun': 'Sunday',
+  'digest.day.mon': 'Monday',
+  'digest.day.tue': 'Tuesday',
+  'digest.day.wed': 'Wednesday',
+  'digest.day.thu': 'Thursday',
+  'digest.day.fri': 'Friday',
+  'digest.day.sat': 'Saturday',
+  'digest.last_posted': 'last posted {slot}',
+  'digest.list.text': 'Mood Digests',
+  'digest.list.title': '🗓️ Mood Digests for This Channel',
+  'digest.list.empty': '_No digests scheduled. Try `/mood-digest daily 09:00 Europe/Berlin`._',
+  'digest.usage.text': '/mood-digest usage',
+  'digest.usage.title': '🗓️ /mood-digest - Scheduled Mood Digests',
+  'digest.usage.body': '• `/mood-digest list` - Digests for this channel\n• `/mood-digest daily 09:00 [Asia/Kolkata]` - Today\'s mood every day\n• `/mood-digest weekly mon 09:00 [Europe/Berlin]` - Last 7 days every week\n• `/mood-digest remove <id>` - Stop a digest',
+  'digest.error.invalid_frequency': 'Frequency must be daily or weekly',
+  'digest.error.invalid_time': 'Invalid time `{time}` - use 24-hour HH:MM',
+  'digest.error.invalid_weekday': 'Weekly digests need a day (mon, tue, ...)',
+  'digest.error.invalid_timezone': 'Unknown timezone `{timezone}` - use an IANA name like Europe/Berlin',
+  'digest.error.limit_reached.one': 'A channel can have at most {count} digest',
+  'digest.error.limit_reached.other': 'A channel can have at most {count} digests',
+  'digest.error.not_found': 'Digest #{id} not found',
+
+  // Admin stress alerts
+  'alert.text.high': '🚨 High stress detected in {channel}',
+  'alert.text.sustained': '🚨 Sustained stress detected in {channel}',
+  'alert.a_conversation': 'a conversation',
+  'alert.title.high': '🚨 High Stress Alert',
+  'alert.title.sustained': '🚨 Sustained Stress Alert',
+  'alert.user': 'User',
+  'alert.channel': 'Channel',
+  'alert.unknown': 'Unknown',
+  'alert.why': '📈 Why',
+  'alert.scope.user': '👤 This user',
+  'alert.scope.channel': '💬 This channel',
+  'alert.rule.single': 'Single message at {score}/10 (threshold {threshold})',
+  'alert.rule.burst.one': '{count} message at {threshold}+/10 within {minutes} minutes',
+  'alert.rule.burst.other': '{count} messages at {threshold}+/10 within {minutes} minutes',
+  'alert.rule.rise.one': 'Average stress rose from {before} to {after} (last {count} day vs the {count} before)',
+  'alert.rule.rise.other': 'Average stress rose from {before} to {after} (last {count} days vs the {count} before)',
+  'alert.view_message': '💬 View Message',
+};
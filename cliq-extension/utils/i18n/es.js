@@ -0,0 +1,329 @@
+/**
+ * Spanish strings
+ */
+
+module.exports = {
+  // Bot
+  'bot.error.unavailable': '⚠️ El análisis no está disponible temporalmente. Inténtalo de nuevo.',
+  'bot.opted_out': '🔒 Has desactivado el análisis. Usa `@emo-bot privacy opt-in` para volver a activarlo.',
+  'bot.too_long': '⚠️ Mensaje demasiado largo para analizar (máx. {max} caracteres)',
+  'bot.status.healthy': '✅ ¡El backend funciona y está listo!',
+  'bot.status.down': '⚠️ El backend no responde',
+  'bot.welcome': '👋 ¡Bienvenido/a, {name}! Soy Emo-Bot, tu asistente de análisis de sentimiento. Puedo detectar emociones y sugerir respuestas empáticas. ¡Escribe @emo-bot help para saber más!',
+  'bot.welcome.default_name': 'nuevo miembro',
+
+  // Analysis card
+  'analysis.text': 'Análisis completado',
+  'analysis.title': 'Análisis de sentimiento',
+  'analysis.offline_suffix': ' (estimación sin conexión)',
+  'analysis.offline_note': '_⚡ Estimación sin conexión con heurísticas integradas: menos precisa que el análisis completo._',
+  'analysis.sentiment': 'Sentimiento',
+  'analysis.emotion': 'Emoción',
+  'analysis.stress': 'Nivel de estrés',
+  'analysis.stress_short': 'Estrés',
+  'analysis.category': 'Categoría',
+  'analysis.confidence': 'Confianza',
+  'analysis.suggested_reply': 'Respuesta sugerida',
+  'analysis.button.send_reply': '📤 Enviar respuesta',
+  'analysis.button.flag': '🚩 Marcar para revisión',
+  'analysis.conversation': 'Conversación',
+  'conversation.escalating': '📈 Se intensifica',
+  'conversation.calming': '📉 Se calma',
+  'conversation.steady': '➡️ Estable',
+  'conversation.detail': 'estrés {from} → {to} en los últimos {count} mensajes',
+
+  'sentiment.positive': 'Positivo',
+  'sentiment.neutral': 'Neutral',
+  'sentiment.negative': 'Negativo',
+
+  'emotion.happy': 'feliz',
+  'emotion.sad': 'triste',
+  'emotion.angry': 'enfadado',
+  'emotion.stressed': 'estresado',
+  'emotion.anxious': 'ansioso',
+  'emotion.frustrated': 'frustrado',
+  'emotion.excited': 'entusiasmado',
+  'emotion.calm': 'tranquilo',
+
+  'category.workload': 'carga de trabajo',
+  'category.deadline': 'plazos',
+  'category.communication': 'comunicación',
+  'category.technical': 'técnico',
+  'category.team': 'equipo',
+  'category.personal': 'personal',
+  'category.general': 'general',
+
+  // Suggested replies from the built-in analyzer
+  'reply.happy': '¡Qué buena noticia! Gracias por compartirla.',
+  'reply.excited': '¡Qué energía! Cuéntanos cómo va.',
+  'reply.calm': '¡Gracias por la actualización!',
+  'reply.sad': 'Siento oír eso. ¿Puedo ayudarte en algo?',
+  'reply.angry': 'Entiendo que esto es muy frustrante. Hablemos y busquemos una solución juntos.',
+  'reply.frustrated': 'Suena frustrante. ¿Qué te ayudaría a desbloquearte?',
+  'reply.anxious': 'Es comprensible. Repasémoslo juntos para que no se nos escape nada.',
+  'reply.stressed': 'Parece mucho. ¿Revisamos juntos las prioridades y vemos qué se puede mover?',
+
+  // Help card
+  'help.text': 'Ayuda de Emo-Bot',
+  'help.title': '🤖 Emo-Bot - Asistente de análisis de sentimiento',
+  'help.what': '**Qué hago:**\nAnalizo los mensajes en tiempo real para detectar emociones, sentimiento y niveles de estrés. Sugiero respuestas empáticas para mejorar la comunicación del equipo.',
+  'help.commands': '**Comandos:**\n• `/team-mood` - Ver el estado de ánimo del equipo\n• `@emo-bot help` - Mostrar esta ayuda\n• `@emo-bot status` - Comprobar el estado del backend\n• `@emo-bot config` - Ver o cambiar la configuración de este canal\n• `@emo-bot privacy` - Controlar cómo se analizan tus mensajes',
+  'help.actions': '**Acciones de mensaje:**\nHaz clic derecho en un mensaje → "Analyze Sentiment" para obtener un análisis al instante',
+
+  // Message actions and card buttons
+  'action.invalid_request': '⚠️ Formato de solicitud no válido',
+  'action.no_text': '⚠️ No se recibió el texto del mensaje',
+  'action.too_long': '⚠️ Mensaje demasiado largo (máx. {max} caracteres)',
+  'action.author_opted_out': '🔒 La persona que escribió este mensaje ha desactivado el análisis de sentimiento.',
+  'action.analyze_failed': '⚠️ El análisis falló. Inténtalo de nuevo.',
+  'action.suggest_failed': '⚠️ No se pudo generar una sugerencia. Inténtalo de nuevo.',
+  'action.queued': '⏳ Analizando: Emo-Bot te enviará el resultado en un mensaje privado.',
+  'action.suggested_reply': '💡 Respuesta sugerida',
+  'action.suggested_title': 'Respuesta sugerida',
+  'action.unknown': '⚠️ Acción desconocida',
+  'action.failed': '⚠️ La acción falló. Inténtalo de nuevo.',
+  'action.no_reply': '⚠️ No hay respuesta para enviar',
+  'action.reply_too_long': '⚠️ Respuesta demasiado larga (máx. {max} caracteres)',
+  'action.no_target': '⚠️ No se pudo determinar dónde enviar la respuesta',
+  'action.replies_not_configured': '⚠️ El envío de respuestas no está configurado. Contacta con tu administrador.',
+  'action.reply_sent': '✅ Respuesta enviada',
+  'action.flagged': '🚩 Conversación marcada para revisión (#{id}). RR. HH. la revisará.',
+  'action.flag_wrong_channel': '⚠️ Esta conversación pertenece a otro canal y no se puede marcar desde aquí.',
+
+  // /team-mood
+  'mood.error': '⚠️ No se pudieron obtener los datos de ánimo del equipo. Inténtalo de nuevo o contacta con soporte.',
+  'mood.text': 'Informe de ánimo del equipo',
+  'mood.title': '{emoji} Ánimo del equipo - Informe de hoy',
+  'mood.distribution': '📊 Distribución del sentimiento',
+  'mood.total': '**Mensajes analizados:** {count}',
+  'mood.stress_levels': '🌡️ Niveles de estrés',
+  'mood.avg_stress': '**Estrés medio:** {value}/10',
+  'mood.stress.high': '🔴 **ALTO** - El equipo puede necesitar apoyo',
+  'mood.stress.moderate': '🟡 **MODERADO** - Seguir de cerca',
+  'mood.stress.low': '🟢 **BAJO** - El equipo está bien',
+  'mood.top_issues': '🔍 Temas principales',
+  'mood.no_issues_today': '_Hoy no se detectaron temas relevantes_ ✨',
+  'mood.mentions': '{count} menciones',
+  'mood.no_issues': '_No se detectaron temas_',
+  'mood.no_data': '_No hay datos disponibles._',
+  'mood.suppressed': '_🔒 Hoy escribieron aquí menos de {min} personas, así que las estadísticas se ocultan para proteger a cada persona._',
+  'mood.trend': '📈 Tendencia',
+  'mood.vs_yesterday': '**Comparado con ayer:** {trend}',
+  'trend.up': '📈 Mejorando',
+  'trend.down': '📉 Empeorando',
+  'trend.stable': '➡️ Estable',
+  'mood.local_note': '_📦 Calculado por la extensión a partir de los mensajes que analizó (estadísticas del backend no disponibles)._',
+  'mood.button.dashboard': '📊 Ver panel',
+  'mood.button.refresh': '🔄 Actualizar',
+
+  'mood.period.today': 'Hoy',
+  'mood.period.range': '{from} → {to} ({days} días)',
+  'mood.range.title': '📅 Ánimo del equipo - {period}',
+  'mood.range.title_channel': '📅 Ánimo del equipo en {channel} - {period}',
+  'mood.range.empty': '_No se analizaron mensajes en este periodo._',
+  'mood.range.total': '**Mensajes analizados:** {count} ({covered} de {days} días con datos)',
+  'mood.range.suppressed_days.one': '_🔒 Se omite {count} día con menos de {min} personas._',
+  'mood.range.suppressed_days.other': '_🔒 Se omiten {count} días con menos de {min} personas._',
+  'mood.range.compared': '📈 Comparado con los {days} días anteriores',
+  'mood.range.no_previous': '_No hay datos del periodo anterior._',
+  'mood.delta.messages': 'Mensajes',
+  'mood.unit.points': 'pts',
+
+  'mood.compare.text': 'Comparación del ánimo del equipo',
+  'mood.compare.title': '⚖️ Comparación del ánimo del equipo - {period}',
+  'mood.compare.versus': 'vs {channel}',
+
+  'mood.export.text': 'Exportación del ánimo del equipo',
+  'mood.export.title': '📥 Informe de ánimo del equipo listo',
+  'mood.export.details': '**Formato:** {format}\n**Periodo:** {period}\n**Canales:** {channels}',
+  'mood.export.all_channels': 'Todos los canales',
+  'mood.export.note.one': '_El informe se genera al abrir el enlace, que funciona durante {count} minuto._',
+  'mood.export.note.other': '_El informe se genera al abrir el enlace, que funciona durante {count} minutos._',
+  'mood.export.min_group.one': '_Se omiten los días con menos de {count} persona._',
+  'mood.export.min_group.other': '_Se omiten los días con menos de {count} personas._',
+  'mood.export.button': '📥 Descargar {format}',
+  'mood.export.denied': '🔒 Solo puedes exportar canales a los que tienes acceso. No permitidos: {channels}',
+  'mood.denied': '🔒 Solo puedes ver canales a los que tienes acceso. No permitidos: {channels}',
+  'mood.no_channel': '🔒 Las estadísticas de toda la organización solo están disponibles para RR. HH. y administradores. Ejecuta /team-mood en un canal o indica uno: `/team-mood #canal`',
+  'mood.export.not_configured': '⚠️ Las exportaciones no están configuradas (falta DASHBOARD_URL). Contacta con tu administrador.',
+
+  'mood.usage.text': 'Uso de /team-mood',
+  'mood.usage.title': '📊 /team-mood - Ánimo del equipo',
+  'mood.usage.body': '• `/team-mood` - Hoy en este canal\n• `/team-mood #design` - Hoy en otro canal\n• `/team-mood last 7d` - Últimos 7 días (también `last 2w`, `last 30 days`)\n• `/team-mood 2026-10-01..2026-10-14` - Rango de fechas (hasta {max} días atrás)\n• `/team-mood #design vs #support [last 7d]` - Comparar canales\n• `/team-mood export [csv|json|pdf] [last 30d] [#design #support]` - Descargar un informe (por defecto, PDF de los últimos 30 días)',
+
+  'query.one_period': 'Solo se puede indicar un periodo.',
+  'query.one_format': 'Solo se puede indicar un formato de exportación.',
+  'query.last_unit': 'Periodo no reconocido después de `last`. Prueba `last 7d`, `last 2w` o `last 30 days`.',
+  'query.max_days': 'Los periodos están limitados a {max} días.',
+  'query.invalid_range': 'Rango de fechas no válido `{token}`. Usa YYYY-MM-DD..YYYY-MM-DD.',
+  'query.start_after_end': 'La fecha de inicio debe ser anterior o igual a la de fin.',
+  'query.future': 'El rango de fechas no puede terminar en el futuro.',
+  'query.too_old': 'Los rangos de fechas deben empezar dentro de los últimos {max} días.',
+  'query.unknown': 'Argumento no reconocido `{token}`.',
+  'query.max_channels': 'Puedes comparar hasta {max} canales a la vez.',
+  'query.unknown_channel': 'No se encontró ningún canal llamado `#{channel}`.',
+  'query.channel_names_unavailable': 'Aquí no se pueden buscar nombres de canal como `#{channel}` (la API de Cliq no está configurada). Usa el ID del canal.',
+
+  // Scheduled digests
+  'digest.daily': '☀️ Resumen diario de ánimo',
+  'digest.weekly': '🗓️ Resumen semanal de ánimo',
+
+  // Channel settings (@emo-bot config)
+  'config.channel_only': '⚠️ La configuración del canal solo se puede cambiar dentro de un canal.',
+  'config.denied': '🔒 Solo los administradores del bot (BOT_ADMIN_USER_IDS) pueden cambiar la configuración del canal.',
+  'config.title': '⚙️ Configuración del canal',
+  'config.updated': '✅ Configuración actualizada',
+  'config.analysis': 'Análisis',
+  'config.enabled': '✅ Activado',
+  'config.disabled': '⛔ Desactivado',
+  'config.replies': 'Respuestas',
+  'config.reply.silent': '🔇 Silencioso (solo analizar)',
+  'config.reply.threshold': '💬 Responder cuando el estrés sea ≥ {threshold}',
+  'config.reply.all': '💬 Responder a cada mensaje',
+  'config.alert_threshold': 'Umbral de alerta',
+  'config.threshold.override': '{threshold}/10 (propio del canal)',
+  'config.threshold.default': '{threshold}/10 (predeterminado)',
+  'config.changed_by': '_Último cambio por {user} el {date}_',
+  'config.defaults': '_Usando la configuración predeterminada_',
+  'config.usage.text': 'Uso de @emo-bot config',
+  'config.usage.title': '⚙️ @emo-bot config',
+  'config.usage.body': '• `@emo-bot config` - Ver la configuración\n• `@emo-bot config enable|disable` - Activar o desactivar este canal\n• `@emo-bot config silent on|off` - Analizar sin responder\n• `@emo-bot config reply-threshold <0-10|off>` - Responder solo a mensajes con estrés\n• `@emo-bot config stress-threshold <1-10|default>` - Umbral de las alertas a administradores\n• `@emo-bot config reset` - Volver a los valores predeterminados',
+
+  // Privacy (@emo-bot privacy)
+  'privacy.no_user': '⚠️ No se pudo identificarte. Inténtalo de nuevo.',
+  'privacy.mode.full': '✅ Análisis completo',
+  'privacy.mode.anonymous': '🕶️ Solo estadísticas anónimas',
+  'privacy.mode.opted_out': '🚫 Excluido',
+  'privacy.description.full': 'Tus mensajes se analizan en los canales con Emo-Bot activado, junto con tu ID de usuario.',
+  'privacy.description.anonymous': 'Tus mensajes cuentan para las estadísticas del equipo, pero tu ID de usuario se elimina antes del análisis y las alertas nunca te nombran.',
+  'privacy.description.opted_out': 'Tus mensajes nunca se envían para su análisis.',
+  'privacy.title': '🔒 Tu configuración de privacidad',
+  'privacy.usage_title': '🔒 @emo-bot privacy',
+  'privacy.updated': '✅ Configuración de privacidad actualizada',
+  'privacy.current': 'Actual',
+  'privacy.usage.body': '• `@emo-bot privacy opt-out` - No analizar nunca mis mensajes\n• `@emo-bot privacy anonymous` - Solo estadísticas del equipo, sin mi ID de usuario\n• `@emo-bot privacy opt-in` - Analizar normalmente\n• `@emo-bot privacy my-data` - Qué se guarda sobre mí\n• `@emo-bot privacy delete` - Borrar lo que se guarda sobre mí',
+  'privacy.deleted': '✅ Se borraron tus datos guardados',
+  'privacy.data.text': 'Tus datos',
+  'privacy.data.title': '📂 Qué guarda Emo-Bot sobre ti',
+  'privacy.data.setting': '• **Configuración de privacidad:** {mode} (desde {date})',
+  'privacy.data.setting_default': '• **Configuración de privacidad:** ninguna guardada (predeterminado: análisis completo)',
+  'privacy.data.flags_raised': '• **Conversaciones que marcaste para revisión:** {count}',
+  'privacy.data.flags_handled': '• **Marcas de revisión que gestionaste:** {count}',
+  'privacy.data.analyses': '• **Análisis contados con tu ID de usuario:** {count} (solo puntuaciones y categorías, sin texto)',
+  'privacy.data.stress_scores': '• **Puntuaciones de estrés recientes guardadas para alertas:** {count}',
+  'privacy.data.context': '• **Mensajes recientes guardados como contexto de la conversación:** {count} (censurados, caducan tras {minutes} minutos)',
+  'privacy.data.webhooks': '• **Webhooks de alerta de estrés no entregados que te nombran:** {count} (guardados para que un administrador los reenvíe)',
+  'privacy.data.queued': '• **Mensajes en espera de análisis:** {count} (censurados; se eliminan tras el análisis)',
+  'privacy.data.channels': '• **Canales cuya configuración cambiaste por última vez:** {channels}',
+  'privacy.data.footer': '_El texto de los mensajes solo se guarda en tres lugares, siempre censurado: mensajes recientes usados como contexto de la conversación (hasta que caducan), mensajes en espera de análisis (hasta analizarse) y un extracto de 100 caracteres cuando alguien marca una conversación para revisión. El backend de análisis también guarda los resultados; pide a tu administrador que los elimine._',
+
+  // Outbound webhooks (@emo-bot webhooks)
+  'webhooks.denied': '🔒 Solo los administradores del bot (BOT_ADMIN_USER_IDS) pueden gestionar los webhooks.',
+  'webhooks.none_to_replay': '✅ No hay entregas de webhook fallidas que reenviar.',
+  'webhooks.replaying.one': '🔁 Reenviando {count} entrega fallida. Revisa `@emo-bot webhooks failed` en un minuto.',
+  'webhooks.replaying.other': '🔁 Reenviando {count} entregas fallidas. Revisa `@emo-bot webhooks failed` en un minuto.',
+  'webhooks.replayed': '✅ Entrega #{id} ({event}) reenviada.',
+  'webhooks.replay_failed': '⚠️ Falló el reenvío de #{id}: {error}',
+  'webhooks.title': '🔗 Webhooks salientes',
+  'webhooks.no_events': 'sin eventos',
+  'webhooks.no_endpoints': '_No hay endpoints configurados. Define OUTBOUND_WEBHOOKS para enviar eventos._',
+  'webhooks.counts': '**Esperando reintento:** {pending}\n**Fallidas (dead letters):** {failed}',
+  'webhooks.none_failed': '✅ No hay entregas de webhook fallidas.',
+  'webhooks.attempts.one': '{count} intento',
+  'webhooks.attempts.other': '{count} intentos',
+  'webhooks.older': '_…y {count} más antiguas_',
+  'webhooks.failed.text.one': '⚠️ {count} entrega de webhook fallida',
+  'webhooks.failed.text.other': '⚠️ {count} entregas de webhook fallidas',
+  'webhooks.failed.title': '⚠️ Entregas de webhook fallidas ({count})',
+  'webhooks.failed.hint': '_Reenvía con `@emo-bot webhooks replay <id>` o `@emo-bot webhooks replay all`._',
+  'webhooks.usage.text': 'Uso de @emo-bot webhooks',
+  'webhooks.usage.title': '🔗 @emo-bot webhooks',
+  'webhooks.usage.body': '• `@emo-bot webhooks` - Endpoints y número de fallos\n• `@emo-bot webhooks failed` - Entregas fallidas recientes\n• `@emo-bot webhooks replay <id>` - Reenviar una\n• `@emo-bot webhooks replay all` - Reenviar todas las entregas fallidas',
+
+  // Review queue (/review)
+  'review.denied': '🔒 No tienes permiso para revisar conversaciones marcadas.',
+  'review.error': '⚠️ No se pudo procesar el comando de revisión. Inténtalo de nuevo o contacta con soporte.',
+  'review.status.open': 'abierta',
+  'review.status.claimed': 'asignada',
+  'review.status.resolved': 'resuelta',
+  'review.status.dismissed': 'descartada',
+  'review.status.all': 'todas',
+  'review.action.created': 'creada',
+  'review.action.claimed': 'asignada',
+  'review.action.resolved': 'resuelta',
+  'review.action.dismissed': 'descartada',
+  'review.unknown': 'desconocido',
+  'review.updated': '{emoji} Marca #{id} {status}',
+  'review.list.text': 'Cola de revisión',
+  'review.list.title': '🚩 Cola de revisión - {status}',
+  'review.list.more': '_…y {count} más_',
+  'review.list.empty': '_No hay marcas en esta vista_ ✨',
+  'review.not_found': '⚠️ No se encontró la marca #{id}',
+  'review.not_found_no_id': '⚠️ No se encontró la marca',
+  'review.detail.text': 'Marca #{id}',
+  'review.detail.title': '{emoji} Marca #{id} - {status}',
+  'review.detail.message': 'Mensaje',
+  'review.detail.channel': 'Canal',
+  'review.detail.flagged_by': 'Marcada por',
+  'review.detail.assignee': 'Responsable',
+  'review.detail.unassigned': '_sin asignar_',
+  'review.detail.audit': '📜 Historial',
+  'review.detail.entry': '• {at} - **{action}** por {by}',
+  'review.usage.text': 'Uso de /review',
+  'review.usage.title': '🚩 /review - Conversaciones marcadas',
+  'review.usage.body': '• `/review list [open|claimed|resolved|dismissed|all]` - Listar marcas\n• `/review show <id>` - Detalles e historial\n• `/review claim <id> [note]` - Hacerte cargo\n• `/review resolve <id> <note>` - Marcar como gestionada\n• `/review dismiss <id> <note>` - No requiere acción',
+  'review.error.already_claimed': 'La marca #{id} ya la tiene asignada {assignee}',
+  'review.error.invalid_transition': 'La marca #{id} ya está {status}',
+  'review.error.note_required': 'Se necesita una nota para marcar la marca #{id} como {status}',
+  'review.error.not_found': 'No se encontró la marca #{id}',
+
+  // Digest schedules (/mood-digest)
+  'digest.channel_only': '⚠️ Ejecuta /mood-digest en el canal que debe recibir el resumen.',
+  'digest.error': '⚠️ No se pudieron actualizar los resúmenes de ánimo. Inténtalo de nuevo o contacta con soporte.',
+  'digest.need_day': 'Los resúmenes semanales necesitan un día, p. ej. `/mood-digest weekly mon 09:00`.',
+  'digest.need_time': 'Se necesita una hora, p. ej. `09:00`.',
+  'digest.scheduled': '✅ Resumen #{id} programado: {schedule}',
+  'digest.removed': '🗑️ Resumen #{id} eliminado',
+  'digest.describe.daily': 'a diario a las {time} ({timezone})',
+  'digest.describe.weekly': 'cada semana el {day} a las {time} ({timezone})',
+  'digest.day.sun': 'domingo',
+  'digest.day.mon': 'lunes',
+  'digest.day.tue': 'martes',
+  'digest.day.wed': 'miércoles',
+  'digest.day.thu': 'jueves',
+  'digest.day.fri': 'viernes',
+  'digest.day.sat': 'sábado',
+  'digest.last_posted': 'último envío {slot}',
+  'digest.list.text': 'Resúmenes de ánimo',
+  'digest.list.title': '🗓️ Resúmenes de ánimo de este canal',
+  'digest.list.empty': '_No hay resúmenes programados. Prueba `/mood-digest daily 09:00 Europe/Berlin`._',
+  'digest.usage.text': 'Uso de /mood-digest',
+  'digest.usage.title': '🗓️ /mood-digest - Resúmenes de ánimo programados',
+  'digest.usage.body': '• `/mood-digest list` - Resúmenes de este canal\n• `/mood-digest daily 09:00 [Asia/Kolkata]` - El ánimo de hoy cada día\n• `/mood-digest weekly mon 09:00 [Europe/Berlin]` - Los últimos 7 días cada semana\n• `/mood-digest remove <id>` - Detener un resumen',
+  'digest.error.invalid_frequency': 'La frecuencia debe ser daily o weekly',
+  'digest.error.invalid_time': 'Hora no válida `{time}`: usa el formato de 24 horas HH:MM',
+  'digest.error.invalid_weekday': 'Los resúmenes semanales necesitan un día (mon, tue, ...)',
+  'digest.error.invalid_timezone': 'Zona horaria desconocida `{timezone}`: usa un nombre IANA como Europe/Madrid',
+  'digest.error.limit_reached.one': 'Un canal puede tener como máximo {count} resumen',
+  'digest.error.limit_reached.other': 'Un canal puede tener como máximo {count} resúmenes',
+  'digest.error.not_found': 'No se encontró el resumen #{id}',
+
+  // Admin stress alerts
+  'alert.text.high': '🚨 Estrés alto detectado en {channel}',
+  'alert.text.sustained': '🚨 Estrés sostenido detectado en {channel}',
+  'alert.a_conversation': 'una conversación',
+  'alert.title.high': '🚨 Alerta de estrés alto',
+  'alert.title.sustained': '🚨 Alerta de estrés sostenido',
+  'alert.user': 'Usuario',
+  'alert.channel': 'Canal',
+  'alert.unknown': 'Desconocido',
+  'alert.why': '📈 Por qué',
+  'alert.scope.user': '👤 Este usuario',
+  'alert.scope.channel': '💬 Este canal',
+  'alert.rule.single': 'Un mensaje con {score}/10 (umbral {threshold})',
+  'alert.rule.burst.one': '{count} mensaje con {threshold}+/10 en {minutes} minutos',
+  'alert.rule.burst.other': '{count} mensajes con {threshold}+/10 en {minutes} minutos',
+  'alert.rule.rise.one': 'El estrés medio subió de {before} a {after} (último {count} día frente al anterior)',
+  'alert.rule.rise.other': 'El estrés medio subió de {before} a {after} (últimos {count} días frente a los {count} anteriores)',
+  'alert.view_message': '💬 Ver mensaje',
+};
@@ -0,0 +1,329 @@
+/**
+ * Hindi strings
+ */
+
+module.exports = {
+  // Bot
+  'bot.error.unavailable': '⚠️ विश्लेषण अभी उपलब्ध नहीं है। कृपया फिर से कोशिश करें।',
+  'bot.opted_out': '🔒 आपने विश्लेषण बंद किया हुआ है। इसे फिर से चालू करने के लिए `@emo-bot privacy opt-in` लिखें।',
+  'bot.too_long': '⚠️ विश्लेषण के लिए संदेश बहुत लंबा है (अधिकतम {max} अक्षर)',
+  'bot.status.healthy': '✅ बैकएंड ठीक है और तैयार है!',
+  'bot.status.down': '⚠️ बैकएंड जवाब नहीं दे रहा है',
+  'bot.welcome': '👋 स्वागत है {name}! मैं Emo-Bot हूँ, आपका भावना विश्लेषण सहायक। मैं भावनाएँ पहचानने और सहानुभूतिपूर्ण जवाब सुझाने में मदद करता हूँ। ज़्यादा जानने के लिए @emo-bot help लिखें!',
+  'bot.welcome.default_name': 'नए सदस्य',
+
+  // Analysis card
+  'analysis.text': 'विश्लेषण पूरा हुआ',
+  'analysis.title': 'भावना विश्लेषण',
+  'analysis.offline_suffix': ' (ऑफ़लाइन अनुमान)',
+  'analysis.offline_note': '_⚡ बिल्ट-इन नियमों से ऑफ़लाइन अनुमान - पूरे विश्लेषण से कम सटीक।_',
+  'analysis.sentiment': 'भावना',
+  'analysis.emotion': 'मनोभाव',
+  'analysis.stress': 'तनाव स्तर',
+  'analysis.stress_short': 'तनाव',
+  'analysis.category': 'श्रेणी',
+  'analysis.confidence': 'विश्वास',
+  'analysis.suggested_reply': 'सुझाया गया जवाब',
+  'analysis.button.send_reply': '📤 जवाब भेजें',
+  'analysis.button.flag': '🚩 समीक्षा के लिए चिह्नित करें',
+  'analysis.conversation': 'बातचीत',
+  'conversation.escalating': '📈 बढ़ रही है',
+  'conversation.calming': '📉 शांत हो रही है',
+  'conversation.steady': '➡️ स्थिर',
+  'conversation.detail': 'पिछले {count} संदेशों में तनाव {from} → {to}',
+
+  'sentiment.positive': 'सकारात्मक',
+  'sentiment.neutral': 'तटस्थ',
+  'sentiment.negative': 'नकारात्मक',
+
+  'emotion.happy': 'खुश',
+  'emotion.sad': 'उदास',
+  'emotion.angry': 'नाराज़',
+  'emotion.stressed': 'तनावग्रस्त',
+  'emotion.anxious': 'चिंतित',
+  'emotion.frustrated': 'परेशान',
+  'emotion.excited': 'उत्साहित',
+  'emotion.calm': 'शांत',
+
+  'category.workload': 'काम का बोझ',
+  'category.deadline': 'समय सीमा',
+  'category.communication': 'संवाद',
+  'category.technical': 'तकनीकी',
+  'category.team': 'टीम',
+  'category.personal': 'व्यक्तिगत',
+  'category.general': 'सामान्य',
+
+  // Suggested replies from the built-in analyzer
+  'reply.happy': 'यह सुनकर बहुत अच्छा लगा! अच्छी खबर साझा करने के लिए धन्यवाद।',
+  'reply.excited': 'क्या जोश है! बताते रहना कि कैसा चल रहा है।',
+  'reply.calm': 'अपडेट के लिए धन्यवाद!',
+  'reply.sad': 'यह सुनकर दुख हुआ। क्या मैं किसी तरह मदद कर सकता हूँ?',
+  'reply.angry': 'मैं समझता हूँ कि यह सच में परेशान करने वाला है। आइए बात करें और मिलकर हल निकालें।',
+  'reply.frustrated': 'यह परेशान करने वाला लगता है। आगे बढ़ने में क्या मदद करेगा?',
+  'reply.anxious': 'यह समझ में आता है। आइए मिलकर देख लेते हैं ताकि कुछ छूट न जाए।',
+  'reply.stressed': 'यह काफ़ी ज़्यादा लगता है। क्या हम मिलकर प्राथमिकताएँ देखें और तय करें कि क्या आगे बढ़ाया जा सकता है?',
+
+  // Help card
+  'help.text': 'Emo-Bot सहायता',
+  'help.title': '🤖 Emo-Bot - भावना विश्लेषण सहायक',
+  'help.what': '**मैं क्या करता हूँ:**\nमैं संदेशों का तुरंत विश्लेषण करके भावनाएँ, मनोदशा और तनाव स्तर पहचानता हूँ। टीम के संवाद को बेहतर बनाने के लिए सहानुभूतिपूर्ण जवाब सुझाता हूँ।',
+  'help.commands': '**कमांड:**\n• `/team-mood` - टीम की मनोदशा देखें\n• `@emo-bot help` - यह सहायता दिखाएँ\n• `@emo-bot status` - बैकएंड की स्थिति जाँचें\n• `@emo-bot config` - इस चैनल की सेटिंग देखें या बदलें\n• `@emo-bot privacy` - तय करें कि आपके संदेशों का विश्लेषण कैसे हो',
+  'help.actions': '**संदेश क्रियाएँ:**\nकिसी भी संदेश पर राइट-क्लिक करें → "Analyze Sentiment" से तुरंत जानकारी पाएँ',
+
+  // Message actions and card buttons
+  'action.invalid_request': '⚠️ अनुरोध का प्रारूप गलत है',
+  'action.no_text': '⚠️ संदेश का टेक्स्ट नहीं मिला',
+  'action.too_long': '⚠️ संदेश बहुत लंबा है (अधिकतम {max} अक्षर)',
+  'action.author_opted_out': '🔒 इस संदेश के लेखक ने भावना विश्लेषण बंद किया हुआ है।',
+  'action.analyze_failed': '⚠️ विश्लेषण विफल रहा। कृपया फिर से कोशिश करें।',
+  'action.suggest_failed': '⚠️ सुझाव नहीं बन सका। कृपया फिर से कोशिश करें।',
+  'action.queued': '⏳ विश्लेषण हो रहा है - Emo-Bot आपको परिणाम निजी संदेश में भेजेगा।',
+  'action.suggested_reply': '💡 सुझाया गया जवाब',
+  'action.suggested_title': 'सुझाया गया जवाब',
+  'action.unknown': '⚠️ अज्ञात क्रिया',
+  'action.failed': '⚠️ क्रिया विफल रही। कृपया फिर से कोशिश करें।',
+  'action.no_reply': '⚠️ भेजने के लिए कोई जवाब नहीं है',
+  'action.reply_too_long': '⚠️ जवाब बहुत लंबा है (अधिकतम {max} अक्षर)',
+  'action.no_target': '⚠️ जवाब कहाँ भेजना है, यह तय नहीं हो सका',
+  'action.replies_not_configured': '⚠️ जवाब भेजना कॉन्फ़िगर नहीं है। कृपया अपने एडमिन से संपर्क करें।',
+  'action.reply_sent': '✅ जवाब भेज दिया गया',
+  'action.flagged': '🚩 बातचीत समीक्षा के लिए चिह्नित की गई (#{id})। HR इसे देखेगा।',
+  'action.flag_wrong_channel': '⚠️ यह बातचीत किसी दूसरे चैनल की है और यहाँ से चिह्नित नहीं की जा सकती।',
+
+  // /team-mood
+  'mood.error': '⚠️ टीम की मनोदशा का डेटा नहीं मिल सका। कृपया फिर से कोशिश करें या सपोर्ट से संपर्क करें।',
+  'mood.text': 'टीम मनोदशा रिपोर्ट',
+  'mood.title': '{emoji} टीम मनोदशा - आज की रिपोर्ट',
+  'mood.distribution': '📊 भावना वितरण',
+  'mood.total': '**विश्लेषित संदेश:** {count}',
+  'mood.stress_levels': '🌡️ तनाव स्तर',
+  'mood.avg_stress': '**औसत तनाव स्कोर:** {value}/10',
+  'mood.stress.high': '🔴 **उच्च** - टीम को सहायता की ज़रूरत हो सकती है',
+  'mood.stress.moderate': '🟡 **मध्यम** - ध्यान से नज़र रखें',
+  'mood.stress.low': '🟢 **कम** - टीम अच्छा कर रही है',
+  'mood.top_issues': '🔍 मुख्य मुद्दे',
+  'mood.no_issues_today': '_आज कोई खास मुद्दा नहीं मिला_ ✨',
+  'mood.mentions': '{count} बार',
+  'mood.no_issues': '_कोई मुद्दा नहीं मिला_',
+  'mood.no_data': '_कोई डेटा उपलब्ध नहीं है।_',
+  'mood.suppressed': '_🔒 आज यहाँ {min} से कम लोगों ने संदेश भेजे, इसलिए व्यक्तियों की सुरक्षा के लिए आँकड़े छिपाए गए हैं।_',
+  'mood.trend': '📈 रुझान',
+  'mood.vs_yesterday': '**कल की तुलना में:** {trend}',
+  'trend.up': '📈 सुधार',
+  'trend.down': '📉 गिरावट',
+  'trend.stable': '➡️ स्थिर',
+  'mood.local_note': '_📦 एक्सटेंशन द्वारा विश्लेषित संदेशों से गणना की गई (बैकएंड आँकड़े उपलब्ध नहीं)।_',
+  'mood.button.dashboard': '📊 डैशबोर्ड देखें',
+  'mood.button.refresh': '🔄 रीफ़्रेश करें',
+
+  'mood.period.today': 'आज',
+  'mood.period.range': '{from} → {to} ({days} दिन)',
+  'mood.range.title': '📅 टीम मनोदशा - {period}',
+  'mood.range.title_channel': '📅 {channel} में टीम मनोदशा - {period}',
+  'mood.range.empty': '_इस अवधि में किसी संदेश का विश्लेषण नहीं हुआ।_',
+  'mood.range.total': '**विश्लेषित संदेश:** {count} ({days} में से {covered} दिनों का डेटा)',
+  'mood.range.suppressed_days.one': '_🔒 {min} से कम लोगों वाला {count} दिन शामिल नहीं किया गया।_',
+  'mood.range.suppressed_days.other': '_🔒 {min} से कम लोगों वाले {count} दिन शामिल नहीं किए गए।_',
+  'mood.range.compared': '📈 पिछले {days} दिनों की तुलना में',
+  'mood.range.no_previous': '_पिछली अवधि का कोई डेटा नहीं है।_',
+  'mood.delta.messages': 'संदेश',
+  'mood.unit.points': 'अंक',
+
+  'mood.compare.text': 'टीम मनोदशा तुलना',
+  'mood.compare.title': '⚖️ टीम मनोदशा तुलना - {period}',
+  'mood.compare.versus': '{channel} की तुलना में',
+
+  'mood.export.text': 'टीम मूड एक्सपोर्ट',
+  'mood.export.title': '📥 टीम मूड रिपोर्ट तैयार है',
+  'mood.export.details': '**फ़ॉर्मैट:** {format}\n**अवधि:** {period}\n**चैनल:** {channels}',
+  'mood.export.all_channels': 'सभी चैनल',
+  'mood.export.note.one': '_लिंक खोलने पर रिपोर्ट बनती है; लिंक {count} मिनट तक काम करता है।_',
+  'mood.export.note.other': '_लिंक खोलने पर रिपोर्ट बनती है; लिंक {count} मिनट तक काम करता है।_',
+  'mood.export.min_group.one': '_{count} से कम व्यक्ति वाले दिन छोड़ दिए जाते हैं।_',
+  'mood.export.min_group.other': '_{count} से कम लोगों वाले दिन छोड़ दिए जाते हैं।_',
+  'mood.export.button': '📥 {format} डाउनलोड करें',
+  'mood.export.denied': '🔒 आप सिर्फ़ उन्हीं चैनलों को एक्सपोर्ट कर सकते हैं जिन तक आपकी पहुँच है। अनुमति नहीं: {channels}',
+  'mood.denied': '🔒 आप सिर्फ़ उन्हीं चैनलों को देख सकते हैं जिन तक आपकी पहुँच है। अनुमति नहीं: {channels}',
+  'mood.no_channel': '🔒 पूरे संगठन के आँकड़े सिर्फ़ HR और एडमिन देख सकते हैं। /team-mood किसी चैनल में चलाएँ, या चैनल बताएँ: `/team-mood #channel`',
+  'mood.export.not_configured': '⚠️ एक्सपोर्ट सेट नहीं है (DASHBOARD_URL नहीं दिया गया)। कृपया अपने एडमिन से संपर्क करें।',
+
+  'mood.usage.text': '/team-mood उपयोग',
+  'mood.usage.title': '📊 /team-mood - टीम मनोदशा',
+  'mood.usage.body': '• `/team-mood` - इस चैनल में आज\n• `/team-mood #design` - किसी दूसरे चैनल में आज\n• `/team-mood last 7d` - पिछले 7 दिन (`last 2w`, `last 30 days` भी)\n• `/team-mood 2026-10-01..2026-10-14` - तारीख़ों की सीमा ({max} दिन पीछे तक)\n• `/team-mood #design vs #support [last 7d]` - चैनलों की तुलना करें\n• `/team-mood export [csv|json|pdf] [last 30d] [#design #support]` - रिपोर्ट डाउनलोड करें (डिफ़ॉल्ट रूप से पिछले 30 दिनों की PDF)',
+
+  'query.one_period': 'सिर्फ़ एक समय अवधि दी जा सकती है।',
+  'query.one_format': 'सिर्फ़ एक एक्सपोर्ट फ़ॉर्मैट दिया जा सकता है।',
+  'query.last_unit': '`last` के बाद की अवधि समझ नहीं आई। `last 7d`, `last 2w` या `last 30 days` आज़माएँ।',
+  'query.max_days': 'अवधि अधिकतम {max} दिनों की हो सकती है।',
+  'query.invalid_range': 'तारीख़ों की सीमा `{token}` गलत है। YYYY-MM-DD..YYYY-MM-DD लिखें।',
+  'query.start_after_end': 'शुरुआती तारीख़ अंतिम तारीख़ से पहले या उसी दिन होनी चाहिए।',
+  'query.future': 'तारीख़ों की सीमा भविष्य में खत्म नहीं हो सकती।',
+  'query.too_old': 'तारीख़ों की सीमा पिछले {max} दिनों के भीतर शुरू होनी चाहिए।',
+  'query.unknown': 'अज्ञात आर्ग्युमेंट `{token}`।',
+  'query.max_channels': 'एक बार में अधिकतम {max} चैनलों की तुलना की जा सकती है।',
+  'query.unknown_channel': '`#{channel}` नाम का कोई चैनल नहीं मिला।',
+  'query.channel_names_unavailable': '`#{channel}` जैसे चैनल नाम यहाँ नहीं खोजे जा सकते (Cliq API कॉन्फ़िगर नहीं है)। इसकी जगह चैनल ID इस्तेमाल करें।',
+
+  // Scheduled digests
+  'digest.daily': '☀️ दैनिक मनोदशा सारांश',
+  'digest.weekly': '🗓️ साप्ताहिक मनोदशा सारांश',
+
+  // Channel settings (@emo-bot config)
+  'config.channel_only': '⚠️ चैनल सेटिंग्स सिर्फ़ किसी चैनल के अंदर ही बदली जा सकती हैं।',
+  'config.denied': '🔒 सिर्फ़ बॉट एडमिन (BOT_ADMIN_USER_IDS) चैनल सेटिंग्स बदल सकते हैं।',
+  'config.title': '⚙️ चैनल सेटिंग्स',
+  'config.updated': '✅ सेटिंग्स अपडेट हो गईं',
+  'config.analysis': 'विश्लेषण',
+  'config.enabled': '✅ चालू',
+  'config.disabled': '⛔ बंद',
+  'config.replies': 'जवाब',
+  'config.reply.silent': '🔇 साइलेंट (सिर्फ़ विश्लेषण)',
+  'config.reply.threshold': '💬 तनाव ≥ {threshold} होने पर जवाब दें',
+  'config.reply.all': '💬 हर संदेश का जवाब दें',
+  'config.alert_threshold': 'अलर्ट सीमा',
+  'config.threshold.override': '{threshold}/10 (चैनल के लिए)',
+  'config.threshold.default': '{threshold}/10 (डिफ़ॉल्ट)',
+  'config.changed_by': '_आख़िरी बदलाव {user} ने {date} को किया_',
+  'config.defaults': '_डिफ़ॉल्ट सेटिंग्स लागू हैं_',
+  'config.usage.text': '@emo-bot config का उपयोग',
+  'config.usage.title': '⚙️ @emo-bot config',
+  'config.usage.body': '• `@emo-bot config` - सेटिंग्स देखें\n• `@emo-bot config enable|disable` - इस चैनल में विश्लेषण चालू या बंद करें\n• `@emo-bot config silent on|off` - बिना जवाब दिए विश्लेषण करें\n• `@emo-bot config reply-threshold <0-10|off>` - सिर्फ़ तनाव वाले संदेशों का जवाब दें\n• `@emo-bot config stress-threshold <1-10|default>` - एडमिन अलर्ट की सीमा\n• `@emo-bot config reset` - डिफ़ॉल्ट पर लौटें',
+
+  // Privacy (@emo-bot privacy)
+  'privacy.no_user': '⚠️ आपकी पहचान नहीं हो सकी। कृपया फिर से कोशिश करें।',
+  'privacy.mode.full': '✅ पूरा विश्लेषण',
+  'privacy.mode.anonymous': '🕶️ सिर्फ़ गुमनाम आँकड़े',
+  'privacy.mode.opted_out': '🚫 ऑप्ट-आउट',
+  'privacy.description.full': 'जिन चैनलों में Emo-Bot चालू है, वहाँ आपके संदेशों का विश्लेषण आपकी यूज़र ID के साथ होता है।',
+  'privacy.description.anonymous': 'आपके संदेश टीम के आँकड़ों में गिने जाते हैं, लेकिन विश्लेषण से पहले आपकी यूज़र ID हटा दी जाती है और अलर्ट में कभी आपका नाम नहीं आता।',
+  'privacy.description.opted_out': 'आपके संदेश कभी विश्लेषण के लिए नहीं भेजे जाते।',
+  'privacy.title': '🔒 आपकी प्राइवेसी सेटिंग',
+  'privacy.usage_title': '🔒 @emo-bot privacy',
+  'privacy.updated': '✅ प्राइवेसी सेटिंग अपडेट हो गई',
+  'privacy.current': 'मौजूदा',
+  'privacy.usage.body': '• `@emo-bot privacy opt-out` - मेरे संदेशों का कभी विश्लेषण न करें\n• `@emo-bot privacy anonymous` - सिर्फ़ टीम के आँकड़े, मेरी यूज़र ID के बिना\n• `@emo-bot privacy opt-in` - सामान्य विश्लेषण\n• `@emo-bot privacy my-data` - मेरे बारे में क्या सहेजा गया है\n• `@emo-bot privacy delete` - मेरे बारे में सहेजा गया डेटा हटाएँ',
+  'privacy.deleted': '✅ आपका सहेजा गया डेटा हटा दिया गया',
+  'privacy.data.text': 'आपका डेटा',
+  'privacy.data.title': '📂 Emo-Bot आपके बारे में क्या सहेजता है',
+  'privacy.data.setting': '• **प्राइवेसी सेटिंग:** {mode} ({date} से)',
+  'privacy.data.setting_default': '• **प्राइवेसी सेटिंग:** कोई सहेजी नहीं गई (डिफ़ॉल्ट: पूरा विश्लेषण)',
+  'privacy.data.flags_raised': '• **आपके द्वारा समीक्षा के लिए फ़्लैग की गई बातचीत:** {count}',
+  'privacy.data.flags_handled': '• **आपके द्वारा संभाले गए फ़्लैग:** {count}',
+  'privacy.data.analyses': '• **आपकी यूज़र ID के तहत गिने गए विश्लेषण:** {count} (सिर्फ़ स्कोर और श्रेणियाँ, कोई टेक्स्ट नहीं)',
+  'privacy.data.stress_scores': '• **अलर्ट के लिए रखे गए हाल के तनाव स्कोर:** {count}',
+  'privacy.data.context': '• **बातचीत के संदर्भ के लिए रखे गए हाल के संदेश:** {count} (संवेदनशील जानकारी हटाकर, {minutes} मिनट बाद हट जाते हैं)',
+  'privacy.data.webhooks': '• **आपका नाम लेने वाले, डिलीवर न हुए तनाव अलर्ट वेबहुक:** {count} (एडमिन द्वारा दोबारा भेजने के लिए रखे गए)',
+  'privacy.data.queued': '• **विश्लेषण का इंतज़ार कर रहे संदेश:** {count} (संवेदनशील जानकारी हटाकर; विश्लेषण के बाद हटा दिए जाते हैं)',
+  'privacy.data.channels': '• **चैनल सेटिंग्स जिन्हें आख़िरी बार आपने बदला:** {channels}',
+  'privacy.data.footer': '_संदेश का टेक्स्ट सिर्फ़ तीन जगह रखा जाता है, हमेशा संवेदनशील जानकारी हटाकर: बातचीत के संदर्भ के लिए हाल के संदेश (समय पूरा होने तक), विश्लेषण का इंतज़ार कर रहे संदेश (विश्लेषण होने तक), और 100 अक्षरों का अंश जब कोई बातचीत को समीक्षा के लिए फ़्लैग करता है। विश्लेषण के नतीजे बैकएंड में भी रहते हैं; उन्हें हटाने के लिए अपने एडमिन से कहें।_',
+
+  // Outbound webhooks (@emo-bot webhooks)
+  'webhooks.denied': '🔒 सिर्फ़ बॉट एडमिन (BOT_ADMIN_USER_IDS) वेबहुक संभाल सकते हैं।',
+  'webhooks.none_to_replay': '✅ दोबारा भेजने के लिए कोई विफल वेबहुक डिलीवरी नहीं है।',
+  'webhooks.replaying.one': '🔁 {count} विफल डिलीवरी दोबारा भेजी जा रही है। एक मिनट में `@emo-bot webhooks failed` देखें।',
+  'webhooks.replaying.other': '🔁 {count} विफल डिलीवरी दोबारा भेजी जा रही हैं। एक मिनट में `@emo-bot webhooks failed` देखें।',
+  'webhooks.replayed': '✅ डिलीवरी #{id} ({event}) दोबारा भेज दी गई।',
+  'webhooks.replay_failed': '⚠️ #{id} दोबारा भेजना विफल रहा: {error}',
+  'webhooks.title': '🔗 आउटबाउंड वेबहुक',
+  'webhooks.no_events': 'कोई इवेंट नहीं',
+  'webhooks.no_endpoints': '_कोई एंडपॉइंट कॉन्फ़िगर नहीं है। इवेंट भेजने के लिए OUTBOUND_WEBHOOKS सेट करें।_',
+  'webhooks.counts': '**दोबारा कोशिश के इंतज़ार में:** {pending}\n**विफल (डेड लेटर):** {failed}',
+  'webhooks.none_failed': '✅ कोई विफल वेबहुक डिलीवरी नहीं।',
+  'webhooks.attempts.one': '{count} कोशिश',
+  'webhooks.attempts.other': '{count} कोशिशें',
+  'webhooks.older': '_…और {count} पुरानी_',
+  'webhooks.failed.text.one': '⚠️ {count} विफल वेबहुक डिलीवरी',
+  'webhooks.failed.text.other': '⚠️ {count} विफल वेबहुक डिलीवरी',
+  'webhooks.failed.title': '⚠️ विफल वेबहुक डिलीवरी ({count})',
+  'webhooks.failed.hint': '_`@emo-bot webhooks replay <id>` या `@emo-bot webhooks replay all` से दोबारा भेजें।_',
+  'webhooks.usage.text': '@emo-bot webhooks का उपयोग',
+  'webhooks.usage.title': '🔗 @emo-bot webhooks',
+  'webhooks.usage.body': '• `@emo-bot webhooks` - एंडपॉइंट और विफलताओं की संख्या\n• `@emo-bot webhooks failed` - हाल की विफल डिलीवरी\n• `@emo-bot webhooks replay <id>` - एक को दोबारा भेजें\n• `@emo-bot webhooks replay all` - सभी विफल डिलीवरी दोबारा भेजें',
+
+  // Review queue (/review)
+  'review.denied': '🔒 आपको फ़्लैग की गई बातचीत की समीक्षा करने की अनुमति नहीं है।',
+  'review.error': '⚠️ समीक्षा कमांड प्रोसेस नहीं हो सकी। कृपया फिर से कोशिश करें या सपोर्ट से संपर्क करें।',
+  'review.status.open': 'खुला',
+  'review.status.claimed': 'लिया गया',
+  'review.status.resolved': 'हल हुआ',
+  'review.status.dismissed': 'ख़ारिज',
+  'review.status.all': 'सभी',
+  'review.action.created': 'बनाया गया',
+  'review.action.claimed': 'लिया गया',
+  'review.action.resolved': 'हल किया गया',
+  'review.action.dismissed': 'ख़ारिज किया गया',
+  'review.unknown': 'अज्ञात',
+  'review.updated': '{emoji} फ़्लैग #{id} {status}',
+  'review.list.text': 'समीक्षा कतार',
+  'review.list.title': '🚩 समीक्षा कतार - {status}',
+  'review.list.more': '_…और {count}_',
+  'review.list.empty': '_इस व्यू में कोई फ़्लैग नहीं_ ✨',
+  'review.not_found': '⚠️ फ़्लैग #{id} नहीं मिला',
+  'review.not_found_no_id': '⚠️ फ़्लैग नहीं मिला',
+  'review.detail.text': 'फ़्लैग #{id}',
+  'review.detail.title': '{emoji} फ़्लैग #{id} - {status}',
+  'review.detail.message': 'संदेश',
+  'review.detail.channel': 'चैनल',
+  'review.detail.flagged_by': 'फ़्लैग करने वाले',
+  'review.detail.assignee': 'ज़िम्मेदार',
+  'review.detail.unassigned': '_किसी को नहीं सौंपा गया_',
+  'review.detail.audit': '📜 ऑडिट ट्रेल',
+  'review.detail.entry': '• {at} - {by} द्वारा **{action}**',
+  'review.usage.text': '/review का उपयोग',
+  'review.usage.title': '🚩 /review - फ़्लैग की गई बातचीत',
+  'review.usage.body': '• `/review list [open|claimed|resolved|dismissed|all]` - फ़्लैग की सूची\n• `/review show <id>` - विवरण और ऑडिट ट्रेल\n• `/review claim <id> [note]` - ज़िम्मेदारी लें\n• `/review resolve <id> <note>` - संभाला गया चिह्नित करें\n• `/review dismiss <id> <note>` - कोई कार्रवाई ज़रूरी नहीं',
+  'review.error.already_claimed': 'फ़्लैग #{id} पहले से {assignee} ने ले रखा है',
+  'review.error.invalid_transition': 'फ़्लैग #{id} पहले से {status} है',
+  'review.error.note_required': 'फ़्लैग #{id} को {status} चिह्नित करने के लिए नोट ज़रूरी है',
+  'review.error.not_found': 'फ़्लैग #{id} नहीं मिला',
+
+  // Digest schedules (/mood-digest)
+  'digest.channel_only': '⚠️ /mood-digest उसी चैनल में चलाएँ जिसमें डाइजेस्ट आना चाहिए।',
+  'digest.error': '⚠️ मूड डाइजेस्ट अपडेट नहीं हो सके। कृपया फिर से कोशिश करें या सपोर्ट से संपर्क करें।',
+  'digest.need_day': 'साप्ताहिक डाइजेस्ट के लिए दिन ज़रूरी है, जैसे `/mood-digest weekly mon 09:00`।',
+  'digest.need_time': 'समय ज़रूरी है, जैसे `09:00`।',
+  'digest.scheduled': '✅ डाइजेस्ट #{id} तय किया गया: {schedule}',
+  'digest.removed': '🗑️ डाइजेस्ट #{id} हटाया गया',
+  'digest.describe.daily': 'रोज़ {time} बजे ({timezone})',
+  'digest.describe.weekly': 'हर हफ़्ते {day} को {time} बजे ({timezone})',
+  'digest.day.sun': 'रविवार',
+  'digest.day.mon': 'सोमवार',
+  'digest.day.tue': 'मंगलवार',
+  'digest.day.wed': 'बुधवार',
+  'digest.day.thu': 'गुरुवार',
+  'digest.day.fri': 'शुक्रवार',
+  'digest.day.sat': 'शनिवार',
+  'digest.last_posted': 'पिछली बार {slot} को भेजा गया',
+  'digest.list.text': 'मूड डाइजेस्ट',
+  'digest.list.title': '🗓️ इस चैनल के मूड डाइजेस्ट',
+  'digest.list.empty': '_कोई डाइजेस्ट तय नहीं है। `/mood-digest daily 09:00 Asia/Kolkata` आज़माएँ।_',
+  'digest.usage.text': '/mood-digest का उपयोग',
+  'digest.usage.title': '🗓️ /mood-digest - तय समय पर मूड डाइजेस्ट',
+  'digest.usage.body': '• `/mood-digest list` - इस चैनल के डाइजेस्ट\n• `/mood-digest daily 09:00 [Asia/Kolkata]` - हर दिन आज का मूड\n• `/mood-digest weekly mon 09:00 [Europe/Berlin]` - हर हफ़्ते पिछले 7 दिन\n• `/mood-digest remove <id>` - डाइजेस्ट बंद करें',
+  'digest.error.invalid_frequency': 'आवृत्ति daily या weekly होनी चाहिए',
+  'digest.error.invalid_time': 'अमान्य समय `{time}` - 24-घंटे का HH:MM इस्तेमाल करें',
+  'digest.error.invalid_weekday': 'साप्ताहिक डाइजेस्ट के लिए दिन ज़रूरी है (mon, tue, ...)',
+  'digest.error.invalid_timezone': 'अज्ञात टाइमज़ोन `{timezone}` - Asia/Kolkata जैसा IANA नाम इस्तेमाल करें',
+  'digest.error.limit_reached.one': 'एक चैनल में ज़्यादा से ज़्यादा {count} डाइजेस्ट हो सकता है',
+  'digest.error.limit_reached.other': 'एक चैनल में ज़्यादा से ज़्यादा {count} डाइजेस्ट हो सकते हैं',
+  'digest.error.not_found': 'डाइजेस्ट #{id} नहीं मिला',
+
+  // Admin stress alerts
+  'alert.text.high': '🚨 {channel} में ज़्यादा तनाव पाया गया',
+  'alert.text.sustained': '🚨 {channel} में लगातार तनाव पाया गया',
+  'alert.a_conversation': 'एक बातचीत',
+  'alert.title.high': '🚨 ज़्यादा तनाव का अलर्ट',
+  'alert.title.sustained': '🚨 लगातार तनाव का अलर्ट',
+  'alert.user': 'यूज़र',
+  'alert.channel': 'चैनल',
+  'alert.unknown': 'अज्ञात',
+  'alert.why': '📈 क्यों',
+  'alert.scope.user': '👤 यह यूज़र',
+  'alert.scope.channel': '💬 यह चैनल',
+  'alert.rule.single': 'एक संदेश {score}/10 पर (सीमा {threshold})',
+  'alert.rule.burst.one': '{minutes} मिनट में {count} संदेश {threshold}+/10 पर',
+  'alert.rule.burst.other': '{minutes} मिनट में {count} संदेश {threshold}+/10 पर',
+  'alert.rule.rise.one': 'औसत तनाव {before} से बढ़कर {after} हुआ (पिछला {count} दिन, उससे पहले वाले {count} दिन की तुलना में)',
+  'alert.rule.rise.other': 'औसत तनाव {before} से बढ़कर {after} हुआ (पिछले {count} दिन, उससे पहले के {count} दिनों की तुलना में)',
+  'alert.view_message': '💬 संदेश देखें',
+};
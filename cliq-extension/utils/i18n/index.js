@@ -0,0 +1,103 @@
+/**
+ * Localization
+ *
+ * Strings for bot cards and user-facing errors, one flat key map per
+ * language. English is the reference: a key missing from another locale
+ * falls back to English, and a key missing everywhere is returned as-is
+ * so a typo shows up on the card instead of crashing the reply.
+ *
+ * Placeholders are written {name} and filled from the params object.
+ * Strings that depend on a number have plural forms instead of a plain key:
+ * `key.one`, `key.other` (and any other Intl.PluralRules category the
+ * language needs), picked by params.count.
+ *
+ * Environment Variables:
+ * - DEFAULT_LOCALE: Language when the user's Cliq locale is unknown or unsupported (default: en)
+ */
+
+const LOCALES = {
+  en: require('./en'),
+  hi: require('./hi'),
+  de: require('./de'),
+  es: require('./es'),
+};
+
+const SUPPORTED = Object.keys(LOCALES);
+
+/**
+ * Reduce a locale tag to a supported language code
+ * "de_DE", "de-AT" and "DE" all become "de".
+ *
+ * @param {string} value
+ * @returns {string|null} Null when unsupported
+ */
+function normalizeLocale(value) {
+  if (typeof value !== 'string') return null;
+  const language = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED.includes(language) ? language : null;
+}
+
+/**
+ * Pick the locale for a reply
+ * The user's Cliq language wins; otherwise the fallback (usually the
+ * detected message language), then DEFAULT_LOCALE.
+ *
+ * @param {Object} [body] - Zoho payload with a `user` object
+ * @param {string} [fallback]
+ * @returns {string} Supported language code
+ */
+function resolveLocale(body, fallback = null) {
+  return normalizeLocale(body?.user?.language)
+    || normalizeLocale(body?.user?.locale)
+    || normalizeLocale(fallback)
+    || normalizeLocale(process.env.DEFAULT_LOCALE)
+    || 'en';
+}
+
+/**
+ * Template for a key, preferring the plural form for count when there is one
+ * @private
+ */
+function findTemplate(locale, key, count) {
+  const strings = LOCALES[locale];
+  if (typeof count === 'number') {
+    const form = strings[`${key}.${new Intl.PluralRules(locale).select(count)}`]
+      ?? strings[`${key}.other`]
+      ?? LOCALES.en[`${key}.${new Intl.PluralRules('en').select(count)}`]
+      ?? LOCALES.en[`${key}.other`];
+    if (form !== undefined) return form;
+  }
+  return strings[key] ?? LOCALES.en[key] ?? key;
+}
+
+/**
+ * Translate a key
+ *
+ * @param {string} locale - Supported language code
+ * @param {string} key - e.g. 'analysis.title'
+ * @param {Object} [params] - Values for {placeholders}; a numeric `count` also picks the plural form
+ * @returns {string}
+ */
+function t(locale, key, params = {}) {
+  const template = findTemplate(LOCALES[locale] ? locale : 'en', key, params.count);
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+  ));
+}
+
+/**
+ * Translate an analysis value such as an emotion or category
+ * Values outside the known vocabulary (e.g. a provider's own category)
+ * are returned unchanged.
+ *
+ * @param {string} locale
+ * @param {string} group - 'sentiment', 'emotion' or 'category'
+ * @param {string} value
+ * @returns {string}
+ */
+function translateValue(locale, group, value) {
+  const key = `${group}.${value}`;
+  return Object.prototype.hasOwnProperty.call(LOCALES.en, key) ? t(locale, key) : String(value ?? '');
+}
+
+module.exports = { t, translateValue, resolveLocale, normalizeLocale, SUPPORTED };
@@ -0,0 +1,128 @@
+/**
+ * JSON File Store
+ *
+ * Minimal persistence for extension state (review queue, settings, ...).
+ * Each store is one JSON document under DATA_DIR, loaded synchronously on
+ * construction and written atomically (temp file + rename) on save().
+ * High-frequency writers use saveSoon() to batch writes; call flush()
+ * before exit.
+ *
+ * Environment Variables:
+ * - DATA_DIR: Directory for persisted state (default: ./data).
+ *   On Railway, mount a volume here or state is lost on redeploy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Store');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+class JsonStore {
+  /**
+   * @param {string} name - Store name, used as the file name (<name>.json)
+   * @param {Object} defaults - Initial document when no file exists yet
+   */
+  constructor(name, defaults = {}) {
+    this.name = name;
+    this.dataDir = process.env.DATA_DIR || DEFAULT_DATA_DIR;
+    this.filePath = path.join(this.dataDir, `${name}.json`);
+    this.data = this._load(defaults);
+    this.saveTimer = null;
+  }
+
+  /**
+   * Load document from disk, falling back to defaults
+   * A corrupt file is moved aside rather than overwritten.
+   * @private
+   */
+  _load(defaults) {
+    const initial = JSON.parse(JSON.stringify(defaults));
+
+    if (!fs.existsSync(this.filePath)) {
+      return initial;
+    }
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return { ...initial, ...stored };
+    } catch (error) {
+      const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+      log.error('Failed to load store, moving it aside', { store: this.name, backupPath, error: error.message });
+      try {
+        fs.renameSync(this.filePath, backupPath);
+      } catch (renameError) {
+        log.error('Could not move corrupt store file', { store: this.name, error: renameError.message });
+      }
+      return initial;
+    }
+  }
+
+  /**
+   * Persist current document
+   * Errors are logged, not thrown - in-memory state stays authoritative.
+   * @returns {boolean} True if written
+   */
+  save() {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+    try {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+      return true;
+    } catch (error) {
+      log.error('Failed to save store', { store: this.name, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Re-read the document from disk
+   * For stores shared by several instances through one DATA_DIR. Unsaved
+   * in-memory changes are discarded.
+   *
+   * @param {Object} [defaults={}] - Initial document when no file exists
+   */
+  reload(defaults = {}) {
+    this.data = this._load(defaults);
+  }
+
+  /**
+   * Schedule a save, batching changes made within the delay
+   *
+   * @param {number} [delayMs=5000]
+   */
+  saveSoon(delayMs = 5000) {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, delayMs);
+    // Don't keep the process alive just to write
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write a pending scheduled save immediately
+   * @returns {boolean} True if there was nothing pending or the write succeeded
+   */
+  flush() {
+    if (!this.saveTimer) {
+      return true;
+    }
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    return this.save();
+  }
+}
+
+JsonStore.DEFAULT_DATA_DIR = DEFAULT_DATA_DIR;
+
+module.exports = JsonStore;
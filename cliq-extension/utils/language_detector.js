@@ -0,0 +1,79 @@
+/**
+ * Language Detector
+ *
+ * Guesses whether a chat message is English, Hindi, German or Spanish -
+ * the languages our teams write in - so the analyzer can be told what it
+ * is reading. Devanagari script means Hindi; Latin-script text is scored
+ * on common function words, with romanized Hindi ("kya", "nahi", "hai")
+ * counted as Hindi, plus characters like ß/ä or ñ/¿.
+ *
+ * Short or ambiguous messages return null rather than a guess.
+ */
+
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'was', 'to', 'of', 'in', 'it', 'you', 'this', 'that', 'for', 'with', 'have', 'not', 'be', 'on', 'we', 'so', 'just', 'my', 'me', 'do', 'what', 'can', 'but', 'all', 'about', 'today', 'i'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'du', 'wir', 'ein', 'eine', 'zu', 'mit', 'auf', 'den', 'dem', 'es', 'sich', 'auch', 'noch', 'schon', 'aber', 'heute', 'sehr', 'mal', 'kann', 'habe', 'bin', 'sind', 'wie', 'was', 'mir'],
+  es: ['el', 'la', 'los', 'las', 'que', 'y', 'es', 'no', 'un', 'una', 'en', 'por', 'para', 'con', 'muy', 'pero', 'esto', 'esta', 'estoy', 'hoy', 'yo', 'tengo', 'del', 'al', 'lo', 'se', 'mi', 'me', 'como', 'todo', 'más', 'ya'],
+  hi: ['hai', 'hain', 'nahi', 'nahin', 'kya', 'kyu', 'kyun', 'mera', 'meri', 'mujhe', 'hum', 'tum', 'aap', 'yeh', 'ye', 'woh', 'bahut', 'kar', 'raha', 'rahi', 'tha', 'thi', 'bhi', 'aur', 'ko', 'se', 'ka', 'ki', 'ke', 'yaar', 'accha', 'theek', 'kaam'],
+};
+
+const CHARACTER_HINTS = {
+  de: /[äöüß]/g,
+  es: /[ñ¿¡áéíóú]/g,
+};
+
+const DEVANAGARI = /[ऀ-ॿ]/g;
+
+// Fewer scored words than this is too little to go on
+const MIN_SCORE = 2;
+
+class LanguageDetector {
+  constructor() {
+    this.stopwords = Object.fromEntries(
+      Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+    );
+  }
+
+  /**
+   * Detect the language of a message
+   *
+   * @param {string} text
+   * @returns {{ language: string|null, confidence: number }} ISO 639-1 code (en, hi, de, es)
+   */
+  detect(text) {
+    const raw = typeof text === 'string' ? text : '';
+    const letters = raw.replace(/[^\p{L}]/gu, '');
+    if (!letters) {
+      return { language: null, confidence: 0 };
+    }
+
+    const devanagari = (raw.match(DEVANAGARI) || []).length;
+    if (devanagari / letters.length > 0.3) {
+      return { language: 'hi', confidence: Math.round(Math.min(0.95, 0.6 + devanagari / letters.length / 2) * 100) / 100 };
+    }
+
+    const tokens = raw.toLowerCase().match(/\p{L}+/gu) || [];
+    const scores = { en: 0, de: 0, es: 0, hi: 0 };
+
+    for (const token of tokens) {
+      for (const [language, words] of Object.entries(this.stopwords)) {
+        if (words.has(token)) scores[language]++;
+      }
+    }
+    for (const [language, pattern] of Object.entries(CHARACTER_HINTS)) {
+      scores[language] += (raw.toLowerCase().match(pattern) || []).length * 0.5;
+    }
+
+    const [[best, bestScore], [, secondScore]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (bestScore < MIN_SCORE || bestScore === secondScore) {
+      return { language: null, confidence: 0 };
+    }
+
+    return {
+      language: best,
+      confidence: Math.round(Math.min(0.95, (bestScore - secondScore) / bestScore * 0.5 + Math.min(bestScore, 6) / 12) * 100) / 100,
+    };
+  }
+}
+
+module.exports = LanguageDetector;
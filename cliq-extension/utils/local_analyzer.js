@@ -0,0 +1,185 @@
+/**
+ * Local Sentiment Analyzer
+ *
+ * Lexicon, emoji and punctuation heuristics that run inside the extension.
+ * Used by APIClient when the backend circuit breaker is open, and for
+ * every request when ANALYSIS_OFFLINE=true (dev, tests, demos).
+ *
+ * Returns the same shape as the backend /analyze response, with
+ * meta.source = 'local' so cards can mark the result as an offline estimate.
+ * Confidence is capped well below what the backend model reports.
+ * The lexicon is English-only; suggested replies follow the message
+ * language when one was detected (see utils/i18n).
+ */
+
+const { t, normalizeLocale } = require('./i18n');
+
+const POSITIVE_WORDS = new Set([
+  'good', 'great', 'awesome', 'amazing', 'excellent', 'love', 'loved', 'like', 'happy', 'glad',
+  'thanks', 'thank', 'appreciate', 'appreciated', 'nice', 'perfect', 'fantastic', 'wonderful',
+  'excited', 'exciting', 'proud', 'fun', 'cool', 'done', 'fixed', 'solved', 'works', 'working',
+  'congrats', 'congratulations', 'well', 'best', 'better', 'calm', 'relaxed', 'relieved', 'yay',
+]);
+
+const NEGATIVE_WORDS = new Set([
+  'bad', 'terrible', 'awful', 'horrible', 'hate', 'hated', 'sad', 'upset', 'angry', 'annoyed',
+  'annoying', 'frustrated', 'frustrating', 'disappointed', 'disappointing', 'worried', 'worry',
+  'broken', 'fail', 'failed', 'failing', 'failure', 'wrong', 'problem', 'problems', 'issue',
+  'issues', 'bug', 'bugs', 'blocked', 'stuck', 'unfair', 'ugh', 'sucks', 'worst', 'worse',
+  'tired', 'exhausted', 'sick', 'quit', 'unhappy', 'confused', 'lost', 'sorry', 'mess',
+]);
+
+const STRESS_WORDS = new Set([
+  'overwhelmed', 'overwhelming', 'stressed', 'stress', 'stressful', 'pressure', 'deadline',
+  'deadlines', 'urgent', 'asap', 'burnout', 'burned', 'burnt', 'exhausted', 'overtime',
+  'panic', 'panicking', 'anxious', 'anxiety', 'drowning', 'swamped', 'impossible', 'late',
+  'behind', 'crunch', 'escalation', 'escalated', 'emergency', 'outage', 'down', 'critical',
+]);
+
+const EMOTION_WORDS = {
+  happy: ['happy', 'glad', 'great', 'love', 'awesome', 'yay', 'thanks', 'appreciate', 'proud', 'fun'],
+  excited: ['excited', 'exciting', 'amazing', 'fantastic', 'cant wait', 'thrilled', 'congrats', 'congratulations'],
+  sad: ['sad', 'unhappy', 'disappointed', 'lonely', 'miss', 'sorry', 'lost'],
+  angry: ['angry', 'hate', 'furious', 'ridiculous', 'unacceptable', 'unfair', 'worst'],
+  frustrated: ['frustrated', 'frustrating', 'annoyed', 'annoying', 'stuck', 'blocked', 'again', 'ugh', 'sucks'],
+  anxious: ['worried', 'worry', 'anxious', 'anxiety', 'nervous', 'afraid', 'scared', 'unsure', 'panic'],
+  stressed: ['stressed', 'overwhelmed', 'pressure', 'deadline', 'swamped', 'drowning', 'burnout', 'exhausted', 'overtime'],
+  calm: ['calm', 'relaxed', 'relieved', 'fine', 'okay', 'ok', 'chill'],
+};
+
+const CATEGORY_WORDS = {
+  workload: ['workload', 'overtime', 'tasks', 'too much', 'swamped', 'capacity', 'hours', 'weekend', 'overwhelmed', 'busy'],
+  deadline: ['deadline', 'deadlines', 'due', 'eod', 'asap', 'urgent', 'late', 'release', 'sprint'],
+  communication: ['meeting', 'meetings', 'email', 'reply', 'respond', 'ignored', 'unclear', 'miscommunication', 'update', 'informed'],
+  technical: ['bug', 'bugs', 'build', 'deploy', 'server', 'outage', 'error', 'crash', 'broken', 'code', 'test', 'tests'],
+  team: ['team', 'manager', 'colleague', 'coworker', 'boss', 'lead', 'conflict', 'blame'],
+  personal: ['sick', 'family', 'health', 'tired', 'sleep', 'personal', 'leave'],
+};
+
+const NEGATIONS = new Set(['not', 'no', 'never', 'nothing', 'hardly', 'dont', 'cant', 'wont', 'isnt', 'wasnt', 'didnt', 'doesnt', 'aint']);
+const INTENSIFIERS = new Set(['very', 'really', 'so', 'extremely', 'super', 'totally', 'completely', 'too']);
+
+const POSITIVE_EMOJI = /[😀😃😄😁😆😊🙂😍🥰😎🤩👍🙌🎉✅💪❤😌🥳]/gu;
+const NEGATIVE_EMOJI = /[😞😔😟😢😭😠😡🤬😤😩😫😰😱😓👎💔🤯😖😣]/gu;
+const STRESS_EMOJI = /[😰😱😓😩😫🤯🔥⏰]/gu;
+
+class LocalAnalyzer {
+  /**
+   * Analyze message text
+   *
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {string} [options.language] - Detected message language, used for the suggested reply
+   * @returns {Object} { sentiment, emotion, stress_score, category, suggested_reply, confidence, meta }
+   */
+  analyze(text, options = {}) {
+    const raw = typeof text === 'string' ? text : '';
+    const normalized = raw.toLowerCase().replace(/[’']/g, '');
+    const tokens = normalized.match(/[a-z]+/g) || [];
+
+    let positive = 0;
+    let negative = 0;
+    let stress = 0;
+    const affirmed = [];
+
+    tokens.forEach((token, i) => {
+      const negated = NEGATIONS.has(tokens[i - 1]) || NEGATIONS.has(tokens[i - 2]);
+      const weight = INTENSIFIERS.has(tokens[i - 1]) ? 1.5 : 1;
+      if (!negated) affirmed.push(token);
+
+      if (POSITIVE_WORDS.has(token)) {
+        if (negated) negative += weight; else positive += weight;
+      }
+      if (NEGATIVE_WORDS.has(token)) {
+        if (negated) positive += 0.5 * weight; else negative += weight;
+      }
+      if (STRESS_WORDS.has(token) && !negated) {
+        stress += weight;
+        negative += 0.5 * weight;
+      }
+    });
+
+    positive += (raw.match(POSITIVE_EMOJI) || []).length;
+    negative += (raw.match(NEGATIVE_EMOJI) || []).length;
+    stress += (raw.match(STRESS_EMOJI) || []).length;
+
+    // Punctuation and shouting amplify whatever is already there
+    const exclamations = (raw.match(/!/g) || []).length;
+    const questions = (raw.match(/\?{2,}/g) || []).length;
+    const words = raw.match(/[A-Za-z]{3,}/g) || [];
+    const shouting = words.length >= 3 && words.filter(w => w === w.toUpperCase()).length / words.length > 0.6;
+
+    const intensity = 1 + Math.min(exclamations, 3) * 0.15 + (shouting ? 0.5 : 0);
+    positive *= intensity;
+    negative *= intensity;
+
+    const polarity = (positive - negative) / (positive + negative + 1);
+    const sentiment = polarity > 0.2 ? 'positive' : polarity < -0.2 ? 'negative' : 'neutral';
+
+    const stressScore = Math.max(0, Math.min(10,
+      1 + stress * 2 + negative * 0.8 - positive * 0.5 + questions * 0.5 + (shouting ? 1.5 : 0) + (exclamations >= 3 ? 1 : 0)
+    ));
+
+    // "not happy" should not count as happy
+    const emotion = this._detectEmotion(affirmed.join(' '), sentiment, stressScore, shouting && (negative > 0 || stress > 0));
+    const signals = positive + negative + stress;
+
+    return {
+      sentiment,
+      emotion,
+      stress_score: Math.round(stressScore * 10) / 10,
+      category: this._detectCategory(normalized),
+      suggested_reply: t(normalizeLocale(options.language) || 'en', `reply.${emotion}`),
+      confidence: Math.round(Math.min(0.6, 0.3 + signals * 0.05) * 100) / 100,
+      meta: {
+        source: 'local',
+        model: 'lexicon-v1',
+      },
+    };
+  }
+
+  /**
+   * Pick the emotion with the most keyword hits, or derive one from sentiment
+   * @private
+   */
+  _detectEmotion(normalized, sentiment, stressScore, angryShouting) {
+    const scores = this._countKeywords(normalized, EMOTION_WORDS);
+    if (angryShouting) {
+      scores.angry += 2;
+    }
+
+    const [best] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (best && best[1] > 0) {
+      return best[0];
+    }
+
+    if (sentiment === 'positive') return 'happy';
+    if (sentiment === 'negative') return stressScore >= 5 ? 'stressed' : 'sad';
+    return 'calm';
+  }
+
+  /**
+   * Pick the category with the most keyword hits
+   * @private
+   */
+  _detectCategory(normalized) {
+    const [best] = Object.entries(this._countKeywords(normalized, CATEGORY_WORDS)).sort((a, b) => b[1] - a[1]);
+    return best && best[1] > 0 ? best[0] : 'general';
+  }
+
+  /**
+   * Count whole-word keyword matches per group
+   * @private
+   */
+  _countKeywords(normalized, groups) {
+    const padded = ` ${normalized.replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ')} `;
+    const scores = {};
+
+    for (const [name, keywords] of Object.entries(groups)) {
+      scores[name] = keywords.filter(keyword => padded.includes(` ${keyword} `)).length;
+    }
+    return scores;
+  }
+}
+
+module.exports = LocalAnalyzer;
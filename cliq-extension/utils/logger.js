@@ -0,0 +1,93 @@
+/**
+ * Logger
+ *
+ * Shared winston logger. Each module gets a child logger tagged with its
+ * name (createLogger('Bot')), and every line carries the correlation ID of
+ * the request it belongs to, so one analysis can be followed from the
+ * webhook through the handlers to the backend call.
+ *
+ * server.js assigns the ID (or accepts a caller's X-Correlation-ID) and
+ * runs the rest of the request inside withCorrelationId(); code further
+ * down reads it with getCorrelationId() instead of passing it around.
+ *
+ * Environment Variables:
+ * - LOG_LEVEL: error | warn | info | debug (default: info)
+ * - LOG_FORMAT: json | pretty (default: json when NODE_ENV=production, otherwise pretty)
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+
+const correlationStorage = new AsyncLocalStorage();
+
+/**
+ * Correlation ID of the current request, if any
+ * @returns {string|undefined}
+ */
+function getCorrelationId() {
+  return correlationStorage.getStore()?.correlationId;
+}
+
+/**
+ * Run fn with a correlation ID visible to everything it calls
+ *
+ * @param {string} correlationId
+ * @param {Function} fn
+ * @returns {*} Whatever fn returns
+ */
+function withCorrelationId(correlationId, fn) {
+  return correlationStorage.run({ correlationId }, fn);
+}
+
+const addCorrelationId = winston.format(info => {
+  const correlationId = getCorrelationId();
+  if (correlationId && !info.correlationId) {
+    info.correlationId = correlationId;
+  }
+  return info;
+});
+
+// Error objects in metadata would serialize as {}
+const serializeErrors = winston.format(info => {
+  for (const [key, value] of Object.entries(info)) {
+    if (value instanceof Error) {
+      info[key] = {
+        message: value.message,
+        ...(value.code ? { code: value.code } : {}),
+        stack: value.stack,
+      };
+    }
+  }
+  return info;
+});
+
+const pretty = winston.format.printf(({ timestamp, level, message, module, correlationId, ...meta }) => {
+  const rest = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+  const id = correlationId ? ` (${correlationId.substring(0, 8)})` : '';
+  return `${timestamp} ${level.padEnd(5)} [${module || 'App'}]${id} ${message}${rest}`;
+});
+
+const format = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty');
+
+const rootLogger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    addCorrelationId(),
+    serializeErrors(),
+    winston.format.timestamp(),
+    format === 'json' ? winston.format.json() : pretty
+  ),
+  transports: [new winston.transports.Console()],
+});
+
+/**
+ * Logger for one module
+ *
+ * @param {string} module - Shown as [module] / "module" on every line
+ * @returns {winston.Logger}
+ */
+function createLogger(module) {
+  return rootLogger.child({ module });
+}
+
+module.exports = { createLogger, getCorrelationId, withCorrelationId };
@@ -0,0 +1,213 @@
+/**
+ * Metrics
+ *
+ * Counters, gauges and histograms for GET /metrics in the Prometheus text
+ * format (version 0.0.4). Like the logger, the metrics live in one shared
+ * registry: modules require this file and update the metric they own, and
+ * server.js renders the whole registry on scrape. Values start at zero on
+ * every restart; Prometheus handles counter resets.
+ *
+ * Label values must come from a small, known set (route patterns, emotion
+ * names, ...) - never user IDs or message text.
+ *
+ * Environment Variables:
+ * - METRICS_TOKEN: Bearer token required by GET /metrics (endpoint is disabled when unset)
+ */
+
+const PREFIX = 'cliq_bot_';
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the text format
+ * @private
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render {a: '1', b: '2'} as {a="1",b="2"}
+ * @private
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+  /**
+   * @param {string} type - counter | gauge | histogram
+   * @param {string} name - Without the cliq_bot_ prefix
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   */
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Series for a label set, in declared label order; missing labels are ''
+   * @private
+   */
+  _series(labels = {}, create) {
+    const ordered = {};
+    for (const name of this.labelNames) {
+      ordered[name] = labels[name] ?? '';
+    }
+    const key = JSON.stringify(ordered);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: ordered, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Sample lines for this metric
+   * @private
+   */
+  _samples() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+
+  /**
+   * HELP, TYPE and sample lines
+   * @returns {string}
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this._samples(),
+    ].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  /**
+   * @param {Object} [labels]
+   * @param {number} [amount=1]
+   */
+  inc(labels, amount = 1) {
+    this._series(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  /**
+   * @param {Object} labels
+   * @param {number} value
+   */
+  set(labels, value) {
+    this._series(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * @param {Object} labels
+   * @param {number} value - In the metric's unit (seconds for durations)
+   */
+  observe(labels, value) {
+    const series = this._series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /** @private */
+  _samples() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+const httpRequests = new Counter('http_requests_total', 'HTTP requests by route pattern and status', ['method', 'route', 'status']);
+const httpDuration = new Histogram('http_request_duration_seconds', 'HTTP request latency by route pattern', ['method', 'route']);
+const rateLimitRejections = new Counter('rate_limit_rejections_total', 'Requests rejected by a rate limiter', ['limiter']);
+const analyses = new Counter('analyses_total', 'Analysis results by provider, sentiment and emotion', ['source', 'sentiment', 'emotion']);
+const analysisFailures = new Counter('analysis_failures_total', 'Analyses that failed with no result', ['provider']);
+const stressAlerts = new Counter('stress_alerts_total', 'Stress rules that fired', ['scope', 'rule']);
+const adminAlerts = new Counter('admin_alerts_total', 'Admin alert cards by delivery outcome', ['outcome']);
+const circuitBreakerOpen = new Gauge('backend_circuit_breaker_open', 'Whether the backend circuit breaker is open (1) or closed (0)', ['backend']);
+const circuitBreakerTrips = new Counter('backend_circuit_breaker_trips_total', 'Times the backend circuit breaker opened', ['backend']);
+const backendRetries = new Counter('backend_request_retries_total', 'Backend GET requests retried after a failure', ['backend']);
+const reportExports = new Counter('report_exports_total', 'Mood report exports by format', ['format']);
+const webhookDeliveries = new Counter('webhook_deliveries_total', 'Outbound webhook attempts by event type and outcome', ['event', 'outcome']);
+const analysisQueueDepth = new Gauge('analysis_queue_depth', 'Analysis jobs queued or running, by priority', ['priority']);
+const analysisQueueJobs = new Counter('analysis_queue_jobs_total', 'Analysis jobs by kind and outcome', ['kind', 'outcome']);
+const analysisQueueWait = new Histogram('analysis_queue_wait_seconds', 'Time analysis jobs waited before running', ['priority'], [0.1, 0.5, 1, 2.5, 5, 10, 30, 60]);
+
+const registry = [
+  httpRequests,
+  httpDuration,
+  rateLimitRejections,
+  analyses,
+  analysisFailures,
+  stressAlerts,
+  adminAlerts,
+  circuitBreakerOpen,
+  circuitBreakerTrips,
+  backendRetries,
+  reportExports,
+  webhookDeliveries,
+  analysisQueueDepth,
+  analysisQueueJobs,
+  analysisQueueWait,
+];
+
+/**
+ * All metrics in the Prometheus text format
+ * @returns {string}
+ */
+function render() {
+  return `${registry.map(metric => metric.render()).join('\n')}\n`;
+}
+
+module.exports = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  render,
+  httpRequests,
+  httpDuration,
+  rateLimitRejections,
+  analyses,
+  analysisFailures,
+  stressAlerts,
+  adminAlerts,
+  circuitBreakerOpen,
+  circuitBreakerTrips,
+  backendRetries,
+  reportExports,
+  webhookDeliveries,
+  analysisQueueDepth,
+  analysisQueueJobs,
+  analysisQueueWait,
+};
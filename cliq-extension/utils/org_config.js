@@ -0,0 +1,237 @@
+/**
+ * Per-Organization Configuration
+ *
+ * Resolves the manifest.json settings fields (backend_api_url,
+ * stress_threshold, auto_reply, admin_channel, redaction_patterns) for the
+ * organization that sent a request, so one deployment can serve several
+ * installing orgs.
+ *
+ * Resolution order for each field:
+ * 1. Settings included in the incoming Zoho payload
+ * 2. Settings last seen for that organization (persisted)
+ * 3. Environment variables
+ *
+ * redaction_patterns has no env fallback here: REDACTION_CUSTOM_PATTERNS is
+ * always applied by utils/redactor.js and org patterns are added on top.
+ * A value with any invalid or unsafe pattern is ignored as a whole, so the
+ * previously saved patterns stay in effect.
+ *
+ * Persisted to DATA_DIR/org_config.json.
+ *
+ * Environment Variables:
+ * - BACKEND_API_URL, STRESS_THRESHOLD, AUTO_REPLY_ENABLED, ADMIN_ALERT_CHANNEL: Fallbacks
+ * - ALLOWED_BACKEND_HOSTS: Comma-separated hostnames orgs may point backend_api_url at.
+ *   Empty means orgs cannot override BACKEND_API_URL at all, so a payload
+ *   cannot make this server send requests to internal addresses.
+ */
+
+const JsonStore = require('./json_store');
+const APIClient = require('./api_client');
+const Redactor = require('./redactor');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Config');
+
+const DEFAULT_ORG_ID = 'default';
+
+// Backends seen from org settings; least recently used clients are dropped beyond this
+const MAX_API_CLIENTS = 50;
+
+class OrgConfigResolver {
+  constructor(options = {}) {
+    this.store = options.store || new JsonStore('org_config', { orgs: {} });
+    this.allowedBackendHosts = (process.env.ALLOWED_BACKEND_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean);
+
+    // One APIClient per backend so each keeps its own circuit breaker
+    this.apiClients = new Map();
+  }
+
+  /**
+   * Environment-level defaults
+   * @returns {Object}
+   */
+  defaults() {
+    return {
+      backendApiUrl: process.env.BACKEND_API_URL || null,
+      stressThreshold: parseInt(process.env.STRESS_THRESHOLD || '7'),
+      autoReply: process.env.AUTO_REPLY_ENABLED !== 'false',
+      adminChannel: process.env.ADMIN_ALERT_CHANNEL || null,
+      redactionPatterns: null,
+    };
+  }
+
+  /**
+   * Resolve effective configuration for an incoming payload
+   *
+   * @param {Object} payload - Zoho request body (or { organization: { id } } for GETs)
+   * @returns {Object} { orgId, backendApiUrl, stressThreshold, autoReply, adminChannel, redactionPatterns }
+   */
+  resolve(payload) {
+    const orgId = this._getOrgId(payload);
+    const incoming = this._parseSettings(this._getSettings(payload));
+
+    if (orgId !== DEFAULT_ORG_ID && Object.keys(incoming).length > 0) {
+      this._remember(orgId, incoming);
+    }
+
+    const stored = { ...this.store.data.orgs[orgId]?.settings };
+
+    // Saved before ALLOWED_BACKEND_HOSTS was set or narrowed
+    if (stored.backendApiUrl && !this._isAllowedBackendHost(new URL(stored.backendApiUrl).hostname)) {
+      delete stored.backendApiUrl;
+    }
+
+    return {
+      orgId,
+      ...this.defaults(),
+      ...stored,
+      ...incoming,
+    };
+  }
+
+  /**
+   * Get the APIClient for a resolved configuration
+   *
+   * Clients are kept per backend, up to MAX_API_CLIENTS; the least recently
+   * used one is dropped (with its circuit breaker state) beyond that.
+   *
+   * @param {Object} config - Result of resolve()
+   * @returns {APIClient}
+   */
+  getAPIClient(config) {
+    const baseURL = config?.backendApiUrl || process.env.BACKEND_API_URL;
+
+    const client = this.apiClients.get(baseURL) || new APIClient(baseURL);
+    this.apiClients.delete(baseURL);
+    this.apiClients.set(baseURL, client);
+    if (this.apiClients.size > MAX_API_CLIENTS) {
+      this.apiClients.delete(this.apiClients.keys().next().value);
+    }
+    return client;
+  }
+
+  /**
+   * Extract organization ID from payload
+   * @private
+   */
+  _getOrgId(payload) {
+    const orgId = payload?.organization?.id
+      || payload?.org?.id
+      || payload?.user?.organization_id
+      || payload?.user?.org_id;
+
+    if (typeof orgId !== 'string' && typeof orgId !== 'number') {
+      return DEFAULT_ORG_ID;
+    }
+
+    const id = String(orgId).trim();
+    return /^[\w.-]{1,100}$/.test(id) ? id : DEFAULT_ORG_ID;
+  }
+
+  /**
+   * Extract raw settings object from payload
+   * @private
+   */
+  _getSettings(payload) {
+    const settings = payload?.settings || payload?.extension?.settings;
+    return settings && typeof settings === 'object' ? settings : {};
+  }
+
+  /**
+   * Validate manifest settings fields, dropping anything invalid
+   * @private
+   */
+  _parseSettings(raw) {
+    const settings = {};
+
+    if (raw.backend_api_url !== undefined && raw.backend_api_url !== '') {
+      const url = this._validateBackendUrl(raw.backend_api_url);
+      if (url) settings.backendApiUrl = url;
+    }
+
+    if (raw.stress_threshold !== undefined && raw.stress_threshold !== '') {
+      const threshold = parseFloat(raw.stress_threshold);
+      if (!isNaN(threshold) && threshold >= 1 && threshold <= 10) {
+        settings.stressThreshold = threshold;
+      }
+    }
+
+    if (raw.auto_reply !== undefined && raw.auto_reply !== '') {
+      settings.autoReply = raw.auto_reply === true || raw.auto_reply === 'true';
+    }
+
+    if (typeof raw.admin_channel === 'string' && raw.admin_channel.trim()) {
+      const channel = raw.admin_channel.trim();
+      if (/^[\w.-]{1,100}$/.test(channel)) settings.adminChannel = channel;
+    }
+
+    // Raw text; compiled by utils/redactor.js, which also checks it here
+    if (typeof raw.redaction_patterns === 'string' && raw.redaction_patterns.length <= 4000) {
+      const rejected = [];
+      Redactor.parsePatterns(raw.redaction_patterns, rejected);
+      if (rejected.length > 0) {
+        log.warn('Redaction patterns rejected - keeping previous setting', { patterns: rejected });
+      } else {
+        settings.redactionPatterns = raw.redaction_patterns.trim() || null;
+      }
+    }
+
+    return settings;
+  }
+
+  /**
+   * Validate backend URL (http/https, host must be in ALLOWED_BACKEND_HOSTS)
+   * @private
+   */
+  _validateBackendUrl(value) {
+    try {
+      const url = new URL(String(value));
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return null;
+      }
+      if (!this._isAllowedBackendHost(url.hostname)) {
+        log.warn('Backend host is not in ALLOWED_BACKEND_HOSTS - ignoring', { host: url.hostname });
+        return null;
+      }
+      return url.origin + url.pathname.replace(/\/+$/, '');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Org backends are off unless ALLOWED_BACKEND_HOSTS lists the host
+   * @private
+   */
+  _isAllowedBackendHost(hostname) {
+    return this.allowedBackendHosts.includes(hostname.toLowerCase());
+  }
+
+  /**
+   * Persist settings for an organization when they change
+   * @private
+   */
+  _remember(orgId, settings) {
+    const current = this.store.data.orgs[orgId]?.settings || {};
+    const merged = { ...current, ...settings };
+
+    if (JSON.stringify(merged) === JSON.stringify(current)) {
+      return;
+    }
+
+    this.store.data.orgs[orgId] = {
+      settings: merged,
+      updatedAt: new Date().toISOString(),
+    };
+    this.store.save();
+    log.info('Organization settings updated', { orgId });
+  }
+}
+
+OrgConfigResolver.DEFAULT_ORG_ID = DEFAULT_ORG_ID;
+OrgConfigResolver.MAX_API_CLIENTS = MAX_API_CLIENTS;
+
+module.exports = OrgConfigResolver;
@@ -0,0 +1,426 @@
+/**
+ * Outbound Webhooks
+ *
+ * Sends extension events as JSON to external tools (on-call, HR systems).
+ * Endpoints subscribe to event types:
+ *
+ * - analysis.high_stress: a stress rule fired (see utils/stress_tracker.js)
+ * - flag.created:         a conversation was flagged for review
+ * - flag.updated:         a flag was claimed, resolved or dismissed
+ * - digest.generated:     a scheduled mood digest was posted
+ *
+ * Body: { id, type, created_at, data }. Payloads never contain message text;
+ * receivers look flags up with /review show <id>.
+ *
+ * Every delivery is signed like the Cliq callbacks we receive (see
+ * utils/request_verifier.js), with the event ID as the nonce:
+ *   X-Emobot-Event:     event type
+ *   X-Emobot-Delivery:  event ID (the same on retries and replays - use it to deduplicate)
+ *   X-Emobot-Timestamp: Unix time in seconds
+ *   X-Emobot-Signature: sha256=<hex HMAC-SHA256 of `${timestamp}.${id}.${body}`>
+ *
+ * Network errors, timeouts, 408, 429 and 5xx are retried with exponential
+ * backoff; other responses fail at once. Deliveries that give up, or are
+ * still waiting for a retry at shutdown, go to a dead-letter log in
+ * DATA_DIR/webhook_dead_letters.json, from where `@emo-bot webhooks replay`
+ * sends them again. Each event belongs to the organization it was emitted
+ * for, and admins only see and replay their own organization's dead letters.
+ *
+ * Environment Variables:
+ * - OUTBOUND_WEBHOOKS: JSON array of { "url", "events": [types or "*"], "secret"? }
+ * - OUTBOUND_WEBHOOK_SECRET: Signing secret for endpoints without their own
+ * - OUTBOUND_WEBHOOK_MAX_ATTEMPTS: Attempts per delivery, including the first (default: 5)
+ * - OUTBOUND_WEBHOOK_TIMEOUT: Request timeout in ms (default: 5000)
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const JsonStore = require('./json_store');
+const OrgConfigResolver = require('./org_config');
+const { createLogger, getCorrelationId } = require('./logger');
+const metrics = require('./metrics');
+
+const log = createLogger('Webhooks');
+
+const EVENTS = ['analysis.high_stress', 'flag.created', 'flag.updated', 'digest.generated'];
+
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Oldest dead letters are dropped beyond this
+const MAX_DEAD_LETTERS = 500;
+
+class OutboundWebhooks {
+  /**
+   * @param {Object} [options]
+   * @param {Object[]} [options.endpoints] - Overrides OUTBOUND_WEBHOOKS
+   * @param {JsonStore} [options.store]
+   * @param {number} [options.retryDelay] - Delay before the first retry in ms (tests)
+   */
+  constructor(options = {}) {
+    this.endpoints = options.endpoints || this._parseEndpoints(process.env.OUTBOUND_WEBHOOKS);
+    this.store = options.store || new JsonStore('webhook_dead_letters', { entries: [], nextId: 1 });
+    this.maxAttempts = Math.max(1, parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS || '5') || 5);
+    this.timeout = parseInt(process.env.OUTBOUND_WEBHOOK_TIMEOUT || '5000');
+    this.retryDelay = options.retryDelay ?? BASE_RETRY_DELAY_MS;
+
+    // "<event id> <url>" -> delivery waiting for its next attempt
+    this.pending = new Map();
+  }
+
+  /**
+   * Whether any endpoint wants an event type
+   *
+   * @param {string} type
+   * @returns {boolean}
+   */
+  isSubscribed(type) {
+    return this.endpoints.some(endpoint => this._wants(endpoint, type));
+  }
+
+  /**
+   * Send an event to every subscribed endpoint
+   * Returns at once; deliveries and their retries run in the background.
+   *
+   * @param {string} type - One of EVENTS
+   * @param {Object} data
+   * @param {string} [orgId] - Organization the event belongs to
+   * @returns {Object|null} The event, or null when nobody subscribed
+   */
+  emit(type, data, orgId = OrgConfigResolver.DEFAULT_ORG_ID) {
+    const endpoints = this.endpoints.filter(endpoint => this._wants(endpoint, type));
+    if (endpoints.length === 0) return null;
+
+    const event = {
+      id: `evt_${crypto.randomUUID()}`,
+      type,
+      created_at: new Date().toISOString(),
+      data,
+    };
+
+    for (const endpoint of endpoints) {
+      this._attempt({ endpoint, event, orgId, attempts: 0, lastError: null, timer: null, correlationId: getCorrelationId() });
+    }
+    return event;
+  }
+
+  /**
+   * Failed deliveries, newest first
+   *
+   * @param {Object} [filter]
+   * @param {string} [filter.orgId] - Only this organization's entries
+   * @param {boolean} [filter.all=false] - Include replayed entries
+   * @returns {Object[]}
+   */
+  listDeadLetters({ orgId = null, all = false } = {}) {
+    return this.store.data.entries
+      .filter(entry => (!orgId || this._orgOf(entry) === orgId) && (all || entry.status === 'failed'))
+      .slice()
+      .reverse();
+  }
+
+  /**
+   * Send a dead-lettered event again, once, to the URL it failed on
+   *
+   * @param {string} id - Dead-letter ID
+   * @param {string} [orgId] - Entries of other organizations are not found
+   * @returns {Promise<Object>} { ok, entry?, error? }
+   */
+  async replay(id, orgId = null) {
+    const entry = this.store.data.entries.find(candidate => (
+      candidate.id === String(id) && (!orgId || this._orgOf(candidate) === orgId)
+    ));
+    if (!entry) {
+      return { ok: false, error: `Dead letter #${id} not found` };
+    }
+    if (entry.status !== 'failed') {
+      return { ok: false, error: `Dead letter #${entry.id} was already replayed` };
+    }
+
+    const endpoint = this.endpoints.find(candidate => candidate.url === entry.url);
+    if (!endpoint) {
+      return { ok: false, error: `${this._host(entry.url)} is no longer configured` };
+    }
+
+    try {
+      await this._send(endpoint, entry.event, entry.attempts + 1);
+      entry.status = 'replayed';
+      entry.replayed_at = new Date().toISOString();
+      metrics.webhookDeliveries.inc({ event: entry.event.type, outcome: 'replayed' });
+      log.info('Dead letter replayed', { id: entry.id, event: entry.event.type, host: this._host(entry.url) });
+      return { ok: true, entry };
+    } catch (error) {
+      entry.last_error = error.message;
+      entry.failed_at = new Date().toISOString();
+      log.warn('Dead letter replay failed', { id: entry.id, event: entry.event.type, error: error.message });
+      return { ok: false, entry, error: error.message };
+    } finally {
+      entry.attempts++;
+      this.store.save();
+    }
+  }
+
+  /**
+   * Replay every failed entry, one at a time
+   *
+   * @param {string} [orgId] - Only this organization's entries
+   * @returns {Promise<Object>} { replayed, failed }
+   */
+  async replayAll(orgId = null) {
+    const counts = { replayed: 0, failed: 0 };
+    for (const entry of this.listDeadLetters({ orgId }).reverse()) {
+      const result = await this.replay(entry.id, orgId);
+      counts[result.ok ? 'replayed' : 'failed']++;
+    }
+    return counts;
+  }
+
+  /**
+   * Deliveries waiting for a retry
+   *
+   * @param {string} [orgId] - Only this organization's deliveries
+   * @returns {number}
+   */
+  pendingCount(orgId = null) {
+    return [...this.pending.values()].filter(delivery => !orgId || delivery.orgId === orgId).length;
+  }
+
+  /**
+   * Number of dead-lettered high-stress events naming a user
+   *
+   * @param {string} userId
+   * @returns {number}
+   */
+  countForUser(userId) {
+    return this.store.data.entries.filter(entry => entry.event.data?.user?.id === userId).length;
+  }
+
+  /**
+   * Remove a user from dead-lettered events (privacy opt-out/anonymous)
+   * Replays then send them like events from an anonymous author.
+   *
+   * @param {string} userId
+   */
+  forgetUser(userId) {
+    let changed = false;
+    for (const entry of this.store.data.entries) {
+      if (entry.event.data?.user?.id === userId) {
+        entry.event.data.user = null;
+        changed = true;
+      }
+    }
+    if (changed) {
+      this.store.save();
+    }
+  }
+
+  /**
+   * Move deliveries still waiting for a retry to the dead-letter log
+   * Call before exit; those retries would otherwise be lost.
+   */
+  shutdown() {
+    for (const delivery of this.pending.values()) {
+      clearTimeout(delivery.timer);
+      this._deadLetter(delivery, `Interrupted by shutdown (${delivery.lastError})`);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Try a delivery, scheduling a retry or dead-lettering it on failure
+   * @private
+   */
+  _attempt(delivery) {
+    const key = `${delivery.event.id} ${delivery.endpoint.url}`;
+    this.pending.delete(key);
+    delivery.attempts++;
+
+    this._send(delivery.endpoint, delivery.event, delivery.attempts, delivery.correlationId)
+      .then(() => {
+        metrics.webhookDeliveries.inc({ event: delivery.event.type, outcome: 'delivered' });
+        log.info('Webhook delivered', { event: delivery.event.type, id: delivery.event.id, host: this._host(delivery.endpoint.url), attempts: delivery.attempts });
+      })
+      .catch(error => {
+        delivery.lastError = error.message;
+        if (!error.retryable || delivery.attempts >= this.maxAttempts) {
+          this._deadLetter(delivery, error.message);
+          return;
+        }
+
+        metrics.webhookDeliveries.inc({ event: delivery.event.type, outcome: 'retried' });
+        const delay = this._retryDelay(delivery.attempts);
+        log.warn('Webhook delivery failed, retrying', {
+          event: delivery.event.type,
+          host: this._host(delivery.endpoint.url),
+          attempt: delivery.attempts,
+          retryInMs: delay,
+          error: error.message,
+        });
+        delivery.timer = setTimeout(() => this._attempt(delivery), delay);
+        // Pending retries must not keep the process alive
+        delivery.timer.unref();
+        this.pending.set(key, delivery);
+      });
+  }
+
+  /**
+   * POST one signed event; rejects with error.retryable set
+   * @private
+   */
+  async _send(endpoint, event, attempt, correlationId = getCorrelationId()) {
+    const body = JSON.stringify(event);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto
+      .createHmac('sha256', endpoint.secret)
+      .update(`${timestamp}.${event.id}.${body}`)
+      .digest('hex');
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    let response;
+    try {
+      response = await fetch(endpoint.url, {
+        method: 'POST',
+        signal: controller.signal,
+        redirect: 'manual',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'emo-bot-webhooks/1.0',
+          'X-Emobot-Event': event.type,
+          'X-Emobot-Delivery': event.id,
+          'X-Emobot-Timestamp': timestamp,
+          'X-Emobot-Signature': `sha256=${signature}`,
+          'X-Emobot-Attempt': String(attempt),
+          ...(correlationId ? { 'X-Correlation-ID': correlationId } : {}),
+        },
+        body,
+      });
+    } catch (error) {
+      const failure = new Error(error.name === 'AbortError' ? `Timed out after ${this.timeout}ms` : error.message);
+      failure.retryable = true;
+      throw failure;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+      const failure = new Error(`HTTP ${response.status}`);
+      failure.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+      throw failure;
+    }
+  }
+
+  /**
+   * Record a delivery that gave up
+   * @private
+   */
+  _deadLetter(delivery, error) {
+    const entries = this.store.data.entries;
+    entries.push({
+      id: String(this.store.data.nextId++),
+      org_id: delivery.orgId,
+      status: 'failed',
+      url: delivery.endpoint.url,
+      event: delivery.event,
+      attempts: delivery.attempts,
+      last_error: error,
+      failed_at: new Date().toISOString(),
+      replayed_at: null,
+    });
+    if (entries.length > MAX_DEAD_LETTERS) {
+      entries.splice(0, entries.length - MAX_DEAD_LETTERS);
+    }
+    this.store.save();
+
+    metrics.webhookDeliveries.inc({ event: delivery.event.type, outcome: 'failed' });
+    log.error('Webhook delivery failed - moved to dead letters', {
+      event: delivery.event.type,
+      id: delivery.event.id,
+      host: this._host(delivery.endpoint.url),
+      attempts: delivery.attempts,
+      error,
+    });
+  }
+
+  /**
+   * Exponential backoff with +-20% jitter, so endpoints recovering from an
+   * outage are not hit by every retry at once
+   * @private
+   */
+  _retryDelay(attempts) {
+    const delay = Math.min(MAX_RETRY_DELAY_MS, this.retryDelay * 2 ** (attempts - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * Entries written before dead letters were scoped belong to the default organization
+   * @private
+   */
+  _orgOf(entry) {
+    return entry.org_id || OrgConfigResolver.DEFAULT_ORG_ID;
+  }
+
+  /**
+   * @private
+   */
+  _wants(endpoint, type) {
+    return endpoint.events.includes('*') || endpoint.events.includes(type);
+  }
+
+  /**
+   * Host of a URL, for logs and cards (paths may contain tokens)
+   * @private
+   */
+  _host(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return 'invalid-url';
+    }
+  }
+
+  /**
+   * Parse OUTBOUND_WEBHOOKS, dropping endpoints that cannot be used
+   * @private
+   */
+  _parseEndpoints(value) {
+    if (!value) return [];
+
+    let endpoints;
+    try {
+      endpoints = JSON.parse(value);
+    } catch (error) {
+      log.error('OUTBOUND_WEBHOOKS is not valid JSON - no webhooks configured', { error: error.message });
+      return [];
+    }
+    if (!Array.isArray(endpoints)) return [];
+
+    return endpoints.filter(endpoint => {
+      if (!endpoint || typeof endpoint.url !== 'string' || !/^https?:\/\//i.test(endpoint.url)) {
+        log.error('Skipping webhook without an http(s) URL');
+        return false;
+      }
+      if (!endpoint.secret && !process.env.OUTBOUND_WEBHOOK_SECRET) {
+        log.error('Skipping webhook without a signing secret', { host: this._host(endpoint.url) });
+        return false;
+      }
+      return true;
+    }).map(endpoint => {
+      const events = (Array.isArray(endpoint.events) ? endpoint.events : ['*']).map(String);
+      const unknown = events.filter(type => type !== '*' && !EVENTS.includes(type));
+      if (unknown.length > 0) {
+        log.warn('Unknown webhook event types ignored', { host: this._host(endpoint.url), events: unknown });
+      }
+      return {
+        url: endpoint.url,
+        events: events.filter(type => type === '*' || EVENTS.includes(type)),
+        secret: String(endpoint.secret || process.env.OUTBOUND_WEBHOOK_SECRET),
+      };
+    });
+  }
+}
+
+OutboundWebhooks.EVENTS = EVENTS;
+
+module.exports = OutboundWebhooks;
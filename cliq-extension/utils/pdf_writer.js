@@ -0,0 +1,163 @@
+/**
+ * PDF Writer
+ *
+ * Just enough of PDF 1.4 to lay out a printable report without a PDF
+ * library: A4 pages holding text in the standard Helvetica fonts, filled
+ * rectangles and lines. Coordinates are in points from the top-left corner
+ * of the page (PDF itself counts from the bottom-left).
+ *
+ * The standard fonts only cover Latin-1, so other characters are written as "?".
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Average Helvetica glyph width as a share of the font size, for layout estimates
+const AVERAGE_CHAR_WIDTH = 0.5;
+
+/**
+ * Escape text for a PDF string literal
+ * @private
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, match => `\\${match}`);
+}
+
+/**
+ * "#rrggbb" as PDF color components
+ * @private
+ */
+function rgb(hex) {
+  const value = parseInt(String(hex).replace('#', ''), 16) || 0;
+  return [value >> 16, (value >> 8) & 0xff, value & 0xff].map(c => (c / 255).toFixed(3)).join(' ');
+}
+
+/**
+ * Number without exponent notation or long fractions
+ * @private
+ */
+function num(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+class PdfDocument {
+  constructor() {
+    // Content stream operators, one array per page
+    this.pages = [];
+    this.current = null;
+  }
+
+  /**
+   * Start a new page; later drawing goes onto it
+   * @returns {PdfDocument}
+   */
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this;
+  }
+
+  /**
+   * Draw a line of text
+   *
+   * @param {number} x
+   * @param {number} y - Baseline
+   * @param {string} text
+   * @param {Object} [options] - { size = 10, bold = false, color = '#000000' }
+   */
+  text(x, y, text, { size = 10, bold = false, color = '#000000' } = {}) {
+    this._draw(`BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${rgb(color)} rg ${num(x)} ${num(PAGE_HEIGHT - y)} Td (${escapeText(text)}) Tj ET`);
+  }
+
+  /**
+   * Draw a filled rectangle
+   *
+   * @param {number} x
+   * @param {number} y - Top edge
+   * @param {number} width
+   * @param {number} height
+   * @param {string} [fill='#000000']
+   */
+  rect(x, y, width, height, fill = '#000000') {
+    this._draw(`${rgb(fill)} rg ${num(x)} ${num(PAGE_HEIGHT - y - height)} ${num(width)} ${num(height)} re f`);
+  }
+
+  /**
+   * Draw connected line segments through [x, y] points
+   *
+   * @param {number[][]} points
+   * @param {Object} [options] - { color = '#000000', width = 1 }
+   */
+  polyline(points, { color = '#000000', width = 1 } = {}) {
+    if (points.length < 2) return;
+    const path = points.map(([x, y], i) => `${num(x)} ${num(PAGE_HEIGHT - y)} ${i === 0 ? 'm' : 'l'}`).join(' ');
+    this._draw(`${rgb(color)} RG ${num(width)} w ${path} S`);
+  }
+
+  /**
+   * Approximate width of a text line, for right-aligning and centering
+   *
+   * @param {string} text
+   * @param {number} [size=10]
+   * @returns {number}
+   */
+  textWidth(text, size = 10) {
+    return String(text).length * size * AVERAGE_CHAR_WIDTH;
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    if (this.pages.length === 0) {
+      this.addPage();
+    }
+
+    // 1 catalog, 2 page tree, 3-4 fonts, then a page and its content stream per page
+    const pageNumbers = this.pages.map((ops, i) => 5 + i * 2);
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pageNumbers.map(n => `${n} 0 R`).join(' ')}] /Count ${this.pages.length} >>`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    ];
+
+    this.pages.forEach((ops, i) => {
+      const content = ops.join('\n');
+      objects.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageNumbers[i] + 1} 0 R >>`,
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+      );
+    });
+
+    let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = objects.map((body, i) => {
+      const offset = Buffer.byteLength(out, 'latin1');
+      out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(out, 'latin1');
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    out += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(out, 'latin1');
+  }
+
+  /**
+   * @private
+   */
+  _draw(op) {
+    if (!this.current) {
+      this.addPage();
+    }
+    this.current.push(op);
+  }
+}
+
+module.exports = { PdfDocument, PAGE_WIDTH, PAGE_HEIGHT };
@@ -0,0 +1,97 @@
+/**
+ * Per-User Privacy Preferences
+ *
+ * Employees choose how their messages are handled:
+ * - full: Analyzed with their user ID (default)
+ * - anonymous: Analyzed for aggregate stats only; user ID is stripped
+ *   before anything leaves the extension and alerts don't name them
+ * - opted_out: Never analyzed
+ *
+ * Applies to the bot webhook and both message actions.
+ * Persisted to DATA_DIR/privacy.json.
+ */
+
+const JsonStore = require('./json_store');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Privacy');
+
+const MODES = ['full', 'anonymous', 'opted_out'];
+
+class PrivacyStore {
+  constructor(options = {}) {
+    this.store = options.store || new JsonStore('privacy', { users: {} });
+  }
+
+  /**
+   * Get a user's privacy mode
+   *
+   * @param {string} userId
+   * @returns {string} 'full' | 'anonymous' | 'opted_out'
+   */
+  getMode(userId) {
+    return (userId && this.store.data.users[userId]?.mode) || 'full';
+  }
+
+  /**
+   * Get a user's stored preference record
+   *
+   * @param {string} userId
+   * @returns {Object|null} { mode, updatedAt }
+   */
+  getRecord(userId) {
+    return (userId && this.store.data.users[userId]) || null;
+  }
+
+  /**
+   * Set a user's privacy mode
+   * Choosing 'full' removes the record entirely - nothing to keep.
+   *
+   * @param {string} userId
+   * @param {string} mode - 'full' | 'anonymous' | 'opted_out'
+   * @returns {string} New mode
+   */
+  setMode(userId, mode) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid privacy mode: ${mode}`);
+    }
+
+    if (mode === 'full') {
+      delete this.store.data.users[userId];
+    } else {
+      this.store.data.users[userId] = { mode, updatedAt: new Date().toISOString() };
+    }
+    this.store.save();
+
+    log.info('Privacy mode changed', { userId, mode });
+    return mode;
+  }
+
+  /**
+   * Apply a user's preference to an analysis request payload
+   *
+   * @param {string} userId - Author of the message
+   * @param {Object} payload - analyzeMessage payload
+   * @returns {Object|null} Payload to send, or null if the user opted out
+   */
+  applyToPayload(userId, payload) {
+    const mode = this.getMode(userId);
+
+    if (mode === 'opted_out') {
+      return null;
+    }
+    if (mode === 'anonymous') {
+      const anonymous = { ...payload };
+      delete anonymous.user_id;
+      return anonymous;
+    }
+    return payload;
+  }
+}
+
+PrivacyStore.MODES = MODES;
+
+module.exports = PrivacyStore;
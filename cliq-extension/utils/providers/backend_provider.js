@@ -0,0 +1,40 @@
+/**
+ * FastAPI Backend Provider
+ *
+ * POSTs to `${BACKEND_API_URL}/analyze` through the owning APIClient's
+ * request function, so calls share its timeout and circuit breaker. The
+ * response is checked by the APIClient's validate function, which counts
+ * schema violations.
+ */
+
+const { normalizeAnalysis } = require('./normalize');
+
+class BackendProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseURL - Backend base URL
+   * @param {Function} options.request - (url, fetchOptions) => Promise<Object>
+   * @param {Function} options.validate - (schemaName, data, endpoint) => Object
+   */
+  constructor(options) {
+    this.name = 'backend';
+    this.remote = true;
+    this.baseURL = options.baseURL;
+    this.request = options.request;
+    this.validate = options.validate;
+  }
+
+  /**
+   * @param {Object} request - { payload: redacted payload, original: payload as received }
+   * @returns {Promise<Object>} Normalized analysis
+   */
+  async analyze({ payload }) {
+    const result = await this.request(`${this.baseURL}/analyze`, {
+      method: 'POST',
+      body: JSON.stringify(payload),
+    });
+    return normalizeAnalysis(this.validate('analysis', result, '/analyze'), this.name);
+  }
+}
+
+module.exports = BackendProvider;
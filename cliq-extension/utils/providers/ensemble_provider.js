@@ -0,0 +1,114 @@
+/**
+ * Ensemble Provider
+ *
+ * Runs several providers in parallel and merges their answers:
+ * - sentiment, emotion, category: confidence-weighted vote
+ * - stress_score: confidence-weighted mean
+ * - suggested_reply: from the most confident provider
+ * - confidence: mean confidence, lowered when providers disagree
+ *
+ * Providers that fail are left out. If only one answers, its result is
+ * returned as-is (so a lone local result is still shown as an offline estimate).
+ */
+
+const { normalizeAnalysis } = require('./normalize');
+const { createLogger } = require('../logger');
+
+const log = createLogger('API');
+
+// Stress scores further apart than this count as disagreement
+const STRESS_SPREAD_TOLERANCE = 3;
+
+class EnsembleProvider {
+  /**
+   * @param {Object} options
+   * @param {Object[]} options.providers - Providers to combine
+   */
+  constructor(options) {
+    this.name = 'ensemble';
+    this.providers = options.providers;
+    this.remote = this.providers.some(provider => provider.remote);
+  }
+
+  /**
+   * @param {Object} request - { payload, original }
+   * @returns {Promise<Object>} Merged analysis
+   */
+  async analyze(request) {
+    const settled = await Promise.allSettled(this.providers.map(provider => provider.analyze(request)));
+
+    const results = [];
+    settled.forEach((outcome, i) => {
+      if (outcome.status === 'fulfilled') {
+        results.push(outcome.value);
+      } else {
+        log.warn('Ensemble member failed', { provider: this.providers[i].name, error: outcome.reason.message });
+      }
+    });
+
+    if (results.length === 0) {
+      throw settled[0].reason;
+    }
+    if (results.length === 1) {
+      return results[0];
+    }
+
+    return this._merge(results);
+  }
+
+  /**
+   * Merge successful provider results
+   * @private
+   */
+  _merge(results) {
+    // Every provider gets some say, even if it reports zero confidence
+    const weights = results.map(result => Math.max(result.confidence, 0.1));
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+    const sentiment = this._vote(results, weights, 'sentiment');
+    const emotion = this._vote(results, weights, 'emotion');
+    const category = this._vote(results, weights, 'category');
+
+    const stressScores = results.map(result => result.stress_score);
+    const stressSpread = Math.max(...stressScores) - Math.min(...stressScores);
+    const stress = results.reduce((sum, result, i) => sum + result.stress_score * weights[i], 0) / totalWeight;
+
+    // Agreement = weight share behind the winning sentiment (1 when unanimous)
+    const agreement = sentiment.share * (stressSpread > STRESS_SPREAD_TOLERANCE ? 0.8 : 1);
+    const meanConfidence = results.reduce((sum, result) => sum + result.confidence, 0) / results.length;
+
+    const mostConfident = results[weights.indexOf(Math.max(...weights))];
+
+    return normalizeAnalysis({
+      sentiment: sentiment.value,
+      emotion: emotion.value,
+      stress_score: stress,
+      category: category.value,
+      suggested_reply: mostConfident.suggested_reply,
+      confidence: Math.round(meanConfidence * agreement * 100) / 100,
+      meta: {
+        providers: results.map(result => result.meta.source),
+        agreement: Math.round(agreement * 100) / 100,
+        disagreement: sentiment.share < 1 || stressSpread > STRESS_SPREAD_TOLERANCE,
+      },
+    }, this.name);
+  }
+
+  /**
+   * Confidence-weighted vote on one field
+   * @private
+   * @returns {{ value: string, share: number }}
+   */
+  _vote(results, weights, field) {
+    const tally = {};
+    results.forEach((result, i) => {
+      tally[result[field]] = (tally[result[field]] || 0) + weights[i];
+    });
+
+    const [value, weight] = Object.entries(tally).sort((a, b) => b[1] - a[1])[0];
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return { value, share: weight / total };
+  }
+}
+
+module.exports = EnsembleProvider;
@@ -0,0 +1,66 @@
+/**
+ * Analysis Providers
+ *
+ * A provider turns a message into the common analysis schema
+ * (see normalize.js). Interface:
+ *
+ *   {
+ *     name: string,
+ *     remote: boolean,  // true if text leaves the extension
+ *     analyze({ payload, original }): Promise<Object>
+ *   }
+ *
+ * `payload` has already been through PII redaction; `original` has not and
+ * must only be used by in-process providers.
+ *
+ * Environment Variables:
+ * - ANALYSIS_PROVIDER: backend | local | openai | ensemble (default: backend)
+ * - ENSEMBLE_PROVIDERS: Comma-separated providers for ensemble mode (default: backend,local)
+ */
+
+const BackendProvider = require('./backend_provider');
+const LocalProvider = require('./local_provider');
+const OpenAIProvider = require('./openai_provider');
+const EnsembleProvider = require('./ensemble_provider');
+const { normalizeAnalysis } = require('./normalize');
+const { createLogger } = require('../logger');
+
+const log = createLogger('API');
+
+const PROVIDERS = {
+  backend: deps => new BackendProvider(deps),
+  local: () => new LocalProvider(),
+  openai: deps => new OpenAIProvider({ request: deps.request, validate: deps.validate }),
+};
+
+/**
+ * Create the configured provider
+ *
+ * @param {string} [name] - Provider name (default: ANALYSIS_PROVIDER or 'backend')
+ * @param {Object} deps - { baseURL, request, validate } from the owning APIClient
+ * @returns {Object} Provider
+ */
+function createProvider(name, deps) {
+  const selected = (name || process.env.ANALYSIS_PROVIDER || 'backend').trim().toLowerCase();
+
+  if (selected === 'ensemble') {
+    const members = (process.env.ENSEMBLE_PROVIDERS || 'backend,local')
+      .split(',')
+      .map(member => member.trim().toLowerCase())
+      .filter(member => Object.prototype.hasOwnProperty.call(PROVIDERS, member));
+
+    if (members.length === 0) {
+      log.warn('ENSEMBLE_PROVIDERS has no valid providers - using backend');
+      return PROVIDERS.backend(deps);
+    }
+    return new EnsembleProvider({ providers: [...new Set(members)].map(member => PROVIDERS[member](deps)) });
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(PROVIDERS, selected)) {
+    log.warn('Unknown ANALYSIS_PROVIDER - using backend', { provider: selected });
+    return PROVIDERS.backend(deps);
+  }
+  return PROVIDERS[selected](deps);
+}
+
+module.exports = { createProvider, normalizeAnalysis };
@@ -0,0 +1,27 @@
+/**
+ * Local Heuristic Provider
+ *
+ * Wraps utils/local_analyzer.js. Runs in-process, so it sees the original
+ * (unredacted) text - nothing is sent anywhere.
+ */
+
+const LocalAnalyzer = require('../local_analyzer');
+const { normalizeAnalysis } = require('./normalize');
+
+class LocalProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.remote = false;
+    this.analyzer = options.analyzer || new LocalAnalyzer();
+  }
+
+  /**
+   * @param {Object} request - { payload, original }
+   * @returns {Promise<Object>} Normalized analysis
+   */
+  async analyze({ original }) {
+    return normalizeAnalysis(this.analyzer.analyze(original.message, { language: original.language }), this.name);
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,28 @@
+/**
+ * Common Analysis Schema
+ *
+ * Every provider returns this shape, whatever its upstream format:
+ * { sentiment, emotion, stress_score, category, suggested_reply, confidence, meta }
+ * The fields are declared in utils/schemas.js ('analysis').
+ */
+
+const { validate } = require('../schemas');
+
+/**
+ * Map a provider result into the common schema
+ * Missing or out-of-range fields get safe defaults instead of failing the request.
+ *
+ * @param {Object} raw - Provider output
+ * @param {string} source - Provider name, recorded in meta.source
+ * @returns {Object} Normalized analysis
+ * @throws {SchemaValidationError} If the output has none of the schema fields
+ */
+function normalizeAnalysis(raw, source) {
+  const { value } = validate('analysis', raw);
+  return {
+    ...value,
+    meta: { ...value.meta, source },
+  };
+}
+
+module.exports = { normalizeAnalysis };
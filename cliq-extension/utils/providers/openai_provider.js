@@ -0,0 +1,112 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Asks a chat-completions endpoint (OpenAI, Azure OpenAI, vLLM, Ollama, ...)
+ * to classify the message and answer with JSON in the common schema.
+ *
+ * Environment Variables:
+ * - OPENAI_API_URL: Base URL up to /v1 (default: https://api.openai.com/v1)
+ * - OPENAI_API_KEY: Bearer token (optional for self-hosted endpoints)
+ * - OPENAI_MODEL: Model name (default: gpt-4o-mini)
+ *
+ * Requests go through the owning APIClient, so they share its timeout,
+ * circuit breaker, metrics and X-Correlation-ID header.
+ */
+
+const { normalizeAnalysis } = require('./normalize');
+const { createLogger } = require('../logger');
+
+const log = createLogger('API');
+
+const SYSTEM_PROMPT = [
+  'You analyze workplace chat messages for employee wellbeing.',
+  'Reply with a single JSON object and nothing else, with these keys:',
+  '"sentiment" (positive|neutral|negative),',
+  '"emotion" (happy|sad|angry|stressed|anxious|frustrated|excited|calm),',
+  '"stress_score" (number 0-10),',
+  '"category" (one word, e.g. workload, deadline, communication, technical, team, personal, general),',
+  '"suggested_reply" (one short, empathetic reply a colleague could send),',
+  '"confidence" (number 0-1).',
+  'Earlier messages from the same conversation may be given for context; only score the last message.',
+  'If the message language is given, write suggested_reply in that language; keep all other values in English.',
+].join(' ');
+
+class OpenAIProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Function} options.request - (url, options) => Promise<Object>, the APIClient's _makeRequest
+   * @param {Function} [options.validate] - (schemaName, data, endpoint) => Object, counts violations
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.remote = true;
+    this.baseURL = (options.baseURL || process.env.OPENAI_API_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.model = options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.request = options.request;
+    this.validate = options.validate || ((schemaName, data) => data);
+
+    if (!this.apiKey) {
+      log.warn('OPENAI_API_KEY is not set - sending unauthenticated requests');
+    }
+  }
+
+  /**
+   * @param {Object} request - { payload: redacted payload, original: payload as received }
+   * @returns {Promise<Object>} Normalized analysis
+   */
+  async analyze({ payload }) {
+    const body = await this.request(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      body: JSON.stringify({
+        model: this.model,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: this._buildPrompt(payload) },
+        ],
+      }),
+    });
+
+    const content = body.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Empty completion');
+    }
+
+    const result = this.validate('analysis', this._parseJson(content), 'openai');
+    return normalizeAnalysis({ ...result, meta: { model: this.model } }, this.name);
+  }
+
+  /**
+   * Message to analyze, preceded by any conversation context and its language
+   * @private
+   */
+  _buildPrompt(payload) {
+    const language = payload.language ? `Message language: ${payload.language}\n\n` : '';
+    if (!Array.isArray(payload.context) || payload.context.length === 0) {
+      return `${language}${payload.message}`;
+    }
+
+    const history = payload.context
+      .map(entry => `[${entry.same_author ? 'same author' : 'someone else'}] ${entry.text}`)
+      .join('\n');
+    return `${language}Earlier in the conversation:\n${history}\n\nMessage to analyze:\n${payload.message}`;
+  }
+
+  /**
+   * Parse the model's JSON answer, tolerating a ```json fence around it
+   * @private
+   */
+  _parseJson(content) {
+    const match = content.match(/\{[\s\S]*\}/);
+    try {
+      return JSON.parse(match ? match[0] : content);
+    } catch (error) {
+      throw new Error('Completion was not valid JSON');
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,255 @@
+/**
+ * PII Redaction
+ *
+ * Masks personal data in message text before it is sent to the backend or
+ * written to logs. Built-in detectors cover emails, credit-card numbers
+ * (Luhn-checked), IP addresses and phone numbers; organizations can add
+ * their own regex patterns (employee IDs, project code names, ...) via the
+ * redaction_patterns setting, applied on top of REDACTION_CUSTOM_PATTERNS.
+ *
+ * Modes (REDACTION_MODE):
+ * - enforce: Redact text sent to the backend (default)
+ * - dry-run: Send original text, but log what would have been redacted
+ * - off: Send original text
+ * Log output is redacted in every mode.
+ *
+ * Custom patterns run on every message, so patterns that can backtrack
+ * catastrophically are refused (see utils/regex_safety.js).
+ *
+ * Environment Variables:
+ * - REDACTION_MODE: enforce | dry-run | off (default: enforce)
+ * - REDACTION_CUSTOM_PATTERNS: Extra patterns, one regex per line
+ *   (optionally "name=regex"), or a JSON array of { name, pattern }
+ */
+
+const { isSafePattern } = require('./regex_safety');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Redact');
+
+const MODES = ['enforce', 'dry-run', 'off'];
+const MAX_CUSTOM_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 200;
+
+// Order matters: card numbers before phone numbers, which would also match them
+const DETECTORS = [
+  {
+    type: 'credit_card',
+    label: '[CARD]',
+    pattern: /(?<![\w-])\d(?:[ -]?\d){12,18}(?![\w-])/g,
+    validate: match => luhnCheck(match.replace(/\D/g, '')),
+  },
+  {
+    type: 'email',
+    label: '[EMAIL]',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  },
+  {
+    type: 'ip_address',
+    label: '[IP]',
+    pattern: /(?<![\d.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\d.])/g,
+  },
+  {
+    type: 'phone',
+    label: '[PHONE]',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){2,4}(?!\w)/g,
+    validate: match => {
+      const digits = match.replace(/\D/g, '').length;
+      // Skip ISO dates (2026-10-14) and short numeric runs
+      return digits >= 7 && digits <= 15 && !/^\d{4}-\d{2}-\d{2}$/.test(match);
+    },
+  },
+];
+
+/**
+ * Luhn checksum for card-number candidates
+ * @private
+ */
+function luhnCheck(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let d = parseInt(digits[i]);
+    if (double) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+class Redactor {
+  constructor(options = {}) {
+    const mode = options.mode || process.env.REDACTION_MODE || 'enforce';
+    this.mode = MODES.includes(mode) ? mode : 'enforce';
+    this.defaultPatterns = Redactor.parsePatterns(
+      options.customPatterns !== undefined ? options.customPatterns : process.env.REDACTION_CUSTOM_PATTERNS
+    );
+
+    // Parsed per-org patterns, keyed by their raw setting value
+    this.patternCache = new Map();
+  }
+
+  /**
+   * Parse custom pattern configuration
+   * Invalid, oversized or unsafe patterns are skipped with a warning.
+   *
+   * @param {string|Array} value - Newline-separated regexes ("name=regex"), JSON array, or array
+   * @param {string[]} [rejected] - Receives the names of skipped patterns
+   * @returns {Array<{ name: string, regex: RegExp }>}
+   */
+  static parsePatterns(value, rejected = []) {
+    if (!value) return [];
+
+    let items = value;
+    if (typeof value === 'string') {
+      const trimmed = value.trim();
+      if (trimmed.startsWith('[')) {
+        try {
+          items = JSON.parse(trimmed);
+        } catch (error) {
+          log.warn('Invalid JSON in custom patterns - ignoring');
+          return [];
+        }
+      } else {
+        items = trimmed.split(/\r?\n/);
+      }
+    }
+    if (!Array.isArray(items)) return [];
+
+    const patterns = [];
+    for (const item of items.slice(0, MAX_CUSTOM_PATTERNS)) {
+      let name = 'custom';
+      let source = item;
+
+      if (item && typeof item === 'object') {
+        name = item.name || name;
+        source = item.pattern;
+      } else if (typeof item === 'string') {
+        const match = item.match(/^([\w-]{1,30})=(.+)$/);
+        if (match) {
+          name = match[1];
+          source = match[2];
+        }
+      }
+
+      if (typeof source !== 'string' || !source.trim()) continue;
+      if (source.length > MAX_PATTERN_LENGTH) {
+        log.warn('Custom pattern is too long - ignoring', { name });
+        rejected.push(name);
+        continue;
+      }
+      if (!isSafePattern(source.trim())) {
+        log.warn('Custom pattern can backtrack catastrophically - ignoring', { name });
+        rejected.push(name);
+        continue;
+      }
+
+      try {
+        patterns.push({ name: String(name).substring(0, 30), regex: new RegExp(source.trim(), 'gi') });
+      } catch (error) {
+        log.warn('Invalid custom pattern - ignoring', { name });
+        rejected.push(name);
+      }
+    }
+    return patterns;
+  }
+
+  /**
+   * Combine env-level patterns with an organization's extra patterns
+   * @private
+   */
+  _getPatterns(extraPatterns) {
+    if (!extraPatterns) {
+      return this.defaultPatterns;
+    }
+
+    const key = typeof extraPatterns === 'string' ? extraPatterns : JSON.stringify(extraPatterns);
+    if (!this.patternCache.has(key)) {
+      if (this.patternCache.size >= 100) {
+        this.patternCache.clear();
+      }
+      this.patternCache.set(key, [...Redactor.parsePatterns(extraPatterns), ...this.defaultPatterns]);
+    }
+    return this.patternCache.get(key);
+  }
+
+  /**
+   * Redact PII from text
+   *
+   * @param {string} text
+   * @param {string|Array} [extraPatterns] - Organization patterns (redaction_patterns setting)
+   * @returns {{ text: string, findings: Object<string, number>, total: number }}
+   */
+  redact(text, extraPatterns = null) {
+    if (typeof text !== 'string' || !text) {
+      return { text: text || '', findings: {}, total: 0 };
+    }
+
+    const findings = {};
+    let result = text;
+
+    const detectors = [
+      ...this._getPatterns(extraPatterns).map(p => ({ type: p.name, label: `[REDACTED:${p.name}]`, pattern: p.regex })),
+      ...DETECTORS,
+    ];
+
+    for (const detector of detectors) {
+      detector.pattern.lastIndex = 0;
+      result = result.replace(detector.pattern, match => {
+        if (!match || (detector.validate && !detector.validate(match))) {
+          return match;
+        }
+        findings[detector.type] = (findings[detector.type] || 0) + 1;
+        return detector.label;
+      });
+    }
+
+    const total = Object.values(findings).reduce((sum, n) => sum + n, 0);
+    return { text: result, findings, total };
+  }
+
+  /**
+   * Prepare message text for the backend according to REDACTION_MODE
+   *
+   * @param {string} text
+   * @param {string|Array} [extraPatterns] - Organization patterns
+   * @returns {string} Text to send
+   */
+  prepareOutbound(text, extraPatterns = null) {
+    if (this.mode === 'off') {
+      return text;
+    }
+
+    const { text: redacted, findings, total } = this.redact(text, extraPatterns);
+
+    if (total > 0) {
+      const summary = Object.entries(findings).map(([type, n]) => `${n} ${type}`).join(', ');
+      if (this.mode === 'dry-run') {
+        log.info('Dry run - would redact', { findings: summary, text: redacted.substring(0, 80) });
+        return text;
+      }
+      log.info('Redacted before sending for analysis', { findings: summary });
+    }
+
+    return redacted;
+  }
+
+  /**
+   * Redacted, truncated preview for log lines
+   *
+   * @param {string} text
+   * @param {string|Array} [extraPatterns] - Organization patterns
+   * @param {number} [length=50]
+   * @returns {string}
+   */
+  forLog(text, extraPatterns = null, length = 50) {
+    return this.redact(text, extraPatterns).text.substring(0, length);
+  }
+}
+
+Redactor.MODES = MODES;
+
+module.exports = Redactor;
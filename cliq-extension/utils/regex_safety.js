@@ -0,0 +1,302 @@
+/**
+ * Regex Safety Check
+ *
+ * Custom redaction patterns (utils/redactor.js) come from configuration and
+ * run on every message in the only event loop, so a pattern that makes the
+ * backtracking engine take exponential or high-polynomial time stalls the
+ * whole server. This parses a pattern into a small tree and refuses:
+ *
+ * - back-references (\1, \k<name>)
+ * - a group repeated more than once whose body can match different lengths
+ *   or has alternatives: (a+)+, (\w+){2,40}, (a|ab)*
+ * - two open-ended repeats that can match the same characters, with only
+ *   optional or overlapping atoms between them: \w*\w*, \d+\.?\d+, .*a.*
+ *
+ * Conservative: some safe patterns are refused too. Patterns are assumed to
+ * be compiled with the i flag and without u, as the redactor does.
+ */
+
+// ASCII plus a few letters and spaces from the languages the bot supports
+const PROBES = [...Array(128).keys()]
+  .map(code => String.fromCharCode(code))
+  .concat(['é', 'ß', 'ñ', 'ü', '\u00a0', '\u2028', 'क', '中']);
+
+// Repeats whose length can vary by more than this count as open-ended
+const MAX_BOUNDED_SPAN = 20;
+
+const QUANTIFIERS = {
+  '*': { min: 0, max: Infinity },
+  '+': { min: 1, max: Infinity },
+  '?': { min: 0, max: 1 },
+};
+
+/**
+ * Thrown while parsing or checking; caught by isSafePattern()
+ * @private
+ */
+class UnsafePatternError extends Error {}
+
+/**
+ * Parse a pattern into alternatives of atom sequences
+ *
+ * Atoms: { kind: 'char', src } for anything that matches one character,
+ * { kind: 'group' | 'lookaround', alternatives } and { kind: 'assertion' },
+ * each with a quantifier { min, max }.
+ * @private
+ */
+function parse(source) {
+  let pos = 0;
+
+  function parseAlternatives() {
+    const alternatives = [parseSequence()];
+    while (source[pos] === '|') {
+      pos++;
+      alternatives.push(parseSequence());
+    }
+    return alternatives;
+  }
+
+  function parseSequence() {
+    const items = [];
+    while (pos < source.length && source[pos] !== '|' && source[pos] !== ')') {
+      const atom = parseAtom();
+      atom.quantifier = parseQuantifier();
+      items.push(atom);
+    }
+    return items;
+  }
+
+  function parseAtom() {
+    const char = source[pos];
+
+    if (char === '(') {
+      pos++;
+      let kind = 'group';
+      if (/^\?<?[=!]/.test(source.substring(pos))) {
+        kind = 'lookaround';
+        pos += source[pos + 1] === '<' ? 3 : 2;
+      } else if (source.startsWith('?:', pos)) {
+        pos += 2;
+      } else if (source.startsWith('?<', pos)) {
+        pos = source.indexOf('>', pos) + 1;
+      }
+      const alternatives = parseAlternatives();
+      if (source[pos] !== ')') {
+        throw new UnsafePatternError('Unbalanced group');
+      }
+      pos++;
+      return { kind, alternatives };
+    }
+
+    if (char === '^' || char === '$') {
+      pos++;
+      return { kind: 'assertion' };
+    }
+
+    if (char === '[') {
+      const start = pos++;
+      while (pos < source.length && source[pos] !== ']') {
+        pos += source[pos] === '\\' ? 2 : 1;
+      }
+      pos++;
+      return { kind: 'char', src: source.substring(start, pos) };
+    }
+
+    if (char === '\\') {
+      const next = source[pos + 1];
+      const rest = source.substring(pos + 2);
+      if (/[1-9]/.test(next) || next === 'k') {
+        throw new UnsafePatternError('Back-reference');
+      }
+      if (next === 'b' || next === 'B') {
+        pos += 2;
+        return { kind: 'assertion' };
+      }
+      let length = 2;
+      if (next === 'u' && /^[\da-f]{4}/i.test(rest)) length = 6;
+      if (next === 'x' && /^[\da-f]{2}/i.test(rest)) length = 4;
+      if (next === 'c' && /^[a-z]/i.test(rest)) length = 3;
+      const src = source.substring(pos, pos + length);
+      pos += length;
+      return { kind: 'char', src };
+    }
+
+    pos++;
+    return { kind: 'char', src: char === '.' ? '.' : char.replace(/[\\^$*+?()[\]{}|/]/, '\\$&') };
+  }
+
+  function parseQuantifier() {
+    const match = source.substring(pos).match(/^(?:([*+?])|\{(\d+)(,(\d*))?\})\??/);
+    if (!match) {
+      return { min: 1, max: 1 };
+    }
+    pos += match[0].length;
+    if (match[1]) {
+      return QUANTIFIERS[match[1]];
+    }
+    const min = parseInt(match[2]);
+    if (match[3] === undefined) return { min, max: min };
+    return { min, max: match[4] === '' ? Infinity : parseInt(match[4]) };
+  }
+
+  const alternatives = parseAlternatives();
+  if (pos < source.length) {
+    throw new UnsafePatternError('Unbalanced group');
+  }
+  return alternatives;
+}
+
+/**
+ * Shortest and longest match of an atom, quantifier included
+ * @private
+ */
+function atomWidth(atom) {
+  let inner = { min: 0, max: 0 };
+  if (atom.kind === 'char') inner = { min: 1, max: 1 };
+  if (atom.kind === 'group') inner = width(atom.alternatives);
+
+  return {
+    min: inner.min * atom.quantifier.min,
+    max: inner.max === 0 ? 0 : inner.max * atom.quantifier.max,
+  };
+}
+
+/**
+ * Shortest and longest match of alternatives
+ * @private
+ */
+function width(alternatives) {
+  let min = Infinity;
+  let max = 0;
+  for (const items of alternatives) {
+    const widths = items.map(atomWidth);
+    min = Math.min(min, widths.reduce((sum, w) => sum + w.min, 0));
+    max = Math.max(max, widths.reduce((sum, w) => sum + w.max, 0));
+  }
+  return { min, max };
+}
+
+/**
+ * Whether alternatives contain a | at any depth
+ * @private
+ */
+function hasAlternation(alternatives) {
+  return alternatives.length > 1 || alternatives.some(items => items.some(atom => (
+    atom.alternatives && hasAlternation(atom.alternatives)
+  )));
+}
+
+/**
+ * Probe characters an atom can consume, as a 0/1 array
+ * @private
+ */
+function charSet(atom) {
+  if (atom.kind === 'char') {
+    let regex;
+    try {
+      regex = new RegExp(`^(?:${atom.src})$`, 'i');
+    } catch (error) {
+      throw new UnsafePatternError('Invalid atom');
+    }
+    return PROBES.map(probe => (regex.test(probe) ? 1 : 0));
+  }
+
+  const set = PROBES.map(() => 0);
+  if (atom.kind === 'group') {
+    for (const items of atom.alternatives) {
+      for (const inner of items) {
+        charSet(inner).forEach((bit, i) => { set[i] |= bit; });
+      }
+    }
+  }
+  return set;
+}
+
+/**
+ * @private
+ */
+function overlaps(a, b) {
+  return a.some((bit, i) => bit && b[i]);
+}
+
+/**
+ * Flatten a sequence into consuming tokens, inlining plain groups
+ * @private
+ */
+function tokens(items, optional = false) {
+  const list = [];
+  for (const atom of items) {
+    if (atom.kind === 'assertion' || atom.kind === 'lookaround') continue;
+
+    const { min, max } = atomWidth(atom);
+    const isOptional = optional || min === 0;
+    if (atom.kind === 'group' && atom.quantifier.max === 1 && atom.alternatives.length === 1) {
+      list.push(...tokens(atom.alternatives[0], isOptional));
+      continue;
+    }
+    list.push({ set: charSet(atom), open: max - min > MAX_BOUNDED_SPAN, optional: isOptional });
+  }
+  return list;
+}
+
+/**
+ * Refuse open-ended repeats that can split the same text several ways
+ * @private
+ */
+function checkSequence(items) {
+  const list = tokens(items);
+  for (let i = 0; i < list.length; i++) {
+    if (!list[i].open) continue;
+
+    for (let j = i + 1; j < list.length; j++) {
+      const overlapping = overlaps(list[i].set, list[j].set);
+      if (list[j].open && overlapping) {
+        throw new UnsafePatternError('Adjacent overlapping repeats');
+      }
+      // A required atom the repeat cannot consume separates the two
+      if (!list[j].optional && !overlapping) break;
+    }
+  }
+}
+
+/**
+ * Check every sequence and group, depth first
+ * @private
+ */
+function checkAlternatives(alternatives) {
+  for (const items of alternatives) {
+    checkSequence(items);
+
+    for (const atom of items) {
+      if (!atom.alternatives) continue;
+
+      if (atom.quantifier.max > 1) {
+        const body = width(atom.alternatives);
+        if (body.min !== body.max || hasAlternation(atom.alternatives)) {
+          throw new UnsafePatternError('Repeated variable group');
+        }
+      }
+      checkAlternatives(atom.alternatives);
+    }
+  }
+}
+
+/**
+ * Check a pattern for constructs that can backtrack catastrophically
+ *
+ * @param {string} source - Pattern source, without slashes or flags
+ * @returns {boolean} False for refused (or unparseable) patterns
+ */
+function isSafePattern(source) {
+  try {
+    checkAlternatives(parse(source));
+    return true;
+  } catch (error) {
+    if (error instanceof UnsafePatternError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+module.exports = { isSafePattern };
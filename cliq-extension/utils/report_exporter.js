@@ -0,0 +1,458 @@
+/**
+ * Mood Report Exporter
+ *
+ * Builds the /team-mood export for a date range and a set of channels, as
+ * a CSV dataset, a JSON dataset or a printable PDF report with charts.
+ *
+ * Every figure comes from utils/stats_service.js - the backend, or the local
+ * analysis store when the backend is down or STATS_SOURCE=local - so exports
+ * are anonymized exactly like cards and the dashboard: days with too few
+ * authors are left out and listed as suppressed, and today's top issues are
+ * only included when the range ends today and today's group is large enough.
+ *
+ * Exports are generated on request and never stored. Access control is the
+ * caller's job (see widgets/dashboard/dashboard_handler.js). PDF labels are
+ * in English: the standard PDF fonts cannot show every Cliq language.
+ */
+
+const OrgConfigResolver = require('./org_config');
+const StatsService = require('./stats_service');
+const { PdfDocument, PAGE_WIDTH } = require('./pdf_writer');
+const metrics = require('./metrics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same limit as /team-mood date ranges (commands/mood_query.js)
+const MAX_DAYS = 90;
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+};
+
+const CSV_COLUMNS = ['channel', 'date', 'positive_pct', 'neutral_pct', 'negative_pct', 'avg_stress', 'total_messages', 'suppressed'];
+
+const COLORS = {
+  text: '#222222',
+  muted: '#777777',
+  grid: '#dddddd',
+  // Same as the dashboard widget
+  positive: '#4caf50',
+  neutral: '#ffc107',
+  negative: '#ff5252',
+  suppressed: '#e6e6e6',
+  stress: '#1976d2',
+};
+
+// PDF page layout, in points
+const MARGIN = 50;
+const CHART_LEFT = MARGIN + 30;
+const CHART_WIDTH = PAGE_WIDTH - MARGIN - CHART_LEFT;
+
+/**
+ * Clamp a number into range, defaulting when it is not a number
+ * @private
+ */
+function clamp(value, min, max) {
+  const num = parseFloat(value);
+  return isNaN(num) ? 0 : Math.max(min, Math.min(max, num));
+}
+
+/**
+ * Round to one decimal
+ * @private
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Quote a CSV field; text starting with = + - @ is prefixed so spreadsheets don't run it
+ * @private
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class ReportExporter {
+  constructor(options = {}) {
+    this.orgConfig = options.orgConfig || new OrgConfigResolver();
+    this.statsService = options.statsService || new StatsService({ orgConfig: this.orgConfig });
+  }
+
+  /**
+   * Collect the export dataset
+   * Each channel is fetched separately; a channel whose stats fail is kept
+   * with an error instead of failing the whole export.
+   *
+   * @param {Object} config - Organization config (see utils/org_config.js)
+   * @param {Object} request
+   * @param {Array<string|null>} request.channels - Channel IDs; null for the whole organization
+   * @param {string} request.from - YYYY-MM-DD (UTC), at most MAX_DAYS back
+   * @param {string} request.to - YYYY-MM-DD (UTC), not after today
+   * @returns {Promise<Object>} { generated_at, org_id, period, min_group_size, scopes: [...] }
+   */
+  async build(config, { channels, from, to }) {
+    const today = new Date().toISOString().substring(0, 10);
+    const daysBack = Math.round((Date.parse(`${today}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS) + 1;
+    const days = Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS) + 1;
+
+    const results = await Promise.allSettled(channels.map(channelId => (
+      this._buildScope(config, channelId, { from, to, daysBack: Math.min(MAX_DAYS, daysBack), includeToday: to === today })
+    )));
+
+    if (results.every(result => result.status === 'rejected')) {
+      throw results[0].reason;
+    }
+
+    return {
+      generated_at: new Date().toISOString(),
+      org_id: config.orgId,
+      period: { from, to, days },
+      min_group_size: this.statsService.minGroupSize,
+      scopes: results.map((result, i) => (
+        result.status === 'fulfilled' ? result.value : { channel: channels[i], error: 'Stats unavailable' }
+      )),
+    };
+  }
+
+  /**
+   * Render a dataset in an export format
+   *
+   * @param {Object} dataset - Result of build()
+   * @param {string} format - csv | json | pdf
+   * @returns {Object} { body: Buffer|string, contentType, filename }
+   */
+  render(dataset, format) {
+    const { contentType, extension } = FORMATS[format];
+    const body = format === 'csv' ? this.toCSV(dataset) : format === 'json' ? this.toJSON(dataset) : this.toPDF(dataset);
+
+    metrics.reportExports.inc({ format });
+    return {
+      body,
+      contentType,
+      filename: `team-mood_${dataset.period.from}_${dataset.period.to}.${extension}`,
+    };
+  }
+
+  /**
+   * One row per channel and day; suppressed days are rows without figures
+   *
+   * @param {Object} dataset
+   * @returns {string}
+   */
+  toCSV(dataset) {
+    const rows = [CSV_COLUMNS];
+
+    for (const scope of dataset.scopes) {
+      if (scope.error) continue;
+
+      const channel = scope.channel || 'all';
+      const entries = [
+        ...scope.days.map(point => [point.date, point]),
+        ...scope.suppressed_dates.map(date => [date, null]),
+      ].sort((a, b) => a[0].localeCompare(b[0]));
+
+      for (const [date, point] of entries) {
+        rows.push(point
+          ? [channel, date, point.positive_pct, point.neutral_pct, point.negative_pct, point.avg_stress, point.total_messages, false]
+          : [channel, date, '', '', '', '', '', true]);
+      }
+    }
+
+    return `${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * @param {Object} dataset
+   * @returns {string}
+   */
+  toJSON(dataset) {
+    return `${JSON.stringify(dataset, null, 2)}\n`;
+  }
+
+  /**
+   * Printable report: one page per channel with a summary, a daily
+   * sentiment chart, a stress chart and today's top issues
+   *
+   * @param {Object} dataset
+   * @returns {Buffer}
+   */
+  toPDF(dataset) {
+    const doc = new PdfDocument();
+
+    dataset.scopes.forEach((scope, i) => {
+      doc.addPage();
+      this._drawHeader(doc, dataset, scope);
+
+      if (scope.error) {
+        doc.text(MARGIN, 170, 'Stats for this channel could not be loaded.', { color: COLORS.muted });
+      } else {
+        this._drawSummary(doc, dataset, scope);
+        this._drawSentimentChart(doc, dataset, scope, 260);
+        this._drawStressChart(doc, dataset, scope, 480);
+        this._drawTopIssues(doc, dataset, scope, 670);
+      }
+
+      this._drawFooter(doc, dataset, scope, i + 1);
+    });
+
+    return doc.toBuffer();
+  }
+
+  /**
+   * Fetch trends (and today's stats when the range ends today) for one channel
+   * @private
+   */
+  async _buildScope(config, channelId, { from, to, daysBack, includeToday }) {
+    const [trends, today] = await Promise.all([
+      this.statsService.getTrends(config, daysBack, channelId),
+      includeToday ? this.statsService.getTodayStats(config, channelId) : null,
+    ]);
+
+    const inRange = date => date >= from && date <= to;
+    const days = (Array.isArray(trends.days) ? trends.days : [])
+      .filter(point => point && inRange(String(point.date).substring(0, 10)))
+      .map(point => ({
+        date: String(point.date).substring(0, 10),
+        positive_pct: clamp(point.positive_pct, 0, 100),
+        neutral_pct: clamp(point.neutral_pct, 0, 100),
+        negative_pct: clamp(point.negative_pct, 0, 100),
+        avg_stress: clamp(point.avg_stress, 0, 10),
+        total_messages: Math.max(0, parseInt(point.total_messages) || 0),
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    return {
+      channel: channelId,
+      summary: this._summarize(days),
+      days,
+      suppressed_dates: (trends.suppressed_dates || []).filter(inRange),
+      today: today ? this._summarizeToday(today) : null,
+      source: [trends, today].some(result => result?.source === 'local') ? 'local' : 'backend',
+    };
+  }
+
+  /**
+   * Combine daily points into period totals, weighted by message count
+   * @private
+   */
+  _summarize(days) {
+    const total = days.reduce((sum, point) => sum + point.total_messages, 0);
+    const weight = point => (total > 0 ? point.total_messages / total : 1 / days.length);
+    const average = field => round1(days.reduce((sum, point) => sum + point[field] * weight(point), 0));
+
+    return {
+      days_with_data: days.length,
+      total_messages: total,
+      positive_pct: days.length > 0 ? average('positive_pct') : null,
+      neutral_pct: days.length > 0 ? average('neutral_pct') : null,
+      negative_pct: days.length > 0 ? average('negative_pct') : null,
+      avg_stress: days.length > 0 ? average('avg_stress') : null,
+    };
+  }
+
+  /**
+   * Today's trend and top issues, or only the suppression flag
+   * @private
+   */
+  _summarizeToday(stats) {
+    if (stats.suppressed) {
+      return { suppressed: true };
+    }
+    return {
+      trend: ['up', 'down', 'stable'].includes(stats.trend) ? stats.trend : 'stable',
+      top_issues: (Array.isArray(stats.top_issues) ? stats.top_issues : [])
+        .filter(issue => issue && typeof issue === 'object')
+        .slice(0, 5)
+        .map(issue => ({
+          category: String(issue.category || 'Unknown').substring(0, 100),
+          count: Math.max(0, parseInt(issue.count) || 0),
+        })),
+    };
+  }
+
+  /**
+   * Day index of a date within the report period
+   * @private
+   */
+  _dayIndex(dataset, date) {
+    return Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${dataset.period.from}T00:00:00Z`)) / DAY_MS);
+  }
+
+  /**
+   * @private
+   */
+  _drawHeader(doc, dataset, scope) {
+    const { from, to, days } = dataset.period;
+    doc.text(MARGIN, 70, 'Team Mood Report', { size: 20, bold: true, color: COLORS.text });
+    doc.text(MARGIN, 94, scope.channel ? `Channel: #${scope.channel}` : 'All channels', { size: 12, bold: true, color: COLORS.text });
+    doc.text(MARGIN, 112, `${from} to ${to} (${days} day${days === 1 ? '' : 's'}, UTC)`, { color: COLORS.muted });
+    doc.text(MARGIN, 126, `Organization ${dataset.org_id} - generated ${dataset.generated_at.replace('T', ' ').substring(0, 16)} UTC`, {
+      size: 8,
+      color: COLORS.muted,
+    });
+  }
+
+  /**
+   * @private
+   */
+  _drawSummary(doc, dataset, scope) {
+    const { summary } = scope;
+    doc.text(MARGIN, 160, 'Summary', { size: 13, bold: true, color: COLORS.text });
+
+    if (summary.days_with_data === 0) {
+      doc.text(MARGIN, 180, 'No messages were analyzed in this period.', { color: COLORS.muted });
+    } else {
+      doc.text(MARGIN, 180, `Messages analyzed: ${summary.total_messages} (${summary.days_with_data} of ${dataset.period.days} days with data)`);
+      doc.text(MARGIN, 195, `Sentiment: ${summary.positive_pct}% positive, ${summary.neutral_pct}% neutral, ${summary.negative_pct}% negative`);
+      doc.text(MARGIN, 210, `Average stress: ${summary.avg_stress}/10`);
+    }
+    if (scope.suppressed_dates.length > 0) {
+      doc.text(MARGIN, 225, `${scope.suppressed_dates.length} day(s) with fewer than ${dataset.min_group_size} people left out.`, { color: COLORS.muted });
+    }
+  }
+
+  /**
+   * Stacked daily bars (negative at the bottom), left-out days in grey
+   * @private
+   */
+  _drawSentimentChart(doc, dataset, scope, top) {
+    const height = 140;
+    const chartTop = top + 15;
+    const slot = CHART_WIDTH / dataset.period.days;
+    const barWidth = Math.max(0.5, slot * 0.8);
+    const barX = date => CHART_LEFT + this._dayIndex(dataset, date) * slot + (slot - barWidth) / 2;
+
+    doc.text(MARGIN, top, 'Daily sentiment', { size: 13, bold: true, color: COLORS.text });
+    this._drawGrid(doc, chartTop, height, [[100, '100%'], [50, '50%'], [0, '0%']], 100);
+
+    for (const date of scope.suppressed_dates) {
+      doc.rect(barX(date), chartTop, barWidth, height, COLORS.suppressed);
+    }
+    for (const point of scope.days) {
+      const total = point.positive_pct + point.neutral_pct + point.negative_pct;
+      if (total <= 0) continue;
+
+      let y = chartTop + height;
+      for (const field of ['negative', 'neutral', 'positive']) {
+        const segment = (point[`${field}_pct`] / total) * height;
+        y -= segment;
+        doc.rect(barX(point.date), y, barWidth, segment, COLORS[field]);
+      }
+    }
+
+    this._drawDateAxis(doc, dataset, chartTop + height + 12);
+
+    let x = CHART_LEFT;
+    for (const [label, color] of [['Positive', COLORS.positive], ['Neutral', COLORS.neutral], ['Negative', COLORS.negative], ['Left out', COLORS.suppressed]]) {
+      doc.rect(x, chartTop + height + 22, 8, 8, color);
+      doc.text(x + 12, chartTop + height + 29, label, { size: 8, color: COLORS.muted });
+      x += 70;
+    }
+  }
+
+  /**
+   * Average stress per day; the line breaks where days are missing
+   * @private
+   */
+  _drawStressChart(doc, dataset, scope, top) {
+    const height = 120;
+    const chartTop = top + 15;
+    const slot = CHART_WIDTH / dataset.period.days;
+    const pointX = date => CHART_LEFT + (this._dayIndex(dataset, date) + 0.5) * slot;
+    const pointY = stress => chartTop + height - (stress / 10) * height;
+
+    doc.text(MARGIN, top, 'Average stress (0-10)', { size: 13, bold: true, color: COLORS.text });
+    this._drawGrid(doc, chartTop, height, [[10, '10'], [5, '5'], [0, '0']], 10);
+
+    for (const date of scope.suppressed_dates) {
+      doc.rect(pointX(date) - slot / 2, chartTop, slot, height, COLORS.suppressed);
+    }
+
+    let run = [];
+    let previousIndex = null;
+    const flush = () => {
+      doc.polyline(run, { color: COLORS.stress, width: 1.5 });
+      run = [];
+    };
+    for (const point of scope.days) {
+      const index = this._dayIndex(dataset, point.date);
+      if (previousIndex !== null && index !== previousIndex + 1) flush();
+      run.push([pointX(point.date), pointY(point.avg_stress)]);
+      doc.rect(pointX(point.date) - 1.5, pointY(point.avg_stress) - 1.5, 3, 3, COLORS.stress);
+      previousIndex = index;
+    }
+    flush();
+
+    this._drawDateAxis(doc, dataset, chartTop + height + 12);
+  }
+
+  /**
+   * @private
+   */
+  _drawTopIssues(doc, dataset, scope, top) {
+    if (!scope.today) return;
+
+    doc.text(MARGIN, top, 'Top issues today', { size: 13, bold: true, color: COLORS.text });
+    if (scope.today.suppressed) {
+      doc.text(MARGIN, top + 20, `Hidden: fewer than ${dataset.min_group_size} people posted today.`, { color: COLORS.muted });
+    } else if (scope.today.top_issues.length === 0) {
+      doc.text(MARGIN, top + 20, 'No issues detected today.', { color: COLORS.muted });
+    } else {
+      scope.today.top_issues.forEach((issue, i) => {
+        doc.text(MARGIN, top + 20 + i * 15, `${i + 1}. ${issue.category} - ${issue.count} mentions`);
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _drawFooter(doc, dataset, scope, pageNumber) {
+    const pageLabel = `Page ${pageNumber} of ${dataset.scopes.length}`;
+    doc.text(MARGIN, 800, `Days and issues with fewer than ${dataset.min_group_size} distinct people are left out to protect individuals.`, {
+      size: 8,
+      color: COLORS.muted,
+    });
+    if (scope.source === 'local') {
+      doc.text(MARGIN, 812, 'Computed by the extension from the messages it analyzed (backend stats unavailable).', { size: 8, color: COLORS.muted });
+    }
+    doc.text(PAGE_WIDTH - MARGIN - doc.textWidth(pageLabel, 8), 812, pageLabel, { size: 8, color: COLORS.muted });
+  }
+
+  /**
+   * Horizontal grid lines with value labels left of the chart
+   * @private
+   */
+  _drawGrid(doc, chartTop, height, lines, max) {
+    for (const [value, label] of lines) {
+      const y = chartTop + height - (value / max) * height;
+      doc.polyline([[CHART_LEFT, y], [CHART_LEFT + CHART_WIDTH, y]], { color: COLORS.grid, width: 0.5 });
+      doc.text(CHART_LEFT - 6 - doc.textWidth(label, 7), y + 2.5, label, { size: 7, color: COLORS.muted });
+    }
+  }
+
+  /**
+   * First and last date of the period under a chart
+   * @private
+   */
+  _drawDateAxis(doc, dataset, y) {
+    const { from, to } = dataset.period;
+    doc.text(CHART_LEFT, y, from, { size: 7, color: COLORS.muted });
+    if (to !== from) {
+      doc.text(CHART_LEFT + CHART_WIDTH - doc.textWidth(to, 7), y, to, { size: 7, color: COLORS.muted });
+    }
+  }
+}
+
+ReportExporter.FORMATS = Object.keys(FORMATS);
+ReportExporter.MAX_DAYS = MAX_DAYS;
+
+module.exports = ReportExporter;
@@ -0,0 +1,182 @@
+/**
+ * Request Verifier
+ *
+ * Checks that a request to the webhook, slash command or message action
+ * endpoints came from our Cliq extension. Two checks, each enabled by its
+ * own setting; when both are set, both must pass:
+ *
+ * 1. Static token: x-zoho-verification-token must equal ZOHO_VERIFICATION_TOKEN.
+ * 2. HMAC signature: the sender signs `${timestamp}.${nonce}.${rawBody}` with
+ *    HMAC-SHA256 and WEBHOOK_SIGNING_SECRET, and sends
+ *      X-Cliq-Timestamp: Unix time in seconds
+ *      X-Cliq-Nonce:     random string, unique per request (8-128 chars)
+ *      X-Cliq-Signature: sha256=<hex digest>
+ *    Requests outside the clock-skew window are rejected, and so is a nonce
+ *    seen before within the window - a captured request cannot be replayed.
+ *
+ * Nonces are kept in memory only: after a restart, or across several
+ * instances, a request can be replayed until its timestamp leaves the window.
+ * A nonce is never forgotten before it expires; once MAX_NONCES live nonces
+ * are held, new signed requests are refused (503) until some expire.
+ *
+ * The raw body must be kept by the body parser (req.rawBody, see server.js);
+ * the signature covers the bytes as sent, not the re-serialized JSON.
+ *
+ * Environment Variables:
+ * - ZOHO_VERIFICATION_TOKEN: Static verification token
+ * - WEBHOOK_SIGNING_SECRET: HMAC-SHA256 secret (signature check is off when unset)
+ * - WEBHOOK_MAX_SKEW_SECONDS: Accepted clock difference for X-Cliq-Timestamp (default: 300;
+ *   anything but a positive number falls back to the default)
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Auth');
+
+const DEFAULT_MAX_SKEW_SECONDS = 300;
+
+// Live nonces held at most, bounding memory under a flood
+const MAX_NONCES = 50000;
+
+class RequestVerifier {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.token]
+   * @param {string} [options.signingSecret]
+   * @param {number} [options.maxSkewSeconds]
+   */
+  constructor(options = {}) {
+    this.token = options.token ?? process.env.ZOHO_VERIFICATION_TOKEN;
+    this.signingSecret = options.signingSecret ?? process.env.WEBHOOK_SIGNING_SECRET;
+    this.maxSkewMs = this._parseSkew(options.maxSkewSeconds ?? process.env.WEBHOOK_MAX_SKEW_SECONDS) * 1000;
+
+    // nonce -> time after which it can no longer be replayed (insertion order = age)
+    this.nonces = new Map();
+
+    if (!this.token && !this.signingSecret) {
+      log.warn('No verification token or signing secret configured - accepting all requests (INSECURE)');
+    }
+  }
+
+  /**
+   * Verify a request
+   *
+   * @param {Object} req - Express request, with rawBody kept by the body parser
+   * @returns {Object} { ok: boolean, reason?: string, status?: number } - status is set when it is not 401
+   */
+  verify(req) {
+    if (this.token && !this._safeEqual(req.headers['x-zoho-verification-token'], this.token)) {
+      return { ok: false, reason: 'invalid_token' };
+    }
+
+    if (this.signingSecret) {
+      return this._verifySignature(req);
+    }
+
+    return { ok: true };
+  }
+
+  /**
+   * Express middleware answering 401 for requests that fail verify()
+   * @returns {Function}
+   */
+  middleware() {
+    return (req, res, next) => {
+      const result = this.verify(req);
+      if (!result.ok) {
+        log.warn('Unauthorized request', { path: req.path, reason: result.reason });
+        return res.status(result.status || 401).json({ error: 'Unauthorized' });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Check timestamp, signature and nonce, in that order
+   * The nonce is only remembered once the signature is valid, so forged
+   * requests cannot fill the cache with nonces a real sender might use.
+   * @private
+   */
+  _verifySignature(req) {
+    const timestamp = req.headers['x-cliq-timestamp'];
+    const nonce = req.headers['x-cliq-nonce'];
+    const signature = String(req.headers['x-cliq-signature'] || '').replace(/^sha256=/, '');
+
+    if (!/^\d{1,12}$/.test(timestamp || '') || !/^[\w.-]{8,128}$/.test(nonce || '') || !signature) {
+      return { ok: false, reason: 'missing_signature' };
+    }
+
+    const now = Date.now();
+    if (Math.abs(now - parseInt(timestamp) * 1000) > this.maxSkewMs) {
+      return { ok: false, reason: 'stale_timestamp' };
+    }
+
+    const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const expected = crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${timestamp}.${nonce}.${body}`)
+      .digest('hex');
+    if (!this._safeEqual(signature.toLowerCase(), expected)) {
+      return { ok: false, reason: 'invalid_signature' };
+    }
+
+    this._pruneNonces(now);
+    if (this.nonces.has(nonce)) {
+      return { ok: false, reason: 'replayed_nonce' };
+    }
+    // Forgetting a live nonce would let its request be replayed
+    if (this.nonces.size >= MAX_NONCES) {
+      return { ok: false, reason: 'too_many_nonces', status: 503 };
+    }
+    // A timestamp may be up to maxSkew in the future, so keep the nonce for twice the window
+    this.nonces.set(nonce, now + 2 * this.maxSkewMs);
+
+    return { ok: true };
+  }
+
+  /**
+   * Drop expired nonces
+   * Expiry follows insertion order, so the first live nonce ends the scan.
+   * @private
+   */
+  _pruneNonces(now) {
+    for (const [nonce, expiresAt] of this.nonces) {
+      if (expiresAt > now) break;
+      this.nonces.delete(nonce);
+    }
+  }
+
+  /**
+   * Skew window in seconds; an invalid value would disable the timestamp check
+   * @private
+   */
+  _parseSkew(value) {
+    if (value === undefined || value === '') {
+      return DEFAULT_MAX_SKEW_SECONDS;
+    }
+    const seconds = Number(value);
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      log.warn('Invalid WEBHOOK_MAX_SKEW_SECONDS - using the default', { value, default: DEFAULT_MAX_SKEW_SECONDS });
+      return DEFAULT_MAX_SKEW_SECONDS;
+    }
+    return seconds;
+  }
+
+  /**
+   * Timing-safe string comparison
+   * @private
+   */
+  _safeEqual(actual, expected) {
+    if (typeof actual !== 'string') {
+      return false;
+    }
+    const a = Buffer.from(actual);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+}
+
+RequestVerifier.MAX_NONCES = MAX_NONCES;
+
+module.exports = RequestVerifier;
@@ -0,0 +1,257 @@
+/**
+ * Review Queue
+ *
+ * Holds conversations flagged for HR review via the "🚩 Flag for Review"
+ * card button. Entries keep the analysis snapshot that was on the card
+ * (stress score, sentiment, 100-char excerpt) plus who flagged it and where.
+ *
+ * Flags belong to the organization they were raised in (org_id); reads and
+ * transitions take the caller's orgId, and flags of other organizations are
+ * treated as not found. Flags saved before org_id existed belong to the
+ * default organization.
+ *
+ * Lifecycle: open → claimed → resolved | dismissed
+ * Every transition is appended to the flag's history (audit trail).
+ * The queue is persisted to DATA_DIR/review_queue.json.
+ *
+ * New flags and transitions are also sent as flag.created / flag.updated
+ * webhook events (utils/outbound_webhooks.js), without the excerpt or notes.
+ */
+
+const JsonStore = require('./json_store');
+const OutboundWebhooks = require('./outbound_webhooks');
+const OrgConfigResolver = require('./org_config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Review');
+
+const STATUSES = ['open', 'claimed', 'resolved', 'dismissed'];
+
+class ReviewQueue {
+  constructor(options = {}) {
+    this.store = options.store || new JsonStore('review_queue', { flags: [], nextId: 1 });
+    this.webhooks = options.webhooks || new OutboundWebhooks();
+  }
+
+  /**
+   * Add a flag to the queue
+   *
+   * @param {Object} flag
+   * @param {number} flag.stress_score - Stress score shown on the card
+   * @param {string} flag.sentiment - Sentiment shown on the card
+   * @param {string} flag.message - Message excerpt (max 100 chars)
+   * @param {string} [flag.channel_id] - Channel the message was posted in
+   * @param {string} [flag.flagged_by] - User ID of the person who flagged it
+   * @param {string} [flag.orgId] - Organization the message belongs to
+   * @returns {Object} Stored flag with id, status and created_at
+   */
+  add(flag) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: String(this.store.data.nextId++),
+      org_id: flag.orgId || OrgConfigResolver.DEFAULT_ORG_ID,
+      status: 'open',
+      stress_score: flag.stress_score,
+      sentiment: flag.sentiment,
+      message: flag.message,
+      channel_id: flag.channel_id || null,
+      flagged_by: flag.flagged_by || null,
+      assignee: null,
+      resolution_note: null,
+      created_at: now,
+      updated_at: now,
+      history: [{ action: 'created', by: flag.flagged_by || null, note: null, at: now }],
+    };
+
+    this.store.data.flags.push(entry);
+    this.store.save();
+    log.info('Flag added', { id: entry.id, stressScore: entry.stress_score });
+    this.webhooks.emit('flag.created', { flag: this._summarize(entry), by: entry.flagged_by }, entry.org_id);
+    return entry;
+  }
+
+  /**
+   * Get a flag by ID
+   *
+   * @param {string} id
+   * @param {string} orgId - Flags of other organizations are not visible
+   * @returns {Object|null}
+   */
+  get(id, orgId) {
+    return this.store.data.flags.find(flag => flag.id === String(id) && this._orgOf(flag) === orgId) || null;
+  }
+
+  /**
+   * List flags, newest first
+   *
+   * @param {Object} [filter]
+   * @param {string} [filter.orgId] - Only flags of this organization
+   * @param {string} [filter.status] - Only flags with this status
+   * @returns {Object[]}
+   */
+  list(filter = {}) {
+    return this.store.data.flags
+      .filter(flag => (
+        (!filter.orgId || this._orgOf(flag) === filter.orgId)
+        && (!filter.status || flag.status === filter.status)
+      ))
+      .slice()
+      .reverse();
+  }
+
+  /**
+   * Count flags per status
+   *
+   * @param {string} orgId
+   * @returns {Object} { open, claimed, resolved, dismissed }
+   */
+  counts(orgId) {
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    this.list({ orgId }).forEach(flag => {
+      counts[flag.status] = (counts[flag.status] || 0) + 1;
+    });
+    return counts;
+  }
+
+  /**
+   * Claim an open flag
+   *
+   * @param {string} id - Flag ID
+   * @param {string} orgId - Organization of the reviewer
+   * @param {string} userId - Reviewer claiming the flag
+   * @param {string} [note] - Optional note
+   * @returns {Object} Updated flag
+   */
+  claim(id, orgId, userId, note = null) {
+    const flag = this._getOrThrow(id, orgId);
+
+    if (flag.status === 'claimed' && flag.assignee !== userId) {
+      throw this._error('ALREADY_CLAIMED', `Flag #${flag.id} is already claimed by ${flag.assignee}`, { id: flag.id, assignee: flag.assignee });
+    }
+    if (flag.status !== 'open' && flag.status !== 'claimed') {
+      throw this._error('INVALID_TRANSITION', `Flag #${flag.id} is already ${flag.status}`, { id: flag.id, status: flag.status });
+    }
+
+    flag.assignee = userId;
+    return this._transition(flag, 'claimed', 'claimed', userId, note);
+  }
+
+  /**
+   * Resolve a flag
+   *
+   * @param {string} id - Flag ID
+   * @param {string} orgId - Organization of the reviewer
+   * @param {string} userId - Reviewer resolving the flag
+   * @param {string} note - Resolution note (required)
+   * @returns {Object} Updated flag
+   */
+  resolve(id, orgId, userId, note) {
+    return this._close(id, orgId, 'resolved', userId, note);
+  }
+
+  /**
+   * Dismiss a flag (no action needed)
+   *
+   * @param {string} id - Flag ID
+   * @param {string} orgId - Organization of the reviewer
+   * @param {string} userId - Reviewer dismissing the flag
+   * @param {string} note - Reason (required)
+   * @returns {Object} Updated flag
+   */
+  dismiss(id, orgId, userId, note) {
+    return this._close(id, orgId, 'dismissed', userId, note);
+  }
+
+  /**
+   * Close a flag as resolved or dismissed
+   * @private
+   */
+  _close(id, orgId, status, userId, note) {
+    const flag = this._getOrThrow(id, orgId);
+
+    if (!note || !note.trim()) {
+      throw this._error('NOTE_REQUIRED', `A note is required to mark flag #${flag.id} as ${status}`, { id: flag.id, status });
+    }
+    if (flag.status !== 'open' && flag.status !== 'claimed') {
+      throw this._error('INVALID_TRANSITION', `Flag #${flag.id} is already ${flag.status}`, { id: flag.id, status: flag.status });
+    }
+    if (flag.status === 'claimed' && flag.assignee !== userId) {
+      throw this._error('ALREADY_CLAIMED', `Flag #${flag.id} is claimed by ${flag.assignee}`, { id: flag.id, assignee: flag.assignee });
+    }
+
+    flag.assignee = userId;
+    flag.resolution_note = note.trim();
+    return this._transition(flag, status, status, userId, note.trim());
+  }
+
+  /**
+   * Apply status change and append audit entry
+   * @private
+   */
+  _transition(flag, status, action, userId, note) {
+    const now = new Date().toISOString();
+    flag.status = status;
+    flag.updated_at = now;
+    flag.history.push({ action, by: userId, note: note || null, at: now });
+
+    this.store.save();
+    log.info('Flag updated', { id: flag.id, action, userId });
+    this.webhooks.emit('flag.updated', { flag: this._summarize(flag), action, by: userId }, this._orgOf(flag));
+    return flag;
+  }
+
+  /**
+   * Flag fields sent in webhook events; free text stays in the queue
+   * @private
+   */
+  _summarize(flag) {
+    return {
+      id: flag.id,
+      org_id: this._orgOf(flag),
+      status: flag.status,
+      stress_score: flag.stress_score,
+      sentiment: flag.sentiment,
+      channel_id: flag.channel_id,
+      flagged_by: flag.flagged_by,
+      assignee: flag.assignee,
+      created_at: flag.created_at,
+      updated_at: flag.updated_at,
+    };
+  }
+
+  /**
+   * Organization a flag belongs to
+   * @private
+   */
+  _orgOf(flag) {
+    return flag.org_id || OrgConfigResolver.DEFAULT_ORG_ID;
+  }
+
+  /**
+   * Get flag or throw NOT_FOUND
+   * @private
+   */
+  _getOrThrow(id, orgId) {
+    const flag = this.get(id, orgId);
+    if (!flag) {
+      throw this._error('NOT_FOUND', `Flag #${id} not found`, { id });
+    }
+    return flag;
+  }
+
+  /**
+   * Build error with a machine-readable code
+   * params carry the values commands need to show a translated message.
+   * @private
+   */
+  _error(code, message, params = {}) {
+    const error = new Error(message);
+    error.code = code;
+    error.params = params;
+    return error;
+  }
+}
+
+ReviewQueue.STATUSES = STATUSES;
+
+module.exports = ReviewQueue;
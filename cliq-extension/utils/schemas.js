@@ -0,0 +1,244 @@
+/**
+ * Backend Response Schemas
+ *
+ * Declares what /analyze, /stats/today and /stats/trends are expected to
+ * return. validate() coerces each field to its declared type and range,
+ * substituting a safe default and recording a violation when it can't -
+ * so one missing field degrades a card instead of failing the request.
+ *
+ * A response is rejected with SchemaValidationError only when it is not
+ * usable at all (not an object, or none of the declared fields present).
+ *
+ * Field types: number, integer, string, enum, object, array
+ * Field options: default, min, max, values (enum), maxLength, lowercase,
+ *                items (array item schema), optional (absence is not a violation),
+ *                required (array items without it are dropped)
+ */
+
+const SCHEMAS = {
+  analysis: {
+    fields: {
+      sentiment: { type: 'enum', values: ['positive', 'neutral', 'negative'], lowercase: true, default: 'neutral' },
+      emotion: { type: 'string', lowercase: true, maxLength: 30, default: 'calm' },
+      stress_score: { type: 'number', min: 0, max: 10, default: 0 },
+      category: { type: 'string', lowercase: true, maxLength: 50, default: 'general' },
+      suggested_reply: { type: 'string', maxLength: 2000, default: '' },
+      confidence: { type: 'number', min: 0, max: 1, default: 0.5 },
+      meta: { type: 'object', default: {}, optional: true },
+    },
+  },
+
+  todayStats: {
+    fields: {
+      positive_pct: { type: 'number', min: 0, max: 100, default: 0 },
+      neutral_pct: { type: 'number', min: 0, max: 100, default: 0 },
+      negative_pct: { type: 'number', min: 0, max: 100, default: 0 },
+      avg_stress: { type: 'number', min: 0, max: 10, default: 0 },
+      total_messages: { type: 'integer', min: 0, default: 0, optional: true },
+      // Used for the minimum group size when present (see utils/stats_service.js)
+      distinct_authors: { type: 'integer', min: 0, optional: true },
+      trend: { type: 'enum', values: ['up', 'down', 'stable'], default: 'stable', optional: true },
+      top_issues: {
+        type: 'array',
+        default: [],
+        optional: true,
+        items: {
+          fields: {
+            category: { type: 'string', maxLength: 100, default: 'Unknown' },
+            count: { type: 'integer', min: 0, default: 0 },
+            authors: { type: 'integer', min: 0, optional: true },
+          },
+        },
+      },
+    },
+  },
+
+  trendPoint: {
+    fields: {
+      date: { type: 'string', maxLength: 10, required: true },
+      positive_pct: { type: 'number', min: 0, max: 100, default: 0 },
+      neutral_pct: { type: 'number', min: 0, max: 100, default: 0 },
+      negative_pct: { type: 'number', min: 0, max: 100, default: 0 },
+      avg_stress: { type: 'number', min: 0, max: 10, default: 0 },
+      total_messages: { type: 'integer', min: 0, default: 0, optional: true },
+      distinct_authors: { type: 'integer', min: 0, optional: true },
+    },
+  },
+};
+
+/**
+ * Raised when a response cannot be coerced into its schema
+ */
+class SchemaValidationError extends Error {
+  constructor(schema, violations) {
+    super(`Response does not match ${schema} schema: ${violations.map(v => `${v.path} ${v.problem}`).join('; ')}`);
+    this.name = 'SchemaValidationError';
+    this.code = 'SCHEMA_VIOLATION';
+    this.schema = schema;
+    this.violations = violations;
+  }
+}
+
+/**
+ * Coerce one value to a field definition
+ * @private
+ * @returns {{ value: *, problem: string|null }}
+ */
+function coerceField(field, value) {
+  if (value === undefined || value === null) {
+    return { value: field.default, problem: 'missing' };
+  }
+
+  switch (field.type) {
+    case 'number':
+    case 'integer': {
+      let num = typeof value === 'number' ? value : parseFloat(value);
+      if (!Number.isFinite(num)) {
+        return { value: field.default, problem: `expected ${field.type}, got ${typeof value}` };
+      }
+      if (field.type === 'integer') num = Math.round(num);
+
+      const clamped = Math.max(field.min ?? -Infinity, Math.min(field.max ?? Infinity, num));
+      if (clamped !== num) {
+        return { value: clamped, problem: `out of range (${num})` };
+      }
+      return { value: num, problem: typeof value === 'number' ? null : `expected ${field.type}, got string` };
+    }
+
+    case 'string':
+    case 'enum': {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return { value: field.default, problem: `expected string, got ${Array.isArray(value) ? 'array' : typeof value}` };
+      }
+      let str = String(value);
+      if (field.lowercase) str = str.toLowerCase();
+      if (field.maxLength) str = str.substring(0, field.maxLength);
+
+      if (field.type === 'enum' && !field.values.includes(str)) {
+        return { value: field.default, problem: `expected one of ${field.values.join('|')}, got "${String(value).substring(0, 20)}"` };
+      }
+      return { value: str, problem: null };
+    }
+
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value)
+        ? { value, problem: null }
+        : { value: field.default, problem: 'expected object' };
+
+    case 'array':
+      return Array.isArray(value)
+        ? { value, problem: null }
+        : { value: field.default, problem: 'expected array' };
+
+    default:
+      return { value, problem: null };
+  }
+}
+
+/**
+ * Validate and coerce an object against a schema definition
+ * @private
+ */
+function validateObject(schema, data, path, violations) {
+  const result = { ...data };
+  let present = 0;
+
+  for (const [name, field] of Object.entries(schema.fields)) {
+    const fieldPath = path ? `${path}.${name}` : name;
+    if (data[name] !== undefined && data[name] !== null) present++;
+
+    const { value, problem } = coerceField(field, data[name]);
+    // Absent optional fields are not contract drift
+    if (problem && !(problem === 'missing' && field.optional)) {
+      violations.push({ path: fieldPath, problem });
+    }
+
+    if (field.type === 'array' && field.items) {
+      result[name] = validateArray(field.items, value, fieldPath, violations);
+    } else if (field.type === 'object' && value === field.default) {
+      result[name] = { ...field.default };
+    } else if (field.type === 'array' && value === field.default) {
+      result[name] = [...field.default];
+    } else {
+      result[name] = value;
+    }
+  }
+
+  return { value: result, present };
+}
+
+/**
+ * Validate array items, dropping items that miss a required field
+ * @private
+ */
+function validateArray(itemSchema, items, path, violations) {
+  const output = [];
+
+  items.forEach((item, i) => {
+    const itemPath = `${path}[${i}]`;
+    if (!item || typeof item !== 'object') {
+      violations.push({ path: itemPath, problem: 'expected object - dropped' });
+      return;
+    }
+
+    const missingRequired = Object.entries(itemSchema.fields)
+      .find(([name, field]) => field.required && coerceField(field, item[name]).problem);
+    if (missingRequired) {
+      violations.push({ path: `${itemPath}.${missingRequired[0]}`, problem: 'missing required field - item dropped' });
+      return;
+    }
+
+    output.push(validateObject(itemSchema, item, itemPath, violations).value);
+  });
+
+  return output;
+}
+
+/**
+ * Validate a response against a named schema
+ *
+ * @param {string} schemaName - 'analysis' | 'todayStats' | 'trends'
+ * @param {*} data - Parsed response body
+ * @returns {{ value: Object, violations: Array<{ path: string, problem: string }> }}
+ * @throws {SchemaValidationError} If the response is unusable
+ */
+function validate(schemaName, data) {
+  const violations = [];
+
+  // Trends arrive as { days: [...] }, { trends: [...] } or a bare array
+  if (schemaName === 'trends') {
+    let points = null;
+    let rest = {};
+    if (Array.isArray(data)) {
+      points = data;
+    } else if (data && typeof data === 'object') {
+      const { days, trends, ...others } = data;
+      points = Array.isArray(days) ? days : Array.isArray(trends) ? trends : null;
+      rest = others;
+    }
+    if (!points) {
+      throw new SchemaValidationError(schemaName, [{ path: '(response)', problem: 'expected array of trend points' }]);
+    }
+
+    const series = validateArray(SCHEMAS.trendPoint, points, 'days', violations)
+      .sort((a, b) => a.date.localeCompare(b.date));
+    return { value: { ...rest, days: series }, violations };
+  }
+
+  const schema = SCHEMAS[schemaName];
+  if (!schema) {
+    throw new Error(`Unknown schema: ${schemaName}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new SchemaValidationError(schemaName, [{ path: '(response)', problem: `expected object, got ${Array.isArray(data) ? 'array' : typeof data}` }]);
+  }
+
+  const { value, present } = validateObject(schema, data, '', violations);
+  if (present === 0) {
+    throw new SchemaValidationError(schemaName, [{ path: '(response)', problem: 'none of the expected fields present' }]);
+  }
+
+  return { value, violations };
+}
+
+module.exports = { validate, SchemaValidationError, SCHEMAS };
@@ -0,0 +1,360 @@
+/**
+ * Mood Stats Service
+ *
+ * Single entry point for today/trend stats used by /team-mood, the refresh
+ * button and the dashboard widget. Stats come from the backend, or are
+ * computed from the local analysis store (utils/analysis_store.js):
+ *
+ * - STATS_SOURCE=backend (default): backend first, local store if the backend fails
+ * - STATS_SOURCE=local: local store only, the backend is never asked
+ *
+ * Locally computed stats carry source: 'local'. Days are UTC.
+ *
+ * Minimum group size: every result leaving this service is anonymized, so
+ * no caller can show stats that identify individuals. A group is one
+ * channel (or the whole org) on one day, and its size is its number of
+ * distinct authors - the backend's distinct_authors when it reports them,
+ * otherwise counted from the local store (anonymous users don't count):
+ * - Today's stats below MIN_GROUP_SIZE come back as { suppressed: true, min_group_size }
+ *   with every figure zeroed.
+ * - Trend days below it are left out (suppressed_days and suppressed_dates say
+ *   how many and which).
+ * - In a channel breakdown, small channels are merged into one "other" row,
+ *   itself dropped if still too small.
+ * - Top issues need MIN_ISSUE_AUTHORS distinct authors each.
+ *
+ * Environment Variables:
+ * - STATS_SOURCE: backend | local (default: backend)
+ * - MIN_GROUP_SIZE: Distinct authors needed before a group's stats are shown (default: 5, 1 = off)
+ * - MIN_ISSUE_AUTHORS: Distinct authors needed before a top issue is shown (default: 3, 1 = off)
+ */
+
+const OrgConfigResolver = require('./org_config');
+const AnalysisStore = require('./analysis_store');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Stats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Change in average stress (points) that counts as improving/declining
+const TREND_THRESHOLD = 0.5;
+
+class StatsService {
+  constructor(options = {}) {
+    this.orgConfig = options.orgConfig || new OrgConfigResolver();
+    this.analysisStore = options.analysisStore || new AnalysisStore();
+    this.source = process.env.STATS_SOURCE === 'local' ? 'local' : 'backend';
+    this.minGroupSize = Math.max(1, parseInt(process.env.MIN_GROUP_SIZE || '5') || 5);
+    this.minIssueAuthors = Math.max(1, parseInt(process.env.MIN_ISSUE_AUTHORS || '3') || 3);
+  }
+
+  /**
+   * Today's mood stats, anonymized
+   *
+   * @param {Object} config - Organization config (see utils/org_config.js)
+   * @param {string} [channelId]
+   * @returns {Promise<Object>} { positive_pct, neutral_pct, negative_pct, avg_stress, total_messages, trend, top_issues, source?, suppressed? }
+   */
+  async getTodayStats(config, channelId = null) {
+    const stats = await this._fetchToday(config, channelId);
+    return this._anonymizeToday(stats, this._todayAuthors(config.orgId, channelId));
+  }
+
+  /**
+   * Daily trend series, without days below the minimum group size
+   *
+   * @param {Object} config - Organization config
+   * @param {number} days
+   * @param {string} [channelId]
+   * @returns {Promise<Object>} { days: [...], suppressed_days, suppressed_dates, min_group_size, source? }
+   */
+  async getTrends(config, days, channelId = null) {
+    const trends = await this._withFallback(
+      () => this.orgConfig.getAPIClient(config).getTrends(days, channelId),
+      () => this.computeTrends(config.orgId, days, channelId),
+      'trends'
+    );
+
+    const points = Array.isArray(trends.days) ? trends.days : [];
+    const shown = points.filter(point => {
+      const dayStart = new Date(`${point.date}T00:00:00Z`);
+      const authors = isNaN(dayStart)
+        ? 0
+        : point.distinct_authors ?? this.analysisStore.authors(config.orgId, dayStart, new Date(dayStart.getTime() + DAY_MS), channelId).users.size;
+      return authors >= this.minGroupSize;
+    });
+
+    const suppressedDates = points.filter(point => !shown.includes(point)).map(point => String(point.date).substring(0, 10));
+    return {
+      ...trends,
+      days: shown,
+      suppressed_days: suppressedDates.length,
+      suppressed_dates: suppressedDates,
+      min_group_size: this.minGroupSize,
+    };
+  }
+
+  /**
+   * Today's stats for several channels, small channels merged into "other"
+   *
+   * @param {Object} config - Organization config
+   * @param {string[]} channelIds
+   * @returns {Promise<Object[]>} Anonymized stats with channel (null for the merged row) and
+   *   channels (the merged channel IDs); channels whose stats fail are left out
+   */
+  async getChannelBreakdown(config, channelIds) {
+    const results = await Promise.allSettled(channelIds.map(channelId => this._fetchToday(config, channelId)));
+
+    const rows = [];
+    const small = [];
+    results.forEach((result, i) => {
+      if (result.status !== 'fulfilled' || !(result.value.total_messages > 0)) return;
+
+      const channelId = channelIds[i];
+      const authors = this._todayAuthors(config.orgId, channelId);
+      const size = result.value.distinct_authors ?? authors.users.size;
+      if (size >= this.minGroupSize) {
+        rows.push({ channel: channelId, channels: [channelId], ...this._anonymizeToday(result.value, authors) });
+      } else {
+        small.push({ channelId, stats: result.value });
+      }
+    });
+
+    if (small.length > 0) {
+      const merged = this._mergeStats(small.map(entry => entry.stats));
+      const mergedIds = small.map(entry => entry.channelId);
+      const stats = this._anonymizeToday(merged, this._todayAuthors(config.orgId, mergedIds));
+      if (!stats.suppressed) {
+        rows.push({ channel: null, channels: mergedIds, ...stats });
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Channels with locally recorded analyses
+   *
+   * @param {Object} config - Organization config
+   * @returns {string[]}
+   */
+  listChannels(config) {
+    return this.analysisStore.listChannels(config.orgId);
+  }
+
+  /**
+   * Compute today's stats from the local store
+   *
+   * @param {string} orgId
+   * @param {string} [channelId]
+   * @returns {Object}
+   */
+  computeToday(orgId, channelId = null) {
+    const todayStart = this._startOfDay(new Date());
+    const today = this._aggregate(this.analysisStore.query(orgId, todayStart, new Date(todayStart.getTime() + DAY_MS), channelId));
+    const yesterday = this._aggregate(this.analysisStore.query(orgId, new Date(todayStart.getTime() - DAY_MS), todayStart, channelId));
+
+    let trend = 'stable';
+    if (today.total_messages > 0 && yesterday.total_messages > 0) {
+      const change = today.avg_stress - yesterday.avg_stress;
+      // Lower stress than yesterday = improving
+      trend = change <= -TREND_THRESHOLD ? 'up' : change >= TREND_THRESHOLD ? 'down' : 'stable';
+    }
+
+    const topIssues = Object.entries(today.categories)
+      .filter(([category]) => category !== 'general')
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([category, count]) => ({ category, count }));
+
+    return {
+      positive_pct: today.positive_pct,
+      neutral_pct: today.neutral_pct,
+      negative_pct: today.negative_pct,
+      avg_stress: today.avg_stress,
+      total_messages: today.total_messages,
+      trend,
+      top_issues: topIssues,
+      source: 'local',
+    };
+  }
+
+  /**
+   * Compute a daily series from the local store (days without messages are omitted)
+   *
+   * @param {string} orgId
+   * @param {number} days
+   * @param {string} [channelId]
+   * @returns {Object} { days: [...], source: 'local' }
+   */
+  computeTrends(orgId, days, channelId = null) {
+    const todayStart = this._startOfDay(new Date());
+    const series = [];
+
+    for (let i = days - 1; i >= 0; i--) {
+      const dayStart = new Date(todayStart.getTime() - i * DAY_MS);
+      const day = this._aggregate(this.analysisStore.query(orgId, dayStart, new Date(dayStart.getTime() + DAY_MS), channelId));
+      if (day.total_messages === 0) continue;
+
+      series.push({
+        date: dayStart.toISOString().substring(0, 10),
+        positive_pct: day.positive_pct,
+        neutral_pct: day.neutral_pct,
+        negative_pct: day.negative_pct,
+        avg_stress: day.avg_stress,
+        total_messages: day.total_messages,
+      });
+    }
+
+    return { days: series, source: 'local' };
+  }
+
+  /**
+   * Today's stats before anonymization
+   * @private
+   */
+  _fetchToday(config, channelId) {
+    return this._withFallback(
+      () => this.orgConfig.getAPIClient(config).getTodayStats(channelId),
+      () => this.computeToday(config.orgId, channelId),
+      'today'
+    );
+  }
+
+  /**
+   * Distinct authors today for one channel, several, or the whole org
+   * @private
+   */
+  _todayAuthors(orgId, channelIds) {
+    const todayStart = this._startOfDay(new Date());
+    return this.analysisStore.authors(orgId, todayStart, new Date(todayStart.getTime() + DAY_MS), channelIds);
+  }
+
+  /**
+   * Suppress a group below the minimum size; drop top issues with too few authors
+   * @private
+   */
+  _anonymizeToday(stats, authors) {
+    const size = stats.distinct_authors ?? authors.users.size;
+    const { distinct_authors, ...rest } = stats;
+
+    if (size < this.minGroupSize) {
+      return {
+        positive_pct: 0,
+        neutral_pct: 0,
+        negative_pct: 0,
+        avg_stress: 0,
+        total_messages: 0,
+        trend: 'stable',
+        top_issues: [],
+        ...(stats.source ? { source: stats.source } : {}),
+        suppressed: true,
+        min_group_size: this.minGroupSize,
+      };
+    }
+
+    const topIssues = Array.isArray(stats.top_issues) ? stats.top_issues : [];
+    return {
+      ...rest,
+      top_issues: topIssues.filter(issue => (
+        (issue.authors ?? authors.byCategory[issue.category]?.size ?? 0) >= this.minIssueAuthors
+      )),
+    };
+  }
+
+  /**
+   * Combine today's stats of several groups, weighted by message count
+   * Top issues are summed per category; the trend is left stable.
+   * @private
+   */
+  _mergeStats(statsList) {
+    const total = statsList.reduce((sum, stats) => sum + stats.total_messages, 0);
+    const average = field => Math.round(statsList.reduce((sum, stats) => sum + stats[field] * stats.total_messages, 0) / total * 10) / 10;
+
+    const issues = {};
+    for (const stats of statsList) {
+      for (const issue of stats.top_issues || []) {
+        issues[issue.category] = (issues[issue.category] || 0) + issue.count;
+      }
+    }
+
+    return {
+      positive_pct: average('positive_pct'),
+      neutral_pct: average('neutral_pct'),
+      negative_pct: average('negative_pct'),
+      avg_stress: average('avg_stress'),
+      total_messages: total,
+      trend: 'stable',
+      top_issues: Object.entries(issues)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([category, count]) => ({ category, count })),
+      ...(statsList.every(stats => stats.source === 'local') ? { source: 'local' } : {}),
+    };
+  }
+
+  /**
+   * Try the primary source, falling back to the local store
+   * A local fallback with no data rethrows the backend error instead.
+   * @private
+   */
+  async _withFallback(fromBackend, fromLocal, label) {
+    if (this.source === 'local') {
+      return fromLocal();
+    }
+
+    try {
+      return await fromBackend();
+    } catch (error) {
+      const local = fromLocal();
+      const hasData = label === 'today' ? local.total_messages > 0 : local.days.length > 0;
+      if (!hasData) {
+        throw error;
+      }
+
+      log.warn('Backend stats failed - using local store', { stats: label, error: error.message });
+      return local;
+    }
+  }
+
+  /**
+   * Sum buckets into percentages and averages
+   * @private
+   */
+  _aggregate(entries) {
+    const totals = { count: 0, positive: 0, neutral: 0, negative: 0, stressSum: 0, categories: {} };
+
+    for (const { bucket } of entries) {
+      totals.count += bucket.count;
+      totals.positive += bucket.sentiment.positive;
+      totals.neutral += bucket.sentiment.neutral;
+      totals.negative += bucket.sentiment.negative;
+      totals.stressSum += bucket.stressSum;
+      for (const [category, count] of Object.entries(bucket.categories)) {
+        totals.categories[category] = (totals.categories[category] || 0) + count;
+      }
+    }
+
+    const pct = n => (totals.count > 0 ? Math.round((n / totals.count) * 1000) / 10 : 0);
+
+    return {
+      total_messages: totals.count,
+      positive_pct: pct(totals.positive),
+      neutral_pct: pct(totals.neutral),
+      negative_pct: pct(totals.negative),
+      avg_stress: totals.count > 0 ? Math.round((totals.stressSum / totals.count) * 10) / 10 : 0,
+      categories: totals.categories,
+    };
+  }
+
+  /**
+   * Midnight UTC of a date
+   * @private
+   */
+  _startOfDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+}
+
+module.exports = StatsService;
@@ -0,0 +1,339 @@
+/**
+ * Sustained Stress Tracker
+ *
+ * Keeps recent stress scores per user and per channel and decides when the
+ * admin channel should hear about them. Rules (STRESS_ALERT_RULES):
+ *
+ * - burst:  STRESS_BURST_COUNT messages at or above the stress threshold
+ *           within STRESS_BURST_WINDOW_MINUTES
+ * - rise:   average stress over the last STRESS_RISE_DAYS days is more than
+ *           STRESS_RISE_POINTS above the STRESS_RISE_DAYS days before
+ * - single: any one message at or above the threshold (the original trigger)
+ *
+ * Each subject + rule pair has a cooldown so a bad afternoon produces one
+ * alert, not twenty. A channel alert whose messages all come from the user
+ * who just triggered the same rule is dropped as a duplicate.
+ *
+ * Anonymous users are tracked in their channel only. Persisted to the
+ * SQLite database DATA_DIR/stress_tracker.db (scores and timestamps, never
+ * text); each message is one small transaction rather than a rewrite of
+ * every subject's history. Each subject keeps at most MAX_SAMPLES_PER_SUBJECT
+ * samples, so one very busy channel cannot crowd out the others.
+ *
+ * Environment Variables:
+ * - STRESS_ALERT_RULES: Comma-separated rules (default: burst,rise)
+ * - STRESS_BURST_COUNT: High-stress messages that make a burst (default: 5)
+ * - STRESS_BURST_WINDOW_MINUTES: Burst window (default: 60)
+ * - STRESS_RISE_DAYS: Length of each compared window in days (default: 3)
+ * - STRESS_RISE_POINTS: Increase in average stress that alerts (default: 2)
+ * - STRESS_RISE_MIN_MESSAGES: Messages needed in each window (default: 5)
+ * - STRESS_ALERT_COOLDOWN_MINUTES: Quiet period per user/channel and rule (default: 240)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const JsonStore = require('./json_store');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Stress');
+
+const RULES = ['single', 'burst', 'rise'];
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Per user or channel; the oldest samples of a very busy channel go first
+const MAX_SAMPLES_PER_SUBJECT = 2000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS stress_samples (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    org_id TEXT NOT NULL,
+    scope TEXT NOT NULL,
+    subject_id TEXT NOT NULL,
+    at INTEGER NOT NULL,
+    score REAL NOT NULL,
+    user_id TEXT
+  );
+  CREATE INDEX IF NOT EXISTS stress_samples_subject ON stress_samples (org_id, scope, subject_id, at);
+  CREATE INDEX IF NOT EXISTS stress_samples_at ON stress_samples (at);
+  CREATE INDEX IF NOT EXISTS stress_samples_user ON stress_samples (user_id);
+
+  CREATE TABLE IF NOT EXISTS stress_alerts (
+    org_id TEXT NOT NULL,
+    scope TEXT NOT NULL,
+    subject_id TEXT NOT NULL,
+    rule TEXT NOT NULL,
+    sent_at INTEGER NOT NULL,
+    PRIMARY KEY (org_id, scope, subject_id, rule)
+  );
+`;
+
+function numberEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+class StressTracker {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filename] - Database file, or ':memory:' (default: DATA_DIR/stress_tracker.db)
+   */
+  constructor(options = {}) {
+    const dataDir = process.env.DATA_DIR || JsonStore.DEFAULT_DATA_DIR;
+    const filename = options.filename || path.join(dataDir, 'stress_tracker.db');
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    // Another instance may be writing to the same file
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(SCHEMA);
+    this._prepare();
+
+    const rules = (process.env.STRESS_ALERT_RULES || 'burst,rise')
+      .split(',')
+      .map(rule => rule.trim().toLowerCase())
+      .filter(rule => RULES.includes(rule));
+    this.rules = new Set(rules);
+
+    this.burstCount = Math.round(numberEnv('STRESS_BURST_COUNT', 5));
+    this.burstWindowMs = numberEnv('STRESS_BURST_WINDOW_MINUTES', 60) * MINUTE_MS;
+    this.riseWindowMs = numberEnv('STRESS_RISE_DAYS', 3) * DAY_MS;
+    this.risePoints = numberEnv('STRESS_RISE_POINTS', 2);
+    this.riseMinMessages = Math.round(numberEnv('STRESS_RISE_MIN_MESSAGES', 5));
+    this.cooldownMs = numberEnv('STRESS_ALERT_COOLDOWN_MINUTES', 240) * MINUTE_MS;
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Record a message's stress score and evaluate the rules
+   *
+   * @param {Object} entry
+   * @param {string} entry.orgId
+   * @param {string} [entry.userId] - Omit for anonymous users
+   * @param {string} [entry.channelId] - Omit for direct conversations
+   * @param {number} entry.stressScore
+   * @param {number} entry.threshold - Score that counts as high stress
+   * @param {Date} [entry.at]
+   * @returns {Array<{ rule: string, scope: string, subjectId: string, summary: string, params: Object }>} Alerts to send
+   *   (summary is English, for logs and webhooks; params fill the translated alert.rule.* strings)
+   */
+  observe({ orgId, userId, channelId, stressScore, threshold, at = new Date() }) {
+    const now = at.getTime();
+    const score = Math.round((stressScore || 0) * 10) / 10;
+
+    try {
+      const alerts = this.db.transaction(() => this._observe(orgId, userId, channelId, score, threshold, now))();
+
+      if (now - this.lastPrunedAt > 60 * MINUTE_MS) {
+        this._prune(now);
+        this.lastPrunedAt = now;
+      }
+      return alerts;
+    } catch (error) {
+      log.error('Failed to record stress sample', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Number of stress samples kept under a user's ID
+   *
+   * @param {string} userId
+   * @returns {number}
+   */
+  countForUser(userId) {
+    return this.db.prepare("SELECT COUNT(*) AS count FROM stress_samples WHERE scope = 'user' AND subject_id = ?").get(userId).count;
+  }
+
+  /**
+   * Remove a user's samples and alert history
+   * Channel samples keep the score but lose the user ID.
+   *
+   * @param {string} userId
+   */
+  forgetUser(userId) {
+    this.db.transaction(() => {
+      this.db.prepare("DELETE FROM stress_samples WHERE scope = 'user' AND subject_id = ?").run(userId);
+      this.db.prepare('UPDATE stress_samples SET user_id = NULL WHERE user_id = ?').run(userId);
+      this.db.prepare("DELETE FROM stress_alerts WHERE scope = 'user' AND subject_id = ?").run(userId);
+    })();
+  }
+
+  /**
+   * Close the database (call before exit)
+   * Writes are not batched, so there is nothing else to flush.
+   */
+  close() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+
+  /**
+   * Prepare the statements used for every message
+   * @private
+   */
+  _prepare() {
+    const subject = 'org_id = @orgId AND scope = @scope AND subject_id = @subjectId';
+    this.statements = {
+      insert: this.db.prepare(`
+        INSERT INTO stress_samples (org_id, scope, subject_id, at, score, user_id)
+        VALUES (@orgId, @scope, @subjectId, @at, @score, @userId)
+      `),
+      // Keeps the newest MAX_SAMPLES_PER_SUBJECT rows of one subject
+      cap: this.db.prepare(`
+        DELETE FROM stress_samples WHERE ${subject} AND id <= (
+          SELECT id FROM stress_samples WHERE ${subject} ORDER BY id DESC LIMIT 1 OFFSET ${MAX_SAMPLES_PER_SUBJECT}
+        )
+      `),
+      samples: this.db.prepare(`SELECT at, score, user_id FROM stress_samples WHERE ${subject} AND at > @since ORDER BY at`),
+      lastAlert: this.db.prepare(`SELECT sent_at FROM stress_alerts WHERE ${subject} AND rule = @rule`),
+      alert: this.db.prepare(`
+        INSERT INTO stress_alerts (org_id, scope, subject_id, rule, sent_at)
+        VALUES (@orgId, @scope, @subjectId, @rule, @sentAt)
+        ON CONFLICT (org_id, scope, subject_id, rule) DO UPDATE SET sent_at = excluded.sent_at
+      `),
+    };
+  }
+
+  /**
+   * Record the samples and evaluate the rules, inside observe()'s transaction
+   * @private
+   */
+  _observe(orgId, userId, channelId, score, threshold, now) {
+    const alerts = [];
+    const user = userId ? { orgId, scope: 'user', subjectId: String(userId) } : null;
+    const channel = channelId ? { orgId, scope: 'channel', subjectId: String(channelId) } : null;
+
+    if (user) this._addSample(user, now, score, null);
+    if (channel) this._addSample(channel, now, score, userId || null);
+
+    // Rules the user triggered, even if their alert is cooling down
+    const userRules = new Set();
+    if (user) {
+      for (const alert of this._evaluate(this._samples(user, now), score, threshold, now)) {
+        userRules.add(alert.rule);
+        if (this._takeCooldown(user, alert.rule, now)) {
+          alerts.push({ ...alert, scope: 'user', subjectId: userId });
+        }
+      }
+    }
+
+    if (channel) {
+      for (const alert of this._evaluate(this._samples(channel, now), score, threshold, now, userRules, userId)) {
+        if (this._takeCooldown(channel, alert.rule, now)) {
+          alerts.push({ ...alert, scope: 'channel', subjectId: channelId });
+        }
+      }
+    }
+    return alerts;
+  }
+
+  /**
+   * Run enabled rules on one subject's samples ([time, score, author] tuples)
+   * @private
+   */
+  _evaluate(samples, score, threshold, now, userRules = new Set(), userId = null) {
+    const triggered = [];
+
+    if (this.rules.has('single') && score >= threshold) {
+      triggered.push({ rule: 'single', summary: `Single message at ${score}/10 (threshold ${threshold})`, params: { score, threshold } });
+    }
+
+    if (this.rules.has('burst') && score >= threshold) {
+      const high = samples.filter(([t, s]) => t > now - this.burstWindowMs && s >= threshold);
+      // A channel burst that is one user's burst is already reported for that user
+      const onlyThisUser = userId && high.every(sample => sample[2] === userId);
+      if (high.length >= this.burstCount && !(userRules.has('burst') && onlyThisUser)) {
+        triggered.push({
+          rule: 'burst',
+          summary: `${high.length} messages at ${threshold}+/10 within ${Math.round(this.burstWindowMs / MINUTE_MS)} minutes`,
+          params: { count: high.length, threshold, minutes: Math.round(this.burstWindowMs / MINUTE_MS) },
+        });
+      }
+    }
+
+    if (this.rules.has('rise')) {
+      const current = samples.filter(([t]) => t > now - this.riseWindowMs);
+      const previous = samples.filter(([t]) => t <= now - this.riseWindowMs && t > now - 2 * this.riseWindowMs);
+      if (current.length >= this.riseMinMessages && previous.length >= this.riseMinMessages) {
+        const average = list => list.reduce((sum, [, s]) => sum + s, 0) / list.length;
+        const before = average(previous);
+        const after = average(current);
+        const onlyThisUser = userId && current.every(sample => sample[2] === userId);
+        if (after - before > this.risePoints && !(userRules.has('rise') && onlyThisUser)) {
+          const days = Math.round(this.riseWindowMs / DAY_MS);
+          triggered.push({
+            rule: 'rise',
+            summary: `Average stress rose from ${before.toFixed(1)} to ${after.toFixed(1)} (last ${days} days vs the ${days} before)`,
+            params: { before: before.toFixed(1), after: after.toFixed(1), count: days },
+          });
+        }
+      }
+    }
+
+    return triggered;
+  }
+
+  /**
+   * Start a cooldown unless one is running
+   * @private
+   * @returns {boolean} True if the alert may be sent
+   */
+  _takeCooldown(subject, rule, now) {
+    const last = this.statements.lastAlert.get({ ...subject, rule });
+    if (last && now - last.sent_at < this.cooldownMs) {
+      return false;
+    }
+    this.statements.alert.run({ ...subject, rule, sentAt: now });
+    return true;
+  }
+
+  /**
+   * Append a sample, dropping the subject's oldest beyond MAX_SAMPLES_PER_SUBJECT
+   * @private
+   */
+  _addSample(subject, at, score, userId) {
+    this.statements.insert.run({ ...subject, at, score, userId });
+    this.statements.cap.run(subject);
+  }
+
+  /**
+   * A subject's samples that some rule can still use
+   * @private
+   */
+  _samples(subject, now) {
+    return this.statements.samples
+      .all({ ...subject, since: now - this._horizonMs() })
+      .map(row => [row.at, row.score, row.user_id]);
+  }
+
+  /**
+   * Drop samples no rule can use anymore and expired cooldowns
+   * @private
+   */
+  _prune(now) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM stress_samples WHERE at <= ?').run(now - this._horizonMs());
+      this.db.prepare('DELETE FROM stress_alerts WHERE sent_at <= ?').run(now - this.cooldownMs);
+    })();
+  }
+
+  /**
+   * How far back the enabled windows reach
+   * @private
+   */
+  _horizonMs() {
+    return Math.max(2 * this.riseWindowMs, this.burstWindowMs);
+  }
+}
+
+StressTracker.RULES = RULES;
+StressTracker.MAX_SAMPLES_PER_SUBJECT = MAX_SAMPLES_PER_SUBJECT;
+
+module.exports = StressTracker;
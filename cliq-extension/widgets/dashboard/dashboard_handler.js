@@ -0,0 +1,349 @@
+/**
+ * Team Sentiment Dashboard Widget
+ *
+ * Serves the sidebar widget declared in manifest.json (400x600) and the JSON
+ * data endpoint it polls. The page itself is static; all data is fetched
+ * client-side from /widgets/dashboard/data so nothing user-controlled is
+ * ever templated into HTML.
+ *
+ * Routes (mounted under /widgets/dashboard):
+ * - GET /         - Dashboard HTML
+ * - GET /data     - Aggregated stats: ?channel=<id>&days=<7|14|30>, Authorization: Bearer <token>
+ * - GET /export   - Report download: ?format=<csv|json|pdf>&from=<date>&to=<date>&channels=<id,id>
+ *                   (or &days=<n> for a range ending today), token as Bearer header or ?token=
+ * - GET /assets/* - Client script and styles
+ *
+ * Stats come from utils/stats_service.js (backend, or the local analysis store).
+ *
+ * /data requires a dashboard token (utils/dashboard_auth.js), which the
+ * page reads from its ?token= link. The token's organization is used, never
+ * a query parameter, and each channel is checked against the viewer's role.
+ * HR and admins also get a per-channel breakdown of the org-wide view.
+ * Stats arrive anonymized (minimum group size, see utils/stats_service.js).
+ *
+ * /export is opened as a plain link from /team-mood export cards, which
+ * cannot send headers, so it also takes the token from the query string.
+ * Every requested channel is checked like /data before anything is built
+ * (utils/report_exporter.js).
+ *
+ * Environment Variables:
+ * - BACKEND_API_URL: FastAPI backend URL (fallback for the org's backend_api_url)
+ * - STATS_SOURCE: backend | local (default: backend)
+ */
+
+const path = require('path');
+const express = require('express');
+const OrgConfigResolver = require('../../utils/org_config');
+const StatsService = require('../../utils/stats_service');
+const DashboardAuth = require('../../utils/dashboard_auth');
+const ReportExporter = require('../../utils/report_exporter');
+const { createLogger } = require('../../utils/logger');
+
+const log = createLogger('Widget');
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const ALLOWED_DAYS = [7, 14, 30];
+const MAX_BREAKDOWN_CHANNELS = 10;
+const MAX_EXPORT_CHANNELS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DashboardWidgetHandler {
+  constructor(options = {}) {
+    this.orgConfig = options.orgConfig || new OrgConfigResolver();
+    this.statsService = options.statsService || new StatsService({ orgConfig: this.orgConfig });
+    this.dashboardAuth = options.dashboardAuth || new DashboardAuth();
+    this.reportExporter = options.reportExporter || new ReportExporter({ orgConfig: this.orgConfig, statsService: this.statsService });
+  }
+
+  /**
+   * Serve dashboard page
+   * Express middleware: (req, res) => {}
+   */
+  handlePage(req, res) {
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+  }
+
+  /**
+   * Serve dashboard data
+   * Fetches today's stats and trends in parallel; a failure in one
+   * still returns the other so the widget can render partially.
+   */
+  async handleData(req, res) {
+    try {
+      const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+      const viewer = this.dashboardAuth.authenticate(token);
+      if (!viewer) {
+        res.set('Cache-Control', 'no-store');
+        return res.status(401).json({ error: 'Open the dashboard from /team-mood in Cliq to sign in' });
+      }
+
+      // Restricted viewers default to their first channel instead of the org-wide view
+      const requested = this._parseChannel(req.query.channel);
+      const channelId = requested === null && viewer.channels !== null ? viewer.channels[0] || null : requested;
+      if (!this.dashboardAuth.canView(viewer, channelId)) {
+        log.warn('Dashboard access denied', { userId: viewer.userId, role: viewer.role, channelId });
+        res.set('Cache-Control', 'no-store');
+        return res.status(403).json({ error: 'You do not have access to this channel' });
+      }
+
+      const days = this._parseDays(req.query.days);
+      const config = this.orgConfig.resolve({ organization: { id: viewer.orgId } });
+
+      log.info('Dashboard data requested', { userId: viewer.userId, role: viewer.role, channelId, days });
+
+      const [todayResult, trendsResult, breakdownResult] = await Promise.allSettled([
+        this.statsService.getTodayStats(config, channelId),
+        this.statsService.getTrends(config, days, channelId),
+        viewer.drillDown && channelId === null ? this._buildBreakdown(config) : Promise.resolve(null),
+      ]);
+
+      const errors = {};
+      if (todayResult.status === 'rejected') {
+        errors.today = 'Unable to load today\'s stats';
+      }
+      if (trendsResult.status === 'rejected') {
+        errors.trends = 'Unable to load trends';
+      }
+
+      res.set('Cache-Control', 'no-store');
+      return res.status(200).json({
+        channel: channelId,
+        channels: viewer.channels
+          || [...new Set([...(channelId ? [channelId] : []), ...this.statsService.listChannels(config)])],
+        viewer: { name: viewer.name, role: viewer.role },
+        // all: may pick "All channels" and other channel IDs
+        access: { all: viewer.channels === null, drill_down: viewer.drillDown },
+        breakdown: breakdownResult.status === 'fulfilled' ? breakdownResult.value : null,
+        days,
+        today: todayResult.status === 'fulfilled' ? this._normalizeToday(todayResult.value) : null,
+        trends: trendsResult.status === 'fulfilled' ? this._normalizeTrends(trendsResult.value) : [],
+        // Trend days hidden for having too few distinct authors
+        suppressed_days: trendsResult.status === 'fulfilled' ? trendsResult.value.suppressed_days || 0 : 0,
+        errors,
+        // Stats computed by the extension because the backend was unavailable
+        local: [todayResult, trendsResult].some(result => result.status === 'fulfilled' && result.value?.source === 'local'),
+        generated_at: new Date().toISOString(),
+      });
+    } catch (error) {
+      log.error('Dashboard data error', { error });
+      return res.status(500).json({ error: 'Unable to load dashboard data' });
+    }
+  }
+
+  /**
+   * Serve a report export as a file download
+   * Without channels, exports the same default view as /data.
+   */
+  async handleExport(req, res) {
+    res.set('Cache-Control', 'no-store');
+    try {
+      const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '') || req.query.token;
+      const viewer = this.dashboardAuth.authenticate(token);
+      if (!viewer) {
+        return res.status(401).json({ error: 'This export link has expired. Run /team-mood export again in Cliq.' });
+      }
+
+      const format = String(req.query.format || 'pdf').toLowerCase();
+      if (!ReportExporter.FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${ReportExporter.FORMATS.join(', ')}` });
+      }
+
+      const range = this._parseRange(req.query);
+      if (!range) {
+        return res.status(400).json({ error: `Invalid date range - use from/to (YYYY-MM-DD) within the last ${ReportExporter.MAX_DAYS} days` });
+      }
+
+      const channels = this._parseChannelList(req.query.channels);
+      if (!channels) {
+        return res.status(400).json({ error: `channels must list up to ${MAX_EXPORT_CHANNELS} channel IDs` });
+      }
+      if (channels.length === 0) {
+        channels.push(viewer.channels === null ? null : viewer.channels[0] || null);
+      }
+
+      const denied = channels.filter(channelId => !this.dashboardAuth.canView(viewer, channelId));
+      if (denied.length > 0) {
+        log.warn('Export access denied', { userId: viewer.userId, role: viewer.role, channels: denied });
+        return res.status(403).json({ error: 'You do not have access to every requested channel' });
+      }
+
+      const config = this.orgConfig.resolve({ organization: { id: viewer.orgId } });
+      log.info('Report export requested', { userId: viewer.userId, role: viewer.role, format, channels, ...range });
+
+      const dataset = await this.reportExporter.build(config, { channels, ...range });
+      const { body, contentType, filename } = this.reportExporter.render(dataset, format);
+
+      res.set('Content-Type', contentType);
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.status(200).send(body);
+    } catch (error) {
+      log.error('Report export error', { error });
+      return res.status(500).json({ error: 'Unable to build the export' });
+    }
+  }
+
+  /**
+   * Today's stats per channel for the org-wide view, most stressed first
+   * Limited to MAX_BREAKDOWN_CHANNELS. Channels too small to show on their
+   * own come back merged as one row with channel: null.
+   * @private
+   */
+  async _buildBreakdown(config) {
+    const channels = this.statsService.listChannels(config).slice(0, MAX_BREAKDOWN_CHANNELS);
+    const rows = await this.statsService.getChannelBreakdown(config, channels);
+
+    return rows
+      .map(row => ({
+        channel: row.channel,
+        merged_channels: row.channel === null ? row.channels.length : undefined,
+        total_messages: Math.max(0, parseInt(row.total_messages) || 0),
+        negative_pct: this._validateNumber(row.negative_pct),
+        avg_stress: this._validateNumber(row.avg_stress, 0, 0, 10),
+      }))
+      .sort((a, b) => b.avg_stress - a.avg_stress);
+  }
+
+  /**
+   * Validate channel query parameter
+   * The /team-mood card builds "?channel=undefined" when no channel is known.
+   * @private
+   */
+  _parseChannel(value) {
+    if (typeof value !== 'string') return null;
+    const channel = value.trim();
+    if (!channel || channel === 'undefined' || channel === 'null') return null;
+    if (!/^[\w.-]{1,100}$/.test(channel)) return null;
+    return channel;
+  }
+
+  /**
+   * Validate a comma-separated channel list; null when invalid
+   * @private
+   */
+  _parseChannelList(value) {
+    if (value === undefined || value === '') return [];
+    if (typeof value !== 'string') return null;
+
+    const channels = [...new Set(value.split(',').map(channel => channel.trim().replace(/^#/, '')).filter(Boolean))];
+    if (channels.length > MAX_EXPORT_CHANNELS || !channels.every(channel => /^[\w.-]{1,100}$/.test(channel))) {
+      return null;
+    }
+    return channels;
+  }
+
+  /**
+   * Export range from from/to, or the last `days` days (default 30); null when invalid
+   * @private
+   */
+  _parseRange(query) {
+    const today = new Date().toISOString().substring(0, 10);
+    const todayStart = Date.parse(`${today}T00:00:00Z`);
+
+    if (query.from === undefined && query.to === undefined) {
+      const days = parseInt(query.days || '30');
+      if (!(days >= 1 && days <= ReportExporter.MAX_DAYS)) return null;
+      return { from: new Date(todayStart - (days - 1) * DAY_MS).toISOString().substring(0, 10), to: today };
+    }
+
+    // Rejects impossible dates like 2026-02-30, which Date would roll over
+    const isDate = value => {
+      if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+      const date = new Date(`${value}T00:00:00Z`);
+      return !isNaN(date) && date.toISOString().startsWith(value);
+    };
+    if (!isDate(query.from) || !isDate(query.to)) return null;
+    if (query.from > query.to || query.to > today) return null;
+    if ((todayStart - Date.parse(`${query.from}T00:00:00Z`)) / DAY_MS + 1 > ReportExporter.MAX_DAYS) return null;
+
+    return { from: query.from, to: query.to };
+  }
+
+  /**
+   * Validate days query parameter
+   * @private
+   */
+  _parseDays(value) {
+    const days = parseInt(value);
+    return ALLOWED_DAYS.includes(days) ? days : ALLOWED_DAYS[0];
+  }
+
+  /**
+   * Validate and normalize numeric value
+   * @private
+   */
+  _validateNumber(value, defaultValue = 0, min = 0, max = 100) {
+    const num = parseFloat(value);
+    if (isNaN(num)) return defaultValue;
+    return Math.max(min, Math.min(max, num));
+  }
+
+  /**
+   * Normalize today's stats into the shape the widget renders
+   * @private
+   */
+  _normalizeToday(stats) {
+    if (!stats || typeof stats !== 'object') return null;
+    if (stats.suppressed) {
+      return { suppressed: true, min_group_size: stats.min_group_size };
+    }
+
+    const topIssues = Array.isArray(stats.top_issues) ? stats.top_issues : [];
+
+    return {
+      positive_pct: this._validateNumber(stats.positive_pct),
+      neutral_pct: this._validateNumber(stats.neutral_pct),
+      negative_pct: this._validateNumber(stats.negative_pct),
+      avg_stress: this._validateNumber(stats.avg_stress, 0, 0, 10),
+      total_messages: Math.max(0, parseInt(stats.total_messages) || 0),
+      trend: ['up', 'down', 'stable'].includes(stats.trend) ? stats.trend : 'stable',
+      top_issues: topIssues
+        .filter(issue => issue && typeof issue === 'object')
+        .slice(0, 5)
+        .map(issue => ({
+          category: String(issue.category || 'Unknown').substring(0, 100),
+          count: Math.max(0, parseInt(issue.count) || 0),
+        })),
+    };
+  }
+
+  /**
+   * Normalize trends into a date-ordered series
+   * Accepts { days: [...] }, { trends: [...] } or a bare array.
+   * @private
+   */
+  _normalizeTrends(trends) {
+    let points = [];
+    if (Array.isArray(trends)) {
+      points = trends;
+    } else if (trends && typeof trends === 'object') {
+      points = Array.isArray(trends.days) ? trends.days : Array.isArray(trends.trends) ? trends.trends : [];
+    }
+
+    return points
+      .filter(point => point && typeof point === 'object' && point.date)
+      .map(point => ({
+        date: String(point.date).substring(0, 10),
+        positive_pct: this._validateNumber(point.positive_pct),
+        neutral_pct: this._validateNumber(point.neutral_pct),
+        negative_pct: this._validateNumber(point.negative_pct),
+        avg_stress: this._validateNumber(point.avg_stress, 0, 0, 10),
+        total_messages: Math.max(0, parseInt(point.total_messages) || 0),
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+}
+
+// Express router wrapper
+function createDashboardRouter(options = {}) {
+  const handler = new DashboardWidgetHandler(options);
+  const router = express.Router();
+
+  router.use('/assets', express.static(PUBLIC_DIR, { index: false, maxAge: '1h' }));
+  router.get('/', (req, res) => handler.handlePage(req, res));
+  router.get('/data', (req, res) => handler.handleData(req, res));
+  router.get('/export', (req, res) => handler.handleExport(req, res));
+
+  return router;
+}
+
+module.exports = { DashboardWidgetHandler, createDashboardRouter };
@@ -0,0 +1,418 @@
+/**
+ * Team Sentiment Dashboard - client script
+ *
+ * Loads /widgets/dashboard/data and renders it with plain DOM + SVG so the
+ * widget has no third-party runtime dependencies. All text is inserted via
+ * textContent; the data endpoint is the only source of content.
+ *
+ * The link's ?token= is moved out of the URL on load and sent as a Bearer
+ * header; what the viewer may see is decided by the server.
+ *
+ * Export downloads the current channel and period from
+ * /widgets/dashboard/export, with the same header.
+ */
+
+(function () {
+  'use strict';
+
+  var DATA_URL = '/widgets/dashboard/data';
+  var EXPORT_URL = '/widgets/dashboard/export';
+  var RECENT_KEY = 'emobot.dashboard.recentChannels';
+  var MAX_RECENT = 5;
+  var OTHER_VALUE = '__other__';
+
+  var ROLE_LABELS = {
+    member: 'Member view',
+    manager: 'Manager view',
+    hr: 'HR view',
+    admin: 'Admin view',
+  };
+
+  var TREND_LABELS = {
+    up: '📈 Improving',
+    down: '📉 Declining',
+    stable: '➡️ Stable',
+  };
+
+  var state = {
+    channel: readChannelFromUrl(),
+    days: readDaysFromUrl(),
+    token: new URLSearchParams(window.location.search).get('token') || '',
+    // Until the server says otherwise, offer only the channel from the link
+    access: { all: false, drill_down: false },
+  };
+
+  function $(id) {
+    return document.getElementById(id);
+  }
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function readChannelFromUrl() {
+    var channel = new URLSearchParams(window.location.search).get('channel');
+    if (!channel || channel === 'undefined' || channel === 'null') return '';
+    return channel;
+  }
+
+  function readDaysFromUrl() {
+    var days = new URLSearchParams(window.location.search).get('days');
+    return ['7', '14', '30'].indexOf(days) >= 0 ? days : '7';
+  }
+
+  function updateUrl() {
+    var params = new URLSearchParams(window.location.search);
+    if (state.channel) params.set('channel', state.channel);
+    else params.delete('channel');
+    params.set('days', state.days);
+    // Keep the token out of history and bookmarks
+    params.delete('token');
+    window.history.replaceState(null, '', window.location.pathname + '?' + params.toString());
+  }
+
+  // localStorage can be unavailable inside sandboxed iframes
+  function loadRecentChannels() {
+    try {
+      var stored = JSON.parse(window.localStorage.getItem(RECENT_KEY) || '[]');
+      return Array.isArray(stored) ? stored.filter(function (c) { return typeof c === 'string'; }) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function saveRecentChannel(channel) {
+    if (!channel) return;
+    var recent = loadRecentChannels().filter(function (c) { return c !== channel; });
+    recent.unshift(channel);
+    try {
+      window.localStorage.setItem(RECENT_KEY, JSON.stringify(recent.slice(0, MAX_RECENT)));
+    } catch (e) {
+      // Ignore - recent channels are a convenience only
+    }
+  }
+
+  function renderChannelOptions(serverChannels) {
+    var select = $('channel');
+    var channels = [];
+    // Restricted viewers get exactly the channels the server allows
+    var candidates = state.access.all
+      ? [state.channel].concat(serverChannels || [], loadRecentChannels())
+      : [state.channel].concat(serverChannels || []);
+    candidates.forEach(function (c) {
+      if (c && channels.indexOf(c) < 0) channels.push(c);
+    });
+
+    select.textContent = '';
+    if (state.access.all) select.appendChild(new Option('All channels', ''));
+    channels.forEach(function (c) {
+      select.appendChild(new Option('#' + c, c));
+    });
+    if (state.access.all) select.appendChild(new Option('Other…', OTHER_VALUE));
+    select.value = state.channel;
+  }
+
+  function renderViewer(viewer) {
+    $('viewer').textContent = viewer
+      ? (viewer.name ? viewer.name + ' · ' : '') + (ROLE_LABELS[viewer.role] || '')
+      : '';
+  }
+
+  function renderBreakdown(breakdown) {
+    var section = $('breakdown-card');
+    var list = $('breakdown');
+    list.textContent = '';
+
+    if (!breakdown) {
+      section.classList.add('hidden');
+      return;
+    }
+    section.classList.remove('hidden');
+
+    if (breakdown.length === 0) {
+      list.appendChild(el('li', 'muted', 'No channel activity today'));
+      return;
+    }
+
+    breakdown.forEach(function (row) {
+      var item = el('li');
+      // Small channels are merged so none of them can be singled out
+      if (row.channel === null) {
+        item.appendChild(el('strong', null, 'Other channels (' + row.merged_channels + ')'));
+      } else {
+        var link = el('button', 'link-button', '#' + row.channel);
+        link.type = 'button';
+        link.addEventListener('click', function () {
+          state.channel = row.channel;
+          saveRecentChannel(row.channel);
+          load();
+        });
+        item.appendChild(link);
+      }
+      item.appendChild(document.createTextNode(
+        ' · stress ' + row.avg_stress.toFixed(1) + '/10 · ' + row.negative_pct.toFixed(0) + '% negative · ' +
+        row.total_messages + ' messages'
+      ));
+      list.appendChild(item);
+    });
+  }
+
+  function setStatus(text, isError) {
+    var status = $('status');
+    status.textContent = text;
+    status.className = isError ? 'status error' : 'status';
+    status.style.display = text ? '' : 'none';
+  }
+
+  function renderDistribution(today) {
+    var container = $('distribution');
+    container.textContent = '';
+
+    if (!today) {
+      container.appendChild(el('p', 'muted', 'No data available'));
+      $('total').textContent = '';
+      return;
+    }
+    if (today.suppressed) {
+      container.appendChild(el('p', 'muted',
+        '🔒 Fewer than ' + today.min_group_size + ' people posted today, so stats are hidden to protect individuals.'));
+      $('total').textContent = '';
+      return;
+    }
+
+    [
+      ['😊 Positive', today.positive_pct, 'positive'],
+      ['😐 Neutral', today.neutral_pct, 'neutral'],
+      ['😔 Negative', today.negative_pct, 'negative'],
+    ].forEach(function (row) {
+      var line = el('div', 'bar-row');
+      var track = el('div', 'bar-track');
+      var fill = el('div', 'bar-fill ' + row[2]);
+      fill.style.width = row[1] + '%';
+      track.appendChild(fill);
+      line.appendChild(el('span', 'bar-label', row[0]));
+      line.appendChild(track);
+      line.appendChild(el('span', 'bar-value', row[1].toFixed(1) + '%'));
+      container.appendChild(line);
+    });
+
+    $('total').textContent = 'Messages analyzed today: ' + today.total_messages;
+  }
+
+  function renderStress(today, trends, suppressedDays) {
+    var shown = today && !today.suppressed;
+    $('avg-stress').textContent = shown ? today.avg_stress.toFixed(1) + '/10' : '–';
+    $('trend').textContent = shown ? (TREND_LABELS[today.trend] || TREND_LABELS.stable) : '';
+    $('suppressed-days').textContent = suppressedDays
+      ? '🔒 ' + suppressedDays + ' day(s) with too few people are not shown'
+      : '';
+
+    var chart = $('stress-chart');
+    chart.textContent = '';
+
+    if (!trends || trends.length === 0) {
+      chart.appendChild(el('p', 'muted', 'No trend data for this period'));
+      return;
+    }
+
+    var ns = 'http://www.w3.org/2000/svg';
+    var width = 360;
+    var height = 110;
+    var pad = { top: 8, right: 8, bottom: 18, left: 20 };
+    var plotW = width - pad.left - pad.right;
+    var plotH = height - pad.top - pad.bottom;
+
+    var svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('viewBox', '0 0 ' + width + ' ' + height);
+    svg.setAttribute('preserveAspectRatio', 'none');
+
+    function x(i) {
+      return pad.left + (trends.length === 1 ? plotW / 2 : (i / (trends.length - 1)) * plotW);
+    }
+    function y(v) {
+      return pad.top + plotH - (v / 10) * plotH;
+    }
+    function svgEl(tag, attrs, text) {
+      var node = document.createElementNS(ns, tag);
+      Object.keys(attrs).forEach(function (k) { node.setAttribute(k, attrs[k]); });
+      if (text !== undefined) node.textContent = text;
+      return node;
+    }
+
+    [0, 5, 10].forEach(function (v) {
+      svg.appendChild(svgEl('line', { class: 'axis', x1: pad.left, x2: width - pad.right, y1: y(v), y2: y(v) }));
+      svg.appendChild(svgEl('text', { x: 2, y: y(v) + 3 }, String(v)));
+    });
+
+    var points = trends.map(function (p, i) { return x(i) + ',' + y(p.avg_stress); }).join(' ');
+    svg.appendChild(svgEl('polyline', { class: 'line', points: points }));
+
+    trends.forEach(function (p, i) {
+      var dot = svgEl('circle', { cx: x(i), cy: y(p.avg_stress), r: 2.5, fill: '#FF5252' });
+      dot.appendChild(svgEl('title', {}, p.date + ': ' + p.avg_stress.toFixed(1) + '/10'));
+      svg.appendChild(dot);
+    });
+
+    [0, trends.length - 1].forEach(function (i) {
+      svg.appendChild(svgEl('text', {
+        x: x(i),
+        y: height - 4,
+        'text-anchor': i === 0 ? 'start' : 'end',
+      }, trends[i].date.substring(5)));
+    });
+
+    chart.appendChild(svg);
+  }
+
+  function renderIssues(today) {
+    var list = $('issues');
+    list.textContent = '';
+
+    if (!today || today.suppressed || today.top_issues.length === 0) {
+      list.appendChild(el('li', 'muted', 'No significant issues detected ✨'));
+      return;
+    }
+
+    today.top_issues.forEach(function (issue) {
+      var item = el('li');
+      item.appendChild(el('strong', null, issue.category));
+      item.appendChild(document.createTextNode(' (' + issue.count + ' mentions)'));
+      list.appendChild(item);
+    });
+  }
+
+  function load() {
+    setStatus('Loading…');
+    updateUrl();
+
+    var params = new URLSearchParams({ days: state.days });
+    if (state.channel) params.set('channel', state.channel);
+
+    fetch(DATA_URL + '?' + params.toString(), {
+      credentials: 'same-origin',
+      headers: state.token ? { Authorization: 'Bearer ' + state.token } : {},
+    })
+      .then(function (res) {
+        if (res.status === 401 || res.status === 403) {
+          return res.json().then(function (body) {
+            var error = new Error(body.error || 'HTTP ' + res.status);
+            error.status = res.status;
+            throw error;
+          });
+        }
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        return res.json();
+      })
+      .then(function (data) {
+        state.access = data.access || state.access;
+        state.channel = data.channel || '';
+        renderChannelOptions(data.channels);
+        renderViewer(data.viewer);
+        renderBreakdown(data.breakdown);
+        renderDistribution(data.today);
+        renderStress(data.today, data.trends, data.suppressed_days);
+        renderIssues(data.today);
+
+        var errors = Object.keys(data.errors || {}).map(function (k) { return data.errors[k]; });
+        setStatus(errors.join(' · '), errors.length > 0);
+        $('updated').textContent = 'Updated ' + new Date(data.generated_at).toLocaleTimeString() +
+          (data.local ? ' · computed locally' : '');
+      })
+      .catch(function (error) {
+        // A link to a channel the viewer may not see: fall back to their own
+        if (error.status === 403 && state.channel) {
+          state.channel = '';
+          load();
+          return;
+        }
+        setStatus(error.status ? '🔒 ' + error.message : '⚠️ Unable to load dashboard data. Please try again.', true);
+      });
+  }
+
+  function downloadExport(format) {
+    var params = new URLSearchParams({ format: format, days: state.days });
+    if (state.channel) params.set('channels', state.channel);
+
+    $('export-button').disabled = true;
+    fetch(EXPORT_URL + '?' + params.toString(), {
+      credentials: 'same-origin',
+      headers: state.token ? { Authorization: 'Bearer ' + state.token } : {},
+    })
+      .then(function (res) {
+        if (!res.ok) {
+          return res.json().then(function (body) {
+            throw new Error(body.error || 'HTTP ' + res.status);
+          });
+        }
+        var disposition = res.headers.get('Content-Disposition') || '';
+        var match = disposition.match(/filename="([^"]+)"/);
+        return res.blob().then(function (blob) {
+          var link = el('a');
+          link.href = URL.createObjectURL(blob);
+          link.download = match ? match[1] : 'team-mood.' + format;
+          document.body.appendChild(link);
+          link.click();
+          link.remove();
+          setTimeout(function () { URL.revokeObjectURL(link.href); }, 1000);
+        });
+      })
+      .catch(function (error) {
+        setStatus('⚠️ Export failed: ' + error.message, true);
+      })
+      .then(function () {
+        $('export-button').disabled = false;
+      });
+  }
+
+  function init() {
+    $('days').value = state.days;
+    renderChannelOptions([]);
+
+    $('channel').addEventListener('change', function (e) {
+      if (e.target.value === OTHER_VALUE) {
+        $('custom-channel').classList.remove('hidden');
+        $('channel-input').focus();
+        return;
+      }
+      $('custom-channel').classList.add('hidden');
+      state.channel = e.target.value;
+      saveRecentChannel(state.channel);
+      load();
+    });
+
+    $('custom-channel').addEventListener('submit', function (e) {
+      e.preventDefault();
+      var value = $('channel-input').value.trim();
+      if (!/^[\w.-]{1,100}$/.test(value)) {
+        setStatus('⚠️ Invalid channel ID', true);
+        return;
+      }
+      $('custom-channel').classList.add('hidden');
+      state.channel = value;
+      saveRecentChannel(value);
+      load();
+    });
+
+    $('filters').addEventListener('submit', function (e) { e.preventDefault(); });
+
+    $('days').addEventListener('change', function (e) {
+      state.days = e.target.value;
+      load();
+    });
+
+    $('refresh').addEventListener('click', load);
+
+    $('export').addEventListener('submit', function (e) {
+      e.preventDefault();
+      downloadExport($('export-format').value);
+    });
+
+    saveRecentChannel(state.channel);
+    load();
+  }
+
+  document.addEventListener('DOMContentLoaded', init);
+})();